@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - API Key CLI
+// Create, list and revoke API keys (used when AUTH_MODE=required)
+//
+// Usage:
+//   node scripts/apikey.js create --name <name> --scopes <a,b> [--user <id>] [--expires-days <n>]
+//   node scripts/apikey.js list [--user <id>]
+//   node scripts/apikey.js revoke <key id> [--user <id>]
+
+import { parseArgs } from "util";
+import { config } from "../src/config.js";
+import { getStorage } from "../src/storage/index.js";
+import { createApiKey, listApiKeys, revokeApiKey, SCOPES } from "../src/auth.js";
+
+const USAGE = `Usage:
+  node scripts/apikey.js create --name <name> --scopes <a,b> [--user <id>] [--expires-days <n>]
+  node scripts/apikey.js list [--user <id>]
+  node scripts/apikey.js revoke <key id> [--user <id>]
+
+Scopes: ${SCOPES.join(", ")}`;
+
+function describeKey(key) {
+  const state = key.revoked_at
+    ? "revoked"
+    : key.expires_at && new Date(key.expires_at) <= new Date() ? "expired" : "active";
+  const lastUsed = key.last_used_at ? new Date(key.last_used_at).toISOString() : "never";
+  return `${key.id}  ${key.key_prefix}…  ${state.padEnd(7)}  ${key.name}  [${key.scopes.join(", ")}]  last used: ${lastUsed}`;
+}
+
+async function runCreate({ user, name, scopes, "expires-days": expiresDays }) {
+  if (!name || !scopes) {
+    throw new Error("--name and --scopes are required for create");
+  }
+
+  const expiresInDays = expiresDays ? parseInt(expiresDays, 10) : null;
+  if (expiresDays && !(expiresInDays > 0)) {
+    throw new Error("--expires-days must be a positive integer");
+  }
+
+  const key = await createApiKey({
+    name,
+    scopes: scopes.split(",").map(s => s.trim()).filter(Boolean),
+    expiresInDays
+  }, user);
+
+  console.log(describeKey(key));
+  console.log(`\nKey (shown once, store it now):\n${key.key}`);
+}
+
+async function runList({ user }) {
+  const keys = await listApiKeys(user);
+  if (keys.length === 0) {
+    console.log(`No API keys for ${user}`);
+  }
+  for (const key of keys) {
+    console.log(describeKey(key));
+  }
+}
+
+async function runRevoke({ user }, id) {
+  if (!id) {
+    throw new Error("revoke needs a key id (see list)");
+  }
+
+  const key = await revokeApiKey(id, user);
+  if (!key) {
+    throw new Error(`No API key ${id} for ${user}`);
+  }
+  console.log(describeKey(key));
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      user: { type: "string", default: config.DEFAULT_USER_ID },
+      name: { type: "string" },
+      scopes: { type: "string" },
+      "expires-days": { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [command, id] = positionals;
+  const commands = {
+    create: () => runCreate(values),
+    list: () => runList(values),
+    revoke: () => runRevoke(values, id)
+  };
+
+  if (values.help || !commands[command]) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const storage = getStorage();
+
+  try {
+    // api_keys arrives with a migration
+    await storage.prepare({ autoMigrate: config.AUTO_MIGRATE });
+    await commands[command]();
+    return 0;
+  } finally {
+    await storage.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[ApiKey] ${err.message}`);
+    process.exit(1);
+  });
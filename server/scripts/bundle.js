@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Bundle CLI
+// Export or import a user's memory graph as a JSON Lines bundle
+//
+// Usage:
+//   node scripts/bundle.js export --out <file> [--user <id>] [--embeddings]
+//   node scripts/bundle.js import --in <file> [--user <id>]
+
+import { parseArgs } from "util";
+import { createWriteStream } from "fs";
+import { readFile } from "fs/promises";
+import { config } from "../src/config.js";
+import { exportBundle, parseBundle, importBundle } from "../src/bundle.js";
+
+const USAGE = `Usage:
+  node scripts/bundle.js export --out <file> [--user <id>] [--embeddings]
+  node scripts/bundle.js import --in <file> [--user <id>]`;
+
+async function runExport({ user, out, embeddings }) {
+  // stdout is not used: startup logging would corrupt the bundle
+  if (!out) {
+    throw new Error("--out <file> is required for export");
+  }
+
+  const stream = createWriteStream(out);
+  let count = 0;
+
+  for await (const record of exportBundle(user, { includeEmbeddings: embeddings })) {
+    stream.write(JSON.stringify(record) + "\n");
+    count++;
+  }
+
+  await new Promise(resolve => stream.end(resolve));
+  console.log(`[Bundle] Wrote ${count - 1} records for ${user} to ${out}`);
+}
+
+async function runImport({ user, in: input }) {
+  if (!input) {
+    throw new Error("--in <file> is required for import");
+  }
+
+  const bundle = parseBundle(await readFile(input, "utf8"));
+  const result = await importBundle(bundle, user);
+  console.log(JSON.stringify(result, null, 2));
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      user: { type: "string", default: config.DEFAULT_USER_ID },
+      out: { type: "string" },
+      in: { type: "string" },
+      embeddings: { type: "boolean", default: false }
+    }
+  });
+
+  const command = positionals[0];
+
+  if (command === "export") {
+    await runExport(values);
+  } else if (command === "import") {
+    await runImport(values);
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("[Bundle] Error:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Memory Evaluation CLI
+// Replay scripted conversations through the pipeline and score the result
+//
+// Usage:
+//   node scripts/eval.js [--scenarios <path>]... [--set KEY=VALUE]...
+//                        [--storage memory|postgres] [--out <prefix>]
+//                        [--baseline <report.json>] [--verbose]
+//
+// Uses the configured LLM routes (LLM_CONFIG) and embeddings (EMBED_*).
+// Fully offline with the mock LLM:
+//   npm run mock-llm &
+//   LLM_CONFIG=llm.config.mock.json EMBED_PROVIDER=hash npm run eval
+
+import { parseArgs } from "util";
+import { readFile, writeFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+import { config } from "../src/config.js";
+import { createStorage, setStorage } from "../src/storage/index.js";
+import { ensureEmbeddingIndexCurrent, describeProvider } from "../src/reembedService.js";
+import { describeLLMRoutes } from "../src/llm.js";
+import { loadScenarios, runEval, formatMarkdownReport } from "../src/evalHarness.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SCENARIOS = resolve(__dirname, "../eval/scenarios");
+
+const USAGE = `Usage:
+  node scripts/eval.js [--scenarios <path>]... [--set KEY=VALUE]...
+                       [--storage memory|postgres] [--out <prefix>]
+                       [--baseline <report.json>] [--verbose]
+
+  --scenarios  scenario file or directory (default: eval/scenarios)
+  --set        override a numeric setting, e.g. --set CONTRADICTION_THRESHOLD=0.8
+  --storage    memory: fresh in-memory store per scenario (default)
+               postgres: DATABASE_URL, as throwaway users purged afterwards
+  --out        write <prefix>.json and <prefix>.md
+  --baseline   earlier JSON report to show deltas against
+  --verbose    show pipeline logs`;
+
+function parseOverrides(pairs) {
+  const overrides = {};
+
+  for (const pair of pairs) {
+    const match = pair.match(/^([A-Z_]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`--set expects KEY=VALUE (got "${pair}")`);
+    }
+    overrides[match[1]] = Number(match[2]);
+  }
+
+  return overrides;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      scenarios: { type: "string", multiple: true, default: [DEFAULT_SCENARIOS] },
+      set: { type: "string", multiple: true, default: [] },
+      storage: { type: "string", default: "memory" },
+      out: { type: "string" },
+      baseline: { type: "string" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!["memory", "postgres"].includes(values.storage)) {
+    throw new Error(`--storage must be "memory" or "postgres"`);
+  }
+
+  const overrides = parseOverrides(values.set);
+  const scenarios = await loadScenarios(values.scenarios);
+  const baseline = values.baseline ? JSON.parse(await readFile(values.baseline, "utf8")) : null;
+
+  let storage = null;
+  if (values.storage === "postgres") {
+    storage = setStorage(createStorage("postgres"));
+    await storage.prepare({ autoMigrate: config.AUTO_MIGRATE });
+    await ensureEmbeddingIndexCurrent({ storage });
+  }
+
+  const embeddings = describeProvider();
+  const log = console.log;
+  if (!values.verbose) {
+    console.log = () => {};
+  }
+
+  try {
+    log(`[Eval] ${scenarios.length} scenario(s), ${values.storage} storage`);
+
+    const report = await runEval({
+      scenarios,
+      overrides,
+      freshStore: values.storage === "memory",
+      describe: {
+        embeddings: `${embeddings.provider}:${embeddings.model} (${embeddings.dimensions}d)`,
+        memory_llm: describeLLMRoutes().memory.join(" → ")
+      },
+      onScenario: result => log(
+        `[Eval] ${result.name}: recall ${result.extraction.recall ?? "–"}, ` +
+        `recall@${result.retrieval.k} ${result.retrieval.recall_at_k ?? "–"}, ` +
+        `contradictions ${result.contradictions.passed}/${result.contradictions.total}`
+      )
+    });
+
+    const markdown = formatMarkdownReport(report, baseline);
+
+    if (values.out) {
+      await writeFile(`${values.out}.json`, JSON.stringify(report, null, 2) + "\n");
+      await writeFile(`${values.out}.md`, markdown);
+      log(`[Eval] Wrote ${values.out}.json and ${values.out}.md`);
+    }
+
+    log("");
+    log(markdown);
+    return report.summary.errors > 0 ? 1 : 0;
+  } finally {
+    console.log = log;
+    await storage?.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[Eval] ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - MCP Server (stdio)
+// Serves the memory tools over stdin/stdout for MCP clients that launch
+// a local process. Over the network, use POST /mcp on the API server.
+//
+// Usage:
+//   node scripts/mcp.js [--user <id>]
+//
+// Client config, e.g.:
+//   { "command": "node", "args": ["/path/to/server/scripts/mcp.js", "--user", "alice"] }
+
+import { parseArgs } from "util";
+import { createInterface } from "readline";
+
+// stdout carries the protocol: send every log line to stderr, before
+// any module (dotenv included) gets to write to it
+const writeProtocol = process.stdout.write.bind(process.stdout);
+console.log = console.error;
+console.info = console.error;
+
+const USAGE = `Usage:
+  node scripts/mcp.js [--user <id>]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      user: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  const { config } = await import("../src/config.js");
+  const { getStorage } = await import("../src/storage/index.js");
+  const { initEmbedder } = await import("../src/embeddings.js");
+  const { McpSession, mcpParseError } = await import("../src/mcpServer.js");
+
+  const storage = getStorage();
+
+  try {
+    await storage.prepare({ autoMigrate: config.AUTO_MIGRATE });
+    await initEmbedder();
+
+    const session = new McpSession({ userId: values.user || config.DEFAULT_USER_ID });
+    const pending = new Set();
+
+    const send = message => writeProtocol(JSON.stringify(message) + "\n");
+
+    for await (const line of createInterface({ input: process.stdin, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        send(mcpParseError(err));
+        continue;
+      }
+
+      // Requests run concurrently; responses go out as they finish
+      const handling = session.handle(message).then(response => {
+        if (response) send(response);
+      });
+      pending.add(handling);
+      handling.finally(() => pending.delete(handling));
+    }
+
+    // stdin closed: the client is gone
+    await Promise.all(pending);
+    return 0;
+  } finally {
+    await storage.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[MCP] ${err.message}`);
+    process.exit(1);
+  });
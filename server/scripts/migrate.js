@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Migration CLI
+// Apply, roll back or inspect schema migrations (PostgreSQL backend)
+//
+// Usage:
+//   node scripts/migrate.js [up] [--to <version>]
+//   node scripts/migrate.js down [--steps <n> | --to <version>]
+//   node scripts/migrate.js status
+
+import { parseArgs } from "util";
+import pg from "pg";
+import { config } from "../src/config.js";
+import { getMigrationStatus, migrateUp, migrateDown } from "../src/storage/migrator.js";
+
+const USAGE = `Usage:
+  node scripts/migrate.js [up] [--to <version>]
+  node scripts/migrate.js down [--steps <n> | --to <version>]
+  node scripts/migrate.js status`;
+
+function parseVersion(value, flag) {
+  if (value === undefined) return undefined;
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`${flag} must be a non-negative integer`);
+  }
+  return number;
+}
+
+async function printStatus(pool) {
+  const status = await getMigrationStatus(pool);
+
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+  for (const m of status.applied) {
+    console.log(`  ✅ ${m.version} ${m.name} (${new Date(m.applied_at).toISOString()})`);
+  }
+  for (const m of status.pending) {
+    console.log(`  ⏳ ${m.version} ${m.name}`);
+  }
+  for (const m of status.modified) {
+    console.log(`  ⚠️  ${m.version} ${m.name} changed after it was applied`);
+  }
+  for (const m of status.unknown) {
+    console.log(`  ❓ ${m.version} ${m.name} applied but has no migration file`);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      to: { type: "string" },
+      steps: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const command = positionals[0] || "up";
+
+  if (values.help || !["up", "down", "status"].includes(command)) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+
+  try {
+    if (command === "status") {
+      await printStatus(pool);
+    } else if (command === "up") {
+      const applied = await migrateUp(pool, { to: parseVersion(values.to, "--to") });
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s): ${applied.join(", ")}`
+        : "Schema is up to date");
+    } else {
+      const to = parseVersion(values.to, "--to");
+      const steps = parseVersion(values.steps, "--steps") ?? 1;
+      const rolledBack = await migrateDown(pool, { steps, to: to ?? null });
+      console.log(rolledBack.length > 0
+        ? `Rolled back ${rolledBack.length} migration(s): ${rolledBack.join(", ")}`
+        : "Nothing to roll back");
+    }
+    return 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[Migrate] ${err.message}`);
+    process.exit(1);
+  });
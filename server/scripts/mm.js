@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Operator CLI
+// Inspect and administer a memory base directly through storage (same
+// DATABASE_URL as the server); `tail` follows a running server's events.
+//
+// Usage:
+//   node scripts/mm.js search <query> [--user <id>] [--k <n>] [--json]
+//   node scripts/mm.js show <memory id> [--user <id>] [--json]
+//   node scripts/mm.js contradictions [--user <id>] [--json]
+//   node scripts/mm.js resolve <contradiction id> <resolution> [--note <text>] [--user <id>]
+//   node scripts/mm.js merge-entities <source> <target> [--user <id>]
+//   node scripts/mm.js classify-entities [--all] [--rules] [--force] [--user <id>] [--json]
+//   node scripts/mm.js decay [--archive] [--threshold <n>] [--max-age-days <n>]
+//   node scripts/mm.js tail [--url <server>] [--key <api key>] [--types <a,b>] [--user <id>]
+
+import { parseArgs, format } from "util";
+
+// stdout is for results (pipeable with --json): module logs go to stderr,
+// set before any module (dotenv included) gets to write
+const out = (...args) => process.stdout.write(format(...args) + "\n");
+console.log = console.error;
+console.info = console.error;
+
+const { config } = await import("../src/config.js");
+const { getStorage } = await import("../src/storage/index.js");
+const { ContradictionResolutionSchema } = await import("../src/schemas.js");
+
+const RESOLUTIONS = ContradictionResolutionSchema.options;
+
+const USAGE = `Usage:
+  mm search <query> [--user <id>] [--k <n>] [--json]
+  mm show <memory id> [--user <id>] [--json]
+  mm contradictions [--user <id>] [--json]
+  mm resolve <contradiction id> <resolution> [--note <text>] [--user <id>]
+  mm merge-entities <source> <target> [--user <id>]     (entity ids or names)
+  mm classify-entities [--all] [--rules] [--force] [--user <id>] [--json]
+  mm decay [--archive] [--threshold <n>] [--max-age-days <n>]
+  mm tail [--url <server>] [--key <api key>] [--types <a,b>] [--user <id>]
+
+Resolutions: ${RESOLUTIONS.join(", ")}
+classify-entities types entities that have no type evidence yet (--all:
+every entity) with the classify LLM role, or the rules only with --rules;
+types set by hand are kept unless --force is given.
+tail reads MM_API_KEY when --key is not given (needed with AUTH_MODE=required).`;
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+// ===========================================
+// FORMATTING
+// ===========================================
+
+function describeMemory(m) {
+  const state = m.is_active ? "" : "  (inactive)";
+  const score = m.score !== undefined ? `  score ${Number(m.score).toFixed(3)}` : "";
+  return `${m.id}  ${m.tier.padEnd(17)}  conf ${Number(m.confidence).toFixed(2)}  imp ${Number(m.current_importance).toFixed(2)}${score}${state}\n    ${m.summary}`;
+}
+
+function describeContradiction(c) {
+  return `${c.id}  detected ${new Date(c.detected_at).toISOString()}  ${c.reason}
+    A ${c.memory_a}  ${c.summary_a}
+    B ${c.memory_b}  ${c.summary_b}`;
+}
+
+function printJson(value) {
+  out(JSON.stringify(value, (key, v) => (key === "embedding" ? undefined : v), 2));
+}
+
+// ===========================================
+// COMMANDS
+// ===========================================
+
+async function runSearch({ user, k, json }, words) {
+  const queryText = words.join(" ");
+  if (!queryText) {
+    throw new Error("search needs a query");
+  }
+
+  const { initEmbedder } = await import("../src/embeddings.js");
+  const { retrieveMemories } = await import("../src/memoryStore.js");
+  await initEmbedder();
+
+  const memories = await retrieveMemories({ queryText, k: parseInt(k, 10) || config.RETRIEVAL_K, userId: user, reinforce: false });
+  if (json) return printJson(memories);
+
+  if (memories.length === 0) {
+    out(`No memories match for ${user}`);
+  }
+  memories.forEach(m => out(describeMemory(m)));
+}
+
+async function runShow({ user, json }, [id]) {
+  if (!id || !UUID_PATTERN.test(id)) {
+    throw new Error("show needs a memory id");
+  }
+
+  const { getMemoryById, getSupersessionChain } = await import("../src/memoryStore.js");
+  const { getMemoryRelations } = await import("../src/graphRetrieval.js");
+
+  const memory = await getMemoryById(id, user);
+  if (!memory) {
+    throw new Error(`No memory ${id} for ${user}`);
+  }
+
+  const [relations, chain] = await Promise.all([
+    getMemoryRelations(id, user),
+    getSupersessionChain(id, user)
+  ]);
+  if (json) return printJson({ memory, relations, ...chain });
+
+  out(describeMemory(memory));
+  out(`    created ${new Date(memory.created_at).toISOString()}  accessed ${memory.access_count}x  entities: ${memory.entities.join(", ") || "-"}`);
+  if (memory.facts?.length) {
+    out(`    facts: ${memory.facts.join("; ")}`);
+  }
+
+  out(`\nRelations (${relations.length}):`);
+  for (const r of relations) {
+    const other = r.source_id === id ? r.target_id : r.source_id;
+    out(`  ${r.relation_type.padEnd(12)} ${Number(r.weight).toFixed(2)}  ${other}  ${r.related_summary ?? ""}`);
+  }
+
+  out(`\nSuperseded by (${chain.superseded_by.length}):`);
+  chain.superseded_by.forEach(m => out(`  ${"↑".repeat(m.depth)} ${describeMemory(m)}`));
+  out(`\nSupersedes (${chain.supersedes.length}):`);
+  chain.supersedes.forEach(m => out(`  ${"↓".repeat(m.depth)} ${describeMemory(m)}`));
+}
+
+async function runContradictions({ user, json }) {
+  const { getPendingContradictions } = await import("../src/contradictionDetector.js");
+
+  const contradictions = await getPendingContradictions(user);
+  if (json) return printJson(contradictions);
+
+  if (contradictions.length === 0) {
+    out(`No pending contradictions for ${user}`);
+  }
+  contradictions.forEach(c => out(describeContradiction(c)));
+}
+
+async function runResolve({ user, note }, [id, resolution]) {
+  if (!id || !resolution) {
+    throw new Error("resolve needs a contradiction id and a resolution");
+  }
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`resolution must be one of: ${RESOLUTIONS.join(", ")}`);
+  }
+
+  const { resolveContradiction } = await import("../src/contradictionDetector.js");
+
+  const contradiction = UUID_PATTERN.test(id)
+    ? await resolveContradiction(id, resolution, note ?? null, user)
+    : null;
+  if (!contradiction) {
+    throw new Error(`No contradiction ${id} for ${user}`);
+  }
+  out(`Resolved ${id}: ${resolution}`);
+}
+
+/**
+ * Entity by id, canonical name or alias
+ */
+async function findEntity(ref, user) {
+  const storage = getStorage();
+  const entity = UUID_PATTERN.test(ref)
+    ? await storage.getEntity(user, ref)
+    : await storage.findEntityByNameOrAlias(user, ref);
+  if (!entity) {
+    throw new Error(`No entity "${ref}" for ${user}`);
+  }
+  return entity;
+}
+
+async function runMergeEntities({ user }, [sourceRef, targetRef]) {
+  if (!sourceRef || !targetRef) {
+    throw new Error("merge-entities needs a source and a target entity");
+  }
+
+  const { mergeEntities } = await import("../src/entityEditor.js");
+
+  const source = await findEntity(sourceRef, user);
+  const target = await findEntity(targetRef, user);
+  if (source.id === target.id) {
+    throw new Error(`"${sourceRef}" and "${targetRef}" are the same entity`);
+  }
+
+  const { edit } = await mergeEntities(source.id, target.id, user);
+  out(`Merged "${source.canonical_name}" (${source.id}) into "${target.canonical_name}" (${target.id})`);
+  out(`  ${edit.memory_ids.length} memories rewritten; undo with POST /entity-edits/${edit.id}/undo`);
+}
+
+async function runClassifyEntities({ user, all, rules, force, json }) {
+  const { classifyEntity } = await import("../src/entityClassifier.js");
+
+  const entities = await getStorage().listEntities(user);
+  const pending = all ? entities : entities.filter(e => !e.type_evidence);
+  const results = [];
+
+  for (const entity of pending) {
+    const { entity: classified, evidence, changed } = await classifyEntity(entity.id, user, { llm: !rules, force });
+    results.push({ id: entity.id, canonical_name: entity.canonical_name, from: entity.entity_type, to: classified.entity_type, changed, evidence });
+    if (!json) {
+      const how = evidence.method === "llm" ? evidence.model : evidence.rule ?? evidence.method;
+      out(`${entity.id}  ${String(classified.entity_type).padEnd(12)}  ${changed ? "changed" : "kept   "}  ${entity.canonical_name}  (${how})`);
+    }
+  }
+
+  if (json) return printJson(results);
+  out(`Classified ${pending.length} of ${entities.length} entities for ${user}; ${results.filter(r => r.changed).length} changed type`);
+}
+
+async function runDecay({ archive, threshold, "max-age-days": maxAgeDays }) {
+  const { runDecayUpdate, archiveLowImportanceMemories } = await import("../src/decayService.js");
+
+  const updated = await runDecayUpdate();
+  out(`Decay updated ${updated.length} memories (all users)`);
+
+  if (archive) {
+    const archived = await archiveLowImportanceMemories(
+      threshold ? Number(threshold) : undefined,
+      maxAgeDays ? parseInt(maxAgeDays, 10) : undefined
+    );
+    out(`Archived ${archived.length} low-importance memories`);
+    archived.forEach(m => out(`  ${m.id}  ${m.summary}`));
+  }
+}
+
+async function runTail({ url, key, types, user }) {
+  const { MeaningMemoryClient, ConnectionError } = await import("../src/sdk.js");
+
+  const client = new MeaningMemoryClient({
+    baseUrl: url || `http://localhost:${config.PORT}`,
+    apiKey: key || process.env.MM_API_KEY || null,
+    userId: user,
+    maxRetries: 0
+  });
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  console.error(`[mm] Following events for ${user} at ${client.baseUrl} (Ctrl-C to stop)`);
+  let since;
+
+  // Reconnect after drops (server restart), resuming after the last event
+  while (!controller.signal.aborted) {
+    try {
+      for await (const event of client.events({ types: types?.split(","), since, signal: controller.signal })) {
+        since = event.id;
+        out(`${event.at}  ${event.type.padEnd(22)}  ${JSON.stringify(event.data)}`);
+      }
+    } catch (err) {
+      if (controller.signal.aborted) break;
+      if (!(err instanceof ConnectionError)) throw err;
+      console.error(`[mm] ${err.message}; reconnecting in 2s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      user: { type: "string", default: config.DEFAULT_USER_ID },
+      k: { type: "string" },
+      json: { type: "boolean", default: false },
+      note: { type: "string" },
+      archive: { type: "boolean", default: false },
+      all: { type: "boolean", default: false },
+      rules: { type: "boolean", default: false },
+      force: { type: "boolean", default: false },
+      threshold: { type: "string" },
+      "max-age-days": { type: "string" },
+      url: { type: "string" },
+      key: { type: "string" },
+      types: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  const commands = {
+    search: () => runSearch(values, args),
+    show: () => runShow(values, args),
+    contradictions: () => runContradictions(values),
+    resolve: () => runResolve(values, args),
+    "merge-entities": () => runMergeEntities(values, args),
+    "classify-entities": () => runClassifyEntities(values),
+    decay: () => runDecay(values)
+  };
+
+  if (command === "tail") {
+    await runTail(values);
+    return 0;
+  }
+
+  if (values.help || !commands[command]) {
+    out(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const storage = getStorage();
+
+  try {
+    await storage.prepare({ autoMigrate: config.AUTO_MIGRATE });
+    await commands[command]();
+    return 0;
+  } finally {
+    await storage.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[mm] ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Mock LLM Server CLI
+// Serves OpenAI chat completions and Core1 /extract without any model
+//
+// Usage:
+//   node scripts/mock-llm.js [--port <n>] [--fixtures <file>]
+//
+// Point the server at it with llm.config.mock.json:
+//   LLM_CONFIG=llm.config.mock.json EMBED_PROVIDER=hash npm start
+
+import { parseArgs } from "util";
+import { startMockLLMServer, loadFixtures } from "../src/mockLLM.js";
+
+const USAGE = `Usage:
+  node scripts/mock-llm.js [--port <n>] [--fixtures <file>]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: process.env.MOCK_LLM_PORT || "5055" },
+      host: { type: "string", default: "127.0.0.1" },
+      fixtures: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const port = parseInt(values.port, 10);
+  if (Number.isNaN(port) || port < 0) {
+    throw new Error("--port must be a non-negative integer");
+  }
+
+  const fixtures = values.fixtures ? await loadFixtures(values.fixtures) : [];
+  const mock = await startMockLLMServer({ port, host: values.host, fixtures });
+
+  console.log(`[Mock LLM] Listening on ${mock.url} (${fixtures.length} fixtures)`);
+  console.log(`[Mock LLM]   OpenAI: ${mock.url}/v1   Core1: ${mock.url}`);
+
+  const shutdown = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch(err => {
+  console.error(`[Mock LLM] ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// MeaningMemory V3 - Re-embedding CLI
+// Rebuild every memory's embedding with the configured EMBED_* provider
+//
+// Usage:
+//   node scripts/reembed.js [--batch-size <n>] [--force]
+//   node scripts/reembed.js --status
+
+import { parseArgs } from "util";
+import { config } from "../src/config.js";
+import { getStorage } from "../src/storage/index.js";
+import { reembedAll, describeProvider } from "../src/reembedService.js";
+
+const USAGE = `Usage:
+  node scripts/reembed.js [--batch-size <n>] [--force]
+  node scripts/reembed.js --status`;
+
+function formatIndex(index) {
+  return index ? `${index.provider}:${index.model} (${index.dimensions}d)` : "none recorded";
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "batch-size": { type: "string", default: "32" },
+      force: { type: "boolean", default: false },
+      status: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const batchSize = parseInt(values["batch-size"], 10);
+  if (Number.isNaN(batchSize) || batchSize <= 0) {
+    throw new Error("--batch-size must be a positive integer");
+  }
+
+  const storage = getStorage();
+
+  try {
+    // The staging column arrives with a migration
+    await storage.prepare({ autoMigrate: config.AUTO_MIGRATE });
+
+    const stored = await storage.getEmbeddingIndex();
+    const configured = describeProvider();
+    // Nothing recorded yet: the configured model is adopted on startup
+    const upToDate = !stored || formatIndex(stored) === formatIndex(configured);
+
+    if (values.status) {
+      const { total } = await storage.countMemoriesForReembed();
+      console.log(`Stored:     ${formatIndex(stored)}`);
+      console.log(`Configured: ${formatIndex(configured)}`);
+      console.log(`Memories:   ${total}`);
+      console.log(upToDate ? "Embeddings are up to date" : "Re-embedding required");
+      return 0;
+    }
+
+    if (upToDate && !values.force) {
+      console.log(`Embeddings already use ${formatIndex(configured)} (use --force to rebuild)`);
+      return 0;
+    }
+
+    const result = await reembedAll({
+      batchSize,
+      onProgress: (staged, total) => console.log(`[Reembed] ${staged}/${total}`)
+    });
+
+    console.log(`Re-embedded ${result.total} memories: ${formatIndex(result.from)} → ${formatIndex(result.to)}`);
+    return 0;
+  } finally {
+    await storage.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`[Reembed] ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,131 @@
+// MeaningMemory V3 - API Authentication
+// API keys tied to one user, each with a set of scopes:
+//   chat            POST /chat and the conversation transcripts
+//   memories:read   read memories, entities, preferences, jobs, events...
+//   memories:write  create, edit, resolve and purge (implies memories:read)
+//   admin           everything, plus key management and decay runs
+//
+// Keys look like "mm_<48 hex>" and are shown once, when created; only
+// their SHA-256 hash is stored. ADMIN_TOKEN (env) is a bootstrap token
+// with the admin scope that may act for any user.
+//
+// Enforced when AUTH_MODE=required (see index.js).
+
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { ApiKeyScopeSchema } from "./schemas.js";
+
+export const SCOPES = ApiKeyScopeSchema.options;
+
+// Scopes granted by holding another scope
+const IMPLIED_SCOPES = {
+  "memories:write": ["memories:read"],
+  admin: SCOPES
+};
+
+const KEY_PREFIX_LENGTH = 11; // "mm_" + 8 hex
+
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60_000;
+
+// ===========================================
+// KEYS
+// ===========================================
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey() {
+  return `mm_${randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * The hash never leaves this module
+ */
+function formatApiKey(row) {
+  const { key_hash, ...key } = row;
+  return key;
+}
+
+/**
+ * Create a key for the user
+ * @returns {Object} The key record, with the plaintext key (only returned here)
+ */
+export async function createApiKey({ name, scopes, expiresInDays = null }, userId = config.DEFAULT_USER_ID) {
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(", ")}`);
+  }
+
+  const key = generateApiKey();
+  const row = await getStorage().insertApiKey(userId, {
+    name,
+    keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 86400000) : null
+  });
+
+  console.log(`[Auth] Created key "${name}" (${row.key_prefix}…) for ${userId}: ${row.scopes.join(", ")}`);
+  return { ...formatApiKey(row), key };
+}
+
+export async function listApiKeys(userId = config.DEFAULT_USER_ID) {
+  const rows = await getStorage().listApiKeys(userId);
+  return rows.map(formatApiKey);
+}
+
+/**
+ * Revoke a key; null if the user has no such key
+ */
+export async function revokeApiKey(id, userId = config.DEFAULT_USER_ID) {
+  const row = await getStorage().revokeApiKey(userId, id);
+  if (row) {
+    console.log(`[Auth] Revoked key "${row.name}" (${row.key_prefix}…) for ${userId}`);
+  }
+  return row ? formatApiKey(row) : null;
+}
+
+// ===========================================
+// AUTHENTICATION
+// ===========================================
+
+function isAdminToken(token) {
+  if (!config.ADMIN_TOKEN) return false;
+
+  const expected = Buffer.from(config.ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Resolve a presented token to who it acts for
+ * @returns {Object|null} { keyId, name, userId, scopes }; userId null = any user (ADMIN_TOKEN)
+ */
+export async function authenticateToken(token, { storage = getStorage() } = {}) {
+  if (!token || typeof token !== "string") return null;
+
+  if (isAdminToken(token)) {
+    return { keyId: null, name: "ADMIN_TOKEN", userId: null, scopes: ["admin"] };
+  }
+
+  const row = await storage.findApiKeyByHash(hashApiKey(token));
+  if (!row || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+    storage.touchApiKey(row.id)
+      .catch(err => console.error("[Auth] Could not record key use:", err.message));
+  }
+
+  return { keyId: row.id, name: row.name, userId: row.user_id, scopes: row.scopes };
+}
+
+/**
+ * Whether the authenticated caller holds scope (directly or implied)
+ */
+export function hasScope(auth, scope) {
+  return auth.scopes.some(held => held === scope || IMPLIED_SCOPES[held]?.includes(scope));
+}
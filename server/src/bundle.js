@@ -0,0 +1,452 @@
+// MeaningMemory V3 - Portable Memory Bundles
+// Export/import of a user's whole memory graph as versioned JSON Lines
+//
+// Line 1 is a header, every following line is one record:
+//   {"type":"header","format":"meaningmemory-bundle","version":1,...}
+//   {"type":"memory","data":{...}}
+//   {"type":"preference","data":{...}}
+//   {"type":"entity","data":{...}}
+//   {"type":"relation","data":{...}}
+//   {"type":"contradiction","data":{...}}
+//
+// Import remaps every UUID, so a bundle can be loaded into any instance
+// (or several times into the same one) without collisions.
+
+import { randomUUID } from "crypto";
+import { z } from "zod";
+import { config } from "./config.js";
+import { embedTexts } from "./embeddings.js";
+import { getStorage } from "./storage/index.js";
+import { TierSchema, ContradictionResolutionSchema } from "./schemas.js";
+
+export const BUNDLE_FORMAT = "meaningmemory-bundle";
+export const BUNDLE_VERSION = 1;
+
+const RECORD_TYPES = ["memory", "preference", "entity", "relation", "contradiction"];
+
+const BundleHeaderSchema = z.object({
+  type: z.literal("header"),
+  format: z.literal(BUNDLE_FORMAT),
+  version: z.number().int().min(1).max(BUNDLE_VERSION),
+  exported_at: z.string().optional(),
+  embed_model: z.string().nullable().optional(),
+  embed_dimensions: z.number().int().nullable().optional(),
+  includes_embeddings: z.boolean().optional().default(false)
+}).passthrough();
+
+const BundleRecordSchema = z.object({
+  type: z.enum(RECORD_TYPES),
+  data: z.record(z.any())
+});
+
+// Record data, per type. Columns a bundle may leave out are optional;
+// ids only need to be unique within the bundle, since import remaps them
+const Id = z.string().min(1);
+const Ids = z.array(Id).nullable().optional();
+const Texts = z.array(z.string()).nullable().optional();
+const Text = z.string().nullable().optional();
+const Score = z.number().min(0).max(1).nullable().optional();
+const Flag = z.boolean().nullable().optional();
+const Timestamp = z.string().refine(
+  value => !Number.isNaN(Date.parse(value)),
+  { message: "Invalid date" }
+).nullable().optional();
+
+const RECORD_DATA_SCHEMAS = {
+  memory: z.object({
+    id: Id,
+    summary: z.string().min(1),
+    entities: Texts,
+    facts: Texts,
+    tier: TierSchema,
+    confidence: Score,
+    valid_from: Timestamp,
+    valid_to: Timestamp,
+    base_importance: z.number().min(1).max(10).nullable().optional(),
+    current_importance: z.number().nullable().optional(),
+    last_decay_at: Timestamp,
+    access_count: z.number().int().min(0).nullable().optional(),
+    last_accessed_at: Timestamp,
+    structured_facts: z.array(z.record(z.any())).nullable().optional(),
+    entity_links: z.array(z.record(z.any())).nullable().optional(),
+    source_conversation_id: Text,
+    is_active: Flag,
+    supersedes: Ids,
+    created_at: Timestamp,
+    embedding: z.array(z.number()).nullable().optional()
+  }),
+  preference: z.object({
+    id: Id,
+    subject: Text,
+    entity: z.string().min(1),
+    valence: z.enum(["positive", "negative", "neutral"]).nullable().optional(),
+    strength: Score,
+    context: Text,
+    confidence: Score,
+    memory_id: Id.nullable().optional(),
+    is_active: Flag,
+    superseded_by: Id.nullable().optional(),
+    created_at: Timestamp
+  }),
+  entity: z.object({
+    id: Id.nullable().optional(),
+    canonical_name: z.string().trim().min(1),
+    aliases: Texts,
+    entity_type: Text, // older bundles predate the classifier's type list
+    type_evidence: z.record(z.any()).nullable().optional(),
+    confidence: Score,
+    confirmed: Flag,
+    description: Text,
+    memory_ids: Ids,
+    first_seen_at: Timestamp,
+    last_seen_at: Timestamp
+  }),
+  relation: z.object({
+    id: Id.nullable().optional(),
+    source_id: Id,
+    target_id: Id,
+    relation_type: z.string().min(1),
+    weight: Score,
+    bidirectional: Flag,
+    created_at: Timestamp
+  }),
+  contradiction: z.object({
+    id: Id.nullable().optional(),
+    memory_a: Id,
+    memory_b: Id,
+    field_path: Text,
+    reason: z.string().min(1),
+    resolution: z.union([z.literal("pending"), ContradictionResolutionSchema]).nullable().optional(),
+    resolution_note: Text,
+    detected_at: Timestamp,
+    resolved_at: Timestamp
+  })
+};
+
+function formatIssues(issues) {
+  return issues.map(i => (i.path.length > 0 ? `${i.path.join(".")}: ${i.message}` : i.message)).join("; ");
+}
+
+// Columns exported for each memory unit (embedding is optional)
+const MEMORY_COLUMNS = [
+  "id", "summary", "entities", "facts", "tier", "confidence",
+  "valid_from", "valid_to", "base_importance", "current_importance",
+  "last_decay_at", "access_count", "last_accessed_at",
+  "structured_facts", "entity_links", "source_conversation_id",
+  "is_active", "supersedes", "created_at"
+];
+
+const PREFERENCE_COLUMNS = [
+  "id", "subject", "entity", "valence", "strength", "context", "confidence",
+  "memory_id", "is_active", "superseded_by", "created_at"
+];
+
+const ENTITY_COLUMNS = [
+  "id", "canonical_name", "aliases", "entity_type", "type_evidence", "confidence", "confirmed",
+  "description", "memory_ids", "first_seen_at", "last_seen_at"
+];
+
+const RELATION_COLUMNS = [
+  "id", "source_id", "target_id", "relation_type", "weight", "bidirectional", "created_at"
+];
+
+const CONTRADICTION_COLUMNS = [
+  "id", "memory_a", "memory_b", "field_path", "reason", "resolution",
+  "resolution_note", "detected_at", "resolved_at"
+];
+
+/**
+ * Copy only the exported columns of a row
+ */
+function pick(row, columns) {
+  return Object.fromEntries(columns.map(c => [c, row[c] ?? null]));
+}
+
+const oldestFirst = key => (a, b) => new Date(a[key]) - new Date(b[key]);
+
+// ===========================================
+// EXPORT
+// ===========================================
+
+/**
+ * Export a user's memory graph as bundle records
+ * Yields the header first, then one record per row
+ */
+export async function* exportBundle(userId = config.DEFAULT_USER_ID, { includeEmbeddings = false } = {}) {
+  yield {
+    type: "header",
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    embed_model: includeEmbeddings ? config.EMBED_MODEL : null,
+    embed_dimensions: includeEmbeddings ? config.EMBED_DIMENSIONS : null,
+    includes_embeddings: includeEmbeddings
+  };
+
+  const storage = getStorage();
+
+  const memories = await storage.listMemories(userId, { includeInactive: true });
+  const memoryColumns = includeEmbeddings ? [...MEMORY_COLUMNS, "embedding"] : MEMORY_COLUMNS;
+
+  for (const row of memories.sort(oldestFirst("created_at"))) {
+    yield { type: "memory", data: pick(row, memoryColumns) };
+  }
+
+  const preferences = await storage.listPreferences(userId, { includeInactive: true });
+
+  for (const row of preferences.sort(oldestFirst("created_at"))) {
+    yield { type: "preference", data: pick(row, PREFERENCE_COLUMNS) };
+  }
+
+  const entities = await storage.listEntities(userId);
+
+  for (const row of entities.sort(oldestFirst("first_seen_at"))) {
+    yield { type: "entity", data: pick(row, ENTITY_COLUMNS) };
+  }
+
+  const relations = await storage.listRelations(userId);
+
+  for (const row of relations) {
+    yield { type: "relation", data: pick(row, RELATION_COLUMNS) };
+  }
+
+  const contradictions = await storage.listContradictions(userId);
+
+  for (const row of contradictions) {
+    yield { type: "contradiction", data: pick(row, CONTRADICTION_COLUMNS) };
+  }
+}
+
+// ===========================================
+// PARSING
+// ===========================================
+
+/**
+ * Parse JSON Lines text into validated bundle records
+ * Each record's data is checked against its type's schema, and memories
+ * must carry an embedding of embed_dimensions when the header says the
+ * bundle includes them
+ * Throws with the offending line number on malformed input
+ */
+export function parseBundle(text) {
+  const lines = text.split("\n").map(l => l.trim()).filter(l => l.length > 0);
+
+  if (lines.length === 0) {
+    throw new Error("Bundle is empty");
+  }
+
+  const records = lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Bundle line ${i + 1}: invalid JSON (${err.message})`);
+    }
+  });
+
+  const header = BundleHeaderSchema.safeParse(records[0]);
+  if (!header.success) {
+    throw new Error(`Bundle header invalid: ${header.error.issues.map(i => i.message).join("; ")}`);
+  }
+
+  const { includes_embeddings: includesEmbeddings, embed_dimensions: dimensions } = header.data;
+
+  const body = records.slice(1).map((record, i) => {
+    const line = i + 2;
+    const parsed = BundleRecordSchema.safeParse(record);
+    if (!parsed.success) {
+      throw new Error(`Bundle line ${line}: invalid record`);
+    }
+
+    const { type } = parsed.data;
+    const data = RECORD_DATA_SCHEMAS[type].safeParse(parsed.data.data);
+    if (!data.success) {
+      throw new Error(`Bundle line ${line}: invalid ${type} (${formatIssues(data.error.issues)})`);
+    }
+
+    if (type === "memory" && includesEmbeddings) {
+      const { embedding } = data.data;
+      if (!embedding) {
+        throw new Error(`Bundle line ${line}: memory has no embedding, but the header sets includes_embeddings`);
+      }
+      if (dimensions && embedding.length !== dimensions) {
+        throw new Error(`Bundle line ${line}: embedding has ${embedding.length} dimensions, the header says ${dimensions}`);
+      }
+    }
+
+    return { type, data: data.data };
+  });
+
+  return { header: header.data, records: body };
+}
+
+// ===========================================
+// IMPORT
+// ===========================================
+
+/**
+ * Import a parsed bundle for a user
+ * - every UUID is remapped to a fresh one
+ * - memories are re-embedded when the bundle has no embeddings or was
+ *   produced with a different model/dimension than config.EMBED_MODEL
+ * - entities merge into existing ones with the same canonical name
+ * Runs in a single transaction
+ */
+export async function importBundle({ header, records }, userId = config.DEFAULT_USER_ID) {
+  const byType = Object.fromEntries(RECORD_TYPES.map(t => [t, []]));
+  for (const record of records) {
+    byType[record.type].push(record.data);
+  }
+
+  const reembed = !header.includes_embeddings
+    || header.embed_model !== config.EMBED_MODEL
+    || header.embed_dimensions !== config.EMBED_DIMENSIONS;
+
+  const memoryIdMap = new Map();
+  for (const m of byType.memory) {
+    memoryIdMap.set(m.id, randomUUID());
+  }
+  const remapMemory = id => memoryIdMap.get(id) || null;
+  const remapMemories = ids => (ids || []).map(remapMemory).filter(Boolean);
+
+  // Embeddings: reuse the bundle's vectors only when they match this instance
+  let embeddings;
+  if (reembed) {
+    console.log(`[Bundle] Re-embedding ${byType.memory.length} memories with ${config.EMBED_MODEL}`);
+    embeddings = await embedTexts(byType.memory.map(m => m.summary));
+  } else {
+    embeddings = byType.memory.map(m => m.embedding);
+  }
+
+  const counts = {
+    memories: 0,
+    preferences: 0,
+    entities_created: 0,
+    entities_merged: 0,
+    relations: 0,
+    contradictions: 0,
+    skipped: 0
+  };
+
+  await getStorage().transaction(async (tx) => {
+    // 1. Memory units
+    for (let i = 0; i < byType.memory.length; i++) {
+      const m = byType.memory[i];
+      await tx.insertMemory(userId, {
+        id: remapMemory(m.id),
+        summary: m.summary,
+        entities: m.entities,
+        facts: m.facts,
+        tier: m.tier,
+        confidence: m.confidence ?? 0.8,
+        valid_from: m.valid_from,
+        valid_to: m.valid_to,
+        base_importance: m.base_importance ?? 5,
+        current_importance: m.current_importance ?? m.base_importance ?? 5,
+        last_decay_at: m.last_decay_at,
+        access_count: m.access_count,
+        last_accessed_at: m.last_accessed_at,
+        structured_facts: m.structured_facts,
+        entity_links: m.entity_links,
+        source_conversation_id: m.source_conversation_id,
+        is_active: m.is_active !== false,
+        supersedes: remapMemories(m.supersedes),
+        created_at: m.created_at,
+        embedding: embeddings[i]
+      });
+      counts.memories++;
+    }
+
+    // 2. Preferences (superseded_by points at other preferences)
+    const preferenceIdMap = new Map();
+    for (const p of byType.preference) {
+      preferenceIdMap.set(p.id, randomUUID());
+    }
+
+    for (const p of byType.preference) {
+      await tx.insertPreference(userId, {
+        id: preferenceIdMap.get(p.id),
+        subject: p.subject,
+        entity: p.entity,
+        valence: p.valence,
+        strength: p.strength,
+        context: p.context,
+        confidence: p.confidence,
+        memory_id: remapMemory(p.memory_id),
+        is_active: p.is_active !== false,
+        created_at: p.created_at
+      });
+      counts.preferences++;
+    }
+
+    for (const p of byType.preference) {
+      if (p.superseded_by && preferenceIdMap.has(p.superseded_by)) {
+        await tx.setPreferenceSupersededBy(userId, preferenceIdMap.get(p.id), preferenceIdMap.get(p.superseded_by));
+      }
+    }
+
+    // 3. Entities (merge into an existing entity with the same name)
+    for (const e of byType.entity) {
+      const { inserted } = await tx.mergeEntity(userId, {
+        canonical_name: e.canonical_name,
+        aliases: e.aliases,
+        entity_type: e.entity_type,
+        type_evidence: e.type_evidence ?? null,
+        confidence: e.confidence,
+        confirmed: e.confirmed,
+        description: e.description,
+        memory_ids: remapMemories(e.memory_ids),
+        first_seen_at: e.first_seen_at,
+        last_seen_at: e.last_seen_at
+      });
+      if (inserted) {
+        counts.entities_created++;
+      } else {
+        counts.entities_merged++;
+      }
+    }
+
+    // 4. Relations
+    for (const r of byType.relation) {
+      const sourceId = remapMemory(r.source_id);
+      const targetId = remapMemory(r.target_id);
+      if (!sourceId || !targetId) {
+        counts.skipped++;
+        continue;
+      }
+      await tx.upsertRelation(userId, {
+        sourceId,
+        targetId,
+        relationType: r.relation_type,
+        weight: r.weight ?? 1.0,
+        bidirectional: r.bidirectional !== false,
+        createdAt: r.created_at
+      });
+      counts.relations++;
+    }
+
+    // 5. Contradictions
+    for (const c of byType.contradiction) {
+      const memoryA = remapMemory(c.memory_a);
+      const memoryB = remapMemory(c.memory_b);
+      if (!memoryA || !memoryB) {
+        counts.skipped++;
+        continue;
+      }
+      await tx.insertContradiction(userId, {
+        memory_a: memoryA,
+        memory_b: memoryB,
+        field_path: c.field_path,
+        reason: c.reason,
+        resolution: c.resolution,
+        resolution_note: c.resolution_note,
+        detected_at: c.detected_at,
+        resolved_at: c.resolved_at
+      });
+      counts.contradictions++;
+    }
+  });
+
+  console.log(`[Bundle] Imported ${counts.memories} memories for ${userId} (re-embedded: ${reembed})`);
+
+  return { ...counts, reembedded: reembed };
+}
@@ -1,15 +1,11 @@
 // MeaningMemory V3 - Contradiction Detection
 // Implements Axiom 4: Contradiction Exclusion
 
-import pg from "pg";
 import { config } from "./config.js";
 import { embedText, cosineSimilarity } from "./embeddings.js";
 import { getTierPriority } from "./beliefTiering.js";
-
-const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
-
-// Similarity threshold for potential contradiction
-const CONTRADICTION_THRESHOLD = 0.75;
+import { getStorage } from "./storage/index.js";
+import { publishEvent } from "./memoryEvents.js";
 
 /**
  * Resolution strategies from the theoretical paper:
@@ -59,8 +55,9 @@ function extractUserName(memory) {
 /**
  * Detect potential contradictions before inserting a new memory
  * Returns array of potential conflicts with resolution suggestions
+ * Pass the summary's embedding when the caller already has it
  */
-export async function detectContradictions(newMemory) {
+export async function detectContradictions(newMemory, userId = config.DEFAULT_USER_ID, db = getStorage(), embedding = null) {
   const { summary, structured_facts, entities, tier } = newMemory;
   
   const conflicts = [];
@@ -69,21 +66,9 @@ export async function detectContradictions(newMemory) {
   const newUserName = extractUserName(newMemory);
   if (newUserName) {
     // Look for existing identity memories
-    const identityMemories = await pool.query(`
-      SELECT id, summary, facts, tier, confidence, created_at
-      FROM memory_units
-      WHERE is_active = true
-        AND (
-          summary ILIKE '%name is%'
-          OR summary ILIKE '%I am%'
-          OR summary ILIKE '%introduces%'
-          OR array_to_string(facts, ' ') ILIKE '%name is%'
-        )
-      ORDER BY created_at DESC
-      LIMIT 5
-    `);
+    const identityMemories = await db.findIdentityMemories(userId, { limit: 5 });
     
-    for (const existing of identityMemories.rows) {
+    for (const existing of identityMemories) {
       const existingName = extractUserName(existing);
       if (existingName && existingName.toLowerCase() !== newUserName.toLowerCase()) {
         console.log(`[Contradiction] ⚠️ Identity conflict: "${existingName}" vs "${newUserName}"`);
@@ -104,22 +89,16 @@ export async function detectContradictions(newMemory) {
   }
   
   // 1. Find semantically similar memories
-  const embedding = await embedText(summary);
-  const vectorStr = `[${embedding.join(",")}]`;
+  const summaryEmbedding = embedding || await embedText(summary);
   
-  const similarMemories = await pool.query(`
-    SELECT 
-      id, summary, structured_facts, entities, tier, confidence,
-      1 - (embedding <=> $1::vector) as similarity
-    FROM memory_units
-    WHERE is_active = true
-      AND 1 - (embedding <=> $1::vector) > $2
-    ORDER BY similarity DESC
-    LIMIT 10
-  `, [vectorStr, CONTRADICTION_THRESHOLD]);
+  const similarMemories = await db.findSimilarMemories(userId, {
+    embedding: summaryEmbedding,
+    threshold: config.CONTRADICTION_THRESHOLD,
+    limit: 10
+  });
   
   // 2. Check each similar memory for semantic conflicts
-  for (const existing of similarMemories.rows) {
+  for (const existing of similarMemories) {
     const conflict = analyzeConflict(newMemory, existing);
     
     if (conflict.isContradiction) {
@@ -140,7 +119,7 @@ export async function detectContradictions(newMemory) {
 /**
  * Analyze two memories for semantic conflict
  */
-function analyzeConflict(newMemory, existingMemory) {
+export function analyzeConflict(newMemory, existingMemory) {
   const result = {
     isContradiction: false,
     type: null,
@@ -207,7 +186,7 @@ function analyzeConflict(newMemory, existingMemory) {
 /**
  * Determine the best resolution strategy
  */
-function determineResolution(newMemory, existingMemory, newFact = null, existingFact = null) {
+export function determineResolution(newMemory, existingMemory, newFact = null, existingFact = null) {
   // Rule 1: Temporal - if facts have temporal markers, newer wins
   if (newFact?.temporal === "current" && existingFact?.temporal === "past") {
     return {
@@ -266,68 +245,47 @@ function determineResolution(newMemory, existingMemory, newFact = null, existing
 /**
  * Record a detected contradiction
  */
-export async function recordContradiction(memoryA, memoryB, reason, resolution = "pending") {
-  const result = await pool.query(`
-    INSERT INTO contradictions (memory_a, memory_b, reason, resolution)
-    VALUES ($1, $2, $3, $4)
-    RETURNING id
-  `, [memoryA, memoryB, reason, resolution]);
-  
-  return result.rows[0];
+export async function recordContradiction(memoryA, memoryB, reason, resolution = "pending", userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  return db.insertContradiction(userId, {
+    memory_a: memoryA,
+    memory_b: memoryB,
+    reason,
+    resolution
+  });
 }
 
 /**
  * Resolve a contradiction
+ * @returns {Object|null} The contradiction, or null if the user has no such one
  */
-export async function resolveContradiction(contradictionId, resolution, note = null) {
-  await pool.query(`
-    UPDATE contradictions
-    SET resolution = $2, resolution_note = $3, resolved_at = NOW()
-    WHERE id = $1
-  `, [contradictionId, resolution, note]);
+export async function resolveContradiction(contradictionId, resolution, note = null, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const c = await storage.resolveContradiction(userId, contradictionId, resolution, note);
   
   // Apply resolution effects
-  const contradiction = await pool.query(`
-    SELECT * FROM contradictions WHERE id = $1
-  `, [contradictionId]);
-  
-  if (contradiction.rows[0]) {
-    const c = contradiction.rows[0];
-    
+  if (c) {
     if (resolution === "a_supersedes") {
-      await pool.query(`
-        UPDATE memory_units SET is_active = false WHERE id = $1
-      `, [c.memory_b]);
-      await pool.query(`
-        UPDATE memory_units SET supersedes = array_append(supersedes, $2) WHERE id = $1
-      `, [c.memory_a, c.memory_b]);
+      await storage.supersedeMemory(userId, c.memory_a, c.memory_b);
+      publishEvent("memory.superseded", { memory_id: c.memory_b, superseded_by: c.memory_a, contradiction_id: contradictionId }, userId);
     } else if (resolution === "b_supersedes") {
-      await pool.query(`
-        UPDATE memory_units SET is_active = false WHERE id = $1
-      `, [c.memory_a]);
-      await pool.query(`
-        UPDATE memory_units SET supersedes = array_append(supersedes, $2) WHERE id = $1
-      `, [c.memory_b, c.memory_a]);
+      await storage.supersedeMemory(userId, c.memory_b, c.memory_a);
+      publishEvent("memory.superseded", { memory_id: c.memory_a, superseded_by: c.memory_b, contradiction_id: contradictionId }, userId);
     }
+    
+    publishEvent("contradiction.resolved", {
+      contradiction_id: contradictionId,
+      resolution,
+      memory_a: c.memory_a,
+      memory_b: c.memory_b
+    }, userId);
   }
+
+  return c;
 }
 
 /**
  * Get pending contradictions
  */
-export async function getPendingContradictions() {
-  const result = await pool.query(`
-    SELECT 
-      c.*,
-      ma.summary as summary_a,
-      mb.summary as summary_b
-    FROM contradictions c
-    JOIN memory_units ma ON c.memory_a = ma.id
-    JOIN memory_units mb ON c.memory_b = mb.id
-    WHERE c.resolution = 'pending'
-    ORDER BY c.detected_at DESC
-  `);
-  
-  return result.rows;
+export async function getPendingContradictions(userId = config.DEFAULT_USER_ID) {
+  return getStorage().listPendingContradictions(userId);
 }
-
@@ -0,0 +1,62 @@
+// MeaningMemory V3 - Conversation Store
+// Persists chat transcripts so recent turns can be used as short-term context
+
+import { randomUUID } from "crypto";
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Get a conversation, creating it if it does not exist yet
+ * Returns null if the id is already taken by another user
+ */
+export async function ensureConversation(conversationId, userId = config.DEFAULT_USER_ID, firstMessage = "") {
+  const id = conversationId || randomUUID();
+  const title = firstMessage ? firstMessage.substring(0, TITLE_MAX_LENGTH) : null;
+
+  return getStorage().ensureConversation(userId, id, title);
+}
+
+/**
+ * Append a message to a conversation
+ */
+export async function appendMessage(conversationId, role, content, userId = config.DEFAULT_USER_ID) {
+  return getStorage().insertMessage(userId, conversationId, role, content);
+}
+
+/**
+ * Get the last N turns of a conversation, oldest first
+ * A turn is one user message plus one assistant reply
+ */
+export async function getRecentMessages(conversationId, turns = config.CONVERSATION_HISTORY_TURNS, userId = config.DEFAULT_USER_ID) {
+  if (!conversationId || turns <= 0) return [];
+
+  return getStorage().listRecentMessages(userId, conversationId, turns * 2);
+}
+
+/**
+ * List a user's conversations, most recently active first
+ */
+export async function listConversations(userId = config.DEFAULT_USER_ID, { limit = 50 } = {}) {
+  return getStorage().listConversations(userId, { limit });
+}
+
+/**
+ * Get a conversation with its full transcript
+ */
+export async function getConversation(conversationId, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const conversation = await storage.getConversation(userId, conversationId);
+
+  if (!conversation) {
+    return null;
+  }
+
+  const messages = await storage.listMessages(userId, conversationId);
+
+  return {
+    ...conversation,
+    messages
+  };
+}
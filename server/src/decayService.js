@@ -1,10 +1,9 @@
 // MeaningMemory V3 - Memory Decay Service
 // Implements exponential decay with reinforcement from the theoretical paper
 
-import pg from "pg";
 import { config } from "./config.js";
-
-const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+import { getStorage } from "./storage/index.js";
+import { publishEvent } from "./memoryEvents.js";
 
 /**
  * Calculate decayed importance for a single memory
@@ -61,49 +60,34 @@ export function calculateDecayedImportance(memory) {
 export async function runDecayUpdate() {
   console.log("[Decay] Running importance decay update...");
   
-  const result = await pool.query(`
-    UPDATE memory_units
-    SET 
-      current_importance = calculate_decayed_importance(
-        base_importance,
-        last_decay_at,
-        access_count,
-        last_accessed_at,
-        $1::float,
-        $2::float,
-        $3::float
-      ),
-      last_decay_at = NOW()
-    WHERE is_active = true
-    RETURNING id, summary, base_importance, current_importance
-  `, [config.DECAY_RATE, config.REINFORCEMENT_BONUS, config.IMPORTANCE_FLOOR]);
-  
-  console.log(`[Decay] Updated ${result.rowCount} memories`);
+  const rows = await getStorage().applyDecay({
+    decayRate: config.DECAY_RATE,
+    reinforcementBonus: config.REINFORCEMENT_BONUS,
+    floor: config.IMPORTANCE_FLOOR
+  });
+  
+  console.log(`[Decay] Updated ${rows.length} memories`);
   
   // Log significant changes
-  for (const row of result.rows) {
+  let lowImportance = 0;
+  for (const row of rows) {
     if (row.current_importance < row.base_importance * 0.5) {
+      lowImportance++;
       console.log(`[Decay] Low importance: "${row.summary.substring(0, 50)}..." (${row.current_importance.toFixed(2)})`);
     }
   }
   
-  return result.rows;
+  // Decay runs across all users, so only counts are announced
+  publishEvent("decay.completed", { updated: rows.length, low_importance: lowImportance }, null);
+  
+  return rows;
 }
 
 /**
  * Apply reinforcement when a memory is accessed
  */
 export async function reinforceMemory(memoryId) {
-  const result = await pool.query(`
-    UPDATE memory_units
-    SET 
-      access_count = access_count + 1,
-      last_accessed_at = NOW()
-    WHERE id = $1
-    RETURNING id, access_count
-  `, [memoryId]);
-  
-  return result.rows[0];
+  return getStorage().reinforceMemory(memoryId);
 }
 
 /**
@@ -112,13 +96,7 @@ export async function reinforceMemory(memoryId) {
 export async function reinforceMemories(memoryIds) {
   if (!memoryIds || memoryIds.length === 0) return;
   
-  await pool.query(`
-    UPDATE memory_units
-    SET 
-      access_count = access_count + 1,
-      last_accessed_at = NOW()
-    WHERE id = ANY($1)
-  `, [memoryIds]);
+  await getStorage().reinforceMemories(memoryIds);
 }
 
 /**
@@ -126,15 +104,7 @@ export async function reinforceMemories(memoryIds) {
  * These could be candidates for archival or cleanup
  */
 export async function getLowImportanceMemories(threshold = 2.0) {
-  const result = await pool.query(`
-    SELECT id, summary, tier, current_importance, access_count, created_at
-    FROM memory_units
-    WHERE is_active = true
-      AND current_importance < $1
-    ORDER BY current_importance ASC
-  `, [threshold]);
-  
-  return result.rows;
+  return getStorage().listLowImportanceMemories(threshold);
 }
 
 /**
@@ -142,20 +112,13 @@ export async function getLowImportanceMemories(threshold = 2.0) {
  * Marks them inactive but preserves for audit
  */
 export async function archiveLowImportanceMemories(threshold = 1.5, maxAgeDays = 90) {
-  const result = await pool.query(`
-    UPDATE memory_units
-    SET is_active = false
-    WHERE is_active = true
-      AND current_importance < $1
-      AND created_at < NOW() - INTERVAL '1 day' * $2
-    RETURNING id, summary
-  `, [threshold, maxAgeDays]);
-  
-  if (result.rowCount > 0) {
-    console.log(`[Decay] Archived ${result.rowCount} low-importance memories`);
+  const rows = await getStorage().archiveLowImportanceMemories(threshold, maxAgeDays);
+  
+  if (rows.length > 0) {
+    console.log(`[Decay] Archived ${rows.length} low-importance memories`);
   }
   
-  return result.rows;
+  return rows;
 }
 
 /**
@@ -0,0 +1,69 @@
+// MeaningMemory V3 - Embedding Cache
+// LRU cache of embeddings keyed by provider/model/dimensions + text hash
+//
+// The same text is embedded repeatedly in one chat turn (the insert
+// pipeline, then retrieval of a similar query), and embedding is the
+// largest CPU cost per turn on machines without a GPU.
+
+import { createHash } from "crypto";
+
+export class EmbeddingCache {
+  /**
+   * @param {number} maxEntries - 0 disables caching
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Map keeps insertion order: oldest first
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache key: vectors from different models must never be mixed
+   */
+  key(provider, text) {
+    const hash = createHash("sha256").update(text).digest("hex");
+    return `${provider.name}:${provider.model}:${provider.dimensions}:${hash}`;
+  }
+
+  get(key) {
+    const vector = this.entries.get(key);
+
+    if (vector === undefined) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most-recently-used end
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.hits++;
+    return vector;
+  }
+
+  set(key, vector) {
+    if (this.maxEntries <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  stats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
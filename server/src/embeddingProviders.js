@@ -0,0 +1,188 @@
+// MeaningMemory V3 - Embedding Providers
+// local:  transformers.js models (any size/language), runs in-process
+// openai: any OpenAI-compatible /embeddings endpoint
+// hash:   deterministic token hashing - no model, for tests and offline dev
+//
+// A provider exposes { name, model, dimensions, init(), embed(texts) }
+// and always returns vectors of exactly `dimensions` length.
+
+import OpenAI from "openai";
+import { createHash } from "crypto";
+
+// Inputs per request for remote endpoints (OpenAI accepts up to 2048)
+const REMOTE_BATCH_SIZE = 96;
+
+/**
+ * Reject vectors that don't match the configured dimension,
+ * so a wrong EMBED_DIMENSIONS fails loudly instead of corrupting the index
+ */
+function checkDimensions(provider, vectors) {
+  for (const vector of vectors) {
+    if (vector.length !== provider.dimensions) {
+      throw new Error(
+        `${provider.model} returned ${vector.length}-dimensional embeddings, ` +
+        `but EMBED_DIMENSIONS is ${provider.dimensions}`
+      );
+    }
+  }
+  return vectors;
+}
+
+// ===========================================
+// LOCAL: @xenova/transformers
+// ===========================================
+
+export class LocalEmbeddingProvider {
+  constructor({ model, dimensions, batchSize = 16 }) {
+    this.name = "local";
+    this.model = model;
+    this.dimensions = dimensions;
+    this.batchSize = batchSize;
+    this.extractor = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the model (downloaded on first run, then cached)
+   * transformers.js is imported lazily so other providers don't need it
+   */
+  async init() {
+    if (this.extractor) return;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        console.log(`[Embeddings] Loading: ${this.model}`);
+        const { pipeline } = await import("@xenova/transformers");
+        this.extractor = await pipeline("feature-extraction", this.model);
+        console.log("[Embeddings] Model loaded ✅");
+      })().catch(err => {
+        this.loading = null;
+        throw err;
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Batched inference: each batch is padded to its longest text and run as
+   * one forward pass (mean pooling ignores the padding via the attention mask)
+   */
+  async embed(texts) {
+    await this.init();
+
+    const results = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const output = await this.extractor(batch, {
+        pooling: "mean",
+        normalize: true
+      });
+      results.push(...output.tolist());
+    }
+
+    return checkDimensions(this, results);
+  }
+}
+
+// ===========================================
+// OPENAI-COMPATIBLE: POST {baseURL}/embeddings
+// ===========================================
+
+export class OpenAIEmbeddingProvider {
+  constructor({ model, dimensions, baseURL, apiKey }) {
+    this.name = "openai";
+    this.model = model;
+    this.dimensions = dimensions;
+    this.client = new OpenAI({ baseURL, apiKey: apiKey || "none" });
+  }
+
+  async init() {}
+
+  async embed(texts) {
+    const results = [];
+
+    for (let i = 0; i < texts.length; i += REMOTE_BATCH_SIZE) {
+      const batch = texts.slice(i, i + REMOTE_BATCH_SIZE);
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: batch
+      });
+
+      // Responses carry an index; don't rely on ordering
+      const ordered = [...response.data].sort((a, b) => a.index - b.index);
+      results.push(...ordered.map(d => d.embedding));
+    }
+
+    return checkDimensions(this, results);
+  }
+}
+
+// ===========================================
+// HASH: deterministic fake embeddings
+// ===========================================
+
+/**
+ * Feature hashing over words and character trigrams: texts sharing words
+ * land close together, which is enough for tests to exercise retrieval
+ */
+export class HashEmbeddingProvider {
+  constructor({ dimensions }) {
+    this.name = "hash";
+    this.model = "hash";
+    this.dimensions = dimensions;
+  }
+
+  async init() {}
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words];
+
+    for (const word of words) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push(`#${padded.slice(i, i + 3)}`);
+      }
+    }
+
+    for (const feature of features) {
+      const digest = createHash("sha256").update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[index] += sign * (feature.startsWith("#") ? 0.5 : 1);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+// ===========================================
+// FACTORY
+// ===========================================
+
+/**
+ * Build the provider named by options.provider ("local" | "openai" | "hash")
+ */
+export function createEmbeddingProvider({ provider, model, dimensions, batchSize, baseURL, apiKey }) {
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error(`EMBED_DIMENSIONS must be a positive integer (got ${dimensions})`);
+  }
+
+  switch (provider) {
+    case "local":
+      return new LocalEmbeddingProvider({ model, dimensions, batchSize });
+    case "openai":
+      return new OpenAIEmbeddingProvider({ model, dimensions, baseURL, apiKey });
+    case "hash":
+      return new HashEmbeddingProvider({ dimensions });
+    default:
+      throw new Error(`Unknown embedding provider "${provider}" (expected local, openai or hash)`);
+  }
+}
@@ -1,67 +1,103 @@
-// MeaningMemory V3 - Local Embeddings (BGE-small-en-v1.5)
+// MeaningMemory V3 - Embeddings
+// Thin facade over the configured embedding provider (see embeddingProviders.js)
+// with an LRU cache in front, so repeated texts are embedded once
 
-import { pipeline } from "@xenova/transformers";
 import { config } from "./config.js";
+import { createEmbeddingProvider } from "./embeddingProviders.js";
+import { EmbeddingCache } from "./embeddingCache.js";
 
-let localEmbedder = null;
-let isInitializing = false;
-let initPromise = null;
+let provider = null;
+const cache = new EmbeddingCache(config.EMBED_CACHE_SIZE);
 
 /**
- * Initialize the local embedding model
- * Downloads ~130MB on first run, then cached
+ * The active embedding provider (built from config on first use)
  */
-export async function initEmbedder() {
-  if (localEmbedder) return localEmbedder;
-  
-  if (isInitializing) {
-    return initPromise;
+export function getEmbeddingProvider() {
+  if (!provider) {
+    provider = createEmbeddingProvider({
+      provider: config.EMBED_PROVIDER,
+      model: config.EMBED_MODEL,
+      dimensions: config.EMBED_DIMENSIONS,
+      batchSize: config.EMBED_BATCH_SIZE,
+      baseURL: config.EMBED_BASE_URL,
+      apiKey: config.EMBED_API_KEY
+    });
   }
-  
-  isInitializing = true;
-  console.log(`[Embeddings] Loading: ${config.EMBED_MODEL}`);
-  
-  initPromise = pipeline("feature-extraction", config.EMBED_MODEL);
-  localEmbedder = await initPromise;
-  
-  console.log("[Embeddings] Model loaded ✅");
-  isInitializing = false;
-  
-  return localEmbedder;
+  return provider;
+}
+
+/**
+ * Replace the active provider (tests, re-embedding with a new model)
+ */
+export function setEmbeddingProvider(next) {
+  provider = next;
+}
+
+/**
+ * Cache hit/miss counters (cleared with clearEmbeddingCache)
+ */
+export function getEmbeddingCacheStats() {
+  return cache.stats();
+}
+
+export function clearEmbeddingCache() {
+  cache.clear();
+}
+
+/**
+ * Initialize the embedding provider
+ * Local models are downloaded on first run, then cached
+ */
+export async function initEmbedder() {
+  const active = getEmbeddingProvider();
+  await active.init();
+  return active;
 }
 
 /**
  * Generate embedding for text
- * @returns {Promise<number[]>} 384-dimensional vector
+ * @returns {Promise<number[]>} EMBED_DIMENSIONS-dimensional vector
  */
 export async function embedText(text) {
-  const embedder = await initEmbedder();
-  
-  const output = await embedder(text, {
-    pooling: "mean",
-    normalize: true
-  });
-  
-  return Array.from(output.data);
+  const [embedding] = await embedTexts([text]);
+  return embedding;
 }
 
 /**
  * Generate embeddings for multiple texts
- * @returns {Promise<number[][]>} Array of 384-dimensional vectors
+ * Cached texts are served from the cache; the rest (deduplicated) go to
+ * the provider in a single batched call
+ * @returns {Promise<number[][]>} Array of EMBED_DIMENSIONS-dimensional vectors
  */
 export async function embedTexts(texts) {
-  const embedder = await initEmbedder();
-  
-  const results = [];
-  for (const text of texts) {
-    const output = await embedder(text, {
-      pooling: "mean",
-      normalize: true
+  if (texts.length === 0) return [];
+
+  const active = getEmbeddingProvider();
+  const keys = texts.map(text => cache.key(active, text));
+  const results = keys.map(key => cache.get(key));
+
+  // Distinct uncached texts, by key
+  const missing = new Map();
+  results.forEach((vector, i) => {
+    if (vector === undefined && !missing.has(keys[i])) {
+      missing.set(keys[i], texts[i]);
+    }
+  });
+
+  if (missing.size > 0) {
+    const vectors = await active.embed([...missing.values()]);
+    const computed = new Map([...missing.keys()].map((key, i) => [key, vectors[i]]));
+
+    for (const [key, vector] of computed) {
+      cache.set(key, vector);
+    }
+    results.forEach((vector, i) => {
+      if (vector === undefined) results[i] = computed.get(keys[i]);
     });
-    results.push(Array.from(output.data));
   }
-  
-  return results;
+
+  // Copies, so callers can't corrupt cached vectors
+  return results.map(vector => [...vector]);
 }
 
 /**
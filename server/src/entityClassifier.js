@@ -0,0 +1,298 @@
+// MeaningMemory V3 - Entity Type Classification
+// Assigns each entity a type (person, pet, place, organization, product,
+// event, concept) and keeps the evidence for it in entities.type_evidence.
+//
+// Two stages:
+//   rules  pattern heuristics over the name, the memory that introduced
+//          it and its entity_links relationship; run synchronously when
+//          entity resolution creates the entity
+//   llm    the "classify" LLM role (a local model by default) reads the
+//          entity's memories; run as a background job after entity.created
+//          when ENTITY_CLASSIFIER=llm, falling back to the rules on failure
+// A type set by hand (PATCH /entities/:id) is never overwritten.
+
+import { z } from "zod";
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { chat } from "./llm.js";
+import { subscribeAllEvents, publishEvent } from "./memoryEvents.js";
+import { enqueueJob } from "./jobQueue.js";
+import { ENTITY_CLASSIFIER_SYSTEM, entityClassifierUserPrompt } from "./prompts.js";
+import { EntityTypeSchema } from "./schemas.js";
+
+export const ENTITY_TYPES = EntityTypeSchema.options;
+
+const CONTEXT_MEMORIES = 5; // most recent memories shown to the LLM
+
+// ===========================================
+// RULES
+// ===========================================
+
+const RELATIONS = "sister|brother|sibling|mom|mother|dad|father|parent|son|daughter|child|wife|husband|spouse|partner|boyfriend|girlfriend|fianc[eé]e?|friend|best friend|coworker|co-worker|colleague|boss|manager|neighbou?r|cousin|aunt|uncle|niece|nephew|grandma|grandmother|grandpa|grandfather|roommate|teacher|doctor|therapist|mentor";
+const ANIMALS = "dog|cat|puppy|kitten|pet|parrot|bird|hamster|rabbit|bunny|horse|pony|fish|goldfish|turtle|tortoise|lizard|snake|ferret|guinea pig";
+
+const RELATION_WORD = new RegExp(`\\b(${RELATIONS})s?\\b`, "i");
+const ANIMAL_WORD = new RegExp(`\\b(${ANIMALS})s?\\b`, "i");
+
+// Patterns on the name alone: [type, confidence, rule, pattern]
+const NAME_RULES = [
+  ["person", 0.9, "title", /^(mr|mrs|ms|miss|dr|prof|sir|dame|lady|lord)\.?\s/i],
+  ["organization", 0.8, "organization_suffix", /\b(inc|corp|corporation|llc|ltd|plc|gmbh|co|company|university|college|school|academy|institute|bank|hospital|clinic|foundation|association|society|agency|labs?|group|club)\.?$/i],
+  ["organization", 0.8, "organization_prefix", /^(university|bank|college) of\b/i],
+  ["event", 0.75, "event_word", /\b(conference|summit|festival|wedding|birthday|anniversary|concert|marathon|olympics|expo|convention|meetup|hackathon|graduation|reunion|tournament|championship|world cup|christmas|thanksgiving|easter|halloween|hanukkah|diwali|ramadan|new year'?s?)\b/i],
+  ["event", 0.6, "event_year", /^[A-Z][\w&]*(\s[A-Z][\w&]*)*\s(19|20)\d{2}$/],
+  ["place", 0.75, "place_word", /\b(city|state|county|country|province|street|avenue|ave|road|rd|boulevard|blvd|lane|park|lake|river|mountains?|mount|mt|beach|island|bay|valley|airport|station|square)\.?$/i],
+  ["place", 0.75, "place_prefix", /^(Lake|Mount|Mt\.?|Port|Fort|Saint|San|Santa|New) [A-Z]/],
+  ["product", 0.6, "model_number", /^[A-Za-z][A-Za-z]*\s?\d+[A-Za-z]*(\s(pro|max|plus|mini|ultra|air|se))*$/i],
+  ["concept", 0.6, "field_of_study", /(ism|ology|ography|ics|theory|philosophy)$/i]
+];
+
+// Patterns on the text around the name (N): [type, confidence, rule, build]
+const CONTEXT_RULES = [
+  ["pet", 0.85, "pet_named", n => new RegExp(`\\b(${ANIMALS})s?,?\\s+(?:named\\s+|called\\s+)?${n}\\b`, "i")],
+  ["pet", 0.85, "pet_apposition", n => new RegExp(`\\b${n},?\\s+(?:the user's|user's|my|their|his|her|a|the)\\s+(?:\\w+\\s+){0,2}(${ANIMALS})\\b`, "i")],
+  ["person", 0.8, "relation", n => new RegExp(`\\b(${RELATIONS}),?\\s+${n}\\b`, "i")],
+  ["person", 0.8, "relation_apposition", n => new RegExp(`\\b${n},?\\s+(?:the user's|user's|my|their|his|her)\\s+(${RELATIONS})\\b`, "i")],
+  ["organization", 0.8, "workplace", n => new RegExp(`\\b(?:works?|worked|working|employed|interns?|interned|interning|job|studies|studied|studying)\\s+(?:at|for)\\s+${n}\\b`, "i")],
+  ["organization", 0.6, "employer", n => new RegExp(`\\b(?:joined|hired by|founded|left)\\s+${n}\\b`, "i")],
+  ["place", 0.75, "location", n => new RegExp(`\\b(?:lives?|lived|living|moved|moving|born|grew up|staying|stayed|travel(?:l)?ed|travel(?:l)?ing|trip|flew|flying|vacation|holiday|based|located)\\s+(?:in|to|from|at)\\s+${n}\\b`, "i")],
+  ["product", 0.6, "purchase", n => new RegExp(`\\b(?:bought|buys|buying|purchased|ordered|owns|uses|using|installed)\\s+(?:a\\s+|an\\s+|the\\s+|my\\s+|their\\s+)?(?:new\\s+)?${n}\\b`, "i")],
+  ["event", 0.6, "attendance", n => new RegExp(`\\b(?:attend(?:ed|ing|s)?|registered for|tickets? (?:to|for))\\s+(?:the\\s+)?${n}\\b`, "i")]
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Classify a name with pattern heuristics
+ * @param {object} options - context: text naming the entity (memory
+ *   summaries), relationship: its entity_links relationship
+ * @returns {{type, confidence, rule, text}} type "unknown" (rule null) when nothing matches
+ */
+export function classifyByRules(name, { context = "", relationship = null } = {}) {
+  const matches = [];
+
+  if (relationship) {
+    const animal = relationship.match(ANIMAL_WORD);
+    const relation = relationship.match(RELATION_WORD);
+    if (animal) matches.push({ type: "pet", confidence: 0.9, rule: "relationship", text: relationship });
+    else if (relation) matches.push({ type: "person", confidence: 0.9, rule: "relationship", text: relationship });
+  }
+
+  for (const [type, confidence, rule, pattern] of NAME_RULES) {
+    if (pattern.test(name)) {
+      matches.push({ type, confidence, rule, text: name });
+    }
+  }
+
+  const escaped = escapeRegExp(name.trim());
+  for (const [type, confidence, rule, build] of CONTEXT_RULES) {
+    const match = context && escaped ? context.match(build(escaped)) : null;
+    if (match) {
+      matches.push({ type, confidence, rule, text: match[0] });
+    }
+  }
+
+  // Highest confidence wins; ties go to the earlier (more specific) rule
+  const best = matches.reduce((a, b) => (b.confidence > a.confidence ? b : a), matches[0]);
+  return best || { type: "unknown", confidence: 0, rule: null, text: null };
+}
+
+/**
+ * type_evidence for a rules classification
+ */
+export function rulesEvidence(result, memoryId = null) {
+  return {
+    method: "rules",
+    type: result.type,
+    confidence: result.confidence,
+    rule: result.rule,
+    text: result.text,
+    memory_ids: memoryId ? [memoryId] : [],
+    classified_at: new Date().toISOString()
+  };
+}
+
+// ===========================================
+// LLM
+// ===========================================
+
+const EntityClassificationSchema = z.object({
+  type: EntityTypeSchema,
+  confidence: z.number().min(0).max(1).optional().default(0.7),
+  reason: z.string().optional().default("")
+});
+
+/**
+ * Parse the classify role's reply (tolerates markdown code fences)
+ * Returns null if it is not a valid classification
+ */
+export function parseClassification(content) {
+  const cleaned = String(content || "").trim().replace(/^```(?:json)?/, "").replace(/```$/, "").trim();
+  try {
+    const parsed = EntityClassificationSchema.safeParse(JSON.parse(cleaned));
+    return parsed.success ? parsed.data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask the "classify" LLM role for the entity's type
+ * @returns {Promise<{type, confidence, reason, model}>}
+ * @throws if the role fails or replies with something unparseable
+ */
+export async function classifyWithLLM(entity, memories, userId = config.DEFAULT_USER_ID) {
+  const { content, target } = await chat("classify", {
+    messages: [
+      { role: "system", content: ENTITY_CLASSIFIER_SYSTEM },
+      {
+        role: "user",
+        content: entityClassifierUserPrompt({
+          name: entity.canonical_name,
+          aliases: entity.aliases || [],
+          memories: memories.map(m => m.summary)
+        })
+      }
+    ],
+    temperature: 0,
+    json: true,
+    maxTokens: 150
+  }, { userId });
+
+  const classification = parseClassification(content);
+  if (!classification) {
+    throw new Error(`${target} returned an invalid classification`);
+  }
+  return { ...classification, model: target };
+}
+
+// ===========================================
+// CLASSIFYING STORED ENTITIES
+// ===========================================
+
+/**
+ * The entity's most recent active memories and its entity_links relationship
+ */
+async function loadEntityContext(entity, userId, storage) {
+  const ids = (entity.memory_ids || []).slice(-CONTEXT_MEMORIES);
+  const memories = await storage.getMemoriesByIds(userId, ids, { activeOnly: true });
+
+  const names = new Set([entity.canonical_name, ...(entity.aliases || [])].map(n => n.toLowerCase()));
+  const link = memories
+    .flatMap(m => m.entity_links || [])
+    .find(l => l.relationship && [l.canonical, l.mention].some(n => n && names.has(n.toLowerCase())));
+
+  return { memories, relationship: link?.relationship ?? null };
+}
+
+/**
+ * (Re)classify a stored entity and save its type and evidence
+ * Types set by hand are kept unless force is set. An "unknown" result
+ * leaves a known type as it is.
+ * @param {object} options - llm: use the classify role (default:
+ *   ENTITY_CLASSIFIER=llm), force: override a manual type
+ * @returns {Promise<{entity, evidence, changed}|null>} null if the entity does not exist
+ */
+export async function classifyEntity(entityId, userId = config.DEFAULT_USER_ID, { llm = config.ENTITY_CLASSIFIER === "llm", force = false } = {}) {
+  const storage = getStorage();
+  const entity = await storage.getEntity(userId, entityId);
+  if (!entity) return null;
+
+  if (entity.type_evidence?.method === "manual" && !force) {
+    return { entity, evidence: entity.type_evidence, changed: false };
+  }
+
+  const { memories, relationship } = await loadEntityContext(entity, userId, storage);
+  const memoryIds = memories.map(m => m.id);
+  const rules = classifyByRules(entity.canonical_name, {
+    context: memories.map(m => m.summary).join("\n"),
+    relationship
+  });
+
+  let evidence = { ...rulesEvidence(rules), memory_ids: memoryIds };
+
+  if (llm) {
+    try {
+      const result = await classifyWithLLM(entity, memories, userId);
+      if (result.type !== "unknown") {
+        evidence = {
+          method: "llm",
+          type: result.type,
+          confidence: result.confidence,
+          reason: result.reason,
+          model: result.model,
+          memory_ids: memoryIds,
+          classified_at: new Date().toISOString()
+        };
+      }
+    } catch (err) {
+      console.error(`[EntityClassifier] LLM failed for "${entity.canonical_name}", using rules: ${err.message}`);
+      evidence.llm_error = err.message;
+    }
+  }
+
+  if (evidence.type === "unknown" && entity.entity_type && entity.entity_type !== "unknown") {
+    return { entity, evidence, changed: false };
+  }
+
+  const updated = await storage.updateEntity(userId, entity.id, {
+    entity_type: evidence.type,
+    type_evidence: evidence
+  });
+  const changed = updated.entity_type !== entity.entity_type;
+
+  if (changed) {
+    console.log(`[EntityClassifier] "${entity.canonical_name}" is a ${evidence.type} (${evidence.method}, ${evidence.confidence})`);
+    publishEvent("entity.updated", {
+      entity_id: entity.id,
+      canonical_name: entity.canonical_name,
+      action: "classify",
+      edit_id: null
+    }, userId);
+  }
+
+  return { entity: updated, evidence, changed };
+}
+
+// ===========================================
+// BACKGROUND CLASSIFICATION (classify_entity jobs)
+// ===========================================
+
+let unsubscribe = null;
+
+/**
+ * Queue an LLM classification for each entity this process creates
+ * Only when ENTITY_CLASSIFIER=llm: otherwise creation-time rules are all
+ */
+export function startEntityClassifier() {
+  if (unsubscribe || config.ENTITY_CLASSIFIER !== "llm") return;
+
+  unsubscribe = subscribeAllEvents(event => {
+    if (event.type !== "entity.created" || !event.user_id) return;
+
+    enqueueJob("classify_entity", { entity_id: event.data.entity_id }, event.user_id, { maxAttempts: 1 })
+      .catch(err => console.error(`[EntityClassifier] Could not queue ${event.data.entity_id}:`, err.message));
+  });
+}
+
+export function stopEntityClassifier() {
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+/**
+ * classify_entity job: the LLM stage for one entity
+ */
+export async function runClassifyEntityJob(payload, userId) {
+  const result = await classifyEntity(payload.entity_id, userId, { llm: true });
+  if (!result) return { entity_id: payload.entity_id, skipped: "entity no longer exists" };
+
+  return {
+    entity_id: payload.entity_id,
+    entity_type: result.entity.entity_type,
+    method: result.evidence.method,
+    changed: result.changed
+  };
+}
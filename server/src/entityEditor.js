@@ -0,0 +1,502 @@
+// MeaningMemory V3 - Entity Editing
+// Manual corrections to entities: merge, rename, aliases, type and
+// description. Merges and renames rewrite the memories and preferences
+// that name the entity, so the graph and retrieval see one entity.
+//
+// Every edit is logged in entity_edits with before/after values, and can
+// be undone as long as no later edit touched the same entities. Undo is
+// diff-based: ids and aliases picked up since (by entity resolution) stay.
+
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { discoverRelations } from "./graphRetrieval.js";
+import { publishEvent } from "./memoryEvents.js";
+
+const ENTITY_ARRAY_FIELDS = ["aliases", "memory_ids"];
+const ENTITY_SCALAR_FIELDS = ["canonical_name", "entity_type", "type_evidence", "description", "confidence", "confirmed"];
+
+function conflictError(message) {
+  const err = new Error(message);
+  err.conflict = true;
+  return err;
+}
+
+function namesOf(entity) {
+  return [entity.canonical_name, ...(entity.aliases || [])];
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Deep equality of JSON values, ignoring key order (JSONB reorders keys)
+ */
+function sameJson(a, b) {
+  const sorted = value => {
+    if (Array.isArray(value)) return value.map(sorted);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.keys(value).sort().map(k => [k, sorted(value[k])]));
+    }
+    return value ?? null;
+  };
+  return JSON.stringify(sorted(a)) === JSON.stringify(sorted(b));
+}
+
+/**
+ * Entity as kept in the log (dates as ISO strings, like JSONB returns them)
+ */
+function snapshotEntity(entity) {
+  return entity ? JSON.parse(JSON.stringify(entity)) : null;
+}
+
+// ===========================================
+// REWRITING MEMORIES AND PREFERENCES
+// ===========================================
+
+/**
+ * Replace any of names (case-insensitive) by to in the memories' entities
+ * and entity_links canonicals; returns [{ id, before, after }] for the
+ * memories that changed
+ */
+async function rewriteMemories(tx, userId, memoryIds, names, to) {
+  const from = new Set(names.map(n => n.toLowerCase()));
+  const renamed = name => (name && from.has(name.toLowerCase()) ? to : name);
+  const memories = await tx.getMemoriesByIds(userId, unique(memoryIds));
+  const changes = [];
+
+  for (const memory of memories) {
+    const before = {
+      entities: memory.entities || [],
+      entity_links: memory.entity_links || []
+    };
+    const after = {
+      entities: unique(before.entities.map(renamed)),
+      entity_links: before.entity_links.map(link =>
+        link.canonical ? { ...link, canonical: renamed(link.canonical) } : link
+      )
+    };
+
+    if (sameJson(before, after)) continue;
+
+    await tx.updateMemory(userId, memory.id, after);
+    changes.push({ id: memory.id, before, after });
+  }
+
+  return changes;
+}
+
+async function rewritePreferences(tx, userId, names, to) {
+  const renamed = await tx.renamePreferenceEntities(userId, names, to);
+  return renamed.map(p => ({ id: p.id, before: p.entity, after: to }));
+}
+
+/**
+ * Log the edit; changes.entities holds full before/after rows
+ * (after null = deleted)
+ */
+async function recordEdit(tx, userId, action, details, changes) {
+  return tx.insertEntityEdit(userId, {
+    action,
+    entityIds: unique(changes.entities.map(c => c.id)),
+    memoryIds: unique((changes.memories || []).map(c => c.id)),
+    details,
+    changes: {
+      memories: [],
+      preferences: [],
+      relations_added: [],
+      ...changes
+    }
+  });
+}
+
+function publishUpdated(entity, action, edit, userId) {
+  publishEvent("entity.updated", {
+    entity_id: entity.id,
+    canonical_name: entity.canonical_name,
+    action,
+    edit_id: edit.id
+  }, userId);
+}
+
+/**
+ * Entity by id, or null when it does not belong to the user
+ */
+export async function getEntity(entityId, userId = config.DEFAULT_USER_ID) {
+  return (await getStorage().getEntity(userId, entityId)) || null;
+}
+
+// ===========================================
+// EDITS
+// ===========================================
+
+/**
+ * Merge one or more entities into the target
+ * The sources' names become aliases of the target, their memories and
+ * preferences are rewritten to the target's name, and relations are
+ * discovered between memories that now share it. Sources are deleted.
+ * Returns { entity, edit }, or null if any entity does not exist
+ */
+export async function mergeEntities(sourceIds, targetId, userId = config.DEFAULT_USER_ID) {
+  const ids = unique([sourceIds].flat());
+  if (ids.includes(targetId)) {
+    throw conflictError("Cannot merge an entity into itself");
+  }
+
+  const result = await getStorage().transaction(async (tx) => {
+    const target = await tx.getEntity(userId, targetId);
+    const sources = await Promise.all(ids.map(id => tx.getEntity(userId, id)));
+    if (!target || sources.some(s => !s)) return null;
+
+    const sourceNames = unique(sources.flatMap(namesOf));
+    const sourceMemoryIds = unique(sources.flatMap(s => s.memory_ids || []));
+
+    const memories = await rewriteMemories(tx, userId, sourceMemoryIds, sourceNames, target.canonical_name);
+    const preferences = await rewritePreferences(tx, userId, sourceNames, target.canonical_name);
+
+    for (const source of sources) {
+      await tx.deleteEntity(userId, source.id);
+    }
+
+    const merged = await tx.updateEntity(userId, target.id, {
+      aliases: unique([...target.aliases, ...sourceNames])
+        .filter(name => name.toLowerCase() !== target.canonical_name.toLowerCase()),
+      memory_ids: unique([...target.memory_ids, ...sourceMemoryIds]),
+      last_seen_at: new Date(Math.max(...[target, ...sources].map(e => new Date(e.last_seen_at))))
+    });
+
+    // Memories of the sources now name the target: link them to its others
+    const relationsAdded = [];
+    const active = await tx.getMemoriesByIds(userId, merged.memory_ids, { activeOnly: true });
+    for (const memory of active.filter(m => sourceMemoryIds.includes(m.id))) {
+      const discovered = await discoverRelations(memory.id, userId, tx);
+      relationsAdded.push(...discovered.filter(r => r.inserted).map(r => r.relationId));
+    }
+
+    const edit = await recordEdit(tx, userId, "merge", {
+      target_name: target.canonical_name,
+      source_names: sources.map(s => s.canonical_name)
+    }, {
+      entities: [
+        { id: target.id, before: snapshotEntity(target), after: snapshotEntity(merged) },
+        ...sources.map(s => ({ id: s.id, before: snapshotEntity(s), after: null }))
+      ],
+      memories,
+      preferences,
+      relations_added: relationsAdded
+    });
+
+    return { entity: merged, edit, sources };
+  });
+
+  if (!result) return null;
+
+  for (const source of result.sources) {
+    publishEvent("entity.merged", {
+      source_id: source.id,
+      source_name: source.canonical_name,
+      target_id: result.entity.id,
+      target_name: result.entity.canonical_name,
+      edit_id: result.edit.id
+    }, userId);
+  }
+
+  return { entity: result.entity, edit: result.edit };
+}
+
+/**
+ * Rename an entity inside tx: conflict check, memory and preference
+ * rewrites and the entity update. Returns { entity, memories, preferences }
+ */
+async function applyRename(tx, userId, entity, name) {
+  const other = await tx.findEntityByNameOrAlias(userId, name);
+  if (other && other.id !== entity.id) {
+    throw conflictError(`"${name}" already names entity ${other.id}; merge the entities instead`);
+  }
+
+  const oldName = entity.canonical_name;
+  const memories = await rewriteMemories(tx, userId, entity.memory_ids, [oldName], name);
+  const preferences = await rewritePreferences(tx, userId, [oldName], name);
+
+  const renamed = await tx.updateEntity(userId, entity.id, {
+    canonical_name: name,
+    aliases: unique([...entity.aliases, oldName])
+      .filter(alias => alias.toLowerCase() !== name.toLowerCase())
+  });
+
+  return { entity: renamed, memories, preferences };
+}
+
+/**
+ * Rename an entity; the old name is kept as an alias and memories and
+ * preferences naming it are rewritten
+ * Returns { entity, edit }, or null if the entity does not exist
+ */
+export async function renameEntity(entityId, newName, userId = config.DEFAULT_USER_ID) {
+  const name = newName.trim();
+
+  const result = await getStorage().transaction(async (tx) => {
+    const entity = await tx.getEntity(userId, entityId);
+    if (!entity) return null;
+    if (entity.canonical_name === name) return { entity, edit: null };
+
+    const { entity: renamed, memories, preferences } = await applyRename(tx, userId, entity, name);
+    const edit = await recordEdit(tx, userId, "rename", { from: entity.canonical_name, to: name }, {
+      entities: [{ id: entity.id, before: snapshotEntity(entity), after: snapshotEntity(renamed) }],
+      memories,
+      preferences
+    });
+
+    return { entity: renamed, edit };
+  });
+
+  if (result?.edit) {
+    publishUpdated(result.entity, "rename", result.edit, userId);
+  }
+
+  return result;
+}
+
+/**
+ * Add an alias; an alias or name of another entity is a conflict
+ * Returns { entity, edit } (edit null if the alias was already there),
+ * or null if the entity does not exist
+ */
+export async function addAlias(entityId, alias, userId = config.DEFAULT_USER_ID) {
+  const value = alias.trim();
+
+  const result = await getStorage().transaction(async (tx) => {
+    const entity = await tx.getEntity(userId, entityId);
+    if (!entity) return null;
+
+    const other = await tx.findEntityByNameOrAlias(userId, value);
+    if (other && other.id !== entity.id) {
+      throw conflictError(`"${value}" already names entity ${other.id}; merge the entities instead`);
+    }
+    if (namesOf(entity).some(n => n.toLowerCase() === value.toLowerCase())) {
+      return { entity, edit: null };
+    }
+
+    const updated = await tx.updateEntity(userId, entity.id, { aliases: [...entity.aliases, value] });
+    const edit = await recordEdit(tx, userId, "alias_add", { alias: value }, {
+      entities: [{ id: entity.id, before: snapshotEntity(entity), after: snapshotEntity(updated) }]
+    });
+
+    return { entity: updated, edit };
+  });
+
+  if (result?.edit) {
+    publishUpdated(result.entity, "alias_add", result.edit, userId);
+  }
+
+  return result;
+}
+
+/**
+ * Remove an alias (case-insensitive)
+ * Returns { entity, edit }, or null if the entity or alias does not exist
+ */
+export async function removeAlias(entityId, alias, userId = config.DEFAULT_USER_ID) {
+  const result = await getStorage().transaction(async (tx) => {
+    const entity = await tx.getEntity(userId, entityId);
+    const existing = entity?.aliases.find(a => a.toLowerCase() === alias.trim().toLowerCase());
+    if (!existing) return null;
+
+    const updated = await tx.updateEntity(userId, entity.id, {
+      aliases: entity.aliases.filter(a => a !== existing)
+    });
+    const edit = await recordEdit(tx, userId, "alias_remove", { alias: existing }, {
+      entities: [{ id: entity.id, before: snapshotEntity(entity), after: snapshotEntity(updated) }]
+    });
+
+    return { entity: updated, edit };
+  });
+
+  if (result) {
+    publishUpdated(result.entity, "alias_remove", result.edit, userId);
+  }
+
+  return result;
+}
+
+/**
+ * Apply a PATCH /entities/:id body: canonical_name (a rename), entity_type
+ * and description, in one transaction logged as one edit ("rename" if only
+ * the name changed, otherwise "update"). Returns { entity, edits }, or null
+ * if the entity does not exist
+ */
+export async function editEntity(entityId, patch, userId = config.DEFAULT_USER_ID) {
+  const fields = {};
+  for (const field of ["entity_type", "description"]) {
+    if (patch[field] !== undefined) fields[field] = patch[field];
+  }
+  const name = patch.canonical_name?.trim();
+
+  const result = await getStorage().transaction(async (tx) => {
+    const entity = await tx.getEntity(userId, entityId);
+    if (!entity) return null;
+
+    const renaming = name !== undefined && name !== entity.canonical_name;
+    const changed = Object.keys(fields).filter(f => entity[f] !== fields[f]);
+    if (!renaming && changed.length === 0) return { entity, edit: null };
+
+    let updated = entity;
+    let memories = [];
+    let preferences = [];
+    if (renaming) {
+      ({ entity: updated, memories, preferences } = await applyRename(tx, userId, entity, name));
+    }
+
+    if (changed.length > 0) {
+      // A type set by hand is kept by the classifier (entityClassifier.js)
+      const evidence = changed.includes("entity_type")
+        ? { type_evidence: { method: "manual", type: fields.entity_type, classified_at: new Date().toISOString() } }
+        : {};
+      updated = await tx.updateEntity(userId, entity.id, { ...fields, ...evidence });
+    }
+
+    const rename = renaming ? { from: entity.canonical_name, to: name } : {};
+    const action = changed.length === 0 ? "rename" : "update";
+    const details = action === "rename"
+      ? rename
+      : { fields: renaming ? ["canonical_name", ...changed] : changed, ...rename };
+    const edit = await recordEdit(tx, userId, action, details, {
+      entities: [{ id: entity.id, before: snapshotEntity(entity), after: snapshotEntity(updated) }],
+      memories,
+      preferences
+    });
+
+    return { entity: updated, edit, action };
+  });
+
+  if (!result) return null;
+
+  if (result.edit) {
+    publishUpdated(result.entity, result.action, result.edit, userId);
+  }
+
+  return { entity: result.entity, edits: result.edit ? [result.edit] : [] };
+}
+
+// ===========================================
+// EDIT LOG & UNDO
+// ===========================================
+
+/**
+ * Edits for a user (most recent first), optionally for one entity
+ */
+export async function listEntityEdits(userId = config.DEFAULT_USER_ID, { entityId = null, limit = 50 } = {}) {
+  const rows = await getStorage().listEntityEdits(userId, { entityId, limit });
+  return rows.map(formatEdit);
+}
+
+export function formatEdit(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    entity_ids: row.entity_ids,
+    memory_ids: row.memory_ids,
+    details: row.details,
+    created_at: row.created_at,
+    undone_at: row.undone_at
+  };
+}
+
+/**
+ * Undo an entity's edit: current value minus what the edit added plus
+ * what it removed for arrays, the old value for scalars
+ */
+function revertEntity(current, { before, after }) {
+  const fields = {};
+
+  for (const field of ENTITY_ARRAY_FIELDS) {
+    const added = after[field].filter(v => !before[field].includes(v));
+    const removed = before[field].filter(v => !after[field].includes(v));
+    fields[field] = unique([
+      ...current[field].filter(v => !added.includes(v)),
+      ...removed
+    ]);
+  }
+
+  for (const field of ENTITY_SCALAR_FIELDS) {
+    if (!sameJson(before[field], after[field])) {
+      fields[field] = before[field];
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Undo an edit. Fails with a conflict if it was already undone or a later
+ * edit (not undone) touched the same entities. Memory fields edited since
+ * are left as they are.
+ * Returns { entities, edit }, or null if the edit does not exist
+ */
+export async function undoEntityEdit(editId, userId = config.DEFAULT_USER_ID) {
+  const result = await getStorage().transaction(async (tx) => {
+    const edit = await tx.getEntityEdit(userId, editId);
+    if (!edit) return null;
+
+    if (edit.undone_at) {
+      throw conflictError("Edit was already undone");
+    }
+    const later = await tx.findLaterEntityEdit(userId, edit);
+    if (later) {
+      throw conflictError(`A later edit (${later.id}) touched the same entities; undo it first`);
+    }
+
+    const { changes } = edit;
+    const entities = [];
+
+    // Survivors first, so names given back by a merge are free again
+    for (const change of changes.entities.filter(c => c.after)) {
+      const current = await tx.getEntity(userId, change.id);
+      if (!current) {
+        throw conflictError(`Entity ${change.id} no longer exists`);
+      }
+      entities.push(await tx.updateEntity(userId, change.id, revertEntity(current, change)));
+    }
+
+    for (const change of changes.entities.filter(c => !c.after)) {
+      const taken = await tx.findEntityByName(userId, change.before.canonical_name);
+      if (taken && taken.id !== change.id) {
+        throw conflictError(`"${change.before.canonical_name}" now names entity ${taken.id}`);
+      }
+      entities.push(await tx.restoreEntity(userId, change.before));
+    }
+
+    const memories = await tx.getMemoriesByIds(userId, changes.memories.map(c => c.id));
+    for (const change of changes.memories) {
+      const memory = memories.find(m => m.id === change.id);
+      if (!memory) continue;
+
+      const fields = {};
+      for (const field of ["entities", "entity_links"]) {
+        if (sameJson(memory[field] || [], change.after[field])) {
+          fields[field] = change.before[field];
+        }
+      }
+      await tx.updateMemory(userId, memory.id, fields);
+    }
+
+    for (const change of changes.preferences) {
+      await tx.setPreferenceEntity(userId, change.id, change.before, { from: change.after });
+    }
+
+    if (changes.relations_added.length > 0) {
+      await tx.deleteRelations(userId, changes.relations_added);
+    }
+
+    const undone = await tx.markEntityEditUndone(userId, edit.id);
+    return { entities, edit: undone };
+  });
+
+  if (!result) return null;
+
+  for (const entity of result.entities) {
+    publishUpdated(entity, "undo", result.edit, userId);
+  }
+
+  return { entities: result.entities, edit: formatEdit(result.edit) };
+}
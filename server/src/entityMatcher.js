@@ -0,0 +1,253 @@
+// MeaningMemory V3 - Entity Matching
+// Ranks existing entities as candidates for a mention that has no exact
+// name or alias match, so "Katie" or "Dr Smith" link to the entity they
+// refer to instead of creating a duplicate.
+//
+// A candidate's confidence combines three signals:
+//   name     fuzzy string similarity with the canonical name or an alias
+//   context  embedding similarity of the memory naming the mention with
+//            the memories already linked to the candidate
+//   type     whether the mention's inferred type agrees with the entity's
+// Above ENTITY_AUTO_LINK_THRESHOLD the mention is linked; above
+// ENTITY_REVIEW_THRESHOLD it gets its own entity and the candidates are
+// queued in entity_matches for the user to accept (a merge) or reject.
+
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { mergeEntities } from "./entityEditor.js";
+
+const WEIGHTS = { name: 0.6, context: 0.3, type: 0.1 };
+const MIN_NAME_SIMILARITY = 0.7; // context alone never makes a candidate
+const MAX_CANDIDATES = 5;
+const CONTEXT_MEMORIES = 20;
+
+const TITLES = /^(mr|mrs|ms|miss|dr|prof|sir|st)\.?\s+/;
+
+// ===========================================
+// STRING SIMILARITY
+// ===========================================
+
+function foldName(name) {
+  return name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Lowercase, without accents, punctuation or a leading title
+ */
+export function normalizeName(name) {
+  return foldName(name).replace(TITLES, "");
+}
+
+/**
+ * Same name apart from case, accents and punctuation. Titles count:
+ * "Dr. Patel" and "Mrs. Patel" are not spelled alike
+ */
+export function spelledAlike(a, b) {
+  const x = foldName(a);
+  return x.length > 0 && x === foldName(b);
+}
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedB = new Array(b.length).fill(false);
+  const matchesA = [];
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = start; j < end; j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedB[j] = true;
+        matchesA.push(a[i]);
+        break;
+      }
+    }
+  }
+
+  const m = matchesA.length;
+  if (m === 0) return 0;
+
+  const matchesB = [...b].filter((_, j) => matchedB[j]);
+  const transpositions = matchesA.filter((c, i) => c !== matchesB[i]).length / 2;
+
+  return (m / a.length + m / b.length + (m - transpositions) / m) / 3;
+}
+
+function jaroWinkler(a, b) {
+  const score = jaro(a, b);
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return score + prefix * 0.1 * (1 - score);
+}
+
+/**
+ * Similarity of two names in [0, 1]: Jaro-Winkler of the normalized
+ * names, or 0.9 when every word of one is a word of the other
+ * ("Kate" / "Kate Miller")
+ */
+export function stringSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const wordsX = x.split(" ");
+  const wordsY = new Set(y.split(" "));
+  const [shorter, longer] = wordsX.length <= wordsY.size
+    ? [wordsX, wordsY]
+    : [[...wordsY], new Set(wordsX)];
+  const contained = shorter.every(w => longer.has(w)) ? 0.9 : 0;
+
+  return Math.max(jaroWinkler(x, y), contained);
+}
+
+// ===========================================
+// CANDIDATE RANKING
+// ===========================================
+
+/**
+ * Similarity of each memory near the context embedding (memoryId -> score)
+ * The memory being resolved is left out
+ */
+export async function loadMatchContext({ embedding, memoryId = null }, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  if (!embedding) return new Map();
+
+  const nearby = await db.findSimilarMemories(userId, { embedding, threshold: 0, limit: CONTEXT_MEMORIES });
+  return new Map(nearby.filter(m => m.id !== memoryId).map(m => [m.id, Number(m.similarity)]));
+}
+
+function typeAgreement(mentionType, entityType) {
+  const known = t => t && t !== "unknown";
+  if (!known(mentionType) || !known(entityType)) return 0.5;
+  return mentionType === entityType ? 1 : 0;
+}
+
+/**
+ * Rank entities as the referent of mention, best first
+ * @param {Array} entities - the user's entities
+ * @param {object} options - { context: Map from loadMatchContext, mentionType }
+ * @returns {Array<{entity, confidence, signals: {name, context, type}}>}
+ */
+export function rankEntityCandidates(mention, entities, { context = new Map(), mentionType = null } = {}) {
+  const candidates = [];
+
+  for (const entity of entities) {
+    const name = Math.max(...[entity.canonical_name, ...(entity.aliases || [])]
+      .map(n => stringSimilarity(mention, n)));
+    if (name < MIN_NAME_SIMILARITY) continue;
+
+    const contextScore = Math.max(0, ...(entity.memory_ids || []).map(id => context.get(id) ?? 0));
+    const signals = {
+      name: round(name),
+      context: round(contextScore),
+      type: typeAgreement(mentionType, entity.entity_type)
+    };
+
+    candidates.push({
+      entity,
+      confidence: round(WEIGHTS.name * signals.name + WEIGHTS.context * signals.context + WEIGHTS.type * signals.type),
+      signals
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ===========================================
+// REVIEW QUEUE
+// ===========================================
+
+/**
+ * Queue a mention that got its own entity but may be one of candidates
+ */
+export async function queueEntityMatch({ mention, memoryId, entityId, candidates }, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  const row = await db.insertEntityMatch(userId, {
+    mention,
+    memoryId,
+    entityId,
+    candidates: candidates.map(c => ({
+      entity_id: c.entity.id,
+      canonical_name: c.entity.canonical_name,
+      confidence: c.confidence,
+      signals: c.signals
+    }))
+  });
+
+  console.log(`[EntityMatch] "${mention}" may be "${candidates[0].entity.canonical_name}" (${candidates[0].confidence}), queued for review`);
+  return row;
+}
+
+/**
+ * Queued matches, newest first (status: pending, accepted, rejected)
+ */
+export async function listEntityMatches(userId = config.DEFAULT_USER_ID, { status = "pending", limit = 50 } = {}) {
+  return getStorage().listEntityMatches(userId, { status, limit });
+}
+
+function conflictError(message) {
+  const err = new Error(message);
+  err.conflict = true;
+  return err;
+}
+
+/**
+ * Accept a match: the mention's entity is merged into the chosen
+ * candidate (the best one unless entityId is given), through the entity
+ * edit log so it can be undone
+ * Returns { match, entity, edit }, or null if the match does not exist
+ */
+export async function acceptEntityMatch(matchId, entityId = null, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const match = await storage.getEntityMatch(userId, matchId);
+  if (!match) return null;
+
+  if (match.status !== "pending") {
+    throw conflictError(`Match was already ${match.status}`);
+  }
+
+  const chosen = entityId ?? match.candidates[0]?.entity_id;
+  if (!match.candidates.some(c => c.entity_id === chosen)) {
+    throw conflictError(`${chosen} is not a candidate for "${match.mention}"`);
+  }
+
+  const merged = await mergeEntities([match.entity_id], chosen, userId);
+  if (!merged) {
+    throw conflictError("The mention's entity or the candidate no longer exists");
+  }
+
+  const resolved = await storage.resolveEntityMatch(userId, matchId, { status: "accepted", chosenEntityId: chosen });
+  return { match: resolved, entity: merged.entity, edit: merged.edit };
+}
+
+/**
+ * Reject a match: the mention keeps its own entity
+ * Returns the match, or null if it does not exist
+ */
+export async function rejectEntityMatch(matchId, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const match = await storage.getEntityMatch(userId, matchId);
+  if (!match) return null;
+
+  const resolved = await storage.resolveEntityMatch(userId, matchId, { status: "rejected" });
+  if (!resolved) {
+    throw conflictError(`Match was already ${match.status}`);
+  }
+  return resolved;
+}
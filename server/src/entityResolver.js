@@ -1,21 +1,26 @@
 // MeaningMemory V3 - Entity Resolution
 // Cross-session entity linking and disambiguation
 
-import pg from "pg";
 import { config } from "./config.js";
 import { embedText, cosineSimilarity } from "./embeddings.js";
-
-const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+import { getStorage } from "./storage/index.js";
+import { loadMatchContext, rankEntityCandidates, queueEntityMatch, spelledAlike } from "./entityMatcher.js";
+import { classifyByRules, rulesEvidence } from "./entityClassifier.js";
 
 /**
  * Resolve entity mentions to canonical entities
  * Creates new entities or links to existing ones
+ * Pass a transaction as db to create entities inside it, and the memory
+ * naming the mentions as source ({ memoryId, embedding, summary }) so fuzzy
+ * matches can use its context and be queued for review against it, and
+ * new entities are typed from its summary
  */
-export async function resolveEntities(entityMentions, entityLinks = []) {
+export async function resolveEntities(entityMentions, entityLinks = [], userId = config.DEFAULT_USER_ID, db = getStorage(), source = {}) {
   const resolved = [];
+  const context = await loadMatchContext(source, userId, db);
   
   for (const mention of entityMentions) {
-    const resolution = await resolveEntity(mention, entityLinks);
+    const resolution = await resolveEntity(mention, entityLinks, userId, db, { ...source, context });
     resolved.push(resolution);
   }
   
@@ -25,7 +30,7 @@ export async function resolveEntities(entityMentions, entityLinks = []) {
 /**
  * Resolve a single entity mention
  */
-async function resolveEntity(mention, entityLinks = []) {
+async function resolveEntity(mention, entityLinks, userId, db, source) {
   const mentionLower = mention.toLowerCase().trim();
   
   // First, check if entity_links provides explicit resolution
@@ -35,9 +40,10 @@ async function resolveEntity(mention, entityLinks = []) {
   
   if (explicitLink?.canonical) {
     // Use the explicit canonical name
-    const entity = await findOrCreateEntity(explicitLink.canonical, {
+    const { entity, created } = await findOrCreateEntity(explicitLink.canonical, userId, db, {
       alias: mention,
-      relationship: explicitLink.relationship
+      relationship: explicitLink.relationship,
+      source
     });
     
     return {
@@ -45,52 +51,79 @@ async function resolveEntity(mention, entityLinks = []) {
       canonical: entity.canonical_name,
       entityId: entity.id,
       confidence: 0.95,
-      source: "explicit_link"
+      source: "explicit_link",
+      created
     };
   }
   
   // Check for exact canonical match
-  const exactMatch = await pool.query(`
-    SELECT * FROM entities 
-    WHERE LOWER(canonical_name) = $1
-  `, [mentionLower]);
+  const exactMatch = await db.findEntityByName(userId, mentionLower);
   
-  if (exactMatch.rows.length > 0) {
+  if (exactMatch) {
     return {
       mention,
-      canonical: exactMatch.rows[0].canonical_name,
-      entityId: exactMatch.rows[0].id,
+      canonical: exactMatch.canonical_name,
+      entityId: exactMatch.id,
       confidence: 1.0,
       source: "exact_match"
     };
   }
   
   // Check for alias match
-  const aliasMatch = await pool.query(`
-    SELECT * FROM entities 
-    WHERE $1 = ANY(SELECT LOWER(unnest(aliases)))
-  `, [mentionLower]);
+  const aliasMatch = await db.findEntityByAlias(userId, mentionLower);
   
-  if (aliasMatch.rows.length > 0) {
+  if (aliasMatch) {
     return {
       mention,
-      canonical: aliasMatch.rows[0].canonical_name,
-      entityId: aliasMatch.rows[0].id,
+      canonical: aliasMatch.canonical_name,
+      entityId: aliasMatch.id,
       confidence: 0.9,
       source: "alias_match"
     };
   }
   
+  // Fuzzy match: similar name, supported by context and type
+  const candidates = rankEntityCandidates(mention, await db.listEntities(userId), {
+    context: source.context,
+    mentionType: classifyByRules(mention, { context: source.summary }).type
+  });
+  const [best] = candidates;
+  
+  // A variant spelling of a name that agrees on type links even without
+  // context. A name that only matches once titles are dropped does not
+  const variantSpelling = best && best.signals.type === 1 &&
+    [best.entity.canonical_name, ...(best.entity.aliases || [])].some(n => spelledAlike(mention, n));
+  
+  if (best && (best.confidence >= config.ENTITY_AUTO_LINK_THRESHOLD || variantSpelling)) {
+    await db.addEntityAlias(userId, best.entity.id, mention, { touch: true });
+    return {
+      mention,
+      canonical: best.entity.canonical_name,
+      entityId: best.entity.id,
+      confidence: best.confidence,
+      source: "fuzzy_match"
+    };
+  }
+  
   // No match found - create new entity or return as unresolved
   // Only create if it looks like a proper noun (capitalized)
   if (mention[0] === mention[0].toUpperCase()) {
-    const newEntity = await findOrCreateEntity(mention);
+    const { entity: newEntity, created } = await findOrCreateEntity(mention, userId, db, { source });
+    
+    // Close but not sure: the user decides whether it is the same entity
+    const ambiguous = candidates.filter(c => c.confidence >= config.ENTITY_REVIEW_THRESHOLD);
+    const match = created && ambiguous.length > 0
+      ? await queueEntityMatch({ mention, memoryId: source.memoryId ?? null, entityId: newEntity.id, candidates: ambiguous }, userId, db)
+      : null;
+    
     return {
       mention,
       canonical: newEntity.canonical_name,
       entityId: newEntity.id,
       confidence: 0.7,
-      source: "new_entity"
+      source: "new_entity",
+      created,
+      matchId: match?.id ?? null
     };
   }
   
@@ -106,83 +139,43 @@ async function resolveEntity(mention, entityLinks = []) {
 
 /**
  * Find existing entity or create new one
+ * New entities are typed by the classifier rules (entityClassifier.js)
+ * @returns {Promise<{entity, created: boolean}>}
  */
-async function findOrCreateEntity(canonicalName, options = {}) {
-  const { alias, relationship, entityType } = options;
+async function findOrCreateEntity(canonicalName, userId, db, options = {}) {
+  const { alias, relationship, source = {} } = options;
   
   // Try to find existing
-  const existing = await pool.query(`
-    SELECT * FROM entities WHERE LOWER(canonical_name) = LOWER($1)
-  `, [canonicalName]);
+  const entity = await db.findEntityByName(userId, canonicalName);
   
-  if (existing.rows.length > 0) {
-    const entity = existing.rows[0];
-    
+  if (entity) {
     // Add alias if provided and not already present
     if (alias && !entity.aliases.includes(alias)) {
-      await pool.query(`
-        UPDATE entities 
-        SET aliases = array_append(aliases, $2),
-            last_seen_at = NOW()
-        WHERE id = $1
-      `, [entity.id, alias]);
+      await db.addEntityAlias(userId, entity.id, alias, { touch: true });
     }
     
-    return entity;
+    return { entity, created: false };
   }
   
   // Create new entity
-  const result = await pool.query(`
-    INSERT INTO entities (canonical_name, aliases, entity_type)
-    VALUES ($1, $2, $3)
-    RETURNING *
-  `, [
-    canonicalName,
-    alias ? [alias] : [],
-    entityType || inferEntityType(canonicalName)
-  ]);
-  
-  return result.rows[0];
-}
-
-/**
- * Infer entity type from name/context
- */
-function inferEntityType(name) {
-  // Simple heuristics - could be enhanced with NER
-  const nameLower = name.toLowerCase();
-  
-  // Common person name patterns
-  if (/^(mr|mrs|ms|dr|prof)\.?\s/i.test(name)) {
-    return "person";
-  }
-  
-  // Location patterns
-  if (/city|state|country|street|avenue|road/i.test(name)) {
-    return "place";
-  }
-  
-  // Company patterns
-  if (/inc|corp|llc|ltd|company/i.test(name)) {
-    return "organization";
-  }
-  
-  // Default
-  return "unknown";
+  const type = classifyByRules(canonicalName, { context: source.summary, relationship });
+  const created = await db.createEntity(userId, {
+    canonical_name: canonicalName,
+    aliases: alias ? [alias] : [],
+    entity_type: type.type,
+    type_evidence: type.rule ? rulesEvidence(type, source.memoryId) : null
+  });
+  
+  return { entity: created, created: true };
 }
 
 /**
  * Link a memory to its resolved entities
  */
-export async function linkMemoryToEntities(memoryId, resolvedEntities) {
+export async function linkMemoryToEntities(memoryId, resolvedEntities, userId = config.DEFAULT_USER_ID, db = getStorage()) {
   for (const entity of resolvedEntities) {
     if (entity.entityId) {
-      await pool.query(`
-        UPDATE entities
-        SET memory_ids = array_append(memory_ids, $2)
-        WHERE id = $1
-          AND NOT ($2 = ANY(memory_ids))
-      `, [entity.entityId, memoryId]);
+      await db.linkEntityMemory(userId, entity.entityId, memoryId);
     }
   }
 }
@@ -190,110 +183,31 @@ export async function linkMemoryToEntities(memoryId, resolvedEntities) {
 /**
  * Get all memories for an entity
  */
-export async function getMemoriesForEntity(entityIdOrName) {
-  // First find the entity
-  let entity;
+export async function getMemoriesForEntity(entityIdOrName, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
   
-  // Try by ID
-  if (entityIdOrName.match(/^[0-9a-f-]{36}$/i)) {
-    const result = await pool.query(`
-      SELECT * FROM entities WHERE id = $1
-    `, [entityIdOrName]);
-    entity = result.rows[0];
-  } else {
-    // Try by name
-    const result = await pool.query(`
-      SELECT * FROM entities 
-      WHERE LOWER(canonical_name) = LOWER($1)
-        OR $1 = ANY(SELECT LOWER(unnest(aliases)))
-    `, [entityIdOrName]);
-    entity = result.rows[0];
-  }
+  // First find the entity: by ID, then by name or alias
+  const entity = entityIdOrName.match(/^[0-9a-f-]{36}$/i)
+    ? await storage.getEntity(userId, entityIdOrName)
+    : await storage.findEntityByNameOrAlias(userId, entityIdOrName);
   
   if (!entity) {
     return { entity: null, memories: [] };
   }
   
   // Get all linked memories
-  const memories = await pool.query(`
-    SELECT * FROM memory_units
-    WHERE id = ANY($1)
-      AND is_active = true
-    ORDER BY created_at DESC
-  `, [entity.memory_ids]);
+  const memories = await storage.getMemoriesByIds(userId, entity.memory_ids, { activeOnly: true });
   
   return {
     entity,
-    memories: memories.rows
+    memories
   };
 }
 
-/**
- * Merge two entities (when discovered to be the same)
- */
-export async function mergeEntities(sourceId, targetId) {
-  // Get both entities
-  const [source, target] = await Promise.all([
-    pool.query(`SELECT * FROM entities WHERE id = $1`, [sourceId]),
-    pool.query(`SELECT * FROM entities WHERE id = $1`, [targetId])
-  ]);
-  
-  if (!source.rows[0] || !target.rows[0]) {
-    throw new Error("Entity not found");
-  }
-  
-  const sourceEntity = source.rows[0];
-  const targetEntity = target.rows[0];
-  
-  // Merge aliases
-  const allAliases = [...new Set([
-    ...targetEntity.aliases,
-    ...sourceEntity.aliases,
-    sourceEntity.canonical_name
-  ])];
-  
-  // Merge memory_ids
-  const allMemoryIds = [...new Set([
-    ...targetEntity.memory_ids,
-    ...sourceEntity.memory_ids
-  ])];
-  
-  // Update target
-  await pool.query(`
-    UPDATE entities
-    SET aliases = $2,
-        memory_ids = $3
-    WHERE id = $1
-  `, [targetId, allAliases, allMemoryIds]);
-  
-  // Delete source
-  await pool.query(`
-    DELETE FROM entities WHERE id = $1
-  `, [sourceId]);
-  
-  return { merged: true, targetId };
-}
-
-/**
- * Add alias to existing entity
- */
-export async function addEntityAlias(entityId, alias) {
-  await pool.query(`
-    UPDATE entities
-    SET aliases = array_append(aliases, $2)
-    WHERE id = $1
-      AND NOT ($2 = ANY(aliases))
-  `, [entityId, alias]);
-}
-
 /**
  * Confirm an entity (user verified)
  */
-export async function confirmEntity(entityId) {
-  await pool.query(`
-    UPDATE entities
-    SET confirmed = true, confidence = 1.0
-    WHERE id = $1
-  `, [entityId]);
+export async function confirmEntity(entityId, userId = config.DEFAULT_USER_ID) {
+  await getStorage().updateEntity(userId, entityId, { confirmed: true, confidence: 1.0 });
 }
 
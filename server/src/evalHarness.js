@@ -0,0 +1,456 @@
+// MeaningMemory V3 - Memory Quality Evaluation
+// Replays scripted multi-session dialogues through the real pipeline
+// (instant extraction → retrieval → Memory Agent → insert), then scores:
+//   extraction:     precision/recall of stored memories against expected facts
+//   retrieval:      recall@k and MRR for probe questions asked afterwards
+//   contradictions: whether updated facts replaced (or were flagged against) old ones
+//
+// Scenario files (eval/scenarios/*.json):
+// {
+//   "name": "relocation",
+//   "sessions": [
+//     [{ "user": "I live in Athens", "assistant": "Athens is lovely!" }],
+//     [{ "user": "I live in Berlin now", "assistant": "How's Berlin?" }]
+//   ],
+//   "expected_facts": [{ "id": "home-berlin", "match": ["Berlin"] }],
+//   "probes": [{ "question": "Where do I live?", "expect": ["Berlin"] }],
+//   "contradictions": [{ "id": "moved", "current": ["Berlin"], "superseded": ["Athens"] }]
+// }
+//
+// match / expect / current / superseded are keywords that must all appear
+// in a memory's summary or facts (case-insensitive); a nested array lists
+// alternatives, any one of which is enough. Each session is a new
+// conversation. A contradiction check with "resolution": "pending" expects
+// both memories to stay active with a pending contradiction between them.
+
+import { z } from "zod";
+import { readdir, readFile, stat } from "fs/promises";
+import { join, basename } from "path";
+import { randomUUID } from "crypto";
+import { config } from "./config.js";
+import { getStorage, setStorage, InMemoryBackend } from "./storage/index.js";
+import { retrieveMemories, getAllMemories } from "./memoryStore.js";
+import { retrieveWithSpreadingActivation } from "./graphRetrieval.js";
+import { getPendingContradictions } from "./contradictionDetector.js";
+import { ensureConversation, appendMessage } from "./conversationStore.js";
+import { extractAndStoreInstant } from "./instantExtraction.js";
+import { processMemory } from "./memoryPipeline.js";
+import { purgeUser } from "./purgeService.js";
+
+// Settings recorded in every report, so runs can be compared
+const TUNABLE_SETTINGS = [
+  "RETRIEVAL_K",
+  "SIMILARITY_THRESHOLD",
+  "CONTRADICTION_THRESHOLD",
+  "SPREADING_DEPTH",
+  "SPREADING_DECAY"
+];
+
+// ===========================================
+// SCENARIOS
+// ===========================================
+
+const KeywordsSchema = z.array(z.union([z.string().min(1), z.array(z.string().min(1)).min(1)])).min(1);
+
+const ScenarioSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().optional(),
+  sessions: z.array(z.array(z.object({
+    user: z.string().min(1),
+    assistant: z.string().optional().default("")
+  })).min(1)).min(1),
+  expected_facts: z.array(z.object({
+    id: z.string().min(1),
+    match: KeywordsSchema
+  })).optional().default([]),
+  probes: z.array(z.object({
+    question: z.string().min(1),
+    expect: KeywordsSchema
+  })).optional().default([]),
+  contradictions: z.array(z.object({
+    id: z.string().min(1),
+    current: KeywordsSchema,
+    superseded: KeywordsSchema,
+    resolution: z.enum(["supersede", "pending"]).optional().default("supersede")
+  })).optional().default([])
+});
+
+/**
+ * Load scenarios from files and/or directories of *.json files
+ */
+export async function loadScenarios(paths) {
+  const files = [];
+
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const names = (await readdir(path)).filter(name => name.endsWith(".json")).sort();
+      files.push(...names.map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+
+  const scenarios = [];
+  for (const file of files) {
+    const parsed = ScenarioSchema.safeParse(JSON.parse(await readFile(file, "utf8")));
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new Error(`${basename(file)}: ${issue.path.join(".")}: ${issue.message}`);
+    }
+    scenarios.push(parsed.data);
+  }
+
+  return scenarios;
+}
+
+// ===========================================
+// SCORING
+// ===========================================
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+function memoryText(memory) {
+  return `${memory.summary || ""} ${(memory.facts || []).join(" ")}`.toLowerCase();
+}
+
+/**
+ * All keywords appear in the memory (nested arrays: any alternative)
+ */
+export function matchesKeywords(memory, keywords) {
+  const text = memoryText(memory);
+  return keywords.every(keyword =>
+    Array.isArray(keyword)
+      ? keyword.some(alternative => text.includes(alternative.toLowerCase()))
+      : text.includes(keyword.toLowerCase())
+  );
+}
+
+/**
+ * Precision: share of stored memories that match an expected fact
+ * Recall: share of expected facts found in at least one memory
+ * @param {Array} memories - everything stored, including superseded memories
+ */
+export function scoreExtraction(memories, expectedFacts) {
+  const matchesPerFact = expectedFacts.map(fact => memories.filter(m => matchesKeywords(m, fact.match)).length);
+  const relevant = memories.filter(m => expectedFacts.some(fact => matchesKeywords(m, fact.match)));
+
+  return {
+    expected: expectedFacts.length,
+    stored: memories.length,
+    found: matchesPerFact.filter(count => count > 0).length,
+    precision: round(ratio(relevant.length, memories.length)),
+    recall: round(ratio(matchesPerFact.filter(count => count > 0).length, expectedFacts.length)),
+    // Extra memories restating a fact that was already stored
+    duplicates: matchesPerFact.reduce((sum, count) => sum + Math.max(0, count - 1), 0),
+    missed: expectedFacts.filter((fact, i) => matchesPerFact[i] === 0).map(fact => fact.id),
+    unexpected: memories.filter(m => !relevant.includes(m)).map(m => m.summary).sort()
+  };
+}
+
+/**
+ * recall@k: share of probes with a matching memory in the top k
+ * MRR: mean of 1/rank of the first matching memory (0 when missing)
+ * @param {Array<Array>} rankings - retrieved memories per probe, best first
+ */
+export function scoreRetrieval(probes, rankings, k) {
+  const results = probes.map((probe, i) => {
+    const index = rankings[i].slice(0, k).findIndex(m => matchesKeywords(m, probe.expect));
+    return { question: probe.question, rank: index >= 0 ? index + 1 : null };
+  });
+
+  const hits = results.filter(r => r.rank !== null);
+
+  return {
+    k,
+    probes: results.length,
+    hits: hits.length,
+    recall_at_k: round(ratio(hits.length, results.length)),
+    mrr: round(ratio(hits.reduce((sum, r) => sum + 1 / r.rank, 0), results.length)),
+    results
+  };
+}
+
+/**
+ * A check passes when the current fact is active and the superseded one
+ * is inactive ("supersede"), or both are active with a pending
+ * contradiction between them ("pending")
+ * @param {Array} memories - everything stored, with is_active
+ */
+export function scoreContradictions(checks, memories, pendingContradictions) {
+  const results = checks.map(check => {
+    const current = memories.filter(m => matchesKeywords(m, check.current));
+    const superseded = memories.filter(m => matchesKeywords(m, check.superseded));
+    const fail = reason => ({ id: check.id, passed: false, reason });
+
+    if (!current.some(m => m.is_active)) return fail("current fact is not stored or not active");
+    if (superseded.length === 0) return fail("superseded fact was never stored");
+
+    if (check.resolution === "pending") {
+      const ids = new Set(superseded.map(m => m.id));
+      const currentIds = new Set(current.map(m => m.id));
+      const flagged = pendingContradictions.some(c =>
+        (currentIds.has(c.memory_a) && ids.has(c.memory_b)) ||
+        (currentIds.has(c.memory_b) && ids.has(c.memory_a))
+      );
+      return flagged ? { id: check.id, passed: true, reason: null } : fail("no pending contradiction recorded");
+    }
+
+    if (superseded.some(m => m.is_active)) return fail("superseded fact is still active");
+    return { id: check.id, passed: true, reason: null };
+  });
+
+  const passed = results.filter(r => r.passed).length;
+
+  return {
+    total: results.length,
+    passed,
+    rate: round(ratio(passed, results.length)),
+    results
+  };
+}
+
+// ===========================================
+// REPLAY
+// ===========================================
+
+/**
+ * Replay a scenario for userId on the current storage backend and score it
+ */
+export async function runScenario(scenario, { userId, k = config.RETRIEVAL_K }) {
+  const errors = [];
+  let turns = 0;
+
+  for (const [sessionIndex, session] of scenario.sessions.entries()) {
+    const conversation = await ensureConversation(null, userId, session[0].user);
+
+    for (const [turnIndex, turn] of session.entries()) {
+      turns++;
+
+      // Same phases as POST /chat, with the scripted reply in place of the Interaction LLM
+      await extractAndStoreInstant(turn.user, userId);
+      const retrieved = await retrieveMemories({ queryText: turn.user, userId });
+      await appendMessage(conversation.id, "user", turn.user, userId);
+      await appendMessage(conversation.id, "assistant", turn.assistant, userId);
+
+      try {
+        await processMemory(turn.user, turn.assistant, retrieved, conversation.id, userId);
+      } catch (err) {
+        errors.push({ session: sessionIndex + 1, turn: turnIndex + 1, error: err.message });
+      }
+    }
+  }
+
+  const memories = await getAllMemories({ includeInactive: true, userId });
+  const pending = await getPendingContradictions(userId);
+
+  // Probes don't go through retrieveMemories, which would reinforce
+  // the memories it returns and skew later probes
+  const rankings = [];
+  for (const probe of scenario.probes) {
+    rankings.push(await retrieveWithSpreadingActivation({ queryText: probe.question, k, userId }));
+  }
+
+  return {
+    name: scenario.name,
+    sessions: scenario.sessions.length,
+    turns,
+    errors,
+    extraction: scoreExtraction(memories, scenario.expected_facts),
+    retrieval: scoreRetrieval(scenario.probes, rankings, k),
+    contradictions: scoreContradictions(scenario.contradictions, memories, pending)
+  };
+}
+
+/**
+ * Temporarily override numeric config values (e.g. CONTRADICTION_THRESHOLD)
+ * @returns {Function} restores the previous values
+ */
+export function applyConfigOverrides(overrides) {
+  const previous = {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (typeof config[key] !== "number") {
+      throw new Error(`Cannot override ${key}: not a numeric setting`);
+    }
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      throw new Error(`Override for ${key} must be a number`);
+    }
+    previous[key] = config[key];
+    config[key] = value;
+  }
+
+  return () => Object.assign(config, previous);
+}
+
+/**
+ * Micro-averaged totals across scenarios
+ */
+function summarize(results) {
+  const sum = (pick) => results.reduce((total, r) => total + pick(r), 0);
+
+  const stored = sum(r => r.extraction.stored);
+  const relevant = sum(r => r.extraction.stored - r.extraction.unexpected.length);
+  const precision = ratio(relevant, stored);
+  const recall = ratio(sum(r => r.extraction.found), sum(r => r.extraction.expected));
+  const probes = sum(r => r.retrieval.probes);
+  const checks = sum(r => r.contradictions.total);
+
+  return {
+    extraction: {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(precision !== null && recall !== null && precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : null),
+      duplicates: sum(r => r.extraction.duplicates)
+    },
+    retrieval: {
+      k: config.RETRIEVAL_K,
+      recall_at_k: round(ratio(sum(r => r.retrieval.hits), probes)),
+      mrr: round(ratio(sum(r => r.retrieval.mrr * r.retrieval.probes), probes))
+    },
+    contradictions: {
+      passed: sum(r => r.contradictions.passed),
+      total: checks,
+      rate: round(ratio(sum(r => r.contradictions.passed), checks))
+    },
+    errors: sum(r => r.errors.length)
+  };
+}
+
+/**
+ * Run scenarios and build a report
+ * @param {object} options
+ * @param {Array} options.scenarios - from loadScenarios()
+ * @param {object} [options.overrides] - config values for this run
+ * @param {boolean} [options.freshStore=true] - a new in-memory store per
+ *   scenario; false runs on the current backend as a throwaway user
+ *   that is purged afterwards
+ * @param {object} [options.describe] - extra settings to record (models, routes)
+ * @param {Function} [options.onScenario] - called with each scenario's result
+ */
+export async function runEval({ scenarios, overrides = {}, freshStore = true, describe = {}, onScenario }) {
+  const restore = applyConfigOverrides(overrides);
+
+  try {
+    const results = [];
+
+    for (const scenario of scenarios) {
+      const userId = `eval-${scenario.name}-${randomUUID().substring(0, 8)}`;
+
+      if (freshStore) {
+        setStorage(new InMemoryBackend());
+      }
+
+      try {
+        const result = await runScenario(scenario, { userId, k: config.RETRIEVAL_K });
+        results.push(result);
+        onScenario?.(result);
+      } finally {
+        if (!freshStore) {
+          await purgeUser(userId, { reason: "eval run" });
+        }
+      }
+    }
+
+    return {
+      generated_at: new Date().toISOString(),
+      settings: {
+        ...Object.fromEntries(TUNABLE_SETTINGS.map(key => [key, config[key]])),
+        ...overrides,
+        storage: freshStore ? "memory" : getStorage().name,
+        ...describe
+      },
+      summary: summarize(results),
+      scenarios: results
+    };
+  } finally {
+    restore();
+  }
+}
+
+// ===========================================
+// MARKDOWN REPORT
+// ===========================================
+
+const format = value => (value === null || value === undefined ? "–" : String(value));
+
+function delta(value, baseline) {
+  if (value === null || baseline === null || baseline === undefined) return "";
+  const diff = round(value - baseline);
+  if (diff === 0) return "=";
+  return diff > 0 ? `+${diff}` : String(diff);
+}
+
+/**
+ * Human-readable report; with a baseline report, the summary shows deltas
+ */
+export function formatMarkdownReport(report, baseline = null) {
+  const { summary, settings } = report;
+  const base = baseline?.summary;
+  const lines = ["# Memory Evaluation Report", ""];
+
+  for (const [key, value] of Object.entries(settings)) {
+    lines.push(`- **${key}**: ${typeof value === "object" ? JSON.stringify(value) : value}`);
+  }
+
+  const rows = [
+    ["Extraction precision", summary.extraction.precision, base?.extraction.precision],
+    ["Extraction recall", summary.extraction.recall, base?.extraction.recall],
+    ["Extraction F1", summary.extraction.f1, base?.extraction.f1],
+    ["Duplicate memories", summary.extraction.duplicates, base?.extraction.duplicates],
+    [`Retrieval recall@${summary.retrieval.k}`, summary.retrieval.recall_at_k, base?.retrieval.recall_at_k],
+    ["Retrieval MRR", summary.retrieval.mrr, base?.retrieval.mrr],
+    ["Contradictions handled", summary.contradictions.rate, base?.contradictions.rate],
+    ["Pipeline errors", summary.errors, base?.errors]
+  ];
+
+  lines.push("", "## Summary", "");
+  if (base) {
+    lines.push("| Metric | Value | Baseline | Δ |", "|---|---|---|---|");
+    for (const [label, value, previous] of rows) {
+      lines.push(`| ${label} | ${format(value)} | ${format(previous)} | ${delta(value, previous)} |`);
+    }
+  } else {
+    lines.push("| Metric | Value |", "|---|---|");
+    for (const [label, value] of rows) {
+      lines.push(`| ${label} | ${format(value)} |`);
+    }
+  }
+
+  lines.push(
+    "",
+    "## Scenarios",
+    "",
+    "| Scenario | Turns | Stored | Precision | Recall | Recall@k | MRR | Contradictions | Errors |",
+    "|---|---|---|---|---|---|---|---|---|"
+  );
+  for (const r of report.scenarios) {
+    lines.push(
+      `| ${r.name} | ${r.turns} | ${r.extraction.stored} | ${format(r.extraction.precision)} | ` +
+      `${format(r.extraction.recall)} | ${format(r.retrieval.recall_at_k)} | ${format(r.retrieval.mrr)} | ` +
+      `${r.contradictions.passed}/${r.contradictions.total} | ${r.errors.length} |`
+    );
+  }
+
+  const details = [];
+  for (const r of report.scenarios) {
+    const items = [
+      ...r.extraction.missed.map(id => `- Missed fact: \`${id}\``),
+      ...r.extraction.unexpected.map(summary => `- Unexpected memory: "${summary}"`),
+      ...r.retrieval.results.filter(p => p.rank === null).map(p => `- Probe missed: "${p.question}"`),
+      ...r.contradictions.results.filter(c => !c.passed).map(c => `- Contradiction \`${c.id}\`: ${c.reason}`),
+      ...r.errors.map(e => `- Error in session ${e.session}, turn ${e.turn}: ${e.error}`)
+    ];
+    if (items.length > 0) {
+      details.push("", `### ${r.name}`, "", ...items);
+    }
+  }
+
+  if (details.length > 0) {
+    lines.push("", "## Details", ...details);
+  }
+
+  return lines.join("\n") + "\n";
+}
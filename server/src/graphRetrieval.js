@@ -1,11 +1,9 @@
 // MeaningMemory V3 - Graph-Based Retrieval
 // Implements spreading activation for semantic priming
 
-import pg from "pg";
 import { config } from "./config.js";
 import { embedText } from "./embeddings.js";
-
-const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+import { getStorage } from "./storage/index.js";
 
 /**
  * Enhanced retrieval with spreading activation
@@ -19,44 +17,29 @@ export async function retrieveWithSpreadingActivation({
   queryText, 
   k = config.RETRIEVAL_K,
   depth = config.SPREADING_DEPTH,
-  spreadingDecay = config.SPREADING_DECAY
+  spreadingDecay = config.SPREADING_DECAY,
+  userId = config.DEFAULT_USER_ID
 }) {
   // Step 1: Get embedding for query
   const embedding = await embedText(queryText);
-  const vectorStr = `[${embedding.join(",")}]`;
   
   // Step 2: Direct vector + keyword search (base scores)
-  const directResults = await pool.query(`
-    SELECT 
-      m.id, 
-      m.summary, 
-      m.entities, 
-      m.facts,
-      m.structured_facts,
-      m.tier,
-      m.confidence,
-      m.current_importance,
-      m.access_count,
-      (0.6 * (1 - (m.embedding <=> $1::vector))) +
-      (0.2 * COALESCE(ts_rank(to_tsvector('english', m.summary), plainto_tsquery('english', $3)), 0)) +
-      (0.2 * (m.current_importance / 10.0))
-      AS base_score
-    FROM memory_units m
-    WHERE m.is_active = true
-    ORDER BY base_score DESC
-    LIMIT $2
-  `, [vectorStr, k * 2, queryText]);  // Get 2x for spreading
-  
-  if (directResults.rows.length === 0) {
+  const directResults = await getStorage().searchMemories(userId, {
+    embedding,
+    queryText,
+    limit: k * 2  // Get 2x for spreading
+  });
+  
+  if (directResults.length === 0) {
     return [];
   }
   
   // Step 3: Spreading activation through relations
-  const directIds = directResults.rows.map(r => r.id);
+  const directIds = directResults.map(r => r.id);
   const spreadScores = new Map();
   
   // Initialize with direct scores
-  for (const row of directResults.rows) {
+  for (const row of directResults) {
     spreadScores.set(row.id, {
       memory: row,
       score: row.base_score,
@@ -66,7 +49,7 @@ export async function retrieveWithSpreadingActivation({
   
   // Spread activation through graph
   if (depth > 0) {
-    await spreadActivation(directIds, spreadScores, vectorStr, depth, spreadingDecay);
+    await spreadActivation(directIds, spreadScores, embedding, depth, spreadingDecay, userId);
   }
   
   // Step 4: Combine and rank
@@ -84,38 +67,18 @@ export async function retrieveWithSpreadingActivation({
 /**
  * Spread activation to related memories
  */
-async function spreadActivation(sourceIds, scoreMap, queryVector, depth, decay) {
+async function spreadActivation(sourceIds, scoreMap, queryEmbedding, depth, decay, userId) {
   if (depth <= 0 || sourceIds.length === 0) return;
   
   // Find related memories
-  const relations = await pool.query(`
-    SELECT 
-      r.source_id,
-      r.target_id,
-      r.relation_type,
-      r.weight,
-      m.id,
-      m.summary,
-      m.entities,
-      m.facts,
-      m.structured_facts,
-      m.tier,
-      m.confidence,
-      m.current_importance,
-      m.access_count,
-      1 - (m.embedding <=> $1::vector) as similarity
-    FROM memory_relations r
-    JOIN memory_units m ON (
-      (r.source_id = ANY($2) AND m.id = r.target_id) OR
-      (r.target_id = ANY($2) AND m.id = r.source_id AND r.bidirectional = true)
-    )
-    WHERE m.is_active = true
-      AND m.id != ALL($2)
-  `, [queryVector, sourceIds]);
+  const relations = await getStorage().getActivatedNeighbors(userId, {
+    sourceIds,
+    embedding: queryEmbedding
+  });
   
   const newIds = [];
   
-  for (const rel of relations.rows) {
+  for (const rel of relations) {
     const spreadScore = rel.similarity * rel.weight * decay;
     
     if (scoreMap.has(rel.id)) {
@@ -146,55 +109,52 @@ async function spreadActivation(sourceIds, scoreMap, queryVector, depth, decay)
   
   // Recurse with reduced depth
   if (newIds.length > 0) {
-    await spreadActivation(newIds, scoreMap, queryVector, depth - 1, decay * decay);
+    await spreadActivation(newIds, scoreMap, queryEmbedding, depth - 1, decay * decay, userId);
   }
 }
 
 /**
  * Create a relation between two memories
+ * Both memories must belong to userId - cross-user edges are never created
+ * Pass a transaction as db to create the edge inside it
+ * Returns { id, inserted } (inserted is false when the edge existed)
  */
-export async function createRelation(sourceId, targetId, relationType, weight = 1.0, bidirectional = true) {
-  await pool.query(`
-    INSERT INTO memory_relations (source_id, target_id, relation_type, weight, bidirectional)
-    VALUES ($1, $2, $3, $4, $5)
-    ON CONFLICT (source_id, target_id, relation_type) 
-    DO UPDATE SET weight = GREATEST(memory_relations.weight, $4)
-  `, [sourceId, targetId, relationType, weight, bidirectional]);
+export async function createRelation(sourceId, targetId, relationType, weight = 1.0, bidirectional = true, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  return db.upsertRelation(userId, {
+    sourceId,
+    targetId,
+    relationType,
+    weight,
+    bidirectional
+  });
 }
 
 /**
  * Auto-discover relations between memories based on entity overlap
  */
-export async function discoverRelations(memoryId) {
-  const memory = await pool.query(`
-    SELECT * FROM memory_units WHERE id = $1
-  `, [memoryId]);
+export async function discoverRelations(memoryId, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  const memory = await db.getMemory(userId, memoryId);
   
-  if (!memory.rows[0]) return [];
+  if (!memory) return [];
   
-  const entities = memory.rows[0].entities || [];
+  const entities = memory.entities || [];
   if (entities.length === 0) return [];
   
   // Find memories with overlapping entities
-  const related = await pool.query(`
-    SELECT id, entities, summary
-    FROM memory_units
-    WHERE id != $1
-      AND is_active = true
-      AND entities && $2  -- Array overlap
-    LIMIT 10
-  `, [memoryId, entities]);
+  const related = await db.findMemoriesSharingEntities(userId, memoryId, entities, { limit: 10 });
   
   const newRelations = [];
   
-  for (const rel of related.rows) {
+  for (const rel of related) {
     // Calculate overlap weight
     const overlap = entities.filter(e => rel.entities.includes(e)).length;
     const weight = overlap / Math.max(entities.length, rel.entities.length);
     
     if (weight >= 0.3) {  // Minimum overlap threshold
-      await createRelation(memoryId, rel.id, "related_to", weight, true);
+      const relation = await createRelation(memoryId, rel.id, "related_to", weight, true, userId, db);
       newRelations.push({
+        relationId: relation?.id ?? null,
+        inserted: relation?.inserted ?? false,
         targetId: rel.id,
         targetSummary: rel.summary,
         weight
@@ -208,28 +168,15 @@ export async function discoverRelations(memoryId) {
 /**
  * Get all relations for a memory
  */
-export async function getMemoryRelations(memoryId) {
-  const result = await pool.query(`
-    SELECT 
-      r.*,
-      m.summary as related_summary
-    FROM memory_relations r
-    JOIN memory_units m ON (
-      (r.source_id = $1 AND m.id = r.target_id) OR
-      (r.target_id = $1 AND m.id = r.source_id AND r.bidirectional = true)
-    )
-    WHERE m.is_active = true
-    ORDER BY r.weight DESC
-  `, [memoryId]);
-  
-  return result.rows;
+export async function getMemoryRelations(memoryId, userId = config.DEFAULT_USER_ID) {
+  return getStorage().listRelationsForMemory(userId, memoryId);
 }
 
 /**
  * Simple retrieval (for backwards compatibility)
  * Uses spreading activation under the hood
  */
-export async function retrieveMemories({ queryText, k = config.RETRIEVAL_K }) {
-  return retrieveWithSpreadingActivation({ queryText, k });
+export async function retrieveMemories({ queryText, k = config.RETRIEVAL_K, userId = config.DEFAULT_USER_ID }) {
+  return retrieveWithSpreadingActivation({ queryText, k, userId });
 }
 
@@ -15,26 +15,75 @@ import { dirname, resolve } from "path";
 
 // Core modules
 import { initEmbedder } from "./embeddings.js";
-import { retrieveMemories, insertMemoryUnit, getUserPreferences, getMemoryStats, getAllMemories, getAllEntities } from "./memoryStore.js";
-import { runMemoryAgent } from "./memoryAgent.js";
+import { ensureEmbeddingIndexCurrent } from "./reembedService.js";
+import { retrieveMemories, insertMemoryUnit, getUserPreferences, getMemoryStats, getAllMemories, getAllEntities, getMemoryById, updateMemoryUnit, deactivateMemory } from "./memoryStore.js";
+import { MemoryCreateSchema, MemoryUpdateSchema, WebhookCreateSchema, WebhookUpdateSchema, ApiKeyCreateSchema, ChatRequestSchema, ContradictionResolveSchema, EntityUpdateSchema, EntityAliasSchema, EntityMergeSchema, EntityMatchAcceptSchema, EntityMatchStatusSchema, EntityTypeSchema } from "./schemas.js";
+import { enforceConfidenceBounds } from "./beliefTiering.js";
+import { extractAndStoreInstant } from "./instantExtraction.js";
 import { runResponseAgentStreaming } from "./responseAgent.js";
+import { ensureConversation, appendMessage, getRecentMessages, listConversations, getConversation } from "./conversationStore.js";
 
 // V3 Intelligence modules
 import { startDecayService, runDecayUpdate } from "./decayService.js";
+import { enqueueMemoryExtraction, startJobWorker, stopJobWorker, getJobs, getJob, retryJob, JOB_STATUSES } from "./jobQueue.js";
+import { subscribeEvents, waitForEvent, lastEventId, EVENT_TYPES } from "./memoryEvents.js";
+import { createWebhook, listWebhooks, getWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries, startWebhookDispatcher } from "./webhooks.js";
 import { getPendingContradictions, resolveContradiction } from "./contradictionDetector.js";
 import { getMemoriesForEntity, confirmEntity } from "./entityResolver.js";
+import { getEntity, editEntity, addAlias, removeAlias, mergeEntities, listEntityEdits, undoEntityEdit } from "./entityEditor.js";
+import { listEntityMatches, acceptEntityMatch, rejectEntityMatch } from "./entityMatcher.js";
+import { startEntityClassifier } from "./entityClassifier.js";
 import { getMemoryRelations } from "./graphRetrieval.js";
+import { purgeMemory, purgeEntity, purgeUser, getPurgeReceipts } from "./purgeService.js";
+import { exportBundle, parseBundle, importBundle } from "./bundle.js";
+import { authenticateToken, hasScope, createApiKey, listApiKeys, revokeApiKey } from "./auth.js";
 
 // V3-L: Local LLM support
-import { checkOllamaHealth, isOllamaAvailable } from "./llm.js";
+import { checkLLMHealth, describeLLMRoutes, canAffordRole } from "./llm.js";
+import { getBudgetStatus, getUsageReport } from "./llmUsage.js";
+import { RateLimiter, takeRateLimits } from "./rateLimit.js";
+import { McpSession } from "./mcpServer.js";
+import { getStorage } from "./storage/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const clientPath = resolve(__dirname, "../../client");
 
+/**
+ * CORS_ORIGINS: "*" allows any origin, a comma list allows those,
+ * unset allows none (same-origin requests need no CORS)
+ */
+function corsOptions() {
+  const origins = config.CORS_ORIGINS.split(",").map(o => o.trim()).filter(Boolean);
+  if (origins.includes("*")) {
+    return { origin: true };
+  }
+  return { origin: origins.length > 0 ? origins : false };
+}
+
+/**
+ * Whether a browser request's Origin is this server or one CORS allows
+ * (requests without an Origin header are not from a browser page)
+ */
+function isAllowedOrigin(req) {
+  const origin = req.get("Origin");
+  if (!origin) return true;
+
+  const { origin: allowed } = corsOptions();
+  if (allowed === true || (Array.isArray(allowed) && allowed.includes(origin))) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === req.get("Host");
+  } catch {
+    return false;
+  }
+}
+
 const app = express();
 app.use(express.json());
-app.use(cors());
+app.use(cors(corsOptions()));
 
 // Serve static files
 app.use(express.static(clientPath));
@@ -43,21 +92,143 @@ app.get("/", (req, res) => {
   res.sendFile(resolve(clientPath, "index.html"));
 });
 
+// ===========================================
+// AUTHENTICATION & USER SCOPING (Multi-user isolation)
+// ===========================================
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@:-]{1,128}$/;
+
+/**
+ * Resolve which user (tenant) a request acts for
+ * Checked in order: X-User-Id header, body.user_id, ?user_id=
+ * Returns null if an identifier was given but is malformed
+ */
+function resolveUserId(req, fallback = config.DEFAULT_USER_ID) {
+  const candidate = req.get("X-User-Id") ?? req.body?.user_id ?? req.query?.user_id;
+  
+  if (candidate === undefined || candidate === null || candidate === "") {
+    return fallback;
+  }
+  
+  if (typeof candidate !== "string" || !USER_ID_PATTERN.test(candidate)) {
+    return null;
+  }
+  
+  return candidate;
+}
+
+/**
+ * Token from "Authorization: Bearer", X-API-Key, or ?access_token=
+ * (only on GET /events: EventSource cannot send headers)
+ */
+function extractToken(req) {
+  const header = req.get("Authorization");
+  if (header?.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  return req.get("X-API-Key") ?? (req.path === "/events" ? req.query?.access_token : undefined);
+}
+
+app.use(async (req, res, next) => {
+  req.auth = null;
+
+  if (config.AUTH_MODE === "required") {
+    try {
+      req.auth = await authenticateToken(extractToken(req));
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (!req.auth) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="meaningmemory"');
+      return res.status(401).json({ error: "Missing or invalid API key" });
+    }
+  }
+
+  // A key acts for its own user; only ADMIN_TOKEN may pick one
+  const userId = resolveUserId(req, req.auth?.userId ?? config.DEFAULT_USER_ID);
+  if (!userId) {
+    return res.status(400).json({ error: "Invalid user id" });
+  }
+  if (req.auth?.userId && userId !== req.auth.userId) {
+    return res.status(403).json({ error: "This API key belongs to another user" });
+  }
+  req.userId = userId;
+
+  // body.user_id only picks the tenant; the strict body schemas reject it
+  if (req.body && typeof req.body === "object" && !Array.isArray(req.body)) {
+    delete req.body.user_id;
+  }
+  next();
+});
+
+/**
+ * Route guard: the request's key must hold scope (no-op with AUTH_MODE=off)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.auth && !hasScope(req.auth, scope)) {
+      return res.status(403).json({ error: `This API key lacks the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+// ===========================================
+// RATE LIMITS & BUDGETS
+// ===========================================
+
+const chatLimiters = {
+  user: new RateLimiter({ limit: config.CHAT_RATE_LIMIT_PER_USER }),
+  global: new RateLimiter({ limit: config.CHAT_RATE_LIMIT_GLOBAL })
+};
+
+/**
+ * Per-user and global request limits for /chat (429 + Retry-After)
+ */
+function chatRateLimit(req, res, next) {
+  const waitMs = takeRateLimits([
+    [chatLimiters.user, req.userId],
+    [chatLimiters.global, "*"]
+  ]);
+
+  if (waitMs > 0) {
+    res.setHeader("Retry-After", Math.ceil(waitMs / 1000));
+    return res.status(429).json({ error: "Too many chat requests, slow down" });
+  }
+  next();
+}
+
 // ===========================================
 // MAIN CHAT ENDPOINT (Streaming)
 // ===========================================
 
-app.post("/chat", async (req, res) => {
+app.post("/chat", requireScope("chat"), chatRateLimit, async (req, res) => {
   try {
-    const userText = req.body?.message;
-    const conversationId = req.body?.conversation_id;
+    const parsed = ChatRequestSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid chat request", issues: parsed.error.issues });
+    }
+
+    const { message: userText, conversation_id: conversationId, wait_for_memory: waitForMemory } = parsed.data;
+    const userId = req.userId;
+    
+    // Over the daily budget with no unpriced model to answer instead
+    if (!(await canAffordRole("interaction", userId))) {
+      const budget = await getBudgetStatus(userId);
+      const waitSec = Math.ceil((new Date(budget.resets_at) - Date.now()) / 1000);
+      res.setHeader("Retry-After", waitSec);
+      return res.status(429).json({ error: "Daily LLM budget exhausted", budget });
+    }
     
-    if (!userText || typeof userText !== "string") {
-      return res.status(400).json({ error: "Missing or invalid 'message' field" });
+    // Conversation transcript (short-term context)
+    const conversation = await ensureConversation(conversationId, userId, userText);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
     }
 
     console.log(`\n${"=".repeat(50)}`);
-    console.log(`[Chat] User: ${userText}`);
+    console.log(`[Chat] User (${userId}): ${userText}`);
 
     // Set up SSE headers
     res.setHeader("Content-Type", "text/event-stream");
@@ -67,55 +238,76 @@ app.post("/chat", async (req, res) => {
 
     // Phase 0: INSTANT PATTERN EXTRACTION (no LLM, immediate)
     // This stores critical info BEFORE we even respond
-    const instantResult = await extractAndStoreInstant(userText);
+    const instantResult = await extractAndStoreInstant(userText, userId);
     if (instantResult.stored) {
       console.log(`[Phase 0] ⚡ Instant stored: "${instantResult.summary}"`);
     }
 
     // Phase 1: RETRIEVAL (Enhanced with spreading activation)
     console.log("\n[Phase 1] Retrieving memories...");
-    const memories = await retrieveMemories({ queryText: userText });
+    const memories = await retrieveMemories({ queryText: userText, userId });
     console.log(`[Phase 1] Found ${memories.length} memories`);
     
     // Also get user preferences for context
-    const preferences = await getUserPreferences({});
+    const preferences = await getUserPreferences({ userId });
     console.log(`[Phase 1] Found ${preferences.length} preferences`);
+    
+    // Recent turns of this conversation (before storing the current message)
+    const history = await getRecentMessages(conversation.id, config.CONVERSATION_HISTORY_TURNS, userId);
+    await appendMessage(conversation.id, "user", userText, userId);
+    console.log(`[Phase 1] Using ${history.length} history messages`);
 
     // Phase 2: RESPONSE GENERATION (Streaming)
     console.log("\n[Phase 2] Generating response...");
     const stream = await runResponseAgentStreaming({ 
       userText, 
       retrievedMemories: memories,
-      preferences 
+      preferences,
+      history,
+      userId
     });
     
     let fullReply = "";
     
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || "";
-      if (content) {
-        fullReply += content;
-        res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
-      }
+    for await (const content of stream) {
+      fullReply += content;
+      res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
     }
 
     console.log("[Phase 2] Stream complete");
+    
+    await appendMessage(conversation.id, "assistant", fullReply, userId);
 
-    // Signal stream complete and END IMMEDIATELY
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    res.end();
+    // Phase 3 & 4: MEMORY EXTRACTION + STORAGE (background job)
+    // Queued before the stream ends so the turn survives a restart;
+    // the job worker runs it, the user doesn't wait
+    const since = lastEventId();
+    let job = null;
+    try {
+      job = await enqueueMemoryExtraction({
+        userText,
+        assistantText: fullReply,
+        retrievedMemories: memories,
+        conversationId: conversation.id
+      }, userId);
+      console.log(`[Jobs] Queued memory extraction ${job.id}`);
+    } catch (err) {
+      console.error("[Jobs] Could not queue memory extraction:", err.message);
+    }
+
+    // Signal stream complete
+    res.write(`data: ${JSON.stringify({ done: true, conversation_id: conversation.id })}\n\n`);
 
-    // Phase 3 & 4: MEMORY EXTRACTION + STORAGE (True Background - fire and forget)
-    // This runs after response is sent, user doesn't wait
-    processMemoryAsync(userText, fullReply, memories, conversationId)
-      .then(result => {
-        if (result.stored) {
-          console.log(`[Background] Memory stored: "${result.summary}"`);
-        }
-      })
-      .catch(err => {
-        console.error("[Background Memory] Error:", err.message);
-      });
+    // wait_for_memory: keep the stream open until the job reports back
+    if (waitForMemory && job) {
+      const outcome = await waitForEvent(userId, event =>
+        event.data?.job_id === job.id && (event.type === "job.completed" || event.data.dead),
+        { timeoutMs: config.CHAT_MEMORY_WAIT_MS, since }
+      );
+      res.write(`data: ${JSON.stringify({ memory: describeMemoryOutcome(job.id, outcome) })}\n\n`);
+    }
+
+    res.end();
 
   } catch (err) {
     console.error("[Chat] Error:", err);
@@ -128,192 +320,380 @@ app.post("/chat", async (req, res) => {
   }
 });
 
+/**
+ * Final chat frame for wait_for_memory
+ * status: "completed" (result of the extraction), "failed" (dead-letter)
+ * or "pending" (still queued or retrying - poll GET /jobs/:id)
+ */
+function describeMemoryOutcome(jobId, event) {
+  if (!event) {
+    return { job_id: jobId, status: "pending" };
+  }
+  if (event.type === "job.completed") {
+    return { job_id: jobId, status: "completed", ...event.data.result };
+  }
+  return { job_id: jobId, status: "failed", error: event.data.error };
+}
+
 // ===========================================
-// INSTANT PATTERN EXTRACTION (No LLM - Immediate)
+// V3 API ENDPOINTS
 // ===========================================
 
-// Patterns for instant extraction
-const NAME_PATTERNS = [
-  /(?:my name is|i am|i'm|call me)\s+([A-Z][a-z]+)/i,
-  /(?:this is)\s+([A-Z][a-z]+)\s+(?:speaking|here)/i
-];
+// Get all memories
+app.get("/memories", requireScope("memories:read"), async (req, res) => {
+  try {
+    const includeInactive = req.query.inactive === "true";
+    const memories = await getAllMemories({ includeInactive, userId: req.userId });
+    res.json(memories);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-const PREFERENCE_PATTERNS = [
-  { pattern: /i (?:love|really love|adore)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.9 },
-  { pattern: /i (?:like|enjoy|prefer)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.7 },
-  { pattern: /i (?:hate|really hate|despise|can't stand)\s+(.+?)(?:\.|,|!|$)/i, valence: "negative", strength: 0.9 },
-  { pattern: /i (?:don't like|dislike)\s+(.+?)(?:\.|,|!|$)/i, valence: "negative", strength: 0.7 },
-  { pattern: /my favorite (?:is|are)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.85 }
-];
+// ===========================================
+// MEMORY CRUD
+// ===========================================
 
-async function extractAndStoreInstant(userText) {
-  const results = { stored: false, summary: "", type: null };
-  
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+// Create a memory (runs the full insert pipeline: contradictions, entities, relations)
+app.post("/memories", requireScope("memories:write"), async (req, res) => {
   try {
-    // Check for name
-    for (const pattern of NAME_PATTERNS) {
-      const match = userText.match(pattern);
-      if (match && match[1]) {
-        const name = match[1].trim();
-        // Skip common non-names
-        if (['here', 'there', 'fine', 'good', 'great', 'okay'].includes(name.toLowerCase())) continue;
-        
-        const mem = {
-          summary: `User's name is ${name}.`,
-          tier: "asserted_fact",
-          confidence: 0.95,
-          entities: [name],
-          facts: [`User's name is ${name}`],
-          importance: 8,
-          preferences: []
-        };
-        
-        await insertMemoryUnit(mem);
-        results.stored = true;
-        results.summary = mem.summary;
-        results.type = "name";
-        console.log(`[Instant] ⚡ Name extracted: ${name}`);
-        break;
-      }
+    const parsed = MemoryCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid memory", issues: parsed.error.issues });
+    }
+    
+    const mem = parsed.data;
+    mem.confidence = enforceConfidenceBounds(mem.tier, mem.confidence);
+    
+    const stored = await insertMemoryUnit(mem, req.userId);
+    console.log(`[API] Memory created: "${stored.summary}"`);
+    res.status(201).json(stored);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single memory
+app.get("/memories/:id", requireScope("memories:read"), async (req, res) => {
+  try {
+    const memory = UUID_PATTERN.test(req.params.id)
+      ? await getMemoryById(req.params.id, req.userId)
+      : null;
+    if (!memory) {
+      return res.status(404).json({ error: "Memory not found" });
+    }
+    res.json(memory);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit a memory (summary changes are re-embedded)
+app.patch("/memories/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Memory not found" });
     }
     
-    // Check for preferences
-    for (const { pattern, valence, strength } of PREFERENCE_PATTERNS) {
-      const match = userText.match(pattern);
-      if (match && match[1]) {
-        const entity = match[1].trim().replace(/\s+and\s+.*/, ''); // Take first item if "X and Y"
-        if (entity.length < 2 || entity.length > 50) continue;
-        
-        const mem = {
-          summary: `User ${valence === 'positive' ? 'likes' : 'dislikes'} ${entity}.`,
-          tier: "preference",
-          confidence: 0.85,
-          entities: [entity],
-          facts: [`User ${valence === 'positive' ? 'likes' : 'dislikes'} ${entity}`],
-          importance: 6,
-          preferences: [{ entity, valence, strength }]
-        };
-        
-        await insertMemoryUnit(mem);
-        results.stored = true;
-        results.summary = mem.summary;
-        results.type = "preference";
-        console.log(`[Instant] ⚡ Preference extracted: ${valence} ${entity}`);
-        
-        // Check for "and" to extract multiple preferences
-        const andMatch = userText.match(new RegExp(pattern.source.replace('(.+?)', '.+?\\s+and\\s+(.+?)'), 'i'));
-        if (andMatch && andMatch[1]) {
-          const entity2 = andMatch[1].trim();
-          // Detect if second item has opposite valence (e.g., "love X and hate Y")
-          const hateMatch = userText.match(/(?:hate|dislike|don't like)\s+(.+?)(?:\.|,|!|$)/i);
-          if (hateMatch) {
-            const hatedEntity = hateMatch[1].trim();
-            const mem2 = {
-              summary: `User dislikes ${hatedEntity}.`,
-              tier: "preference",
-              confidence: 0.85,
-              entities: [hatedEntity],
-              facts: [`User dislikes ${hatedEntity}`],
-              importance: 6,
-              preferences: [{ entity: hatedEntity, valence: "negative", strength: 0.8 }]
-            };
-            await insertMemoryUnit(mem2);
-            console.log(`[Instant] ⚡ Preference extracted: negative ${hatedEntity}`);
-          }
-        }
-        break;
+    const parsed = MemoryUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid memory update", issues: parsed.error.issues });
+    }
+    
+    const updated = await updateMemoryUnit(req.params.id, parsed.data, req.userId);
+    if (!updated) {
+      return res.status(404).json({ error: "Memory not found" });
+    }
+    console.log(`[API] Memory updated: ${req.params.id} (${Object.keys(parsed.data).join(", ")})`);
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a memory (hard purge with receipt; ?soft=true only deactivates,
+// ?include_transcript=true also deletes the conversation it came from)
+app.delete("/memories/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Memory not found" });
+    }
+    
+    if (req.query.soft === "true") {
+      const memory = await getMemoryById(req.params.id, req.userId);
+      if (!memory) {
+        return res.status(404).json({ error: "Memory not found" });
       }
+      await deactivateMemory(req.params.id, req.userId);
+      return res.json({ success: true, deleted: false, deactivated: true });
     }
     
+    const receipt = await purgeMemory(req.params.id, req.userId, {
+      includeTranscript: req.query.include_transcript === "true"
+    });
+    if (!receipt) {
+      return res.status(404).json({ error: "Memory not found" });
+    }
+    res.json({ success: true, deleted: true, receipt });
   } catch (err) {
-    console.error("[Instant] Error:", err.message);
+    res.status(500).json({ error: err.message });
   }
-  
-  return results;
-}
+});
 
 // ===========================================
-// BACKGROUND MEMORY PROCESSING (LLM-based)
+// PURGE (Right-to-be-forgotten)
 // ===========================================
 
-async function processMemoryAsync(userText, assistantText, retrievedMemories, conversationId) {
-  console.log("\n[Phase 3] Extracting memories...");
-  
-  // Phase 3: MEMORY EXTRACTION
-  const mem = await runMemoryAgent({ 
-    userText, 
-    assistantText, 
-    retrievedMemories 
-  });
-  
-  if (!mem.should_write) {
-    console.log("[Phase 3] Nothing to store");
-    return { stored: false };
+// Purge a memory and everything derived from it
+// (?include_transcript=true also deletes the conversation it came from)
+app.post("/purge/memories/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    const receipt = await purgeMemory(req.params.id, req.userId, {
+      reason: req.body?.reason,
+      includeTranscript: req.query.include_transcript === "true"
+    });
+    if (!receipt) {
+      return res.status(404).json({ error: "Memory not found" });
+    }
+    res.json(receipt);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Phase 4: STORAGE with all V3 enhancements
-  console.log("\n[Phase 4] Storing memory...");
-  
-  // Add conversation ID for provenance
-  mem.source_conversation_id = conversationId;
-  
-  const stored = await insertMemoryUnit(mem);
-  
-  console.log(`[Phase 4] Stored: "${stored.summary}"`);
-  console.log(`  Tier: ${stored.tier}, Confidence: ${stored.confidence}`);
-  console.log(`  Conflicts detected: ${stored.conflicts_detected}`);
-  console.log(`  Auto-resolved: ${stored.auto_resolved}`);
-  console.log(`  Preferences stored: ${stored.preferences_stored}`);
-  
-  return { 
-    stored: true, 
-    summary: stored.summary,
-    id: stored.id,
-    tier: stored.tier,
-    confidence: stored.confidence,
-    conflicts_detected: stored.conflicts_detected
-  };
-}
+// Purge an entity (by id or name) and every memory mentioning it
+app.post("/purge/entities/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    const receipt = await purgeEntity(req.params.id, req.userId, { reason: req.body?.reason });
+    if (!receipt) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    res.json(receipt);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Purge everything stored for the requesting user
+// Body must repeat the user id: { "confirm": "<user id>" }
+app.post("/purge/user", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (req.body?.confirm !== req.userId) {
+      return res.status(400).json({ error: "Set 'confirm' to the user id to purge all of its data" });
+    }
+    const receipt = await purgeUser(req.userId, { reason: req.body?.reason });
+    res.json(receipt);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List purge receipts
+app.get("/purge/receipts", requireScope("memories:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const receipts = await getPurgeReceipts(req.userId, { limit });
+    res.json(receipts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 // ===========================================
-// V3 API ENDPOINTS
+// EXPORT / IMPORT (Portable JSON Lines bundles)
 // ===========================================
 
-// Get all memories
-app.get("/memories", async (req, res) => {
+// Export the user's memory graph (?embeddings=true includes vectors)
+app.get("/export", requireScope("memories:read"), async (req, res) => {
   try {
-    const includeInactive = req.query.inactive === "true";
-    const memories = await getAllMemories({ includeInactive });
-    res.json(memories);
+    const includeEmbeddings = req.query.embeddings === "true";
+    
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.setHeader("Content-Disposition", `attachment; filename="meaningmemory-${req.userId}.jsonl"`);
+    
+    for await (const record of exportBundle(req.userId, { includeEmbeddings })) {
+      res.write(JSON.stringify(record) + "\n");
+    }
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Import a bundle into the user's memory graph (body: JSON Lines)
+app.post("/import", requireScope("memories:write"), express.text({ type: ["application/x-ndjson", "text/plain"], limit: "100mb" }), async (req, res) => {
+  try {
+    if (typeof req.body !== "string") {
+      return res.status(415).json({ error: "Send the bundle as application/x-ndjson" });
+    }
+    
+    let bundle;
+    try {
+      bundle = parseBundle(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const result = await importBundle(bundle, req.userId);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List conversations
+app.get("/conversations", requireScope("chat"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const conversations = await listConversations(req.userId, { limit });
+    res.json(conversations);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a conversation with its messages
+app.get("/conversations/:id", requireScope("chat"), async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.userId);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    res.json(conversation);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Get memory statistics
-app.get("/stats", async (req, res) => {
+app.get("/stats", requireScope("memories:read"), async (req, res) => {
   try {
-    const stats = await getMemoryStats();
+    const stats = await getMemoryStats(req.userId);
     res.json(stats);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all entities
-app.get("/entities", async (req, res) => {
+// Get all entities, optionally of one type (?type=person)
+app.get("/entities", requireScope("memories:read"), async (req, res) => {
   try {
-    const entities = await getAllEntities();
+    const type = req.query.type === undefined ? null : EntityTypeSchema.safeParse(req.query.type);
+    if (type && !type.success) {
+      return res.status(400).json({ error: "Invalid type", issues: type.error.issues });
+    }
+
+    const entities = await getAllEntities(req.userId, { type: type?.data ?? null });
     res.json(entities);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Get one entity
+app.get("/entities/:id", requireScope("memories:read"), async (req, res) => {
+  try {
+    const entity = UUID_PATTERN.test(req.params.id) ? await getEntity(req.params.id, req.userId) : null;
+    if (!entity) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    res.json(entity);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename an entity, change its type or description
+app.patch("/entities/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+
+    const parsed = EntityUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid entity update", issues: parsed.error.issues });
+    }
+
+    const result = await editEntity(req.params.id, parsed.data, req.userId);
+    if (!result) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    res.json({ entity: result.entity, edit_ids: result.edits.map(e => e.id) });
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// Add an alias to an entity
+app.post("/entities/:id/aliases", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+
+    const parsed = EntityAliasSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid alias", issues: parsed.error.issues });
+    }
+
+    const result = await addAlias(req.params.id, parsed.data.alias, req.userId);
+    if (!result) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    res.status(result.edit ? 201 : 200).json({ entity: result.entity, edit_id: result.edit?.id ?? null });
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// Remove an alias from an entity
+app.delete("/entities/:id/aliases/:alias", requireScope("memories:write"), async (req, res) => {
+  try {
+    const result = UUID_PATTERN.test(req.params.id)
+      ? await removeAlias(req.params.id, req.params.alias, req.userId)
+      : null;
+    if (!result) {
+      return res.status(404).json({ error: "Entity or alias not found" });
+    }
+    res.json({ entity: result.entity, edit_id: result.edit.id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Merge entities into this one: { "source_ids": [...] }
+app.post("/entities/:id/merge", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+
+    const parsed = EntityMergeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid merge", issues: parsed.error.issues });
+    }
+
+    const result = await mergeEntities(parsed.data.source_ids, req.params.id, req.userId);
+    if (!result) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    res.json({ entity: result.entity, edit_id: result.edit.id });
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
 // Get memories for an entity
-app.get("/entities/:id/memories", async (req, res) => {
+app.get("/entities/:id/memories", requireScope("memories:read"), async (req, res) => {
   try {
-    const result = await getMemoriesForEntity(req.params.id);
+    const result = await getMemoriesForEntity(req.params.id, req.userId);
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -321,21 +701,114 @@ app.get("/entities/:id/memories", async (req, res) => {
 });
 
 // Confirm an entity
-app.post("/entities/:id/confirm", async (req, res) => {
+app.post("/entities/:id/confirm", requireScope("memories:write"), async (req, res) => {
   try {
-    await confirmEntity(req.params.id);
+    await confirmEntity(req.params.id, req.userId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ===========================================
+// ENTITY EDIT LOG
+// ===========================================
+
+// Merges, renames and alias changes, newest first (?entity_id=&limit=)
+app.get("/entity-edits", requireScope("memories:read"), async (req, res) => {
+  try {
+    const entityId = req.query.entity_id;
+    if (entityId && !UUID_PATTERN.test(entityId)) {
+      return res.json([]);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const edits = await listEntityEdits(req.userId, { entityId: entityId || null, limit });
+    res.json(edits);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Undo an entity edit (409 if already undone or a later edit depends on it)
+app.post("/entity-edits/:id/undo", requireScope("memories:write"), async (req, res) => {
+  try {
+    const result = UUID_PATTERN.test(req.params.id)
+      ? await undoEntityEdit(req.params.id, req.userId)
+      : null;
+    if (!result) {
+      return res.status(404).json({ error: "Edit not found" });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// ENTITY MATCH REVIEW
+// ===========================================
+
+// Fuzzy entity matches waiting for the user (?status=pending|accepted|rejected)
+app.get("/entity-matches", requireScope("memories:read"), async (req, res) => {
+  try {
+    const status = EntityMatchStatusSchema.safeParse(req.query.status ?? "pending");
+    if (!status.success) {
+      return res.status(400).json({ error: "Invalid status", issues: status.error.issues });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const matches = await listEntityMatches(req.userId, { status: status.data, limit });
+    res.json(matches);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Same entity: merge the mention's entity into a candidate (best by default)
+app.post("/entity-matches/:id/accept", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+
+    const parsed = EntityMatchAcceptSchema.safeParse(req.body ?? {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid match acceptance", issues: parsed.error.issues });
+    }
+
+    const result = await acceptEntityMatch(req.params.id, parsed.data.entity_id, req.userId);
+    if (!result) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    res.json({ match: result.match, entity: result.entity, edit_id: result.edit.id });
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// Different entities: the mention keeps its own
+app.post("/entity-matches/:id/reject", requireScope("memories:write"), async (req, res) => {
+  try {
+    const match = UUID_PATTERN.test(req.params.id)
+      ? await rejectEntityMatch(req.params.id, req.userId)
+      : null;
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    res.json(match);
+  } catch (err) {
+    res.status(err.conflict ? 409 : 500).json({ error: err.message });
+  }
+});
+
 // Get user preferences
-app.get("/preferences", async (req, res) => {
+app.get("/preferences", requireScope("memories:read"), async (req, res) => {
   try {
     const preferences = await getUserPreferences({
       entity: req.query.entity,
-      valence: req.query.valence
+      valence: req.query.valence,
+      userId: req.userId
     });
     res.json(preferences);
   } catch (err) {
@@ -344,9 +817,9 @@ app.get("/preferences", async (req, res) => {
 });
 
 // Get memory relations
-app.get("/memories/:id/relations", async (req, res) => {
+app.get("/memories/:id/relations", requireScope("memories:read"), async (req, res) => {
   try {
-    const relations = await getMemoryRelations(req.params.id);
+    const relations = await getMemoryRelations(req.params.id, req.userId);
     res.json(relations);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -354,9 +827,9 @@ app.get("/memories/:id/relations", async (req, res) => {
 });
 
 // Get pending contradictions
-app.get("/contradictions", async (req, res) => {
+app.get("/contradictions", requireScope("memories:read"), async (req, res) => {
   try {
-    const contradictions = await getPendingContradictions();
+    const contradictions = await getPendingContradictions(req.userId);
     res.json(contradictions);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -364,19 +837,33 @@ app.get("/contradictions", async (req, res) => {
 });
 
 // Resolve a contradiction
-app.post("/contradictions/:id/resolve", async (req, res) => {
+app.post("/contradictions/:id/resolve", requireScope("memories:write"), async (req, res) => {
   try {
-    const { resolution, note } = req.body;
-    await resolveContradiction(req.params.id, resolution, note);
-    res.json({ success: true });
+    const parsed = ContradictionResolveSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid resolution", issues: parsed.error.issues });
+    }
+
+    const contradiction = UUID_PATTERN.test(req.params.id)
+      ? await resolveContradiction(req.params.id, parsed.data.resolution, parsed.data.note ?? null, req.userId)
+      : null;
+    if (!contradiction) {
+      return res.status(404).json({ error: "Contradiction not found" });
+    }
+    res.json({ success: true, contradiction });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Trigger decay update manually
-app.post("/decay/run", async (req, res) => {
+// Decay runs across all users, so a per-user key with the admin scope may not
+app.post("/decay/run", requireScope("admin"), async (req, res) => {
   try {
+    if (req.auth && req.auth.userId !== null) {
+      return res.status(403).json({ error: "Only ADMIN_TOKEN can run decay, which covers every user" });
+    }
+
     const result = await runDecayUpdate();
     res.json({ updated: result.length });
   } catch (err) {
@@ -384,6 +871,275 @@ app.post("/decay/run", async (req, res) => {
   }
 });
 
+// ===========================================
+// JOBS
+// ===========================================
+
+// Queue counts and recent jobs (?status=pending|running|completed|dead)
+app.get("/jobs", requireScope("memories:read"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(", ")}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(await getJobs({ status, limit }, req.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/jobs/:id", requireScope("memories:read"), async (req, res) => {
+  try {
+    const job = UUID_PATTERN.test(req.params.id)
+      ? await getJob(req.params.id, req.userId)
+      : null;
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Requeue a dead-letter job with a fresh set of attempts
+app.post("/jobs/:id/retry", requireScope("memories:write"), async (req, res) => {
+  try {
+    const job = UUID_PATTERN.test(req.params.id)
+      ? await getJob(req.params.id, req.userId)
+      : null;
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (job.status !== "dead") {
+      return res.status(409).json({ error: `Only dead jobs can be retried (status: ${job.status})` });
+    }
+
+    res.json(await retryJob(job.id, req.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// WEBHOOKS
+// ===========================================
+
+app.get("/webhooks", requireScope("memories:read"), async (req, res) => {
+  try {
+    res.json(await listWebhooks(req.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscribe a URL; the response carries the signing secret (shown once)
+app.post("/webhooks", requireScope("memories:write"), async (req, res) => {
+  try {
+    const parsed = WebhookCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid webhook", issues: parsed.error.issues });
+    }
+
+    res.status(201).json(await createWebhook(parsed.data, req.userId));
+  } catch (err) {
+    res.status(err.invalid ? 400 : 500).json({ error: err.message });
+  }
+});
+
+app.get("/webhooks/:id", requireScope("memories:read"), async (req, res) => {
+  try {
+    const webhook = UUID_PATTERN.test(req.params.id)
+      ? await getWebhook(req.params.id, req.userId)
+      : null;
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json(webhook);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit url/events/description, pause with active=false, or rotate_secret
+app.patch("/webhooks/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const parsed = WebhookUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid webhook update", issues: parsed.error.issues });
+    }
+
+    const webhook = await updateWebhook(req.params.id, parsed.data, req.userId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json(webhook);
+  } catch (err) {
+    res.status(err.invalid ? 400 : 500).json({ error: err.message });
+  }
+});
+
+app.delete("/webhooks/:id", requireScope("memories:write"), async (req, res) => {
+  try {
+    const deleted = UUID_PATTERN.test(req.params.id)
+      ? await deleteWebhook(req.params.id, req.userId)
+      : false;
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery log, most recent attempt first (?limit=50)
+app.get("/webhooks/:id/deliveries", requireScope("memories:read"), async (req, res) => {
+  try {
+    const webhook = UUID_PATTERN.test(req.params.id)
+      ? await getWebhook(req.params.id, req.userId)
+      : null;
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(await getWebhookDeliveries(webhook.id, req.userId, { limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// LLM USAGE & BUDGETS
+// ===========================================
+
+// Tokens and cost per day, role and model (?days=7), plus today's budgets
+app.get("/usage", requireScope("chat"), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    res.json(await getUsageReport(req.userId, { days }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// API KEYS (admin scope; a key manages its own user's keys)
+// ===========================================
+
+app.get("/keys", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await listApiKeys(req.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The plaintext key is only in this response
+app.post("/keys", requireScope("admin"), async (req, res) => {
+  try {
+    const parsed = ApiKeyCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Invalid API key", issues: parsed.error.issues });
+    }
+
+    const { name, scopes, expires_in_days } = parsed.data;
+    res.status(201).json(await createApiKey({ name, scopes, expiresInDays: expires_in_days }, req.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/keys/:id", requireScope("admin"), async (req, res) => {
+  try {
+    const key = UUID_PATTERN.test(req.params.id)
+      ? await revokeApiKey(req.params.id, req.userId)
+      : null;
+    if (!key) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    res.json(key);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// MODEL CONTEXT PROTOCOL (Streamable HTTP)
+// ===========================================
+
+// One JSON-RPC message (or batch) per POST, answered as JSON; sessions are
+// not kept between requests. Tools are limited to the key's scopes.
+app.post("/mcp", requireScope("memories:read"), async (req, res) => {
+  // Guards against DNS rebinding from pages in the user's browser
+  if (!isAllowedOrigin(req)) {
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+
+  try {
+    const session = new McpSession({ userId: req.userId, auth: req.auth });
+    const response = await session.handle(req.body);
+
+    if (!response) {
+      return res.status(202).end();
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// No server-initiated stream or session to end
+app.get("/mcp", (req, res) => {
+  res.setHeader("Allow", "POST");
+  res.status(405).json({ error: "Use POST for MCP requests" });
+});
+
+app.delete("/mcp", (req, res) => {
+  res.setHeader("Allow", "POST");
+  res.status(405).json({ error: "MCP sessions are not kept" });
+});
+
+// ===========================================
+// MEMORY EVENTS (SSE)
+// ===========================================
+
+// Live stream of the user's memory events (?types=memory.created,entity.created)
+// Reconnecting clients send Last-Event-ID (or ?since=) to replay what they missed
+app.get("/events", requireScope("memories:read"), (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(",") : null;
+  const unknown = types?.filter(t => !EVENT_TYPES.includes(t)) || [];
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown event types: ${unknown.join(", ")}` });
+  }
+
+  const since = parseInt(req.get("Last-Event-ID") ?? req.query.since);
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const unsubscribe = subscribeEvents(req.userId, event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }, { types, since: Number.isNaN(since) ? null : since });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), config.EVENT_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // ===========================================
 // STARTUP
 // ===========================================
@@ -396,21 +1152,45 @@ async function start() {
   
   console.log("[Config]");
   console.log(`  Port: ${config.PORT}`);
-  console.log(`  Database: ${config.DATABASE_URL.split("@")[1] || config.DATABASE_URL}`);
-  console.log(`  Embedding Model: ${config.EMBED_MODEL}`);
+  console.log(`  Storage: ${config.STORAGE_BACKEND}`);
+  if (config.STORAGE_BACKEND === "postgres") {
+    console.log(`  Database: ${config.DATABASE_URL.split("@")[1] || config.DATABASE_URL}`);
+  } else {
+    console.log("  ⚠️  In-memory storage - data is lost on restart");
+  }
+  console.log(`  Default User: ${config.DEFAULT_USER_ID}`);
+  if (!["off", "required"].includes(config.AUTH_MODE)) {
+    throw new Error(`Unknown AUTH_MODE "${config.AUTH_MODE}" (expected "off" or "required")`);
+  }
+  if (config.AUTH_MODE === "required") {
+    console.log(`  Auth: API keys required${config.ADMIN_TOKEN ? " (ADMIN_TOKEN set)" : ""}`);
+  } else {
+    console.log("  ⚠️  Auth off - every route is open to anyone who can reach the port");
+  }
+  console.log(`  Embeddings: ${config.EMBED_PROVIDER}/${config.EMBED_MODEL} (${config.EMBED_DIMENSIONS}d)`);
   console.log(`  Decay Rate: ${config.DECAY_RATE}/day`);
+  console.log(`  Entity Types: ${config.ENTITY_CLASSIFIER === "llm" ? "rules + classify LLM role" : "rules"}`);
+  console.log(`  Chat Rate Limits: ${config.CHAT_RATE_LIMIT_PER_USER || "∞"}/min per user, ${config.CHAT_RATE_LIMIT_GLOBAL || "∞"}/min total`);
+  if (config.LLM_DAILY_BUDGET_USD > 0 || config.LLM_USER_DAILY_BUDGET_USD > 0) {
+    console.log(`  LLM Budget: $${config.LLM_DAILY_BUDGET_USD || "∞"}/day total, $${config.LLM_USER_DAILY_BUDGET_USD || "∞"}/day per user`);
+  }
+  
+  // Fail fast on an unknown STORAGE_BACKEND or an outdated schema
+  console.log("\n[Startup] Checking storage...");
+  await getStorage().prepare({ autoMigrate: config.AUTO_MIGRATE });
   
   console.log("\n[LLM Configuration]");
-  console.log(`  Memory LLM: LOCAL (Ollama/${config.OLLAMA_MEMORY_MODEL})`);
-  console.log(`  Interaction LLM: CLOUD (Grok/${config.XAI_INTERACTION_MODEL})`);
-  console.log(`  Fallback: ${config.XAI_MEMORY_MODEL}`);
+  for (const [role, chain] of Object.entries(describeLLMRoutes())) {
+    console.log(`  ${role}: ${chain.join(" → ")}`);
+  }
   
-  // Check Ollama availability
-  console.log("\n[Startup] Checking Ollama...");
-  const ollamaOk = await checkOllamaHealth();
+  // Probe local providers (Core1, Ollama); unavailable ones are skipped
+  console.log("\n[Startup] Checking LLM providers...");
+  const llmHealth = await checkLLMHealth();
+  const ollamaOk = llmHealth.some(h => h.role === "memory" && h.healthy && h.target.startsWith("ollama"));
   
-  if (!ollamaOk) {
-    console.log("⚠️  Ollama not available - will use Cloud fallback for memory");
+  if (llmHealth.some(h => !h.healthy)) {
+    console.log("⚠️  Some LLM providers are unavailable - requests fall back along the chain");
     console.log("   To enable local LLM:");
     console.log("   1. brew services start ollama");
     console.log("   2. ollama pull phi3:mini");
@@ -420,10 +1200,22 @@ async function start() {
   console.log("\n[Startup] Loading embedding model...");
   await initEmbedder();
   
+  // Refuse to mix vectors from two models (or re-embed with AUTO_REEMBED)
+  await ensureEmbeddingIndexCurrent({ autoReembed: config.AUTO_REEMBED });
+  
   // Start decay service
   startDecayService();
   
-  app.listen(config.PORT, () => {
+  // Pick up queued memory jobs, including ones left by a previous run
+  startJobWorker();
+  
+  // Forward memory events to webhook subscriptions (delivered as jobs)
+  startWebhookDispatcher();
+  
+  // Classify new entities' types with the "classify" LLM role (as jobs)
+  startEntityClassifier();
+  
+  const server = app.listen(config.PORT, () => {
     console.log("\n" + "=".repeat(55));
     console.log(`🧠 MeaningMemory V3-L running on http://localhost:${config.PORT}`);
     console.log("=".repeat(55));
@@ -436,8 +1228,27 @@ async function start() {
     console.log("  ✅ Entity Resolution");
     console.log("  ✅ Graph Relations (spreading activation)");
     console.log("  ✅ First-class Preferences");
+    console.log("  ✅ MCP Server (POST /mcp, or npm run mcp for stdio)");
     console.log("\n📱 Open http://localhost:" + config.PORT + " in your browser\n");
   });
+  
+  // Let running jobs finish (or hand them back to the queue) before exiting
+  let shuttingDown = false;
+  const shutdown = async signal => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n[Shutdown] ${signal} received`);
+    server.close();
+    try {
+      await stopJobWorker();
+      await getStorage().close();
+    } catch (err) {
+      console.error("[Shutdown] Error:", err.message);
+    }
+    process.exit(0);
+  };
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
 }
 
 start().catch(err => {
@@ -0,0 +1,134 @@
+// MeaningMemory V3 - Instant Pattern Extraction
+// Regex extraction of names and preferences, run before the response is
+// generated so critical info is stored without waiting for an LLM
+
+import { insertMemoryUnit } from "./memoryStore.js";
+import { config } from "./config.js";
+
+// Patterns for instant extraction
+const NAME_PATTERNS = [
+  /(?:my name is|i am|i'm|call me)\s+([A-Z][a-z]+)/i,
+  /(?:this is)\s+([A-Z][a-z]+)\s+(?:speaking|here)/i
+];
+
+// Common words that follow "I am" / "I'm" but are not names
+const NOT_NAMES = ["here", "there", "fine", "good", "great", "okay"];
+
+const PREFERENCE_PATTERNS = [
+  { pattern: /i (?:love|really love|adore)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.9 },
+  { pattern: /i (?:like|enjoy|prefer)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.7 },
+  { pattern: /i (?:hate|really hate|despise|can't stand)\s+(.+?)(?:\.|,|!|$)/i, valence: "negative", strength: 0.9 },
+  { pattern: /i (?:don't like|dislike)\s+(.+?)(?:\.|,|!|$)/i, valence: "negative", strength: 0.7 },
+  { pattern: /my favorite (?:is|are)\s+(.+?)(?:\.|,|!|$)/i, valence: "positive", strength: 0.85 }
+];
+
+/**
+ * Memories the patterns find in a message (nothing is stored)
+ * At most one name and one preference, plus a secondary dislike for
+ * "love X and hate Y"
+ * @returns {Array<{type: "name" | "preference", mem, secondary?: boolean}>}
+ */
+export function extractInstantMemories(userText) {
+  const found = [];
+
+  // Check for name
+  for (const pattern of NAME_PATTERNS) {
+    const match = userText.match(pattern);
+    if (match && match[1]) {
+      const name = match[1].trim();
+      if (NOT_NAMES.includes(name.toLowerCase())) continue;
+
+      found.push({
+        type: "name",
+        mem: {
+          summary: `User's name is ${name}.`,
+          tier: "asserted_fact",
+          confidence: 0.95,
+          entities: [name],
+          facts: [`User's name is ${name}`],
+          importance: 8,
+          preferences: []
+        }
+      });
+      break;
+    }
+  }
+
+  // Check for preferences
+  for (const { pattern, valence, strength } of PREFERENCE_PATTERNS) {
+    const match = userText.match(pattern);
+    if (match && match[1]) {
+      const entity = match[1].trim().replace(/\s+and\s+.*/, ''); // Take first item if "X and Y"
+      if (entity.length < 2 || entity.length > 50) continue;
+
+      found.push({
+        type: "preference",
+        mem: {
+          summary: `User ${valence === 'positive' ? 'likes' : 'dislikes'} ${entity}.`,
+          tier: "preference",
+          confidence: 0.85,
+          entities: [entity],
+          facts: [`User ${valence === 'positive' ? 'likes' : 'dislikes'} ${entity}`],
+          importance: 6,
+          preferences: [{ entity, valence, strength }]
+        }
+      });
+
+      // Check for "and" to extract multiple preferences
+      const andMatch = userText.match(new RegExp(pattern.source.replace('(.+?)', '.+?\\s+and\\s+(.+?)'), 'i'));
+      if (andMatch && andMatch[1]) {
+        // Detect if second item has opposite valence (e.g., "love X and hate Y")
+        const hateMatch = userText.match(/(?:hate|dislike|don't like)\s+(.+?)(?:\.|,|!|$)/i);
+        if (hateMatch) {
+          const hatedEntity = hateMatch[1].trim();
+          found.push({
+            type: "preference",
+            secondary: true,
+            mem: {
+              summary: `User dislikes ${hatedEntity}.`,
+              tier: "preference",
+              confidence: 0.85,
+              entities: [hatedEntity],
+              facts: [`User dislikes ${hatedEntity}`],
+              importance: 6,
+              preferences: [{ entity: hatedEntity, valence: "negative", strength: 0.8 }]
+            }
+          });
+        }
+      }
+      break;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Extract and store instant memories
+ * @returns {Promise<{stored, summary, type}>} the last primary memory stored
+ */
+export async function extractAndStoreInstant(userText, userId = config.DEFAULT_USER_ID) {
+  const results = { stored: false, summary: "", type: null };
+
+  try {
+    for (const { type, mem, secondary } of extractInstantMemories(userText)) {
+      await insertMemoryUnit(mem, userId);
+
+      if (type === "name") {
+        console.log(`[Instant] ⚡ Name extracted: ${mem.entities[0]}`);
+      } else {
+        console.log(`[Instant] ⚡ Preference extracted: ${mem.preferences[0].valence} ${mem.entities[0]}`);
+      }
+
+      if (!secondary) {
+        results.stored = true;
+        results.summary = mem.summary;
+        results.type = type;
+      }
+    }
+  } catch (err) {
+    console.error("[Instant] Error:", err.message);
+  }
+
+  return results;
+}
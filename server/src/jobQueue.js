@@ -0,0 +1,309 @@
+// MeaningMemory V3 - Background Job Queue
+// Durable queue for work that runs after the response has been sent.
+// A chat turn enqueues a memory extraction job instead of running it
+// fire-and-forget, so a restart, LLM outage or database hiccup delays
+// the memory instead of losing it.
+//
+// Jobs live in the memory_jobs table. Each process runs a worker that
+// polls for due jobs, up to JOB_CONCURRENCY at a time:
+//   pending → running → completed
+//                     → pending again after a backoff (attempts left)
+//                     → dead (dead-letter, requeue with POST /jobs/:id/retry)
+// Jobs left running by a process that died are recovered once their
+// lock is older than JOB_LOCK_TIMEOUT_MS.
+
+import { hostname } from "os";
+import { randomUUID } from "crypto";
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { processMemory } from "./memoryPipeline.js";
+import { runClassifyEntityJob } from "./entityClassifier.js";
+import { publishEvent } from "./memoryEvents.js";
+
+export const JOB_STATUSES = ["pending", "running", "completed", "dead"];
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// ===========================================
+// HANDLERS
+// ===========================================
+
+/**
+ * kind → async (payload, userId, job) → result stored on the completed job
+ */
+const HANDLERS = {
+  extract_memory: (payload, userId, job) => processMemory(
+    payload.userText,
+    payload.assistantText,
+    payload.retrievedMemories,
+    payload.conversationId,
+    userId,
+    { jobId: job?.id }
+  ),
+  classify_entity: (payload, userId) => runClassifyEntityJob(payload, userId)
+};
+
+/**
+ * Add a job kind handled by other modules (webhooks.js: deliver_webhook)
+ */
+export function registerJobHandler(kind, handler) {
+  HANDLERS[kind] = handler;
+}
+
+// ===========================================
+// ENQUEUE
+// ===========================================
+
+/**
+ * Add a job to the queue and wake the local worker
+ */
+export async function enqueueJob(kind, payload, userId = config.DEFAULT_USER_ID, { maxAttempts = config.JOB_MAX_ATTEMPTS, storage = getStorage() } = {}) {
+  if (!HANDLERS[kind]) {
+    throw new Error(`Unknown job kind "${kind}"`);
+  }
+
+  const job = await storage.insertJob(userId, { kind, payload, maxAttempts });
+  worker?.poke();
+  return job;
+}
+
+/**
+ * Queue Phases 3-4 (extraction + storage) for a finished chat turn
+ * Only the fields the Memory Agent prompt uses are kept from retrieved memories
+ */
+export async function enqueueMemoryExtraction({ userText, assistantText, retrievedMemories = [], conversationId = null }, userId = config.DEFAULT_USER_ID) {
+  return enqueueJob("extract_memory", {
+    userText,
+    assistantText,
+    retrievedMemories: retrievedMemories.map(m => ({
+      id: m.id,
+      summary: m.summary,
+      tier: m.tier,
+      confidence: m.confidence
+    })),
+    conversationId
+  }, userId);
+}
+
+/**
+ * Exponential backoff: JOB_RETRY_BASE_MS, doubled per failed attempt, capped
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(config.JOB_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), config.JOB_RETRY_MAX_MS);
+}
+
+// ===========================================
+// WORKER
+// ===========================================
+
+export class JobWorker {
+  constructor({
+    concurrency = config.JOB_CONCURRENCY,
+    pollIntervalMs = config.JOB_POLL_INTERVAL_MS,
+    lockTimeoutMs = config.JOB_LOCK_TIMEOUT_MS,
+    storage = getStorage(),
+    handlers = HANDLERS
+  } = {}) {
+    this.id = `${hostname()}:${process.pid}:${randomUUID().substring(0, 8)}`;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.storage = storage;
+    this.handlers = handlers;
+    this.inFlight = new Map(); // job id → promise
+    this.released = new Set(); // handed back by stop(), outcome ignored
+    this.timer = null;
+    this.polling = null;
+    this.stopped = true;
+    this.lastCleanup = 0;
+  }
+
+  start() {
+    this.stopped = false;
+    this.poke();
+  }
+
+  /**
+   * Poll now instead of waiting for the next interval
+   */
+  poke() {
+    if (this.stopped) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.polling) {
+      this.polling = this.poll()
+        .catch(err => console.error("[Jobs] Poll error:", err.message))
+        .finally(() => {
+          this.polling = null;
+          this.schedule();
+        });
+    }
+  }
+
+  schedule() {
+    if (this.stopped || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poke();
+    }, this.pollIntervalMs);
+    this.timer.unref?.();
+  }
+
+  async poll() {
+    const recovered = await this.storage.recoverStaleJobs({ lockTimeoutMs: this.lockTimeoutMs });
+    if (recovered > 0) {
+      console.log(`[Jobs] Recovered ${recovered} job(s) from a stopped worker`);
+    }
+
+    if (Date.now() - this.lastCleanup > CLEANUP_INTERVAL_MS) {
+      this.lastCleanup = Date.now();
+      await this.storage.deleteCompletedJobs({ olderThanDays: config.JOB_RETENTION_DAYS });
+    }
+
+    const free = this.concurrency - this.inFlight.size;
+    if (free <= 0) return;
+
+    const jobs = await this.storage.claimJobs({ workerId: this.id, limit: free });
+
+    for (const job of jobs) {
+      const running = this.run(job).finally(() => {
+        this.inFlight.delete(job.id);
+        // A slot is free - pick up the next job without waiting
+        this.poke();
+      });
+      this.inFlight.set(job.id, running);
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   */
+  async run(job) {
+    const label = `${job.kind} ${job.id.substring(0, 8)} (attempt ${job.attempts}/${job.max_attempts})`;
+
+    try {
+      const handler = this.handlers[job.kind];
+      if (!handler) {
+        throw new Error(`No handler for job kind "${job.kind}"`);
+      }
+
+      const result = await handler(job.payload, job.user_id, job);
+      if (this.released.has(job.id)) return;
+
+      await this.storage.completeJob(job.id, result);
+      publishEvent("job.completed", { job_id: job.id, kind: job.kind, result: result ?? null }, job.user_id);
+      console.log(`[Jobs] ✅ ${label}`);
+    } catch (err) {
+      if (this.released.has(job.id)) return;
+
+      const lastAttempt = job.attempts >= job.max_attempts;
+      const retryAt = lastAttempt ? null : new Date(Date.now() + retryDelayMs(job.attempts));
+
+      await this.storage.failJob(job.id, { error: err.message, retryAt })
+        .catch(failErr => console.error(`[Jobs] Could not record failure of ${job.id}:`, failErr.message));
+      publishEvent("job.failed", { job_id: job.id, kind: job.kind, error: err.message, attempts: job.attempts, dead: lastAttempt }, job.user_id);
+
+      console.error(lastAttempt
+        ? `[Jobs] ☠️  ${label} failed, moved to dead-letter: ${err.message}`
+        : `[Jobs] ⚠️  ${label} failed, retrying in ${Math.round(retryDelayMs(job.attempts) / 1000)}s: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run jobs until nothing is due or running, on a worker that was not
+   * started (tests, scripts). Jobs waiting out a backoff are not waited for
+   */
+  async drain() {
+    while (true) {
+      await this.polling;
+      await this.poll();
+      if (this.inFlight.size === 0) return;
+      await Promise.allSettled([...this.inFlight.values()]);
+    }
+  }
+
+  /**
+   * Stop claiming jobs and give running ones graceMs to finish;
+   * the rest go back to the queue for the next process
+   */
+  async stop({ graceMs = config.JOB_SHUTDOWN_GRACE_MS } = {}) {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.polling;
+
+    if (this.inFlight.size === 0) return;
+
+    console.log(`[Jobs] Waiting for ${this.inFlight.size} running job(s)...`);
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.inFlight.values()]),
+      new Promise(resolve => { timer = setTimeout(resolve, graceMs); })
+    ]);
+    clearTimeout(timer);
+
+    const unfinished = [...this.inFlight.keys()];
+    if (unfinished.length > 0) {
+      unfinished.forEach(id => this.released.add(id));
+      await this.storage.releaseJobs(unfinished);
+      console.log(`[Jobs] Returned ${unfinished.length} unfinished job(s) to the queue`);
+    }
+  }
+}
+
+let worker = null;
+
+/**
+ * Start this process's worker (no-op when JOB_CONCURRENCY is 0)
+ */
+export function startJobWorker(options = {}) {
+  const concurrency = options.concurrency ?? config.JOB_CONCURRENCY;
+  if (concurrency <= 0) {
+    console.log("[Jobs] Worker disabled (JOB_CONCURRENCY=0) - jobs run in other processes");
+    return null;
+  }
+
+  worker = new JobWorker({ ...options, concurrency });
+  worker.start();
+  console.log(`[Jobs] Worker started (concurrency: ${concurrency})`);
+  return worker;
+}
+
+export async function stopJobWorker(options) {
+  if (!worker) return;
+  const stopping = worker;
+  worker = null;
+  await stopping.stop(options);
+}
+
+// ===========================================
+// STATUS (GET /jobs)
+// ===========================================
+
+export async function getJobs({ status = null, limit = 50 } = {}, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const [counts, jobs] = await Promise.all([
+    storage.countJobs(userId),
+    storage.listJobs(userId, { status, limit })
+  ]);
+
+  return {
+    counts: Object.fromEntries(JOB_STATUSES.map(s => [s, counts[s] || 0])),
+    jobs
+  };
+}
+
+export async function getJob(id, userId = config.DEFAULT_USER_ID) {
+  return getStorage().getJob(userId, id);
+}
+
+/**
+ * Requeue a dead job; null if it does not exist or is not dead
+ */
+export async function retryJob(id, userId = config.DEFAULT_USER_ID) {
+  const job = await getStorage().retryJob(userId, id);
+  if (job) worker?.poke();
+  return job;
+}
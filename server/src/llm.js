@@ -1,89 +1,446 @@
-// MeaningMemory V3-L-Core1 - LLM Clients
-// Local: Ollama/MeaningMemoryCore1 for Memory Agent
-// Cloud: Grok for Interaction Agent
+// MeaningMemory V3-L-Core1 - LLM Router
+// Each role (interaction, memory, ...) has an ordered chain of
+// provider/model targets. A call tries the chain in order with a timeout
+// and retries per target; a circuit breaker skips targets that keep failing.
+//
+// The default chains come from the XAI_* / OLLAMA_* / CORE1_* settings.
+// LLM_CONFIG points at a JSON file that adds providers or replaces roles:
+//
+// {
+//   "providers": {
+//     "claude": { "type": "anthropic", "apiKeyEnv": "ANTHROPIC_API_KEY" }
+//   },
+//   "roles": {
+//     "interaction": {
+//       "timeoutMs": 60000,
+//       "retries": 1,
+//       "chain": [
+//         { "provider": "claude", "model": "claude-3-5-sonnet-latest" },
+//         { "provider": "xai", "model": "grok-3-fast" }
+//       ]
+//     }
+//   },
+//   "circuitBreaker": { "failureThreshold": 3, "cooldownMs": 30000 }
+// }
+//
+// A provider or chain entry may set "pricing": { "input": 3, "output": 15 }
+// (USD per million tokens). Priced targets count against the daily
+// budgets and are skipped once they are spent (see llmUsage.js).
 
 // Load environment variables before anything else
 import dotenv from "dotenv";
 dotenv.config();
 
-import OpenAI from "openai";
+import { readFileSync } from "fs";
+import { resolve } from "path";
 import { config } from "./config.js";
+import { createLLMProvider } from "./llmProviders.js";
+import { recordLLMUsage, estimateTokens, isPricedTarget, canUsePricedTargets } from "./llmUsage.js";
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const RETRY_BACKOFF_MS = 500;
 
 // ===========================================
-// CLOUD LLM: xAI/Grok (for Interaction)
+// CONFIGURATION
 // ===========================================
 
-if (!config.XAI_API_KEY) {
-  console.error("⚠️  XAI_API_KEY not set - Interaction Agent will fail");
+/**
+ * Routing equivalent to the original Core1 → Ollama → Grok setup
+ * xAI prices are USD per million tokens; check them against your plan
+ */
+function defaultLLMConfig() {
+  const localMemory = config.USE_LOCAL_MEMORY_LLM
+    ? [
+        { provider: "core1" },
+        { provider: "ollama", model: config.OLLAMA_MEMORY_MODEL, prompt: "simple", temperature: 0.1 }
+      ]
+    : [];
+
+  return {
+    providers: {
+      xai: { type: "openai", baseURL: config.XAI_BASE_URL, apiKey: config.XAI_API_KEY },
+      ollama: { type: "ollama", baseURL: config.OLLAMA_BASE_URL },
+      core1: { type: "core1", baseURL: config.CORE1_API_URL }
+    },
+    roles: {
+      interaction: {
+        timeoutMs: 60000,
+        retries: 1,
+        chain: [{ provider: "xai", model: config.XAI_INTERACTION_MODEL, pricing: { input: 5, output: 25 } }]
+      },
+      memory: {
+        timeoutMs: 120000, // Local models on CPU are slow
+        retries: 0,
+        chain: [...localMemory, { provider: "xai", model: config.XAI_MEMORY_MODEL, pricing: { input: 0.6, output: 4 } }]
+      },
+      // Entity types: local only by default, the rules cover failures
+      classify: {
+        timeoutMs: 30000,
+        retries: 0,
+        chain: [{ provider: "ollama", model: config.OLLAMA_CLASSIFIER_MODEL, temperature: 0 }]
+      }
+    },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 }
+  };
 }
 
-export const grok = new OpenAI({
-  apiKey: config.XAI_API_KEY,
-  baseURL: config.XAI_BASE_URL
-});
+/**
+ * Defaults merged with the LLM_CONFIG file (providers by name, roles replaced whole)
+ */
+export function loadLLMConfig(path = config.LLM_CONFIG) {
+  const defaults = defaultLLMConfig();
+  if (!path) return defaults;
 
-export const INTERACTION_MODEL = config.XAI_INTERACTION_MODEL;
+  const file = JSON.parse(readFileSync(resolve(path), "utf8"));
+
+  return {
+    providers: { ...defaults.providers, ...file.providers },
+    roles: { ...defaults.roles, ...file.roles },
+    circuitBreaker: { ...defaults.circuitBreaker, ...file.circuitBreaker }
+  };
+}
 
 // ===========================================
-// LOCAL LLM: Ollama/Phi-3 (for Memory)
+// CIRCUIT BREAKER
 // ===========================================
 
-export const ollama = new OpenAI({
-  baseURL: `${config.OLLAMA_BASE_URL}/v1`,
-  apiKey: "ollama" // Ollama doesn't require an API key
-});
+/**
+ * closed → open after failureThreshold consecutive failures;
+ * open → half-open after cooldownMs (one trial request);
+ * a success closes it, a failed trial reopens it
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half-open" : "open";
+  }
+
+  canRequest() {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
 
-export const LOCAL_MEMORY_MODEL = config.OLLAMA_MEMORY_MODEL;
-export const CLOUD_MEMORY_MODEL = config.XAI_MEMORY_MODEL;
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.trip();
+    }
+  }
+
+  /**
+   * Open immediately (e.g. failed startup health check)
+   */
+  trip() {
+    this.openedAt = Date.now();
+  }
+}
 
 // ===========================================
-// HEALTH CHECK: Is Ollama running?
+// REGISTRY
 // ===========================================
 
-let ollamaAvailable = null;
-
-export async function checkOllamaHealth() {
-  try {
-    const response = await fetch(`${config.OLLAMA_BASE_URL}/api/tags`, {
-      method: "GET",
-      signal: AbortSignal.timeout(3000)
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      const hasModel = data.models?.some(m => 
-        m.name.includes("phi3") || m.name.includes(config.OLLAMA_MEMORY_MODEL.split(":")[0])
+let registry = null;
+
+function buildRegistry(llmConfig) {
+  const providers = new Map();
+  for (const [name, options] of Object.entries(llmConfig.providers)) {
+    providers.set(name, createLLMProvider(name, options));
+  }
+
+  const breakers = new Map();
+  const roles = new Map();
+
+  for (const [role, route] of Object.entries(llmConfig.roles)) {
+    if (!Array.isArray(route.chain) || route.chain.length === 0) {
+      throw new Error(`LLM role "${role}" has no providers in its chain`);
+    }
+
+    roles.set(role, route.chain.map(entry => {
+      const provider = providers.get(entry.provider);
+      if (!provider) {
+        throw new Error(`LLM role "${role}" uses unknown provider "${entry.provider}"`);
+      }
+
+      const options = llmConfig.providers[entry.provider];
+      if (["openai", "anthropic"].includes(options.type) && !options.apiKey && !process.env[options.apiKeyEnv]) {
+        console.error(`⚠️  LLM provider "${entry.provider}" has no API key - role "${role}" may fail`);
+      }
+
+      const label = entry.model ? `${entry.provider}/${entry.model}` : entry.provider;
+      if (!breakers.has(label)) {
+        breakers.set(label, new CircuitBreaker(llmConfig.circuitBreaker));
+      }
+
+      return {
+        label,
+        provider,
+        model: entry.model,
+        prompt: entry.prompt || "full",
+        temperature: entry.temperature,
+        maxTokens: entry.maxTokens,
+        timeoutMs: entry.timeoutMs ?? route.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+        retries: entry.retries ?? route.retries ?? 0,
+        pricing: entry.pricing ?? options.pricing ?? null,
+        breaker: breakers.get(label)
+      };
+    }));
+  }
+
+  return { roles };
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = buildRegistry(loadLLMConfig());
+  }
+  return registry;
+}
+
+/**
+ * Replace the routing config (tests, or reloading LLM_CONFIG)
+ */
+export function setLLMConfig(llmConfig) {
+  registry = buildRegistry(llmConfig);
+}
+
+/**
+ * Ordered targets for a role
+ */
+export function getRoleChain(role) {
+  const chain = getRegistry().roles.get(role);
+  if (!chain) {
+    throw new Error(`No LLM role "${role}" configured`);
+  }
+  return chain;
+}
+
+/**
+ * Role → chain labels, for startup logging
+ */
+export function describeLLMRoutes() {
+  return Object.fromEntries(
+    [...getRegistry().roles].map(([role, chain]) => [role, chain.map(t => t.label)])
+  );
+}
+
+// ===========================================
+// ROUTING
+// ===========================================
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run attempt(target, signal, call) against the role's chain until one succeeds
+ * - signal aborts after the target's timeoutMs (cleared once attempt returns,
+ *   so an established stream is not cut off)
+ * - errors with retryable=true are retried on the same target
+ * - any other failure moves on to the next target
+ * - priced targets are skipped once the user's daily budget is spent
+ * call ({ role, userId }) is passed on to chatWith for usage accounting
+ * @returns {Promise<*>} the first successful attempt's result
+ * @throws error with budgetExhausted=true if only the budget stopped the call
+ */
+export async function runWithFallback(role, attempt, { userId = config.DEFAULT_USER_ID } = {}) {
+  const chain = getRoleChain(role);
+  const call = { role, userId };
+  const failures = [];
+
+  const pricedAllowed = chain.some(isPricedTarget)
+    ? await canUsePricedTargets(role, userId)
+    : true;
+  let overBudget = false;
+  let attempted = false;
+
+  for (const target of chain) {
+    if (!pricedAllowed && isPricedTarget(target)) {
+      overBudget = true;
+      failures.push(`${target.label}: daily budget exhausted`);
+      continue;
+    }
+
+    if (!target.breaker.canRequest()) {
+      failures.push(`${target.label}: circuit open`);
+      continue;
+    }
+
+    attempted = true;
+
+    let lastError = null;
+
+    for (let tryNumber = 0; tryNumber <= target.retries; tryNumber++) {
+      if (tryNumber > 0) {
+        console.log(`[LLM] Retrying ${target.label} (${tryNumber}/${target.retries})...`);
+        await sleep(RETRY_BACKOFF_MS * 2 ** (tryNumber - 1));
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(
+        () => controller.abort(new Error(`timed out after ${target.timeoutMs}ms`)),
+        target.timeoutMs
       );
-      
-      if (hasModel) {
-        console.log(`[LLM] ✅ Ollama available with ${config.OLLAMA_MEMORY_MODEL}`);
-        ollamaAvailable = true;
-        return true;
-      } else {
-        console.log(`[LLM] ⚠️  Ollama running but ${config.OLLAMA_MEMORY_MODEL} not found`);
-        console.log(`[LLM]    Available models:`, data.models?.map(m => m.name).join(", ") || "none");
-        ollamaAvailable = false;
-        return false;
+
+      try {
+        const result = await attempt(target, controller.signal, call);
+        target.breaker.recordSuccess();
+        return result;
+      } catch (err) {
+        lastError = err;
+        if (!err.retryable) break;
+      } finally {
+        clearTimeout(timer);
       }
     }
-    ollamaAvailable = false;
-    return false;
-  } catch (err) {
-    console.log(`[LLM] ⚠️  Ollama not available: ${err.message}`);
-    ollamaAvailable = false;
-    return false;
+
+    target.breaker.recordFailure();
+    failures.push(`${target.label}: ${lastError.message}`);
+    console.log(`[LLM] ⚠️  ${role}: ${target.label} failed (${lastError.message})`);
   }
+
+  const err = new Error(`All LLM providers failed for role "${role}": ${failures.join("; ")}`);
+  err.budgetExhausted = overBudget && !attempted;
+  throw err;
 }
 
-export function isOllamaAvailable() {
-  return ollamaAvailable === true;
+/**
+ * Whether a call for the role could run within the user's budget:
+ * it has an unpriced target, or priced ones are still allowed
+ */
+export async function canAffordRole(role, userId = config.DEFAULT_USER_ID) {
+  const chain = getRoleChain(role);
+  return chain.some(target => !isPricedTarget(target)) || canUsePricedTargets(role, userId);
+}
+
+/**
+ * Target settings (model, temperature, maxTokens) override the request
+ */
+function targetRequest(target, request, signal) {
+  return {
+    ...request,
+    model: target.model,
+    ...(target.temperature !== undefined && { temperature: target.temperature }),
+    ...(target.maxTokens !== undefined && { maxTokens: target.maxTokens }),
+    signal
+  };
+}
+
+/**
+ * Tokens the provider reported, or an estimate from the text
+ */
+function callUsage(reported, request, content) {
+  return reported ?? {
+    inputTokens: estimateTokens(request.messages.map(m => m.content).join("\n")),
+    outputTokens: estimateTokens(content)
+  };
+}
+
+/**
+ * One chat call on a specific target
+ * call ({ role, userId }, from runWithFallback) books the tokens used
+ */
+export async function chatWith(target, request, signal, call = { role: "unknown" }) {
+  let reported = null;
+  const content = await target.provider.chat(targetRequest(target, {
+    ...request,
+    onUsage: usage => { reported = usage; }
+  }, signal));
+
+  await recordLLMUsage(target, call, callUsage(reported, request, content));
+  return content;
+}
+
+/**
+ * Chat completion for a role
+ * @param {object} request - { messages, temperature, json, maxTokens }
+ * @param {object} options - { userId } the call is booked to
+ * @returns {Promise<{content, target}>} target is the label that answered
+ */
+export async function chat(role, request, { userId } = {}) {
+  return runWithFallback(role, async (target, signal, call) => ({
+    content: await chatWith(target, request, signal, call),
+    target: target.label
+  }), { userId });
+}
+
+/**
+ * Streaming chat for a role. Falls back only while opening the stream;
+ * once text is flowing, an error is passed through to the consumer.
+ * Tokens are booked when the stream ends
+ * @returns {Promise<{stream, target}>} stream yields text chunks
+ */
+export async function chatStream(role, request, { userId } = {}) {
+  return runWithFallback(role, async (target, signal, call) => {
+    let reported = null;
+    const stream = await target.provider.stream(targetRequest(target, {
+      ...request,
+      onUsage: usage => { reported = usage; }
+    }, signal));
+
+    return {
+      stream: (async function* () {
+        let content = "";
+        try {
+          for await (const chunk of stream) {
+            content += chunk;
+            yield chunk;
+          }
+        } finally {
+          await recordLLMUsage(target, call, callUsage(reported, request, content));
+        }
+      })(),
+      target: target.label
+    };
+  }, { userId });
 }
 
 // ===========================================
-// LOGGING
+// HEALTH CHECK
 // ===========================================
 
-console.log(`[LLM] V3-L Configuration:`);
-console.log(`  Memory LLM: ${config.USE_LOCAL_MEMORY_LLM ? "LOCAL (Ollama/" + LOCAL_MEMORY_MODEL + ")" : "CLOUD (Grok)"}`);
-console.log(`  Interaction LLM: CLOUD (Grok/${INTERACTION_MODEL})`);
-console.log(`  Ollama URL: ${config.OLLAMA_BASE_URL}`);
+/**
+ * Probe every target whose provider supports health checks
+ * Unhealthy targets start with an open circuit, so requests skip
+ * them until the cooldown passes
+ * @returns {Promise<Array<{role, target, healthy}>>}
+ */
+export async function checkLLMHealth() {
+  const results = [];
+  const checked = new Map();
+
+  for (const [role, chain] of getRegistry().roles) {
+    for (const target of chain) {
+      if (typeof target.provider.health !== "function") continue;
+
+      if (!checked.has(target.label)) {
+        const healthy = await target.provider.health({ model: target.model });
+        checked.set(target.label, healthy);
+
+        console.log(`[LLM] ${healthy ? "✅" : "⚠️ "} ${target.label} ${healthy ? "available" : "not available"}`);
+        if (!healthy) target.breaker.trip();
+      }
+
+      results.push({ role, target: target.label, healthy: checked.get(target.label) });
+    }
+  }
+
+  return results;
+}
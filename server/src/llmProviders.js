@@ -0,0 +1,373 @@
+// MeaningMemory V3 - LLM Provider Adapters
+// openai:    any OpenAI-compatible /chat/completions API (xAI, OpenAI, Groq, vLLM, ...)
+// anthropic: Anthropic Messages API (/v1/messages)
+// ollama:    Ollama native API (/api/chat)
+// core1:     MeaningMemoryCore1 extraction server (memory role only)
+//
+// Chat adapters expose:
+//   chat({ model, messages, temperature, json, maxTokens, signal, onUsage }) → string
+//   stream({ ...same }) → async iterable of text chunks
+//   health({ model }) → boolean (optional)
+// onUsage({ inputTokens, outputTokens }) is called when the provider
+// reports token counts (for streams, once the stream has ended).
+// Errors carry `status` (HTTP status, when there is one) and `retryable`.
+
+import OpenAI from "openai";
+
+/**
+ * Error from a provider call
+ * retryable: worth trying the same provider again (timeouts, 429, 5xx)
+ */
+function providerError(provider, message, { status = null, retryable = false } = {}) {
+  const err = new Error(`${provider.name}: ${message}`);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function postJSON(provider, url, body, { headers = {}, signal } = {}) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    // Network failure or abort (timeout) - both worth another attempt
+    throw providerError(provider, err.message, { retryable: true });
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw providerError(provider, `HTTP ${resp.status} ${text.substring(0, 200)}`, {
+      status: resp.status,
+      retryable: isRetryableStatus(resp.status)
+    });
+  }
+
+  return resp;
+}
+
+/**
+ * Split a streamed HTTP body into lines
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) >= 0) {
+      yield buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  if (buffer) yield buffer;
+}
+
+// ===========================================
+// OPENAI-COMPATIBLE
+// ===========================================
+
+export class OpenAIChatProvider {
+  constructor({ name, baseURL, apiKey }) {
+    this.name = name;
+    this.type = "openai";
+    this.client = new OpenAI({ baseURL, apiKey: apiKey || "none", maxRetries: 0 });
+  }
+
+  request({ model, messages, temperature, json, maxTokens }) {
+    return {
+      model,
+      messages,
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(json && { response_format: { type: "json_object" } })
+    };
+  }
+
+  wrap(err) {
+    if (err instanceof OpenAI.APIError) {
+      const status = err.status ?? null;
+      return providerError(this, err.message, {
+        status,
+        retryable: status === null || isRetryableStatus(status)
+      });
+    }
+    return providerError(this, err.message, { retryable: true });
+  }
+
+  reportUsage(usage, onUsage) {
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0 });
+    }
+  }
+
+  async chat({ signal, onUsage, ...request }) {
+    try {
+      const resp = await this.client.chat.completions.create(this.request(request), { signal });
+      this.reportUsage(resp.usage, onUsage);
+      return resp.choices[0]?.message?.content ?? "";
+    } catch (err) {
+      throw this.wrap(err);
+    }
+  }
+
+  async stream({ signal, onUsage, ...request }) {
+    let stream;
+    try {
+      stream = await this.client.chat.completions.create({
+        ...this.request(request),
+        stream: true,
+        stream_options: { include_usage: true } // usage arrives in a final chunk
+      }, { signal });
+    } catch (err) {
+      throw this.wrap(err);
+    }
+
+    const provider = this;
+    return (async function* () {
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) yield content;
+        provider.reportUsage(chunk.usage, onUsage);
+      }
+    })();
+  }
+}
+
+// ===========================================
+// ANTHROPIC MESSAGES API
+// ===========================================
+
+export class AnthropicProvider {
+  constructor({ name, baseURL = "https://api.anthropic.com", apiKey, version = "2023-06-01" }) {
+    this.name = name;
+    this.type = "anthropic";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.version = version;
+  }
+
+  /**
+   * System prompts go in a top-level field; the API has no JSON mode,
+   * so json requests get an explicit instruction instead
+   */
+  request({ model, messages, temperature, json, maxTokens }) {
+    const system = messages.filter(m => m.role === "system").map(m => m.content);
+    if (json) {
+      system.push("Respond with a single valid JSON object and nothing else.");
+    }
+
+    return {
+      model,
+      max_tokens: maxTokens || 1024,
+      messages: messages.filter(m => m.role !== "system"),
+      ...(system.length > 0 && { system: system.join("\n\n") }),
+      ...(temperature !== undefined && { temperature })
+    };
+  }
+
+  post(body, signal) {
+    return postJSON(this, `${this.baseURL}/v1/messages`, body, {
+      headers: {
+        "x-api-key": this.apiKey || "",
+        "anthropic-version": this.version
+      },
+      signal
+    });
+  }
+
+  async chat({ signal, onUsage, ...request }) {
+    const resp = await this.post(this.request(request), signal);
+    const data = await resp.json();
+
+    if (data.usage) {
+      onUsage?.({ inputTokens: data.usage.input_tokens ?? 0, outputTokens: data.usage.output_tokens ?? 0 });
+    }
+
+    return (data.content || [])
+      .filter(block => block.type === "text")
+      .map(block => block.text)
+      .join("");
+  }
+
+  async stream({ signal, onUsage, ...request }) {
+    const resp = await this.post({ ...this.request(request), stream: true }, signal);
+
+    return (async function* () {
+      // Server-sent events: only text deltas carry content; input tokens
+      // come with message_start, output tokens with message_delta
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      for await (const line of readLines(resp.body)) {
+        if (!line.startsWith("data:")) continue;
+        const event = JSON.parse(line.slice(5));
+        if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          yield event.delta.text;
+        } else if (event.type === "message_start") {
+          inputTokens = event.message?.usage?.input_tokens ?? 0;
+        } else if (event.type === "message_delta") {
+          outputTokens = event.usage?.output_tokens ?? outputTokens;
+        }
+      }
+
+      onUsage?.({ inputTokens, outputTokens });
+    })();
+  }
+}
+
+// ===========================================
+// OLLAMA NATIVE API
+// ===========================================
+
+export class OllamaProvider {
+  constructor({ name, baseURL = "http://localhost:11434" }) {
+    this.name = name;
+    this.type = "ollama";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+  }
+
+  request({ model, messages, temperature, json, maxTokens }) {
+    const options = {
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { num_predict: maxTokens })
+    };
+
+    return {
+      model,
+      messages,
+      ...(json && { format: "json" }),
+      ...(Object.keys(options).length > 0 && { options })
+    };
+  }
+
+  /**
+   * The final (done) message carries the token counts
+   */
+  reportUsage(data, onUsage) {
+    onUsage?.({ inputTokens: data.prompt_eval_count ?? 0, outputTokens: data.eval_count ?? 0 });
+  }
+
+  async chat({ signal, onUsage, ...request }) {
+    const resp = await postJSON(this, `${this.baseURL}/api/chat`, { ...this.request(request), stream: false }, { signal });
+    const data = await resp.json();
+    this.reportUsage(data, onUsage);
+    return data.message?.content ?? "";
+  }
+
+  async stream({ signal, onUsage, ...request }) {
+    const resp = await postJSON(this, `${this.baseURL}/api/chat`, { ...this.request(request), stream: true }, { signal });
+
+    const provider = this;
+    return (async function* () {
+      // Newline-delimited JSON, one object per chunk
+      for await (const line of readLines(resp.body)) {
+        if (!line.trim()) continue;
+        const chunk = JSON.parse(line);
+        if (chunk.message?.content) yield chunk.message.content;
+        if (chunk.done) {
+          provider.reportUsage(chunk, onUsage);
+          return;
+        }
+      }
+    })();
+  }
+
+  /**
+   * Ollama is up and has the model pulled
+   */
+  async health({ model } = {}) {
+    try {
+      const resp = await fetch(`${this.baseURL}/api/tags`, { signal: AbortSignal.timeout(3000) });
+      if (!resp.ok) return false;
+
+      const data = await resp.json();
+      const names = data.models?.map(m => m.name) || [];
+      const found = !model || names.some(n => n === model || n.split(":")[0] === model.split(":")[0]);
+
+      if (!found) {
+        console.log(`[LLM] ⚠️  ${this.name}: ${model} not found (available: ${names.join(", ") || "none"})`);
+      }
+      return found;
+    } catch {
+      return false;
+    }
+  }
+}
+
+// ===========================================
+// MEANINGMEMORYCORE1 (Python extraction server)
+// ===========================================
+
+export class Core1Provider {
+  constructor({ name, baseURL = "http://localhost:5001" }) {
+    this.name = name;
+    this.type = "core1";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+  }
+
+  async chat() {
+    throw providerError(this, "Core1 only supports memory extraction");
+  }
+
+  async stream() {
+    throw providerError(this, "Core1 only supports memory extraction");
+  }
+
+  /**
+   * POST /extract with a "User: ...\nAssistant: ..." transcript
+   * @returns {Promise<object>} raw Core1 extraction
+   */
+  async extract({ conversation, signal }) {
+    const resp = await postJSON(this, `${this.baseURL}/extract`, { conversation }, { signal });
+    return resp.json();
+  }
+
+  async health() {
+    try {
+      const resp = await fetch(`${this.baseURL}/health`, { signal: AbortSignal.timeout(2000) });
+      return resp.ok;
+    } catch {
+      return false;
+    }
+  }
+}
+
+// ===========================================
+// FACTORY
+// ===========================================
+
+const PROVIDER_TYPES = {
+  openai: OpenAIChatProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  core1: Core1Provider
+};
+
+/**
+ * Build an adapter from a provider config entry
+ * apiKeyEnv names an environment variable, so keys stay out of config files
+ */
+export function createLLMProvider(name, { type, baseURL, apiKey, apiKeyEnv, ...options }) {
+  const Provider = PROVIDER_TYPES[type];
+  if (!Provider) {
+    throw new Error(`LLM provider "${name}" has unknown type "${type}" (expected ${Object.keys(PROVIDER_TYPES).join(", ")})`);
+  }
+
+  return new Provider({
+    name,
+    ...(baseURL && { baseURL }),
+    apiKey: apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : undefined),
+    ...options
+  });
+}
@@ -0,0 +1,133 @@
+// MeaningMemory V3 - LLM Usage & Budgets
+// Every LLM call's tokens are added to a daily (UTC) row per user, role
+// and target, priced with the target's "pricing" from the LLM config
+// (USD per million input/output tokens; unpriced targets cost nothing).
+//
+// Daily budgets (LLM_DAILY_BUDGET_USD for everyone, LLM_USER_DAILY_BUDGET_USD
+// per user) only gate priced targets. Memory extraction stops using them at
+// LLM_BUDGET_MEMORY_SHARE of a budget, so what is left goes to chat replies;
+// extraction then relies on local targets and instant extraction.
+
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+
+// ===========================================
+// ACCOUNTING
+// ===========================================
+
+/**
+ * UTC date (YYYY-MM-DD) usage is booked on
+ */
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rough count (~4 characters per token) for providers that report none
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function isPricedTarget(target) {
+  return Boolean(target.pricing && (target.pricing.input > 0 || target.pricing.output > 0));
+}
+
+export function usageCost(pricing, { inputTokens, outputTokens }) {
+  if (!pricing) return 0;
+  return (inputTokens * (pricing.input || 0) + outputTokens * (pricing.output || 0)) / 1_000_000;
+}
+
+/**
+ * Book one call. Never throws: accounting must not fail the call
+ */
+export async function recordLLMUsage(target, { role, userId = config.DEFAULT_USER_ID }, usage) {
+  try {
+    await getStorage().recordLLMUsage(userId, {
+      day: usageDay(),
+      role,
+      target: target.label,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      costUsd: usageCost(target.pricing, usage)
+    });
+  } catch (err) {
+    console.error(`[Usage] Could not record ${target.label} usage:`, err.message);
+  }
+}
+
+// ===========================================
+// BUDGETS
+// ===========================================
+
+function budgetLine(limit, spent) {
+  return {
+    limit_usd: limit > 0 ? limit : null,
+    spent_usd: Math.round(spent * 1e6) / 1e6,
+    remaining_usd: limit > 0 ? Math.max(0, Math.round((limit - spent) * 1e6) / 1e6) : null,
+    exhausted: limit > 0 && spent >= limit
+  };
+}
+
+/**
+ * Today's spend against the global and per-user budgets
+ */
+export async function getBudgetStatus(userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const day = usageDay();
+  const tomorrow = new Date(`${day}T00:00:00Z`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  const [globalSpent, userSpent] = await Promise.all([
+    storage.sumLLMCost({ day }),
+    storage.sumLLMCost({ day, userId })
+  ]);
+
+  return {
+    day,
+    resets_at: tomorrow.toISOString(),
+    global: budgetLine(config.LLM_DAILY_BUDGET_USD, globalSpent),
+    user: budgetLine(config.LLM_USER_DAILY_BUDGET_USD, userSpent)
+  };
+}
+
+/**
+ * Whether a role may still call priced targets today
+ * The memory role is cut off at LLM_BUDGET_MEMORY_SHARE of each budget
+ */
+export async function canUsePricedTargets(role, userId = config.DEFAULT_USER_ID) {
+  if (!(config.LLM_DAILY_BUDGET_USD > 0) && !(config.LLM_USER_DAILY_BUDGET_USD > 0)) {
+    return true;
+  }
+
+  const share = role === "memory" ? config.LLM_BUDGET_MEMORY_SHARE : 1;
+  const { global, user } = await getBudgetStatus(userId);
+
+  return [global, user].every(line =>
+    line.limit_usd === null || line.spent_usd < line.limit_usd * share
+  );
+}
+
+/**
+ * The user's usage for the last `days` days (today included) and budgets
+ */
+export async function getUsageReport(userId = config.DEFAULT_USER_ID, { days = 7 } = {}) {
+  const since = new Date();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const rows = await getStorage().listLLMUsage(userId, { since: usageDay(since) });
+  const totals = rows.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    input_tokens: sum.input_tokens + row.input_tokens,
+    output_tokens: sum.output_tokens + row.output_tokens,
+    cost_usd: sum.cost_usd + row.cost_usd
+  }), { requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+
+  totals.cost_usd = Math.round(totals.cost_usd * 1e6) / 1e6;
+
+  return {
+    budget: await getBudgetStatus(userId),
+    totals,
+    usage: rows
+  };
+}
@@ -0,0 +1,410 @@
+// MeaningMemory V3 - Model Context Protocol Server
+// Exposes the memory system to MCP clients (agent frameworks, desktop
+// assistants) as long-term memory: tools to remember, recall and forget,
+// and resources with the user's stats and open contradictions.
+//
+// Transport-agnostic JSON-RPC 2.0 handling; the transports are
+//   stdio:  scripts/mcp.js (one JSON message per line)
+//   HTTP:   POST /mcp in index.js (Streamable HTTP, JSON responses)
+//
+// Every session acts for one user. Over HTTP the API key decides the
+// user, and each tool needs the scope listed with it.
+
+import { z } from "zod";
+import { config } from "./config.js";
+import { hasScope } from "./auth.js";
+import { insertMemoryUnit, getUserPreferences, getAllEntities, getMemoryStats, getMemoryById, deactivateMemory } from "./memoryStore.js";
+import { retrieveWithSpreadingActivation } from "./graphRetrieval.js";
+import { resolveContradiction, getPendingContradictions } from "./contradictionDetector.js";
+import { purgeMemory } from "./purgeService.js";
+import { enforceConfidenceBounds } from "./beliefTiering.js";
+import { MemoryCreateSchema, TierSchema, ContradictionResolutionSchema } from "./schemas.js";
+
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const SERVER_INFO = { name: "meaningmemory", title: "MeaningMemory", version: "3.0.0" };
+
+const INSTRUCTIONS = "Long-term memory for the user. Call recall before answering questions " +
+  "that may depend on what the user told you before; call remember when the user shares a " +
+  "lasting fact or preference about themselves.";
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// ===========================================
+// JSON SCHEMA (tool input schemas)
+// ===========================================
+
+/**
+ * JSON Schema for the zod types tool inputs use
+ */
+export function toJsonSchema(schema) {
+  const { typeName, description } = schema._def;
+  const described = json => (description ? { ...json, description } : json);
+
+  switch (typeName) {
+    case "ZodObject": {
+      const shape = schema.shape;
+      const required = Object.keys(shape).filter(key => !shape[key].isOptional());
+      return described({
+        type: "object",
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toJsonSchema(value)])),
+        ...(required.length > 0 && { required }),
+        additionalProperties: false
+      });
+    }
+    case "ZodString":
+      return described({ type: "string" });
+    case "ZodNumber": {
+      const checks = Object.fromEntries(schema._def.checks.map(c => [c.kind, c]));
+      return described({
+        type: checks.int ? "integer" : "number",
+        ...(checks.min && { minimum: checks.min.value }),
+        ...(checks.max && { maximum: checks.max.value })
+      });
+    }
+    case "ZodBoolean":
+      return described({ type: "boolean" });
+    case "ZodEnum":
+      return described({ type: "string", enum: schema.options });
+    case "ZodArray":
+      return described({ type: "array", items: toJsonSchema(schema.element) });
+    case "ZodOptional":
+      return described(toJsonSchema(schema.unwrap()));
+    case "ZodNullable": {
+      const inner = toJsonSchema(schema.unwrap());
+      return described({ ...inner, type: [inner.type, "null"] });
+    }
+    case "ZodDefault":
+      return described({ ...toJsonSchema(schema._def.innerType), default: schema._def.defaultValue() });
+    default:
+      throw new Error(`No JSON Schema for ${typeName}`);
+  }
+}
+
+// ===========================================
+// TOOLS
+// ===========================================
+
+/**
+ * Memories without their embedding vectors
+ */
+function formatMemory({ embedding, ...memory }) {
+  return memory;
+}
+
+const RememberInput = z.object({
+  summary: z.string().trim().min(1).max(2000)
+    .describe("The fact or preference as one third-person statement, e.g. \"User's sister Ana lives in Lisbon\""),
+  tier: TierSchema.optional().default("observed_fact")
+    .describe("asserted_fact (the user said it), observed_fact, preference, hypothesis (inferred) or temporary_context"),
+  confidence: z.number().min(0).max(1).optional().describe("0-1, clamped to the tier's bounds"),
+  entities: z.array(z.string().min(1)).optional().default([]).describe("People, places and things the memory is about"),
+  importance: z.number().int().min(1).max(10).optional().default(5).describe("1 (trivia) to 10 (core identity)")
+}).strict();
+
+const RecallInput = z.object({
+  query: z.string().trim().min(1).describe("What to look for, in natural language"),
+  k: z.number().int().min(1).max(50).optional().default(5).describe("How many memories to return")
+}).strict();
+
+const PreferencesInput = z.object({
+  entity: z.string().optional().describe("Only preferences about this entity"),
+  valence: z.enum(["positive", "negative", "neutral"]).optional()
+}).strict();
+
+const ForgetInput = z.object({
+  memory_id: z.string().uuid().describe("Id of the memory, as returned by recall or remember"),
+  mode: z.enum(["deactivate", "purge"]).optional().default("deactivate")
+    .describe("deactivate hides the memory (reversible); purge deletes it and everything derived from it")
+}).strict();
+
+const ResolveInput = z.object({
+  contradiction_id: z.string().uuid().describe("Id from the memory://contradictions resource"),
+  resolution: ContradictionResolutionSchema.describe("a_supersedes / b_supersedes keep one memory and retire the other"),
+  note: z.string().max(1000).optional()
+}).strict();
+
+const TOOLS = [
+  {
+    name: "remember",
+    title: "Remember",
+    description: "Store a lasting fact or preference about the user. Contradictions with earlier memories are detected and newer facts supersede older ones.",
+    scope: "memories:write",
+    input: RememberInput,
+    run: async ({ confidence, ...args }, userId) => {
+      const mem = MemoryCreateSchema.parse(args);
+      mem.confidence = enforceConfidenceBounds(mem.tier, confidence ?? mem.confidence);
+      const stored = await insertMemoryUnit(mem, userId);
+      return {
+        id: stored.id,
+        summary: stored.summary,
+        tier: stored.tier,
+        confidence: stored.confidence,
+        conflicts_detected: stored.conflicts_detected,
+        superseded: stored.supersedes
+      };
+    }
+  },
+  {
+    name: "recall",
+    title: "Recall",
+    description: "Find the memories most relevant to a query: semantic and keyword search, plus memories related to those through the memory graph (spreading activation).",
+    scope: "memories:read",
+    readOnly: true,
+    input: RecallInput,
+    run: async ({ query, k }, userId) => {
+      const memories = await retrieveWithSpreadingActivation({ queryText: query, k, userId });
+      return { memories: memories.map(formatMemory) };
+    }
+  },
+  {
+    name: "get_preferences",
+    title: "Get preferences",
+    description: "The user's likes and dislikes, strongest first.",
+    scope: "memories:read",
+    readOnly: true,
+    input: PreferencesInput,
+    run: async ({ entity, valence }, userId) => ({
+      preferences: await getUserPreferences({ entity, valence, userId })
+    })
+  },
+  {
+    name: "list_entities",
+    title: "List entities",
+    description: "People, places, pets and things the user has mentioned, with their aliases.",
+    scope: "memories:read",
+    readOnly: true,
+    input: z.object({}).strict(),
+    run: async (args, userId) => ({ entities: await getAllEntities(userId) })
+  },
+  {
+    name: "forget",
+    title: "Forget",
+    description: "Deactivate a memory, or purge it permanently when the user asks for it to be deleted.",
+    scope: "memories:write",
+    destructive: true,
+    input: ForgetInput,
+    run: async ({ memory_id, mode }, userId) => {
+      if (mode === "purge") {
+        const receipt = await purgeMemory(memory_id, userId, { reason: "mcp forget" });
+        if (!receipt) throw new Error("Memory not found");
+        return { forgotten: true, purged: true, receipt };
+      }
+
+      if (!(await getMemoryById(memory_id, userId))) throw new Error("Memory not found");
+      await deactivateMemory(memory_id, userId);
+      return { forgotten: true, purged: false };
+    }
+  },
+  {
+    name: "resolve_contradiction",
+    title: "Resolve contradiction",
+    description: "Settle a conflict between two memories (see the memory://contradictions resource).",
+    scope: "memories:write",
+    input: ResolveInput,
+    run: async ({ contradiction_id, resolution, note }, userId) => {
+      const contradiction = await resolveContradiction(contradiction_id, resolution, note ?? null, userId);
+      if (!contradiction) throw new Error("Contradiction not found");
+      return { resolved: true, contradiction };
+    }
+  }
+];
+
+// ===========================================
+// RESOURCES
+// ===========================================
+
+const RESOURCES = [
+  {
+    uri: "memory://stats",
+    name: "stats",
+    title: "Memory statistics",
+    description: "Counts of memories per tier, entities, relations and preferences",
+    read: userId => getMemoryStats(userId)
+  },
+  {
+    uri: "memory://contradictions",
+    name: "contradictions",
+    title: "Pending contradictions",
+    description: "Conflicting memory pairs waiting for resolve_contradiction",
+    read: userId => getPendingContradictions(userId)
+  }
+];
+
+// ===========================================
+// SESSION
+// ===========================================
+
+function rpcError(id, code, message, data) {
+  return { jsonrpc: "2.0", id: id ?? null, error: { code, message, ...(data !== undefined && { data }) } };
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function toolResult(value, isError = false) {
+  return {
+    content: [{ type: "text", text: isError ? value : JSON.stringify(value, null, 2) }],
+    ...(!isError && { structuredContent: value }),
+    ...(isError && { isError: true })
+  };
+}
+
+/**
+ * One client connection
+ * auth: the request's API key (null = local/trusted, e.g. stdio)
+ */
+export class McpSession {
+  constructor({ userId = config.DEFAULT_USER_ID, auth = null } = {}) {
+    this.userId = userId;
+    this.auth = auth;
+    this.clientInfo = null;
+  }
+
+  allowed(scope) {
+    return !this.auth || hasScope(this.auth, scope);
+  }
+
+  /**
+   * Handle one JSON-RPC message (or a batch)
+   * @returns {Promise<Object|Array|null>} the response; null for notifications
+   */
+  async handle(message) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) return rpcError(null, INVALID_REQUEST, "Empty batch");
+      const responses = (await Promise.all(message.map(m => this.handle(m)))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+
+    if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      // Responses to server requests are not expected (no sampling/elicitation)
+      return message && ("result" in message || "error" in message)
+        ? null
+        : rpcError(message?.id, INVALID_REQUEST, "Invalid JSON-RPC request");
+    }
+
+    const isNotification = message.id === undefined;
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {});
+      return isNotification ? null : rpcResult(message.id, result);
+    } catch (err) {
+      if (isNotification) return null;
+      if (err.rpcCode) return rpcError(message.id, err.rpcCode, err.message, err.rpcData);
+      console.error(`[MCP] ${message.method} failed:`, err.message);
+      return rpcError(message.id, INTERNAL_ERROR, err.message);
+    }
+  }
+
+  async dispatch(method, params) {
+    switch (method) {
+      case "initialize":
+        return this.initialize(params);
+      case "ping":
+      case "notifications/initialized":
+      case "notifications/cancelled":
+        return {};
+      case "tools/list":
+        return {
+          tools: TOOLS.filter(tool => this.allowed(tool.scope)).map(tool => ({
+            name: tool.name,
+            title: tool.title,
+            description: tool.description,
+            inputSchema: toJsonSchema(tool.input),
+            annotations: {
+              readOnlyHint: Boolean(tool.readOnly),
+              destructiveHint: Boolean(tool.destructive)
+            }
+          }))
+        };
+      case "tools/call":
+        return this.callTool(params);
+      case "resources/list":
+        return {
+          resources: this.allowed("memories:read")
+            ? RESOURCES.map(({ read, ...resource }) => ({ ...resource, mimeType: "application/json" }))
+            : []
+        };
+      case "resources/templates/list":
+        return { resourceTemplates: [] };
+      case "resources/read":
+        return this.readResource(params);
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), { rpcCode: METHOD_NOT_FOUND });
+    }
+  }
+
+  initialize({ protocolVersion, clientInfo }) {
+    this.clientInfo = clientInfo || null;
+    console.log(`[MCP] ${clientInfo?.name || "Client"} connected for ${this.userId}`);
+
+    return {
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: SERVER_INFO,
+      instructions: INSTRUCTIONS
+    };
+  }
+
+  /**
+   * Unknown tools and bad arguments are protocol errors; failures while
+   * running the tool are returned as isError results the model can read
+   */
+  async callTool({ name, arguments: args = {} }) {
+    const tool = TOOLS.find(t => t.name === name);
+    if (!tool) {
+      throw Object.assign(new Error(`Unknown tool: ${name}`), { rpcCode: INVALID_PARAMS });
+    }
+
+    if (!this.allowed(tool.scope)) {
+      return toolResult(`This API key lacks the "${tool.scope}" scope`, true);
+    }
+
+    const parsed = tool.input.safeParse(args);
+    if (!parsed.success) {
+      throw Object.assign(new Error(`Invalid arguments for ${name}`), {
+        rpcCode: INVALID_PARAMS,
+        rpcData: parsed.error.issues
+      });
+    }
+
+    try {
+      const result = await tool.run(parsed.data, this.userId);
+      console.log(`[MCP] ${name} for ${this.userId}`);
+      return toolResult(result);
+    } catch (err) {
+      return toolResult(err.message, true);
+    }
+  }
+
+  async readResource({ uri }) {
+    const resource = RESOURCES.find(r => r.uri === uri);
+    if (!resource) {
+      throw Object.assign(new Error(`Resource not found: ${uri}`), { rpcCode: -32002 });
+    }
+    if (!this.allowed("memories:read")) {
+      throw Object.assign(new Error('This API key lacks the "memories:read" scope'), { rpcCode: INVALID_REQUEST });
+    }
+
+    return {
+      contents: [{
+        uri,
+        mimeType: "application/json",
+        text: JSON.stringify(await resource.read(this.userId), null, 2)
+      }]
+    };
+  }
+}
+
+/**
+ * Response for a line or body that is not JSON
+ */
+export function mcpParseError(err) {
+  return rpcError(null, PARSE_ERROR, `Parse error: ${err.message}`);
+}
@@ -1,38 +1,17 @@
 // MeaningMemory V3-L - Memory Agent
-// Uses LOCAL LLM (Phi-3 via Ollama) for memory extraction
-// Falls back to Grok if Ollama unavailable
+// Extracts memories with the "memory" LLM role: by default Core1,
+// then the local LLM (Phi-3 via Ollama), then Grok
 
 import { z } from "zod";
-import { ollama, grok, LOCAL_MEMORY_MODEL, CLOUD_MEMORY_MODEL, isOllamaAvailable } from "./llm.js";
-import { config } from "./config.js";
+import { runWithFallback, chatWith } from "./llm.js";
 import { MEMORY_AGENT_SYSTEM, MEMORY_AGENT_SYSTEM_SIMPLE, memoryAgentUserPrompt, memoryAgentUserPromptSimple } from "./prompts.js";
 import { classifyTier, enforceConfidenceBounds } from "./beliefTiering.js";
+import { TierSchema, StructuredFactSchema, PreferenceSchema, EntityLinkSchema } from "./schemas.js";
 
 // ===========================================
 // V3 MEMORY SCHEMA
 // ===========================================
 
-const StructuredFactSchema = z.object({
-  subject: z.string(),
-  predicate: z.string(),
-  object: z.string(),
-  confidence: z.number().min(0).max(1).optional().default(0.8),
-  temporal: z.enum(["current", "past", "future", "unknown"]).optional().default("current")
-});
-
-const PreferenceSchema = z.object({
-  entity: z.string(),
-  valence: z.enum(["positive", "negative", "neutral"]),
-  strength: z.number().min(0).max(1).optional().default(0.5),
-  context: z.string().nullable().optional()
-});
-
-const EntityLinkSchema = z.object({
-  mention: z.string(),
-  canonical: z.string(),
-  relationship: z.string().nullable().optional()
-});
-
 const ContradictionSchema = z.object({
   memory_id: z.string(),
   reason: z.string(),
@@ -44,13 +23,7 @@ const MemoryAgentSchema = z.object({
   summary: z.string().optional().default(""),
   
   // V3: Belief Management
-  tier: z.enum([
-    "asserted_fact",
-    "observed_fact", 
-    "preference",
-    "hypothesis",
-    "temporary_context"
-  ]).optional().default("observed_fact"),
+  tier: TierSchema.optional().default("observed_fact"),
   confidence: z.number().min(0).max(1).optional().default(0.8),
   
   // Core Extraction
@@ -90,13 +63,7 @@ const SimplePreferenceSchema = z.object({
 const SimpleMemorySchema = z.object({
   should_write: z.boolean(),
   summary: z.string().optional().default(""),
-  tier: z.enum([
-    "asserted_fact",
-    "observed_fact", 
-    "preference",
-    "hypothesis",
-    "temporary_context"
-  ]).optional().default("observed_fact"),
+  tier: TierSchema.optional().default("observed_fact"),
   confidence: z.number().min(0).max(1).optional().default(0.8),
   entities: z.array(z.string()).optional().default([]),
   facts: z.array(z.string()).optional().default([]),
@@ -111,7 +78,7 @@ const SimpleMemorySchema = z.object({
 /**
  * Sanitize LLM response to fix common issues before schema validation
  */
-function sanitizeLLMResponse(json) {
+export function sanitizeLLMResponse(json) {
   // Fix null importance
   if (json.importance === null || json.importance === undefined) {
     json.importance = 5;
@@ -169,7 +136,11 @@ function sanitizeLLMResponse(json) {
   return json;
 }
 
-function parseMemoryAgentResponse(content, useSimpleSchema = false) {
+/**
+ * Parse and validate raw LLM output (tolerates markdown code fences)
+ * @returns {{ok: true, data} | {ok: false, error}}
+ */
+export function parseMemoryAgentResponse(content, useSimpleSchema = false) {
   try {
     // Clean up response - remove markdown code blocks if present
     let cleaned = content.trim();
@@ -210,174 +181,94 @@ function parseMemoryAgentResponse(content, useSimpleSchema = false) {
 // MEANINGMEMORYCORE1 API (Python Server)
 // ===========================================
 
-const CORE1_API_URL = process.env.CORE1_API_URL || "http://localhost:5001";
-
-async function runCore1MemoryAgent(payload) {
-  console.log(`[Memory Agent] Using MeaningMemoryCore1 API (${CORE1_API_URL})...`);
+async function runCore1MemoryAgent(payload, target, signal) {
+  console.log(`[Memory Agent] Using MeaningMemoryCore1 API (${target.provider.baseURL})...`);
   
   // Format conversation as the API expects
-  const conversation = `User: ${payload.user_message}\nAssistant: ${payload.assistant_response || ""}`;
+  const conversation = `User: ${payload.userText}\nAssistant: ${payload.assistantText || ""}`;
   
-  try {
-    const resp = await fetch(`${CORE1_API_URL}/extract`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ conversation })
-    });
-    
-    if (!resp.ok) {
-      throw new Error(`Core1 API returned ${resp.status}`);
-    }
-    
-    const data = await resp.json();
-    
-    // Map Core1 response to V3-L schema
-    const mapped = {
-      should_write: data.should_write || false,
-      summary: data.summary || "",
-      tier: data.tier || "observed_fact",
-      confidence: data.confidence || 0.8,
-      entities: data.entities || [],
-      facts: data.facts || [],
-      preferences: (data.preferences || []).map(p => ({
-        entity: typeof p === 'string' ? p : (p.entity || p),
-        valence: "neutral",
-        strength: 0.5
-      })),
-      importance: 5
-    };
-    
-    // Sanitize and validate
-    const sanitized = sanitizeLLMResponse(mapped);
-    const parsed = SimpleMemorySchema.safeParse(sanitized);
-    
-    if (parsed.success) {
-      logExtraction(parsed.data, "CORE1");
-      return parsed.data;
-    }
-    
-    console.log("[Memory Agent] Core1 schema validation failed:", parsed.error.issues);
-    throw new Error("Core1 returned invalid schema");
-    
-  } catch (err) {
-    console.error("[Memory Agent] Core1 API error:", err.message);
-    throw err;
-  }
-}
-
-// Check if Core1 API is available
-async function isCore1Available() {
-  try {
-    const resp = await fetch(`${CORE1_API_URL}/health`, { 
-      method: "GET",
-      signal: AbortSignal.timeout(2000)
-    });
-    return resp.ok;
-  } catch {
-    return false;
-  }
-}
-
-// ===========================================
-// LOCAL LLM (Ollama/Phi-3) - Fallback
-// ===========================================
-
-async function runLocalMemoryAgent(payload) {
-  console.log(`[Memory Agent] Using LOCAL LLM (${LOCAL_MEMORY_MODEL})...`);
+  const data = await target.provider.extract({ conversation, signal });
   
-  const messages = [
-    { role: "system", content: MEMORY_AGENT_SYSTEM_SIMPLE },
-    { role: "user", content: memoryAgentUserPromptSimple(payload) }
-  ];
-
-  try {
-    const resp = await ollama.chat.completions.create({
-      model: LOCAL_MEMORY_MODEL,
-      messages,
-      temperature: 0.1, // Low temperature for consistent JSON
-      response_format: { type: "json_object" }
-    });
-    
-    const content = resp.choices[0]?.message?.content ?? "";
-    
-    const first = parseMemoryAgentResponse(content, true);
-    if (first.ok) {
-      logExtraction(first.data, "LOCAL");
-      return first.data;
-    }
-
-    // Retry with even simpler prompt
-    console.log("[Memory Agent] Retrying with simpler prompt...");
-    
-    const retry = await ollama.chat.completions.create({
-      model: LOCAL_MEMORY_MODEL,
-      messages: [
-        ...messages,
-        { role: "user", content: "Output ONLY valid JSON. No explanation." }
-      ],
-      temperature: 0,
-      response_format: { type: "json_object" }
-    });
-
-    const retryContent = retry.choices[0]?.message?.content ?? "";
-    const second = parseMemoryAgentResponse(retryContent, true);
-    
-    if (second.ok) {
-      logExtraction(second.data, "LOCAL");
-      return second.data;
-    }
-
-    throw new Error("Local LLM returned invalid JSON");
-    
-  } catch (err) {
-    console.error("[Memory Agent] Local LLM error:", err.message);
-    throw err;
+  // Map Core1 response to V3-L schema
+  const mapped = {
+    should_write: data.should_write || false,
+    summary: data.summary || "",
+    tier: data.tier || "observed_fact",
+    confidence: data.confidence || 0.8,
+    entities: data.entities || [],
+    facts: data.facts || [],
+    preferences: (data.preferences || []).map(p => ({
+      entity: typeof p === 'string' ? p : (p.entity || p),
+      valence: "neutral",
+      strength: 0.5
+    })),
+    importance: 5
+  };
+  
+  // Sanitize and validate
+  const sanitized = sanitizeLLMResponse(mapped);
+  const parsed = SimpleMemorySchema.safeParse(sanitized);
+  
+  if (parsed.success) {
+    logExtraction(parsed.data, "CORE1");
+    return parsed.data;
   }
+  
+  console.log("[Memory Agent] Core1 schema validation failed:", parsed.error.issues);
+  throw new Error("Core1 returned invalid schema");
 }
 
 // ===========================================
-// CLOUD LLM (Grok) - Fallback
+// CHAT LLM (any provider in the memory chain)
 // ===========================================
 
-async function runCloudMemoryAgent(payload) {
-  console.log(`[Memory Agent] 🌐 Using CLOUD LLM (${CLOUD_MEMORY_MODEL})...`);
-  
-  const messages = [
-    { role: "system", content: MEMORY_AGENT_SYSTEM },
-    { role: "user", content: memoryAgentUserPrompt(payload) }
-  ];
-
-  const resp = await grok.chat.completions.create({
-    model: CLOUD_MEMORY_MODEL,
-    messages,
-    response_format: { type: "json_object" }
-  });
+/**
+ * Extract with a chat model. Targets configured with prompt "simple"
+ * (small local models) get the short prompt and schema
+ */
+async function runChatMemoryAgent(payload, target, signal, call) {
+  const simple = target.prompt === "simple";
+  console.log(`[Memory Agent] Using ${target.label}${simple ? " (simple prompt)" : ""}...`);
   
-  const content = resp.choices[0]?.message?.content ?? "";
+  const messages = simple
+    ? [
+        { role: "system", content: MEMORY_AGENT_SYSTEM_SIMPLE },
+        { role: "user", content: memoryAgentUserPromptSimple(payload) }
+      ]
+    : [
+        { role: "system", content: MEMORY_AGENT_SYSTEM },
+        { role: "user", content: memoryAgentUserPrompt(payload) }
+      ];
+
+  const content = await chatWith(target, { messages, json: true }, signal, call);
   
-  const first = parseMemoryAgentResponse(content);
+  const first = parseMemoryAgentResponse(content, simple);
   if (first.ok) {
-    logExtraction(first.data, "CLOUD");
+    logExtraction(first.data, target.label);
     return first.data;
   }
 
   // Retry once if parsing failed
   console.log("[Memory Agent] Retrying with stricter prompt...");
   
-  const retry = await grok.chat.completions.create({
-    model: CLOUD_MEMORY_MODEL,
+  const retryContent = await chatWith(target, {
     messages: [
       ...messages,
-      { role: "user", content: "Return only valid JSON matching the exact schema. No extra text or markdown." }
+      {
+        role: "user",
+        content: simple
+          ? "Output ONLY valid JSON. No explanation."
+          : "Return only valid JSON matching the exact schema. No extra text or markdown."
+      }
     ],
-    response_format: { type: "json_object" }
-  });
+    json: true,
+    temperature: 0
+  }, signal, call);
 
-  const retryContent = retry.choices[0]?.message?.content ?? "";
-  const second = parseMemoryAgentResponse(retryContent);
+  const second = parseMemoryAgentResponse(retryContent, simple);
   
   if (second.ok) {
-    logExtraction(second.data, "CLOUD");
+    logExtraction(second.data, target.label);
     return second.data;
   }
 
@@ -385,32 +276,21 @@ async function runCloudMemoryAgent(payload) {
 }
 
 // ===========================================
-// MAIN FUNCTION (with fallback)
+// MAIN FUNCTION (routed through the "memory" role chain)
 // ===========================================
 
-export async function runMemoryAgent(payload) {
+/**
+ * userId: whose budget the extraction is booked against
+ */
+export async function runMemoryAgent(payload, { userId } = {}) {
   console.log(`[Memory Agent] Analyzing conversation...`);
   
-  // Try MeaningMemoryCore1 API first (preferred)
-  if (config.USE_LOCAL_MEMORY_LLM) {
-    try {
-      return await runCore1MemoryAgent(payload);
-    } catch (err) {
-      console.log("[Memory Agent] Core1 API failed, trying Ollama...");
-    }
-    
-    // Fallback to Ollama if Core1 unavailable
-    if (isOllamaAvailable()) {
-      try {
-        return await runLocalMemoryAgent(payload);
-      } catch (err) {
-        console.log("[Memory Agent] Ollama failed, falling back to Cloud...");
-      }
-    }
-  }
-  
-  // Fallback to cloud LLM
-  return await runCloudMemoryAgent(payload);
+  // Default chain: Core1 → Ollama → Grok (see llm.js / LLM_CONFIG)
+  return runWithFallback("memory", (target, signal, call) =>
+    target.provider.type === "core1"
+      ? runCore1MemoryAgent(payload, target, signal)
+      : runChatMemoryAgent(payload, target, signal, call)
+  , { userId });
 }
 
 // ===========================================
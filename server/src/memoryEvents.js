@@ -0,0 +1,184 @@
+// MeaningMemory V3 - Memory Events
+// In-process publish/subscribe for what the memory pipeline did, so
+// clients learn what was remembered after the chat reply has ended.
+// Served over SSE by GET /events; the chat stream uses it for
+// "wait_for_memory".
+//
+// Event types:
+//   memory.created          a memory was stored (chat, instant extraction, API)
+//   memory.updated          a memory was edited or deactivated
+//   memory.superseded       a memory was replaced by a newer one
+//   memory.purged           memories were hard-deleted (ids only)
+//   contradiction.detected  a conflict was recorded for review
+//   contradiction.resolved  a conflict was resolved
+//   entity.created          a new entity was registered
+//   entity.merged           an entity was merged into another
+//   entity.updated          an entity was renamed, retyped, described, had
+//                           its aliases changed, or an edit was undone
+//   decay.completed         a decay run finished (sent to every user)
+//   job.completed           a background job finished
+//   job.failed              a background job attempt failed
+//
+// Events are published after the change commits. Only subscribers in
+// this process receive them; webhooks.js forwards them to other systems.
+// A purge drops the buffered events that refer to what it deleted.
+
+import { EventEmitter } from "events";
+import { config } from "./config.js";
+
+export const EVENT_TYPES = [
+  "memory.created",
+  "memory.updated",
+  "memory.superseded",
+  "memory.purged",
+  "contradiction.detected",
+  "contradiction.resolved",
+  "entity.created",
+  "entity.merged",
+  "entity.updated",
+  "decay.completed",
+  "job.completed",
+  "job.failed"
+];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open /events connection
+
+// Recent events, oldest first, for Last-Event-ID replay
+const recent = [];
+let lastId = 0;
+
+// ===========================================
+// PUBLISH
+// ===========================================
+
+/**
+ * Publish an event to the user's subscribers
+ * userId null sends it to every user (system events)
+ */
+export function publishEvent(type, data, userId = config.DEFAULT_USER_ID) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+
+  const event = {
+    id: ++lastId,
+    type,
+    user_id: userId,
+    at: new Date().toISOString(),
+    data
+  };
+
+  recent.push(event);
+  if (recent.length > config.EVENT_BUFFER_SIZE) {
+    recent.shift();
+  }
+
+  emitter.emit("event", event);
+  return event;
+}
+
+/**
+ * Drop the user's buffered events whose data holds any of refs (ids) or
+ * names any of names (whole words), or all of them with all, so purged
+ * content is not replayed to a reconnecting subscriber
+ * @returns {number} events dropped
+ */
+export function forgetEvents(userId, { all = false, refs = [], names = [] } = {}) {
+  const mention = names.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(${names.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}_])`, "iu")
+    : null;
+
+  const forget = event => {
+    if (event.user_id !== userId) return false;
+    if (all) return true;
+
+    const text = JSON.stringify(event.data ?? null);
+    return refs.some(ref => text.includes(ref)) || Boolean(mention?.test(text));
+  };
+
+  const before = recent.length;
+  const kept = recent.filter(event => !forget(event));
+  recent.splice(0, recent.length, ...kept);
+  return before - kept.length;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Id of the newest event (pass as "since" to miss nothing from now on)
+ */
+export function lastEventId() {
+  return lastId;
+}
+
+// ===========================================
+// SUBSCRIBE
+// ===========================================
+
+function matches(event, userId, types) {
+  return (event.user_id === userId || event.user_id === null) &&
+    (!types || types.includes(event.type));
+}
+
+/**
+ * Call listener for each of the user's events
+ * since: replay buffered events with a higher id first (reconnects)
+ * @returns {Function} unsubscribe
+ */
+export function subscribeEvents(userId, listener, { types = null, since = null } = {}) {
+  if (since !== null) {
+    for (const event of recent) {
+      if (event.id > since && matches(event, userId, types)) {
+        listener(event);
+      }
+    }
+  }
+
+  const handler = event => {
+    if (matches(event, userId, types)) listener(event);
+  };
+
+  emitter.on("event", handler);
+  return () => emitter.off("event", handler);
+}
+
+/**
+ * Call listener for every event of every user (server-side consumers)
+ * @returns {Function} unsubscribe
+ */
+export function subscribeAllEvents(listener) {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+/**
+ * First event of the user matching predicate, or null after timeoutMs
+ */
+export function waitForEvent(userId, predicate, { timeoutMs, since = null } = {}) {
+  return new Promise(resolve => {
+    let timer = null;
+    let unsubscribe = null;
+    let settled = false;
+
+    const finish = event => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      unsubscribe?.();
+      resolve(event);
+    };
+
+    unsubscribe = subscribeEvents(userId, event => {
+      if (predicate(event)) finish(event);
+    }, { since });
+
+    if (settled) {
+      unsubscribe();
+    } else {
+      timer = setTimeout(() => finish(null), timeoutMs);
+    }
+  });
+}
@@ -0,0 +1,67 @@
+// MeaningMemory V3 - Background Memory Processing
+// Phases 3-4 of a chat turn: LLM extraction, then the insert pipeline.
+// Runs after the reply has been streamed; the eval harness replays
+// scripted turns through the same function.
+
+import { config } from "./config.js";
+import { runMemoryAgent } from "./memoryAgent.js";
+import { insertMemoryUnit } from "./memoryStore.js";
+
+/**
+ * jobId is the extract_memory job running it: a rerun of that job after
+ * its memory was stored returns the stored memory instead of a duplicate
+ */
+export async function processMemory(userText, assistantText, retrievedMemories, conversationId, userId = config.DEFAULT_USER_ID, { jobId = null } = {}) {
+  console.log("\n[Phase 3] Extracting memories...");
+
+  // Phase 3: MEMORY EXTRACTION
+  let mem;
+  try {
+    mem = await runMemoryAgent({
+      userText,
+      assistantText,
+      retrievedMemories
+    }, { userId });
+  } catch (err) {
+    // Over the daily budget: only instant extraction (phase 0) applies
+    // to this turn; retrying would not help until the budget resets
+    if (err.budgetExhausted) {
+      console.log("[Phase 3] Skipped: daily LLM budget exhausted");
+      return { stored: false, skipped: "budget_exhausted" };
+    }
+    throw err;
+  }
+
+  if (!mem.should_write) {
+    console.log("[Phase 3] Nothing to store");
+    return { stored: false };
+  }
+
+  // Phase 4: STORAGE with all V3 enhancements
+  console.log("\n[Phase 4] Storing memory...");
+
+  // Add conversation and job IDs for provenance
+  mem.source_conversation_id = conversationId;
+  mem.source_job_id = jobId;
+
+  const stored = await insertMemoryUnit(mem, userId);
+  if (stored.duplicate) {
+    console.log(`[Phase 4] Already stored by job ${jobId}: "${stored.summary}"`);
+  } else {
+    console.log(`[Phase 4] Stored: "${stored.summary}"`);
+    console.log(`  Tier: ${stored.tier}, Confidence: ${stored.confidence}`);
+    console.log(`  Conflicts detected: ${stored.conflicts_detected}`);
+    console.log(`  Auto-resolved: ${stored.auto_resolved}`);
+    console.log(`  Preferences stored: ${stored.preferences_stored}`);
+  }
+
+  return {
+    stored: true,
+    summary: stored.summary,
+    id: stored.id,
+    tier: stored.tier,
+    confidence: stored.confidence,
+    conflicts_detected: stored.conflicts_detected,
+    superseded: stored.supersedes
+  };
+}
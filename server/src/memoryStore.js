@@ -1,15 +1,15 @@
 // MeaningMemory V3 - Memory Store
 // Enhanced storage with belief tiering, preferences, and graph relations
 
-import pg from "pg";
 import { config } from "./config.js";
 import { embedText } from "./embeddings.js";
 import { retrieveWithSpreadingActivation, createRelation, discoverRelations } from "./graphRetrieval.js";
 import { resolveEntities, linkMemoryToEntities } from "./entityResolver.js";
 import { detectContradictions, recordContradiction } from "./contradictionDetector.js";
 import { reinforceMemories } from "./decayService.js";
-
-const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+import { enforceConfidenceBounds } from "./beliefTiering.js";
+import { getStorage } from "./storage/index.js";
+import { publishEvent } from "./memoryEvents.js";
 
 // ===========================================
 // RETRIEVAL (Enhanced with spreading activation)
@@ -22,11 +22,12 @@ const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
  * - Decay-weighted scoring
  * - Spreading activation through graph
  */
-export async function retrieveMemories({ queryText, k = config.RETRIEVAL_K }) {
-  const memories = await retrieveWithSpreadingActivation({ queryText, k });
+export async function retrieveMemories({ queryText, k = config.RETRIEVAL_K, userId = config.DEFAULT_USER_ID, reinforce = true }) {
+  const memories = await retrieveWithSpreadingActivation({ queryText, k, userId });
   
   // Reinforce retrieved memories (updates access tracking)
-  if (memories.length > 0) {
+  // Off for inspection (mm search), which is not the user recalling them
+  if (reinforce && memories.length > 0) {
     const ids = memories.map(m => m.id);
     await reinforceMemories(ids);
   }
@@ -37,27 +38,8 @@ export async function retrieveMemories({ queryText, k = config.RETRIEVAL_K }) {
 /**
  * Get user preferences (for quick context)
  */
-export async function getUserPreferences({ entity = null, valence = null }) {
-  let query = `
-    SELECT * FROM preferences
-    WHERE is_active = true
-  `;
-  const params = [];
-  
-  if (entity) {
-    params.push(entity);
-    query += ` AND LOWER(entity) LIKE LOWER($${params.length})`;
-  }
-  
-  if (valence) {
-    params.push(valence);
-    query += ` AND valence = $${params.length}`;
-  }
-  
-  query += ` ORDER BY created_at DESC`;
-  
-  const result = await pool.query(query, params);
-  return result.rows;
+export async function getUserPreferences({ entity = null, valence = null, userId = config.DEFAULT_USER_ID }) {
+  return getStorage().listPreferences(userId, { entity, valence });
 }
 
 // ===========================================
@@ -66,19 +48,37 @@ export async function getUserPreferences({ entity = null, valence = null }) {
 
 /**
  * Insert a new memory unit with V3 enhancements
+ * All derived rows (preferences, entities, relations, contradictions) belong to userId
+ * Atomic: every step runs on the same transaction, so a failure anywhere
+ * rolls back the memory together with its entities, relations and contradictions
+ * Memory events are published once the transaction has committed
+ * With mem.source_job_id, a memory already stored by that job is returned
+ * (duplicate: true) instead of inserting again, so a rerun job is a no-op
  */
-export async function insertMemoryUnit(mem) {
-  const client = await pool.connect();
+export async function insertMemoryUnit(mem, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  const events = [];
   
-  try {
-    await client.query("BEGIN");
+  const result = await db.transaction(async (tx) => {
+    // 0. Stored by an earlier run of the same extraction job
+    if (mem.source_job_id) {
+      const existing = await tx.findMemoryBySourceJob(userId, mem.source_job_id);
+      if (existing) {
+        return {
+          ...existing,
+          supersedes: existing.supersedes || [],
+          conflicts_detected: 0,
+          auto_resolved: 0,
+          preferences_stored: 0,
+          duplicate: true
+        };
+      }
+    }
     
     // 1. Generate embedding
     const embedding = await embedText(mem.summary);
-    const vectorStr = `[${embedding.join(",")}]`;
     
-    // 2. Check for contradictions (pre-insert)
-    const conflicts = await detectContradictions(mem);
+    // 2. Check for contradictions (pre-insert), reusing the embedding
+    const conflicts = await detectContradictions(mem, userId, tx, embedding);
     const autoResolved = [];
     const pendingContradictions = []; // Store for after insert
     
@@ -100,113 +100,105 @@ export async function insertMemoryUnit(mem) {
     }
     
     // 3. Insert memory unit
-    const result = await client.query(`
-      INSERT INTO memory_units (
-        summary, 
-        tier, 
-        confidence,
-        entities, 
-        facts, 
-        structured_facts,
-        entity_links,
-        valid_from,
-        valid_to,
-        base_importance,
-        current_importance,
-        supersedes,
-        embedding
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10, $11, $12::vector)
-      RETURNING id, summary, tier, confidence, created_at
-    `, [
-      mem.summary,
-      mem.tier || "observed_fact",
-      mem.confidence || 0.8,
-      mem.entities || [],
-      mem.facts || [],
-      JSON.stringify(mem.structured_facts || []),
-      JSON.stringify(mem.entity_links || []),
-      mem.valid_from || null,
-      mem.valid_to || null,
-      mem.importance || 5,
-      mem.supersedes || [],
-      vectorStr
-    ]);
-    
-    const insertedMemory = result.rows[0];
+    const insertedMemory = await tx.insertMemory(userId, {
+      summary: mem.summary,
+      tier: mem.tier,
+      confidence: mem.confidence,
+      entities: mem.entities,
+      facts: mem.facts,
+      structured_facts: mem.structured_facts,
+      entity_links: mem.entity_links,
+      valid_from: mem.valid_from,
+      valid_to: mem.valid_to,
+      base_importance: mem.importance,
+      supersedes: mem.supersedes,
+      source_conversation_id: mem.source_conversation_id,
+      source_job_id: mem.source_job_id,
+      embedding
+    });
     const memoryId = insertedMemory.id;
+    events.push(["memory.created", {
+      memory_id: memoryId,
+      summary: insertedMemory.summary,
+      tier: insertedMemory.tier,
+      confidence: insertedMemory.confidence,
+      conversation_id: mem.source_conversation_id || null
+    }]);
     
     // 4. Mark superseded memories as inactive
     if (mem.supersedes?.length > 0) {
-      await client.query(`
-        UPDATE memory_units 
-        SET is_active = false 
-        WHERE id = ANY($1)
-      `, [mem.supersedes]);
+      await tx.deactivateMemories(userId, mem.supersedes);
+      for (const supersededId of mem.supersedes) {
+        events.push(["memory.superseded", { memory_id: supersededId, superseded_by: memoryId }]);
+      }
     }
     
     // 4b. Record pending contradictions (now that we have memoryId)
     for (const pending of pendingContradictions) {
-      try {
-        await recordContradiction(
-          memoryId,
-          pending.existingMemoryId,
-          pending.reason,
-          "pending"
-        );
-      } catch (err) {
-        console.log("[Memory] Warning: Could not record contradiction:", err.message);
-      }
+      const contradiction = await recordContradiction(
+        memoryId,
+        pending.existingMemoryId,
+        pending.reason,
+        "pending",
+        userId,
+        tx
+      );
+      events.push(["contradiction.detected", {
+        contradiction_id: contradiction.id,
+        memory_a: memoryId,
+        memory_b: pending.existingMemoryId,
+        reason: pending.reason
+      }]);
     }
     
     // 5. Insert preferences (first-class in V3)
     if (mem.preferences?.length > 0) {
       for (const pref of mem.preferences) {
-        await client.query(`
-          INSERT INTO preferences (subject, entity, valence, strength, context, confidence, memory_id)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [
-          "user",
-          pref.entity,
-          pref.valence,
-          pref.strength || 0.5,
-          pref.context || null,
-          mem.confidence || 0.75,
-          memoryId
-        ]);
+        await tx.insertPreference(userId, {
+          subject: "user",
+          entity: pref.entity,
+          valence: pref.valence,
+          strength: pref.strength || 0.5,
+          context: pref.context || null,
+          confidence: mem.confidence || 0.75,
+          memory_id: memoryId
+        });
       }
     }
     
     // 6. Resolve and link entities
     if (mem.entities?.length > 0) {
-      const resolved = await resolveEntities(mem.entities, mem.entity_links || []);
-      await linkMemoryToEntities(memoryId, resolved);
+      const resolved = await resolveEntities(mem.entities, mem.entity_links || [], userId, tx, { memoryId, embedding, summary: mem.summary });
+      await linkMemoryToEntities(memoryId, resolved, userId, tx);
+      for (const entity of resolved.filter(r => r.created)) {
+        events.push(["entity.created", { entity_id: entity.entityId, name: entity.canonical, memory_id: memoryId }]);
+      }
     }
     
     // 7. Create relations to related memories
     if (mem.related_to?.length > 0) {
       for (const relatedId of mem.related_to) {
-        await createRelation(memoryId, relatedId, "related_to", 0.8, true);
+        await createRelation(memoryId, relatedId, "related_to", 0.8, true, userId, tx);
       }
     }
     
     // 8. Auto-discover relations based on entity overlap
-    await discoverRelations(memoryId);
-    
-    await client.query("COMMIT");
+    await discoverRelations(memoryId, userId, tx);
     
     return {
       ...insertedMemory,
+      supersedes: mem.supersedes || [],
       conflicts_detected: conflicts.length,
       auto_resolved: autoResolved.length,
       preferences_stored: mem.preferences?.length || 0
     };
-    
-  } catch (err) {
-    await client.query("ROLLBACK");
-    throw err;
-  } finally {
-    client.release();
+  });
+  
+  for (const [type, data] of events) {
+    publishEvent(type, data, userId);
   }
+  
+  return result;
 }
 
 // ===========================================
@@ -216,106 +208,162 @@ export async function insertMemoryUnit(mem) {
 /**
  * Get all active memories (for debugging)
  */
-export async function getAllMemories({ includeInactive = false } = {}) {
-  const query = includeInactive
-    ? `SELECT * FROM memory_units ORDER BY created_at DESC`
-    : `SELECT * FROM memory_units WHERE is_active = true ORDER BY created_at DESC`;
-  
-  const result = await pool.query(query);
-  return result.rows;
+export async function getAllMemories({ includeInactive = false, userId = config.DEFAULT_USER_ID } = {}) {
+  return getStorage().listMemories(userId, { includeInactive });
 }
 
 /**
  * Get memory by ID
  */
-export async function getMemoryById(id) {
-  const result = await pool.query(`
-    SELECT * FROM memory_units WHERE id = $1
-  `, [id]);
-  return result.rows[0];
+export async function getMemoryById(id, userId = config.DEFAULT_USER_ID) {
+  return getStorage().getMemory(userId, id);
+}
+
+/**
+ * Versions of a memory linked by supersession (contradiction resolution)
+ * superseded_by: the memories that replaced it, then what replaced those...
+ * supersedes: the memories it replaced, and theirs, nearest first
+ */
+export async function getSupersessionChain(id, userId = config.DEFAULT_USER_ID) {
+  const storage = getStorage();
+  const seen = new Set([id]);
+
+  const walk = async (start, next) => {
+    const chain = [];
+    let frontier = [start];
+    for (let depth = 1; frontier.length > 0; depth++) {
+      const found = (await Promise.all(frontier.map(next))).flat().filter(m => !seen.has(m.id));
+      found.forEach(m => seen.add(m.id));
+      chain.push(...found.map(m => ({ ...m, depth })));
+      frontier = found;
+    }
+    return chain;
+  };
+
+  return {
+    superseded_by: await walk({ id }, m => storage.listSupersedingMemories(userId, m.id)),
+    supersedes: await walk(await storage.getMemory(userId, id), m =>
+      m?.supersedes?.length ? storage.getMemoriesByIds(userId, m.supersedes) : [])
+  };
 }
 
 /**
  * Get memories by tier
  */
-export async function getMemoriesByTier(tier) {
-  const result = await pool.query(`
-    SELECT * FROM memory_units 
-    WHERE tier = $1 AND is_active = true
-    ORDER BY current_importance DESC
-  `, [tier]);
-  return result.rows;
+export async function getMemoriesByTier(tier, userId = config.DEFAULT_USER_ID) {
+  return getStorage().listMemories(userId, { tier, orderBy: "importance" });
 }
 
 /**
- * Get all entities
+ * Get all entities (type: only entities of that type)
  */
-export async function getAllEntities() {
-  const result = await pool.query(`
-    SELECT * FROM entities ORDER BY last_seen_at DESC
-  `);
-  return result.rows;
+export async function getAllEntities(userId = config.DEFAULT_USER_ID, { type = null } = {}) {
+  return getStorage().listEntities(userId, { type });
 }
 
 /**
  * Get memory statistics
  */
-export async function getMemoryStats() {
-  const stats = await pool.query(`
-    SELECT 
-      COUNT(*) as total_memories,
-      COUNT(*) FILTER (WHERE is_active) as active_memories,
-      COUNT(*) FILTER (WHERE tier = 'asserted_fact') as asserted_facts,
-      COUNT(*) FILTER (WHERE tier = 'observed_fact') as observed_facts,
-      COUNT(*) FILTER (WHERE tier = 'preference') as preferences_tier,
-      COUNT(*) FILTER (WHERE tier = 'hypothesis') as hypotheses,
-      AVG(current_importance) as avg_importance,
-      AVG(confidence) as avg_confidence,
-      MAX(created_at) as last_memory_at
-    FROM memory_units
-  `);
-  
-  const preferences = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(*) FILTER (WHERE valence = 'positive') as positive,
-      COUNT(*) FILTER (WHERE valence = 'negative') as negative
-    FROM preferences WHERE is_active = true
-  `);
-  
-  const entities = await pool.query(`
-    SELECT COUNT(*) as total FROM entities
-  `);
-  
-  const relations = await pool.query(`
-    SELECT COUNT(*) as total FROM memory_relations
-  `);
-  
-  return {
-    memories: stats.rows[0],
-    preferences: preferences.rows[0],
-    entities: entities.rows[0],
-    relations: relations.rows[0]
-  };
+export async function getMemoryStats(userId = config.DEFAULT_USER_ID) {
+  return getStorage().getMemoryStats(userId);
 }
 
 /**
  * Update memory importance (for manual adjustment)
  */
-export async function updateMemoryImportance(id, newImportance) {
-  await pool.query(`
-    UPDATE memory_units 
-    SET base_importance = $2, current_importance = $2
-    WHERE id = $1
-  `, [id, newImportance]);
+export async function updateMemoryImportance(id, newImportance, userId = config.DEFAULT_USER_ID) {
+  await getStorage().updateMemory(userId, id, {
+    base_importance: newImportance,
+    current_importance: newImportance
+  });
 }
 
 /**
  * Deactivate a memory
  */
-export async function deactivateMemory(id) {
-  await pool.query(`
-    UPDATE memory_units SET is_active = false WHERE id = $1
-  `, [id]);
+export async function deactivateMemory(id, userId = config.DEFAULT_USER_ID) {
+  await getStorage().deactivateMemories(userId, [id]);
+  publishEvent("memory.updated", { memory_id: id, fields: ["is_active"] }, userId);
 }
 
+
+// ===========================================
+// EDITING (REST API)
+// ===========================================
+
+// Patch fields that map 1:1 onto memory_units columns
+const UPDATABLE_COLUMNS = [
+  "summary",
+  "tier",
+  "confidence",
+  "entities",
+  "facts",
+  "structured_facts",
+  "valid_from",
+  "valid_to",
+  "is_active"
+];
+
+/**
+ * Update an existing memory unit
+ * - summary change → re-embedded
+ * - importance change → base and current importance reset
+ * - tier/confidence change → confidence re-bounded for the resulting tier
+ * - entities change → entity links rebuilt
+ * Returns the updated row, or null if the memory does not exist for this user
+ */
+export async function updateMemoryUnit(id, patch, userId = config.DEFAULT_USER_ID, db = getStorage()) {
+  const updated = await db.transaction(async (tx) => {
+    const current = await tx.getMemory(userId, id, { forUpdate: true });
+    
+    if (!current) {
+      return null;
+    }
+    
+    const values = { ...patch };
+    
+    // Keep confidence inside the (possibly new) tier's bounds
+    if (values.tier !== undefined || values.confidence !== undefined) {
+      const tier = values.tier ?? current.tier;
+      const confidence = values.confidence ?? current.confidence;
+      values.confidence = enforceConfidenceBounds(tier, confidence);
+    }
+    
+    const fields = {};
+    
+    for (const column of UPDATABLE_COLUMNS) {
+      if (values[column] !== undefined) {
+        fields[column] = values[column];
+      }
+    }
+    
+    if (values.importance !== undefined) {
+      fields.base_importance = values.importance;
+      fields.current_importance = values.importance;
+    }
+    
+    if (values.summary !== undefined) {
+      fields.embedding = await embedText(values.summary);
+    }
+    
+    const updated = await tx.updateMemory(userId, id, fields);
+    
+    // Rebuild entity links
+    if (values.entities !== undefined) {
+      await tx.unlinkMemoryFromEntities(userId, id);
+      
+      if (values.entities.length > 0) {
+        const resolved = await resolveEntities(values.entities, [], userId, tx, { memoryId: id, embedding: updated.embedding, summary: updated.summary });
+        await linkMemoryToEntities(id, resolved, userId, tx);
+      }
+    }
+    
+    return updated;
+  });
+  
+  if (updated) {
+    publishEvent("memory.updated", { memory_id: id, fields: Object.keys(patch) }, userId);
+  }
+  
+  return updated;
+}
@@ -0,0 +1,9 @@
+-- Down: Remove absorption tracking columns from memory_units
+
+DROP INDEX IF EXISTS idx_memory_unabsorbed;
+
+ALTER TABLE memory_units
+DROP COLUMN IF EXISTS absorbed_at;
+
+ALTER TABLE memory_units
+DROP COLUMN IF EXISTS absorbed;
@@ -0,0 +1,24 @@
+-- Down: Remove per-user scoping
+-- Fails if two users own an entity with the same canonical name;
+-- merge or purge those entities first.
+
+DROP INDEX IF EXISTS idx_memory_user;
+DROP INDEX IF EXISTS idx_preferences_user;
+DROP INDEX IF EXISTS idx_relations_user;
+DROP INDEX IF EXISTS idx_contradictions_user;
+
+ALTER TABLE entities
+DROP CONSTRAINT IF EXISTS entities_user_id_canonical_name_key;
+
+DROP INDEX IF EXISTS idx_entities_canonical;
+CREATE INDEX IF NOT EXISTS idx_entities_canonical
+  ON entities (canonical_name);
+
+ALTER TABLE entities
+ADD CONSTRAINT entities_canonical_name_key UNIQUE (canonical_name);
+
+ALTER TABLE memory_units DROP COLUMN IF EXISTS user_id;
+ALTER TABLE preferences DROP COLUMN IF EXISTS user_id;
+ALTER TABLE entities DROP COLUMN IF EXISTS user_id;
+ALTER TABLE memory_relations DROP COLUMN IF EXISTS user_id;
+ALTER TABLE contradictions DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,48 @@
+-- Migration: Scope every memory table to a user (tenant)
+-- Run this on existing V3-L databases before enabling multi-user access.
+-- Existing rows are assigned to the 'default' user.
+
+ALTER TABLE memory_units
+ADD COLUMN IF NOT EXISTS user_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE preferences
+ADD COLUMN IF NOT EXISTS user_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE entities
+ADD COLUMN IF NOT EXISTS user_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE memory_relations
+ADD COLUMN IF NOT EXISTS user_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE contradictions
+ADD COLUMN IF NOT EXISTS user_id TEXT NOT NULL DEFAULT 'default';
+
+-- Entity names are now unique per user instead of globally
+ALTER TABLE entities
+DROP CONSTRAINT IF EXISTS entities_canonical_name_key;
+
+DO $$ BEGIN
+  ALTER TABLE entities
+  ADD CONSTRAINT entities_user_id_canonical_name_key UNIQUE (user_id, canonical_name);
+EXCEPTION
+  WHEN duplicate_table THEN NULL;
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+DROP INDEX IF EXISTS idx_entities_canonical;
+CREATE INDEX IF NOT EXISTS idx_entities_canonical
+  ON entities (user_id, canonical_name);
+
+CREATE INDEX IF NOT EXISTS idx_memory_user
+  ON memory_units (user_id);
+CREATE INDEX IF NOT EXISTS idx_preferences_user
+  ON preferences (user_id);
+CREATE INDEX IF NOT EXISTS idx_relations_user
+  ON memory_relations (user_id);
+CREATE INDEX IF NOT EXISTS idx_contradictions_user
+  ON contradictions (user_id);
+
+-- Verify
+SELECT user_id, COUNT(*) as memories
+FROM memory_units
+GROUP BY user_id;
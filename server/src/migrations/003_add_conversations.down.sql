@@ -0,0 +1,4 @@
+-- Down: Drop conversation transcripts
+
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS conversations;
@@ -0,0 +1,3 @@
+-- Down: Drop the purge audit trail
+
+DROP TABLE IF EXISTS purge_log;
@@ -0,0 +1,19 @@
+-- Migration: Audit trail for hard purges (right-to-be-forgotten)
+-- Run this on existing V3-L databases to enable the /purge endpoints
+
+CREATE TABLE IF NOT EXISTS purge_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('memory', 'entity', 'user')),
+  target_id TEXT,
+  memory_ids UUID[] DEFAULT '{}',
+  counts JSONB NOT NULL DEFAULT '{}',
+  reason TEXT,
+  purged_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purge_log_user
+  ON purge_log (user_id, purged_at DESC);
+
+-- Verify
+SELECT COUNT(*) as purges FROM purge_log;
@@ -0,0 +1,6 @@
+-- Down: Drop embedding model tracking
+-- Only safe while memory_units.embedding is still vector(384)
+
+ALTER TABLE memory_units DROP COLUMN IF EXISTS embedding_staging;
+
+DROP TABLE IF EXISTS embedding_index;
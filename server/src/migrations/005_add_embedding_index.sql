@@ -0,0 +1,23 @@
+-- Migration: Track the embedding model and allow re-embedding
+-- Existing memories were embedded with the original local BGE-small model.
+-- A database without memories is left unseeded, so startup adopts the
+-- configured provider
+
+CREATE TABLE IF NOT EXISTS embedding_index (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO embedding_index (id, provider, model, dimensions)
+SELECT 1, 'local', 'Xenova/bge-small-en-v1.5', 384
+WHERE EXISTS (SELECT 1 FROM memory_units)
+ON CONFLICT (id) DO NOTHING;
+
+-- Untyped so a re-embed run can stage vectors of the new dimension
+ALTER TABLE memory_units ADD COLUMN IF NOT EXISTS embedding_staging vector;
+
+-- Verify
+SELECT provider, model, dimensions FROM embedding_index;
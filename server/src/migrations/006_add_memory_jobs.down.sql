@@ -0,0 +1,3 @@
+-- Down: Drop the memory job queue
+
+DROP TABLE IF EXISTS memory_jobs;
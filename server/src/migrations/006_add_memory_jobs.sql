@@ -0,0 +1,33 @@
+-- Migration: Durable job queue for background memory extraction
+-- Chat turns enqueue a job instead of extracting fire-and-forget, so a
+-- restart or LLM outage no longer loses the turn's memory
+
+CREATE TABLE IF NOT EXISTS memory_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- Earliest next attempt (backoff)
+  locked_by TEXT,                              -- Worker running the job
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- Workers poll for due pending jobs
+CREATE INDEX IF NOT EXISTS idx_memory_jobs_due
+  ON memory_jobs (run_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_memory_jobs_user
+  ON memory_jobs (user_id, created_at DESC);
+
+-- Verify
+SELECT COUNT(*) as jobs FROM memory_jobs;
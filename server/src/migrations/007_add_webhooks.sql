@@ -0,0 +1,39 @@
+-- Migration: Outbound webhooks for memory lifecycle events
+-- Subscriptions per user, plus a log of every delivery attempt
+-- (retries run through memory_jobs)
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,                        -- HMAC-SHA256 signing key
+  events TEXT[] NOT NULL DEFAULT '{}',         -- Empty = every webhook event type
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user
+  ON webhooks (user_id)
+  WHERE active = TRUE;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  job_id UUID,                                 -- Same for every attempt of a delivery
+  event_type TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('delivered', 'failed')),
+  response_status INTEGER,
+  duration_ms INTEGER,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+  ON webhook_deliveries (webhook_id, created_at DESC);
+
+-- Verify
+SELECT COUNT(*) as webhooks FROM webhooks;
@@ -0,0 +1,3 @@
+-- Down: Drop API keys
+
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,22 @@
+-- Migration: API keys for authentication
+-- Keys belong to one user and carry scopes; only a SHA-256 hash of the
+-- key is stored
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,                    -- First characters, to recognise a key
+  key_hash TEXT NOT NULL UNIQUE,               -- SHA-256 hex of the full key
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user
+  ON api_keys (user_id, created_at);
+
+-- Verify
+SELECT COUNT(*) as api_keys FROM api_keys;
@@ -0,0 +1,3 @@
+-- Down: Drop LLM usage accounting
+
+DROP TABLE IF EXISTS llm_usage;
@@ -0,0 +1,21 @@
+-- Migration: LLM token usage and cost per user, day, role and target
+-- Feeds the daily cost budgets; kept when a user is purged
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  user_id TEXT NOT NULL,
+  day DATE NOT NULL,                           -- UTC
+  role TEXT NOT NULL,                          -- interaction, memory, ...
+  target TEXT NOT NULL,                        -- provider/model label
+  requests INTEGER NOT NULL DEFAULT 0,
+  input_tokens BIGINT NOT NULL DEFAULT 0,
+  output_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, day, role, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_day
+  ON llm_usage (day);
+
+-- Verify
+SELECT COUNT(*) as llm_usage FROM llm_usage;
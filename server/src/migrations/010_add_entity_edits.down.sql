@@ -0,0 +1,3 @@
+-- Down: Drop the entity edit log
+
+DROP TABLE IF EXISTS entity_edits;
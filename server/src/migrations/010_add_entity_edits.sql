@@ -0,0 +1,20 @@
+-- Migration: Log of entity edits made through the API (merge, rename,
+-- aliases, type/description), with what changed so each can be undone
+
+CREATE TABLE IF NOT EXISTS entity_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL,                        -- merge, rename, alias_add, alias_remove, update
+  entity_ids UUID[] NOT NULL DEFAULT '{}',     -- Entities touched (target first)
+  memory_ids UUID[] NOT NULL DEFAULT '{}',     -- Memories rewritten
+  details JSONB NOT NULL DEFAULT '{}',
+  changes JSONB NOT NULL DEFAULT '{}',         -- Before/after rows, for undo
+  created_at TIMESTAMPTZ DEFAULT clock_timestamp(),
+  undone_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_edits_user
+  ON entity_edits (user_id, created_at DESC);
+
+-- Verify
+SELECT COUNT(*) as entity_edits FROM entity_edits;
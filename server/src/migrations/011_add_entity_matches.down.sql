@@ -0,0 +1,3 @@
+-- Down: Drop the entity match review queue
+
+DROP TABLE IF EXISTS entity_matches;
@@ -0,0 +1,22 @@
+-- Migration: Review queue for fuzzy entity matches
+-- A mention that got its own entity but is close to existing ones keeps
+-- the ranked candidates here until the user accepts (merge) or rejects
+
+CREATE TABLE IF NOT EXISTS entity_matches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  mention TEXT NOT NULL,
+  memory_id UUID,                              -- Memory naming the mention
+  entity_id UUID NOT NULL,                     -- Entity created for the mention
+  candidates JSONB NOT NULL DEFAULT '[]',      -- [{entity_id, canonical_name, confidence, signals}], best first
+  status TEXT NOT NULL DEFAULT 'pending',      -- pending, accepted, rejected
+  chosen_entity_id UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_matches_user_status
+  ON entity_matches (user_id, status, created_at DESC);
+
+-- Verify
+SELECT COUNT(*) as entity_matches FROM entity_matches;
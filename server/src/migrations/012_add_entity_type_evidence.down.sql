@@ -0,0 +1,6 @@
+-- Down: Remove entity type evidence
+
+DROP INDEX IF EXISTS idx_entities_type;
+
+ALTER TABLE entities
+DROP COLUMN IF EXISTS type_evidence;
@@ -0,0 +1,13 @@
+-- Migration: Entity type classification
+-- entity_type is assigned by the classifier (rules, then the "classify"
+-- LLM role) or by hand; type_evidence records how, so manual types are
+-- kept and /entities can be filtered by type
+
+ALTER TABLE entities
+ADD COLUMN IF NOT EXISTS type_evidence JSONB;  -- {method: rules|llm|manual, type, confidence, rule|reason, ...}
+
+CREATE INDEX IF NOT EXISTS idx_entities_type
+  ON entities (user_id, entity_type);
+
+-- Verify
+SELECT entity_type, COUNT(*) as entities FROM entities GROUP BY entity_type;
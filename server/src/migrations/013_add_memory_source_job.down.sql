@@ -0,0 +1,6 @@
+-- Down: Remove memory provenance by extraction job
+
+DROP INDEX IF EXISTS idx_memory_source_job;
+
+ALTER TABLE memory_units
+DROP COLUMN IF EXISTS source_job_id;
@@ -0,0 +1,13 @@
+-- Migration: Memory provenance by extraction job
+-- An extract_memory job that crashed after its insert committed but before
+-- it was marked completed runs again; source_job_id lets the rerun find
+-- the memory it already stored instead of storing it twice
+
+ALTER TABLE memory_units
+ADD COLUMN IF NOT EXISTS source_job_id UUID;  -- memory_jobs.id of the extraction that stored it
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_memory_source_job
+  ON memory_units (source_job_id) WHERE source_job_id IS NOT NULL;
+
+-- Verify
+SELECT COUNT(source_job_id) AS from_jobs, COUNT(*) AS memories FROM memory_units;
@@ -0,0 +1,341 @@
+// MeaningMemory V3 - Mock LLM Server
+// Stand-in for xAI/OpenAI and MeaningMemoryCore1 so the whole stack runs
+// offline (development without API keys, air-gapped CI)
+//
+// Speaks:
+//   POST /v1/chat/completions   OpenAI chat completions (stream or not),
+//                               including entity type classification
+//   GET  /v1/models
+//   POST /extract               Core1 memory extraction
+//   GET  /health                Core1 health check
+//
+// Replies come from scripted fixtures when one matches, otherwise from
+// deterministic rules: memory extraction recognises names, likes/dislikes,
+// home and workplace; entity classification recognises the same phrasings;
+// chat replies echo the user and the first memory.
+
+import express from "express";
+import { readFile } from "fs/promises";
+
+// ===========================================
+// DETERMINISTIC RULES
+// ===========================================
+
+// Names must be capitalised, so "I am tired" is not a name
+const NAME_PATTERN = /\b(?:my name is|call me|i am|i'm)\s+([A-Za-z]+)\b/i;
+const PREFERENCE_PATTERNS = [
+  { pattern: /\bi (?:love|really love|adore)\s+(.+?)(?:[.,!?]|$)/i, valence: "positive", strength: 0.9 },
+  { pattern: /\bi (?:like|enjoy|prefer)\s+(.+?)(?:[.,!?]|$)/i, valence: "positive", strength: 0.7 },
+  { pattern: /\bi (?:hate|despise|can't stand)\s+(.+?)(?:[.,!?]|$)/i, valence: "negative", strength: 0.9 },
+  { pattern: /\bi (?:don't like|dislike)\s+(.+?)(?:[.,!?]|$)/i, valence: "negative", strength: 0.7 }
+];
+const FACT_PATTERNS = [
+  { pattern: /\bi live in\s+(.+?)(?:[.,!?]|$)/i, predicate: "lives_in", summary: x => `User lives in ${x}` },
+  { pattern: /\bi work (?:at|for)\s+(.+?)(?:[.,!?]|$)/i, predicate: "works_at", summary: x => `User works at ${x}` }
+];
+
+/**
+ * Memory Agent output (full schema) for a user message
+ */
+export function mockMemoryExtraction(userText) {
+  const text = String(userText || "");
+
+  const name = text.match(NAME_PATTERN);
+  if (name && /^[A-Z]/.test(name[1])) {
+    return {
+      should_write: true,
+      summary: `User's name is ${name[1]}`,
+      tier: "asserted_fact",
+      confidence: 0.95,
+      entities: [name[1]],
+      facts: [`name: ${name[1]}`],
+      structured_facts: [{ subject: "user", predicate: "name", object: name[1], confidence: 0.95 }],
+      preferences: [],
+      importance: 9
+    };
+  }
+
+  for (const { pattern, valence, strength } of PREFERENCE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const entity = match[1].trim();
+      return {
+        should_write: true,
+        summary: `User ${valence === "positive" ? "likes" : "dislikes"} ${entity}`,
+        tier: "preference",
+        confidence: 0.85,
+        entities: [entity],
+        facts: [],
+        structured_facts: [],
+        preferences: [{ entity, valence, strength }],
+        importance: 6
+      };
+    }
+  }
+
+  for (const { pattern, predicate, summary } of FACT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const object = match[1].trim();
+      return {
+        should_write: true,
+        summary: summary(object),
+        tier: "asserted_fact",
+        confidence: 0.9,
+        entities: [object],
+        facts: [`${predicate}: ${object}`],
+        structured_facts: [{ subject: "user", predicate, object, confidence: 0.9 }],
+        preferences: [],
+        importance: 7
+      };
+    }
+  }
+
+  return { should_write: false, summary: "", entities: [], facts: [], preferences: [], importance: 1 };
+}
+
+const CLASSIFICATION_PATTERNS = [
+  { type: "pet", pattern: name => new RegExp(`\\b(?:dog|cat|puppy|kitten|pet)s?\\s+(?:named\\s+)?${name}\\b`, "i") },
+  { type: "person", pattern: name => new RegExp(`\\b(?:name is|sister|brother|mom|dad|friend|coworker|wife|husband|partner)\\s+${name}\\b`, "i") },
+  { type: "place", pattern: name => new RegExp(`\\b(?:lives in|moved to|visited|trip to)\\s+${name}\\b`, "i") },
+  { type: "organization", pattern: name => new RegExp(`\\bworks (?:at|for)\\s+${name}\\b`, "i") }
+];
+
+/**
+ * Entity classification reply for an entityClassifierUserPrompt
+ */
+export function mockEntityClassification(prompt) {
+  const text = String(prompt || "");
+  const name = text.match(/^Entity: "(.*)"/m)?.[1];
+  if (!name) {
+    return { type: "unknown", confidence: 0, reason: "no entity" };
+  }
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  for (const { type, pattern } of CLASSIFICATION_PATTERNS) {
+    const match = text.match(pattern(escaped));
+    if (match) {
+      return { type, confidence: 0.9, reason: match[0] };
+    }
+  }
+  return { type: "unknown", confidence: 0.3, reason: "the notes do not say" };
+}
+
+/**
+ * Chat reply: echoes the user, plus the first memory when there is context
+ * (so end-to-end tests can see that retrieval reached the prompt)
+ */
+export function mockChatReply(userText, memoryContext = "") {
+  const firstMemory = memoryContext
+    .split("\n")
+    .map(line => line.replace(/^\[[^\]]*\]\[[^\]]*\]\s*/, "").replace(/[.\s]+$/, "").trim())
+    .find(line => line && !line.startsWith("Facts:") && !line.endsWith(":"));
+
+  const echo = `You said: "${userText}"`;
+  return firstMemory ? `I remember: ${firstMemory}. ${echo}` : echo;
+}
+
+// ===========================================
+// PROMPT PARSING
+// ===========================================
+
+/**
+ * Pull the user's text (and memory context) out of the agents' prompts
+ * Falls back to the raw last user message for other callers
+ */
+function parseChatRequest(messages = []) {
+  const system = messages.find(m => m.role === "system")?.content || "";
+  const last = [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+  // Memory Agent prompts quote the conversation; pick the original turn
+  // rather than a "return valid JSON" retry nudge
+  const conversation = [...messages].reverse()
+    .map(m => m.content || "")
+    .find(c => /(?:User said|User): "/.test(c));
+
+  if (/classify named entities/i.test(system)) {
+    return { kind: "classify", userText: last, memoryContext: "" };
+  }
+
+  if (conversation) {
+    const userText = conversation.match(/(?:User said|User): "([\s\S]*?)"\n/)?.[1] ?? "";
+    return { kind: "memory", userText, memoryContext: "" };
+  }
+
+  const isMemoryAgent = /extract/i.test(system) && /json/i.test(system);
+  const context = last.match(/^MEMORY CONTEXT:\n([\s\S]*?)\n\nUSER: ([\s\S]*)$/);
+
+  if (context) {
+    return { kind: isMemoryAgent ? "memory" : "chat", userText: context[2], memoryContext: context[1] };
+  }
+
+  return {
+    kind: isMemoryAgent ? "memory" : "chat",
+    userText: last.replace(/^USER: /, ""),
+    memoryContext: ""
+  };
+}
+
+// ===========================================
+// FIXTURES
+// ===========================================
+
+/**
+ * Fixtures script replies for matching requests, first match wins:
+ * [{ "kind": "chat" | "memory" | "extract" | "classify" (optional, default any),
+ *    "match": "substring" | "regex": "pattern" (optional, default all),
+ *    "reply": "text" (chat) | { ...memory JSON } (memory, extract)
+ *             | { type, confidence, reason } (classify),
+ *    "status": 503 (optional, fail instead of replying),
+ *    "delayMs": 0 }]
+ */
+export async function loadFixtures(path) {
+  const fixtures = JSON.parse(await readFile(path, "utf8"));
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`${path}: fixtures must be a JSON array`);
+  }
+  return fixtures;
+}
+
+function findFixture(fixtures, kind, userText) {
+  return fixtures.find(f =>
+    (!f.kind || f.kind === kind) &&
+    (f.match === undefined || userText.toLowerCase().includes(f.match.toLowerCase())) &&
+    (f.regex === undefined || new RegExp(f.regex, "i").test(userText))
+  );
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * OpenAI-style usage, ~4 characters per token
+ */
+function mockUsage(messages = [], content = "") {
+  const prompt_tokens = Math.ceil(messages.map(m => m.content || "").join("\n").length / 4);
+  const completion_tokens = Math.ceil(content.length / 4);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+// ===========================================
+// SERVER
+// ===========================================
+
+/**
+ * Express app serving the mock endpoints
+ * app.locals.calls records every request: { kind, userText }
+ */
+export function createMockLLMApp({ fixtures = [] } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+  app.locals.calls = [];
+
+  /**
+   * Resolve a reply: fixture (possibly an error) or rule
+   * @returns {Promise<{status?, reply}>}
+   */
+  async function respond(kind, userText, memoryContext) {
+    app.locals.calls.push({ kind, userText });
+
+    const fixture = findFixture(fixtures, kind, userText);
+    if (fixture?.delayMs) await sleep(fixture.delayMs);
+    if (fixture?.status) return { status: fixture.status };
+    if (fixture) return { reply: fixture.reply };
+
+    if (kind === "chat") return { reply: mockChatReply(userText, memoryContext) };
+    if (kind === "classify") return { reply: mockEntityClassification(userText) };
+    return { reply: mockMemoryExtraction(userText) };
+  }
+
+  app.post("/v1/chat/completions", async (req, res) => {
+    const { model = "mock", messages, stream, stream_options } = req.body;
+    const { kind, userText, memoryContext } = parseChatRequest(messages);
+    const { status, reply } = await respond(kind, userText, memoryContext);
+
+    if (status) {
+      return res.status(status).json({ error: { message: `Mock failure (${status})` } });
+    }
+
+    const content = typeof reply === "string" ? reply : JSON.stringify(reply);
+    const id = `chatcmpl-mock-${app.locals.calls.length}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    if (!stream) {
+      return res.json({
+        id,
+        object: "chat.completion",
+        created,
+        model,
+        choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+        usage: mockUsage(messages, content)
+      });
+    }
+
+    // Server-sent events, one word per chunk
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+
+    const chunk = (delta, finishReason = null) => res.write(`data: ${JSON.stringify({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })}\n\n`);
+
+    chunk({ role: "assistant", content: "" });
+    for (const word of content.match(/\S+\s*/g) || []) {
+      chunk({ content: word });
+    }
+    chunk({}, "stop");
+    if (stream_options?.include_usage) {
+      res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", created, model, choices: [], usage: mockUsage(messages, content) })}\n\n`);
+    }
+    res.write("data: [DONE]\n\n");
+    res.end();
+  });
+
+  app.get("/v1/models", (req, res) => {
+    res.json({ object: "list", data: [{ id: "mock", object: "model", owned_by: "meaningmemory" }] });
+  });
+
+  // Core1: { conversation: "User: ...\nAssistant: ..." }
+  app.post("/extract", async (req, res) => {
+    const conversation = String(req.body?.conversation || "");
+    const userText = conversation.match(/^User: (.*)$/m)?.[1] ?? conversation;
+    const { status, reply } = await respond("extract", userText, "");
+
+    if (status) {
+      return res.status(status).json({ error: `Mock failure (${status})` });
+    }
+
+    // Core1 reports preferences as plain entity names
+    res.json({
+      ...reply,
+      preferences: (reply.preferences || []).map(p => (typeof p === "string" ? p : p.entity))
+    });
+  });
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok", mock: true });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server (port 0 picks a free port)
+ * @returns {Promise<{url, calls, close}>}
+ */
+export async function startMockLLMServer({ port = 0, host = "127.0.0.1", fixtures = [] } = {}) {
+  const app = createMockLLMApp({ fixtures });
+
+  const server = await new Promise((resolve, reject) => {
+    const s = app.listen(port, host, () => resolve(s)).on("error", reject);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    calls: app.locals.calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
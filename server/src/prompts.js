@@ -22,6 +22,7 @@ RULES:
 3. If memory has low confidence, you can hedge ("I think you mentioned...")
 4. If memory seems outdated, acknowledge it might have changed
 5. Be conversational and helpful
+6. Earlier turns of this conversation come before the current message - use them to resolve follow-ups ("the second one", "what about her?")
 
 MEMORY CONTEXT FORMAT:
 - Each memory shows: [tier][confidence] summary
@@ -271,3 +272,36 @@ Assistant: "${assistantText}"
 Extract memory as JSON:`;
 }
 
+
+// ===========================================
+// ENTITY CLASSIFIER (entityClassifier.js, "classify" role)
+// ===========================================
+
+export const ENTITY_CLASSIFIER_SYSTEM = `You classify named entities from a person's memory notes. Output JSON only.
+
+TYPES:
+- person: a human (family, friends, coworkers, public figures)
+- pet: an animal someone keeps
+- place: a city, country, neighbourhood, address, venue or natural feature
+- organization: a company, school, team, club, band or institution
+- product: a device, app, vehicle, book, film, game or other made thing
+- event: a one-off or recurring happening (conference, wedding, holiday, trip)
+- concept: an idea, field, practice, hobby or topic
+- unknown: the notes do not say
+
+SCHEMA:
+{"type": "person", "confidence": 0.0-1.0, "reason": "the words in the notes that decide it"}
+
+Output valid JSON only. No markdown.`;
+
+export function entityClassifierUserPrompt({ name, aliases = [], memories = [] }) {
+  const alsoCalled = aliases.length ? `\nAlso called: ${aliases.join(", ")}` : "";
+  const notes = memories.length ? memories.map(m => `- ${m}`).join("\n") : "- (none)";
+
+  return `Entity: "${name}"${alsoCalled}
+
+Notes that mention it:
+${notes}
+
+Classify the entity as JSON:`;
+}
@@ -0,0 +1,192 @@
+// MeaningMemory V3 - Purge Service
+// Right-to-be-forgotten: cascading hard deletion with an audit receipt
+//
+// Deactivation (is_active = false) keeps text in the database forever.
+// A purge removes the memory rows and every trace derived from them:
+// preferences, entity links, supersession pointers, relations,
+// contradictions, decay history and background jobs quoting them. The
+// chat transcript a memory came from is only deleted on request (it holds
+// other turns and the sources of other memories), or with the whole user.
+// The receipt records ids and counts only.
+
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { publishEvent, forgetEvents } from "./memoryEvents.js";
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+// ===========================================
+// CORE CASCADE
+// ===========================================
+
+function emptyCounts() {
+  return {
+    memory_units: 0,
+    preferences: 0,
+    relations: 0,
+    contradictions: 0,
+    decay_log: 0,
+    entities: 0,
+    entity_links_scrubbed: 0,
+    supersedes_scrubbed: 0,
+    conversations: 0,
+    conversation_titles_scrubbed: 0,
+    messages: 0,
+    memory_jobs: 0,
+    webhook_deliveries: 0,
+    entity_edits: 0,
+    entity_matches: 0
+  };
+}
+
+/**
+ * Write the audit receipt (ids and counts only, no content)
+ */
+async function recordReceipt(tx, { userId, targetType, targetId, memoryIds, counts, reason }) {
+  const row = await tx.insertPurgeReceipt(userId, {
+    targetType, targetId, memoryIds, counts, reason
+  });
+
+  return formatReceipt(row);
+}
+
+function formatReceipt(row) {
+  return {
+    receipt_id: row.id,
+    user_id: row.user_id,
+    target_type: row.target_type,
+    target_id: row.target_id,
+    memory_ids: row.memory_ids,
+    counts: row.counts,
+    reason: row.reason,
+    purged_at: row.purged_at
+  };
+}
+
+/**
+ * Run a purge inside a transaction and record its receipt
+ * names: the purged entity's names, also dropped from the event buffer
+ */
+async function runPurge({ userId, targetType, targetId, reason, names = [] }, purge) {
+  const receipt = await getStorage().transaction(async (tx) => {
+    const counts = emptyCounts();
+    const memoryIds = await purge(tx, counts);
+    return recordReceipt(tx, {
+      userId, targetType, targetId, memoryIds, counts, reason
+    });
+  });
+
+  // Buffered events would replay the purged summaries and names
+  forgetEvents(userId, targetType === "user"
+    ? { all: true }
+    : { refs: [...receipt.memory_ids, targetId], names });
+
+  // Ids only - never the purged content
+  publishEvent("memory.purged", {
+    receipt_id: receipt.receipt_id,
+    target_type: targetType,
+    target_id: targetId,
+    memory_ids: receipt.memory_ids
+  }, userId);
+
+  const { counts } = receipt;
+  console.log(`[Purge] ${targetType} ${targetId || ""} for ${userId}: ${counts.memory_units} memories, ${counts.preferences} preferences, ${counts.relations} relations, ${counts.contradictions} contradictions`);
+  return receipt;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Purge a single memory
+ * includeTranscript also deletes the conversation it was extracted from,
+ * counted in the receipt's conversations and messages
+ * Returns the receipt, or null if the memory does not exist for this user
+ */
+export async function purgeMemory(memoryId, userId = config.DEFAULT_USER_ID, { reason = null, includeTranscript = false } = {}) {
+  if (!UUID_PATTERN.test(memoryId)) return null;
+
+  const exists = await getStorage().getMemory(userId, memoryId);
+  if (!exists) return null;
+
+  return runPurge({ userId, targetType: "memory", targetId: memoryId, reason }, async (tx, counts) => {
+    if (includeTranscript) {
+      await tx.purgeSourceConversations(userId, [memoryId], counts);
+    }
+
+    return tx.purgeMemories(userId, [memoryId], counts);
+  });
+}
+
+/**
+ * Purge an entity and every memory that mentions it
+ * A memory mentions the entity if it is linked to it, lists the canonical
+ * name or an alias in its entities, or names it in its summary or facts.
+ * Chat messages and jobs naming it are deleted too, wherever they are
+ * Returns the receipt, or null if the entity does not exist for this user
+ */
+export async function purgeEntity(entityIdOrName, userId = config.DEFAULT_USER_ID, { reason = null } = {}) {
+  const storage = getStorage();
+  const entity = UUID_PATTERN.test(entityIdOrName)
+    ? await storage.getEntity(userId, entityIdOrName)
+    : await storage.findEntityByNameOrAlias(userId, entityIdOrName);
+
+  if (!entity) return null;
+
+  const names = [entity.canonical_name, ...(entity.aliases || [])]
+    .map(n => n.trim())
+    .filter(n => n.length > 0);
+
+  return runPurge({ userId, targetType: "entity", targetId: entity.id, reason, names }, async (tx, counts) => {
+    const mentioning = await tx.findMemoriesMentioning(userId, {
+      memoryIds: entity.memory_ids || [],
+      names
+    });
+
+    const ids = await tx.purgeMemories(userId, mentioning, counts);
+
+    // Preferences about the entity that came from elsewhere
+    counts.preferences += await tx.deletePreferencesByEntity(userId, names);
+
+    // Chat messages naming it in conversations no purged memory came from
+    await tx.purgeMessagesMentioning(userId, names, counts);
+
+    // Queued or finished jobs carrying its id or names (extraction input,
+    // webhook events, classification results)
+    await tx.purgeJobsMentioning(userId, { refs: [entity.id], names }, counts);
+
+    // The edit log and match queue hold its names and aliases
+    counts.entity_edits += await tx.deleteEntityEdits(userId, entity.id);
+    counts.entity_matches += await tx.deleteEntityMatches(userId, entity.id);
+
+    counts.entities += await tx.deleteEntity(userId, entity.id);
+
+    return ids;
+  });
+}
+
+/**
+ * Purge everything stored for a user: memories, preferences, entities,
+ * relations, contradictions and conversation transcripts
+ */
+export async function purgeUser(userId, { reason = null } = {}) {
+  return runPurge({ userId, targetType: "user", targetId: userId, reason }, async (tx, counts) => {
+    const all = await tx.listMemories(userId, { includeInactive: true });
+
+    const ids = await tx.purgeMemories(userId, all.map(m => m.id), counts);
+
+    // Anything left that was not tied to a memory
+    await tx.purgeUserRows(userId, counts);
+
+    return ids;
+  });
+}
+
+/**
+ * List purge receipts for a user (most recent first)
+ */
+export async function getPurgeReceipts(userId = config.DEFAULT_USER_ID, { limit = 50 } = {}) {
+  const rows = await getStorage().listPurgeReceipts(userId, { limit });
+  return rows.map(formatReceipt);
+}
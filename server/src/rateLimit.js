@@ -0,0 +1,77 @@
+// MeaningMemory V3 - Rate Limiting
+// Token buckets kept in this process: each key may make `limit` requests
+// per window, refilled continuously, so short bursts up to `limit` pass.
+// With several server processes each one enforces the limits on its own.
+
+const MAX_IDLE_BUCKETS = 10000;
+
+export class RateLimiter {
+  /**
+   * @param {object} options - { limit, windowMs }; limit 0 disables the limiter
+   */
+  constructor({ limit, windowMs = 60000 }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.buckets = new Map();
+  }
+
+  refill(key, now) {
+    const bucket = this.buckets.get(key) || { tokens: this.limit, updatedAt: now };
+    const refilled = (now - bucket.updatedAt) * this.limit / this.windowMs;
+
+    bucket.tokens = Math.min(this.limit, bucket.tokens + refilled);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Milliseconds until key may make a request (0 = now), without using it up
+   */
+  retryAfterMs(key, now = Date.now()) {
+    if (!(this.limit > 0)) return 0;
+
+    const bucket = this.refill(key, now);
+    return bucket.tokens >= 1
+      ? 0
+      : Math.ceil((1 - bucket.tokens) * this.windowMs / this.limit);
+  }
+
+  /**
+   * Use up one request for key
+   */
+  consume(key, now = Date.now()) {
+    if (!(this.limit > 0)) return;
+
+    this.refill(key, now).tokens -= 1;
+    this.prune(now);
+  }
+
+  /**
+   * Forget full buckets (idle keys) once there are many
+   */
+  prune(now) {
+    if (this.buckets.size <= MAX_IDLE_BUCKETS) return;
+
+    for (const key of [...this.buckets.keys()]) {
+      if (this.refill(key, now).tokens >= this.limit) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Take one request from every limiter, or none if any of them is empty
+ * @param {Array<[RateLimiter, string]>} checks - limiter and key pairs
+ * @returns {number} 0 if allowed, otherwise milliseconds to wait
+ */
+export function takeRateLimits(checks, now = Date.now()) {
+  const waitMs = Math.max(0, ...checks.map(([limiter, key]) => limiter.retryAfterMs(key, now)));
+  if (waitMs === 0) {
+    for (const [limiter, key] of checks) {
+      limiter.consume(key, now);
+    }
+  }
+  return waitMs;
+}
@@ -0,0 +1,122 @@
+// MeaningMemory V3 - Re-embedding Service
+// Rebuilds memory_units.embedding when the embedding model or dimension changes
+//
+// 1. Stage: embed every memory in batches into a staging column
+//    (outside a transaction, so a long run doesn't hold locks)
+// 2. Swap: in one transaction, stage anything added meanwhile, replace the
+//    embeddings, retype the column to the new dimension and rebuild the index
+//
+// Memories themselves are never touched - only their vectors.
+
+import { config } from "./config.js";
+import { getEmbeddingProvider } from "./embeddings.js";
+import { getStorage } from "./storage/index.js";
+
+/**
+ * Provider identity as stored in embedding_index
+ */
+export function describeProvider(provider = getEmbeddingProvider()) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    dimensions: provider.dimensions
+  };
+}
+
+function sameIndex(a, b) {
+  return a.provider === b.provider && a.model === b.model && a.dimensions === b.dimensions;
+}
+
+async function stageBatches(db, provider, batchSize, onProgress) {
+  let staged = 0;
+
+  while (true) {
+    const rows = await db.listUnstagedMemories({ limit: batchSize });
+    if (rows.length === 0) return staged;
+
+    const embeddings = await provider.embed(rows.map(r => r.summary));
+    await db.stageEmbeddings(rows.map((r, i) => ({ id: r.id, embedding: embeddings[i] })));
+
+    staged += rows.length;
+    onProgress?.(staged);
+  }
+}
+
+/**
+ * Re-embed every memory (all users) with the given provider
+ * @param {object} [options.provider] - defaults to the configured provider
+ * @param {number} [options.batchSize=32] - texts per embed call
+ * @param {Function} [options.onProgress] - called with (staged, total)
+ * @returns {Promise<{total, from, to}>}
+ */
+export async function reembedAll({
+  provider = getEmbeddingProvider(),
+  batchSize = 32,
+  onProgress = null,
+  storage = getStorage()
+} = {}) {
+  const from = await storage.getEmbeddingIndex();
+  const to = describeProvider(provider);
+  const { total } = await storage.countMemoriesForReembed();
+
+  console.log(`[Reembed] Re-embedding ${total} memories with ${to.model} (${to.dimensions}d)`);
+  await provider.init();
+
+  // Start clean: vectors staged by an interrupted run may be from another model
+  await storage.clearStagedEmbeddings();
+  await stageBatches(storage, provider, batchSize, staged => onProgress?.(staged, total));
+
+  const result = await storage.transaction(async (tx) => {
+    const late = await stageBatches(tx, provider, batchSize, null);
+    if (late > 0) {
+      console.log(`[Reembed] Staged ${late} memories added during the run`);
+    }
+
+    await tx.swapStagedEmbeddings({ dimensions: to.dimensions });
+    await tx.setEmbeddingIndex(to);
+    return (await tx.countMemoriesForReembed()).total;
+  });
+
+  console.log(`[Reembed] Done - ${result} memories now use ${to.model}`);
+  return { total: result, from, to };
+}
+
+/**
+ * Startup check: compare the stored embedding index with config
+ * Re-embeds when autoReembed is set, otherwise refuses to run -
+ * mixing vectors from two models makes similarity scores meaningless
+ */
+export async function ensureEmbeddingIndexCurrent({
+  autoReembed = config.AUTO_REEMBED,
+  provider = getEmbeddingProvider(),
+  storage = getStorage()
+} = {}) {
+  const expected = describeProvider(provider);
+  const index = await storage.getEmbeddingIndex();
+
+  // Fresh store with no recorded model - adopt the configured one, sizing
+  // the still empty embedding column to its dimension
+  if (!index) {
+    await storage.transaction(async (tx) => {
+      await tx.swapStagedEmbeddings({ dimensions: expected.dimensions });
+      await tx.setEmbeddingIndex(expected);
+    });
+    return expected;
+  }
+
+  if (sameIndex(index, expected)) {
+    return index;
+  }
+
+  const mismatch =
+    `Stored embeddings use ${index.provider}:${index.model} (${index.dimensions}d) ` +
+    `but the configured provider is ${expected.provider}:${expected.model} (${expected.dimensions}d)`;
+
+  if (!autoReembed) {
+    throw new Error(`${mismatch}. Run "npm run reembed" or start with AUTO_REEMBED=true`);
+  }
+
+  console.log(`[Reembed] ${mismatch}`);
+  await reembedAll({ provider, storage });
+  return expected;
+}
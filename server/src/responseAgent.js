@@ -1,13 +1,26 @@
 // MeaningMemory V3 - Response Agent
 // Generates contextually-aware responses using memory
+// Routed through the "interaction" LLM role (see llm.js)
 
-import { grok, INTERACTION_MODEL } from "./llm.js";
+import { chat, chatStream } from "./llm.js";
 import { RESPONSE_AGENT_SYSTEM, responseAgentUserPrompt, formatMemoryContext, formatPreferencesContext } from "./prompts.js";
 
+/**
+ * Build the chat messages: system prompt, recent conversation turns, current turn
+ * history is [{ role: "user" | "assistant", content }] oldest first
+ */
+function buildMessages({ userText, memoryContext, history }) {
+  return [
+    { role: "system", content: RESPONSE_AGENT_SYSTEM },
+    ...history.map(m => ({ role: m.role, content: m.content })),
+    { role: "user", content: responseAgentUserPrompt({ userText, memoryContext }) }
+  ];
+}
+
 /**
  * Run response agent (non-streaming)
  */
-export async function runResponseAgent({ userText, retrievedMemories, preferences = [] }) {
+export async function runResponseAgent({ userText, retrievedMemories, preferences = [], history = [], userId }) {
   // Format memory context with tier and confidence info
   const memoryContext = formatMemoryContext(retrievedMemories);
   const prefContext = formatPreferencesContext(preferences);
@@ -15,25 +28,21 @@ export async function runResponseAgent({ userText, retrievedMemories, preference
   const fullContext = [memoryContext, prefContext].filter(Boolean).join("\n\n");
   
   console.log(`[Response Agent] Memory context: ${fullContext ? fullContext.substring(0, 200) + "..." : "(none)"}`);
-  console.log(`[Response Agent] Sending to ${INTERACTION_MODEL}...`);
-
-  const resp = await grok.chat.completions.create({
-    model: INTERACTION_MODEL,
-    messages: [
-      { role: "system", content: RESPONSE_AGENT_SYSTEM },
-      { role: "user", content: responseAgentUserPrompt({ userText, memoryContext: fullContext }) }
-    ]
-  });
-
-  console.log("[Response Agent] Response received");
-  return resp.choices[0].message.content;
+  console.log(`[Response Agent] Sending to interaction role (${history.length} history messages)...`);
+
+  const { content, target } = await chat("interaction", {
+    messages: buildMessages({ userText, memoryContext: fullContext, history })
+  }, { userId });
+
+  console.log(`[Response Agent] Response received from ${target}`);
+  return content;
 }
 
 /**
  * Run response agent with STREAMING
- * Returns an async iterator of text chunks
+ * Returns an async iterator of text chunks (strings)
  */
-export async function runResponseAgentStreaming({ userText, retrievedMemories, preferences = [] }) {
+export async function runResponseAgentStreaming({ userText, retrievedMemories, preferences = [], history = [], userId }) {
   // Format memory context with tier and confidence info
   const memoryContext = formatMemoryContext(retrievedMemories);
   const prefContext = formatPreferencesContext(preferences);
@@ -41,17 +50,13 @@ export async function runResponseAgentStreaming({ userText, retrievedMemories, p
   const fullContext = [memoryContext, prefContext].filter(Boolean).join("\n\n");
   
   console.log(`[Response Agent] Memory context: ${fullContext ? fullContext.substring(0, 200) + "..." : "(none)"}`);
-  console.log(`[Response Agent] Starting stream from ${INTERACTION_MODEL}...`);
+  console.log(`[Response Agent] Starting stream from interaction role (${history.length} history messages)...`);
 
-  const stream = await grok.chat.completions.create({
-    model: INTERACTION_MODEL,
-    messages: [
-      { role: "system", content: RESPONSE_AGENT_SYSTEM },
-      { role: "user", content: responseAgentUserPrompt({ userText, memoryContext: fullContext }) }
-    ],
-    stream: true
-  });
+  const { stream, target } = await chatStream("interaction", {
+    messages: buildMessages({ userText, memoryContext: fullContext, history })
+  }, { userId });
 
+  console.log(`[Response Agent] Streaming from ${target}`);
   return stream;
 }
 
@@ -27,27 +27,33 @@ END $$;
 -- ===========================================
 CREATE TABLE IF NOT EXISTS entities (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  canonical_name TEXT NOT NULL UNIQUE,
+  user_id TEXT NOT NULL DEFAULT 'default', -- Owner (tenant) of this entity
+  canonical_name TEXT NOT NULL,
   aliases TEXT[] DEFAULT '{}',
-  entity_type TEXT,                    -- 'person', 'place', 'thing', 'concept'
+  entity_type TEXT,                    -- person, pet, place, organization, product, event, concept, unknown
+  type_evidence JSONB,                 -- How the type was assigned: {method: rules|llm|manual, ...}
   confidence FLOAT DEFAULT 0.8 CHECK (confidence >= 0 AND confidence <= 1),
   confirmed BOOLEAN DEFAULT false,     -- User confirmed this entity mapping?
   description TEXT,                    -- Brief description
   memory_ids UUID[] DEFAULT '{}',
   first_seen_at TIMESTAMPTZ DEFAULT NOW(),
-  last_seen_at TIMESTAMPTZ DEFAULT NOW()
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, canonical_name)
 );
 
 CREATE INDEX IF NOT EXISTS idx_entities_canonical 
-  ON entities (canonical_name);
+  ON entities (user_id, canonical_name);
 CREATE INDEX IF NOT EXISTS idx_entities_aliases 
   ON entities USING gin(aliases);
+CREATE INDEX IF NOT EXISTS idx_entities_type
+  ON entities (user_id, entity_type);
 
 -- ===========================================
 -- 3. MEMORY UNITS TABLE (V3 Enhanced)
 -- ===========================================
 CREATE TABLE IF NOT EXISTS memory_units (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL DEFAULT 'default', -- Owner (tenant) of this memory
   
   -- Core Content
   summary TEXT NOT NULL,
@@ -77,9 +83,11 @@ CREATE TABLE IF NOT EXISTS memory_units (
   
   -- Provenance
   source_conversation_id TEXT,         -- Link back to conversation
+  source_job_id UUID,                  -- extract_memory job that stored it (reruns skip the insert)
   
-  -- Embedding
+  -- Embedding (dimension follows embedding_index; changed by "npm run reembed")
   embedding vector(384) NOT NULL,
+  embedding_staging vector,            -- Filled by a re-embed run in progress
   
   -- State
   is_active BOOLEAN DEFAULT true,
@@ -92,18 +100,23 @@ CREATE INDEX IF NOT EXISTS idx_memory_embedding
   ON memory_units USING hnsw (embedding vector_cosine_ops);
 CREATE INDEX IF NOT EXISTS idx_memory_active
   ON memory_units (is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_memory_user
+  ON memory_units (user_id);
 CREATE INDEX IF NOT EXISTS idx_memory_tier
   ON memory_units (tier);
 CREATE INDEX IF NOT EXISTS idx_memory_importance
   ON memory_units (current_importance DESC);
 CREATE INDEX IF NOT EXISTS idx_memory_fts
   ON memory_units USING gin(to_tsvector('english', summary));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_memory_source_job
+  ON memory_units (source_job_id) WHERE source_job_id IS NOT NULL;
 
 -- ===========================================
 -- 4. PREFERENCES TABLE (First-class in V3)
 -- ===========================================
 CREATE TABLE IF NOT EXISTS preferences (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL DEFAULT 'default', -- Owner (tenant) of this preference
   subject TEXT NOT NULL,               -- Who has the preference (usually 'user')
   entity TEXT NOT NULL,                -- What the preference is about
   valence TEXT CHECK (valence IN ('positive', 'negative', 'neutral')),
@@ -120,12 +133,15 @@ CREATE INDEX IF NOT EXISTS idx_preferences_entity
   ON preferences (entity);
 CREATE INDEX IF NOT EXISTS idx_preferences_active
   ON preferences (is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_preferences_user
+  ON preferences (user_id);
 
 -- ===========================================
 -- 5. MEMORY RELATIONS TABLE (Graph in V3)
 -- ===========================================
 CREATE TABLE IF NOT EXISTS memory_relations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL DEFAULT 'default',
   source_id UUID NOT NULL REFERENCES memory_units(id) ON DELETE CASCADE,
   target_id UUID NOT NULL REFERENCES memory_units(id) ON DELETE CASCADE,
   relation_type TEXT NOT NULL,         -- 'related_to', 'elaborates', 'supports', 'temporal_sequence'
@@ -139,12 +155,15 @@ CREATE INDEX IF NOT EXISTS idx_relations_source
   ON memory_relations (source_id);
 CREATE INDEX IF NOT EXISTS idx_relations_target
   ON memory_relations (target_id);
+CREATE INDEX IF NOT EXISTS idx_relations_user
+  ON memory_relations (user_id);
 
 -- ===========================================
 -- 6. CONTRADICTIONS TABLE (Explicit in V3)
 -- ===========================================
 CREATE TABLE IF NOT EXISTS contradictions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL DEFAULT 'default',
   memory_a UUID NOT NULL REFERENCES memory_units(id) ON DELETE CASCADE,
   memory_b UUID NOT NULL REFERENCES memory_units(id) ON DELETE CASCADE,
   field_path TEXT,                     -- Which field conflicts (e.g., 'facts[0]')
@@ -164,6 +183,8 @@ CREATE TABLE IF NOT EXISTS contradictions (
 
 CREATE INDEX IF NOT EXISTS idx_contradictions_pending
   ON contradictions (resolution) WHERE resolution = 'pending';
+CREATE INDEX IF NOT EXISTS idx_contradictions_user
+  ON contradictions (user_id);
 
 -- ===========================================
 -- 7. DECAY LOG (For debugging/tuning)
@@ -178,6 +199,206 @@ CREATE TABLE IF NOT EXISTS decay_log (
   run_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ===========================================
+-- 8. CONVERSATIONS & MESSAGES (Short-term context)
+-- ===========================================
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,                 -- Client-supplied or server-generated id
+  user_id TEXT NOT NULL DEFAULT 'default',
+  title TEXT,                          -- First user message (truncated)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user
+  ON conversations (user_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL DEFAULT 'default',
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation
+  ON messages (conversation_id, created_at);
+
+-- ===========================================
+-- 9. PURGE LOG (Right-to-be-forgotten audit trail)
+-- Stores ids and counts only - never purged content
+-- ===========================================
+CREATE TABLE IF NOT EXISTS purge_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('memory', 'entity', 'user')),
+  target_id TEXT,
+  memory_ids UUID[] DEFAULT '{}',
+  counts JSONB NOT NULL DEFAULT '{}',
+  reason TEXT,
+  purged_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purge_log_user
+  ON purge_log (user_id, purged_at DESC);
+
+-- ===========================================
+-- 10. EMBEDDING INDEX (Model behind memory_units.embedding)
+-- Single row, compared against EMBED_* config at startup
+-- ===========================================
+CREATE TABLE IF NOT EXISTS embedding_index (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ===========================================
+-- 11. MEMORY JOBS (Durable background extraction queue)
+-- pending → running → completed, or back to pending with backoff;
+-- dead once max_attempts is reached
+-- ===========================================
+CREATE TABLE IF NOT EXISTS memory_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- Earliest next attempt (backoff)
+  locked_by TEXT,                              -- Worker running the job
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_jobs_due
+  ON memory_jobs (run_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_memory_jobs_user
+  ON memory_jobs (user_id, created_at DESC);
+
+-- ===========================================
+-- 12. WEBHOOKS (Outbound memory lifecycle events)
+-- One row per subscription; webhook_deliveries logs every attempt
+-- ===========================================
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,                        -- HMAC-SHA256 signing key
+  events TEXT[] NOT NULL DEFAULT '{}',         -- Empty = every webhook event type
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user
+  ON webhooks (user_id)
+  WHERE active = TRUE;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  job_id UUID,                                 -- Same for every attempt of a delivery
+  event_type TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('delivered', 'failed')),
+  response_status INTEGER,
+  duration_ms INTEGER,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+  ON webhook_deliveries (webhook_id, created_at DESC);
+
+-- ===========================================
+-- 13. API KEYS (Authentication, AUTH_MODE=required)
+-- Only a SHA-256 hash of each key is stored
+-- ===========================================
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,                    -- First characters, to recognise a key
+  key_hash TEXT NOT NULL UNIQUE,               -- SHA-256 hex of the full key
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user
+  ON api_keys (user_id, created_at);
+
+-- ===========================================
+-- 14. LLM USAGE (Token accounting, daily budgets)
+-- ===========================================
+CREATE TABLE IF NOT EXISTS llm_usage (
+  user_id TEXT NOT NULL,
+  day DATE NOT NULL,                           -- UTC
+  role TEXT NOT NULL,                          -- interaction, memory, ...
+  target TEXT NOT NULL,                        -- provider/model label
+  requests INTEGER NOT NULL DEFAULT 0,
+  input_tokens BIGINT NOT NULL DEFAULT 0,
+  output_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, day, role, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_day
+  ON llm_usage (day);
+
+-- ===========================================
+-- 15. ENTITY EDITS (Merge/rename/alias log with undo)
+-- ===========================================
+CREATE TABLE IF NOT EXISTS entity_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL,                        -- merge, rename, alias_add, alias_remove, update
+  entity_ids UUID[] NOT NULL DEFAULT '{}',     -- Entities touched (target first)
+  memory_ids UUID[] NOT NULL DEFAULT '{}',     -- Memories rewritten
+  details JSONB NOT NULL DEFAULT '{}',
+  changes JSONB NOT NULL DEFAULT '{}',         -- Before/after rows, for undo
+  created_at TIMESTAMPTZ DEFAULT clock_timestamp(),
+  undone_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_edits_user
+  ON entity_edits (user_id, created_at DESC);
+
+-- ===========================================
+-- 16. ENTITY MATCHES (Fuzzy matches queued for review)
+-- ===========================================
+CREATE TABLE IF NOT EXISTS entity_matches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  mention TEXT NOT NULL,
+  memory_id UUID,                              -- Memory naming the mention
+  entity_id UUID NOT NULL,                     -- Entity created for the mention
+  candidates JSONB NOT NULL DEFAULT '[]',      -- [{entity_id, canonical_name, confidence, signals}], best first
+  status TEXT NOT NULL DEFAULT 'pending',      -- pending, accepted, rejected
+  chosen_entity_id UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_matches_user_status
+  ON entity_matches (user_id, status, created_at DESC);
+
 -- ===========================================
 -- HELPER FUNCTIONS
 -- ===========================================
@@ -0,0 +1,223 @@
+// MeaningMemory V3 - Shared Schemas
+// Zod schemas shared by the Memory Agent and the REST API
+
+import { z } from "zod";
+
+// ===========================================
+// BUILDING BLOCKS
+// ===========================================
+
+export const TierSchema = z.enum([
+  "asserted_fact",
+  "observed_fact",
+  "preference",
+  "hypothesis",
+  "temporary_context"
+]);
+
+export const StructuredFactSchema = z.object({
+  subject: z.string(),
+  predicate: z.string(),
+  object: z.string(),
+  confidence: z.number().min(0).max(1).optional().default(0.8),
+  temporal: z.enum(["current", "past", "future", "unknown"]).optional().default("current")
+});
+
+export const PreferenceSchema = z.object({
+  entity: z.string(),
+  valence: z.enum(["positive", "negative", "neutral"]),
+  strength: z.number().min(0).max(1).optional().default(0.5),
+  context: z.string().nullable().optional()
+});
+
+export const EntityLinkSchema = z.object({
+  mention: z.string(),
+  canonical: z.string(),
+  relationship: z.string().nullable().optional()
+});
+
+const DateStringSchema = z.string().refine(
+  value => !Number.isNaN(Date.parse(value)),
+  { message: "Invalid date" }
+);
+
+// ===========================================
+// REST API: MEMORY UNITS
+// ===========================================
+
+/**
+ * POST /memories - create a memory through the full insert pipeline
+ */
+export const MemoryCreateSchema = z.object({
+  summary: z.string().trim().min(1).max(2000),
+  tier: TierSchema.optional().default("observed_fact"),
+  confidence: z.number().min(0).max(1).optional().default(0.8),
+  entities: z.array(z.string().min(1)).optional().default([]),
+  facts: z.array(z.string().min(1)).optional().default([]),
+  structured_facts: z.array(StructuredFactSchema).optional().default([]),
+  preferences: z.array(PreferenceSchema).optional().default([]),
+  entity_links: z.array(EntityLinkSchema).optional().default([]),
+  valid_from: DateStringSchema.nullable().optional(),
+  valid_to: DateStringSchema.nullable().optional(),
+  related_to: z.array(z.string().uuid()).optional().default([]),
+  importance: z.number().min(1).max(10).optional().default(5)
+}).strict();
+
+/**
+ * PATCH /memories/:id - edit fields of an existing memory
+ * Changing summary re-embeds the memory
+ */
+export const MemoryUpdateSchema = z.object({
+  summary: z.string().trim().min(1).max(2000),
+  tier: TierSchema,
+  confidence: z.number().min(0).max(1),
+  entities: z.array(z.string().min(1)),
+  facts: z.array(z.string().min(1)),
+  structured_facts: z.array(StructuredFactSchema),
+  valid_from: DateStringSchema.nullable(),
+  valid_to: DateStringSchema.nullable(),
+  importance: z.number().min(1).max(10),
+  is_active: z.boolean()
+}).partial().strict().refine(
+  patch => Object.keys(patch).length > 0,
+  { message: "At least one field is required" }
+);
+
+// ===========================================
+// REST API: WEBHOOKS
+// ===========================================
+
+export const WebhookEventTypeSchema = z.enum([
+  "memory.created",
+  "memory.updated",
+  "memory.superseded",
+  "memory.purged",
+  "contradiction.detected",
+  "contradiction.resolved",
+  "entity.created",
+  "entity.merged",
+  "entity.updated"
+]);
+
+const WebhookUrlSchema = z.string().url().refine(
+  value => /^https?:\/\//i.test(value),
+  { message: "URL must use http or https" }
+);
+
+/**
+ * POST /webhooks - subscribe a URL to memory lifecycle events
+ * An empty events list subscribes to every type
+ */
+export const WebhookCreateSchema = z.object({
+  url: WebhookUrlSchema,
+  events: z.array(WebhookEventTypeSchema).optional().default([]),
+  description: z.string().trim().max(500).nullable().optional()
+}).strict();
+
+/**
+ * PATCH /webhooks/:id - rotate_secret returns a new signing secret
+ */
+export const WebhookUpdateSchema = z.object({
+  url: WebhookUrlSchema,
+  events: z.array(WebhookEventTypeSchema),
+  description: z.string().trim().max(500).nullable(),
+  active: z.boolean(),
+  rotate_secret: z.literal(true)
+}).partial().strict().refine(
+  patch => Object.keys(patch).length > 0,
+  { message: "At least one field is required" }
+);
+
+/**
+ * API key scopes (auth.js); admin implies the others
+ */
+export const ApiKeyScopeSchema = z.enum(["chat", "memories:read", "memories:write", "admin"]);
+
+/**
+ * POST /keys - the plaintext key is only returned in the response
+ */
+export const ApiKeyCreateSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(ApiKeyScopeSchema).min(1),
+  expires_in_days: z.number().int().positive().max(3650).nullable().optional()
+}).strict();
+
+// ===========================================
+// REST API: CHAT & CONTRADICTIONS
+// ===========================================
+
+/**
+ * POST /chat - body.user_id may also be present (see resolveUserId)
+ */
+export const ChatRequestSchema = z.object({
+  message: z.string().min(1),
+  conversation_id: z.string().nullable().optional(),
+  wait_for_memory: z.boolean().optional().default(false)
+});
+
+/**
+ * Outcomes for a pending contradiction (contradictions.resolution)
+ */
+export const ContradictionResolutionSchema = z.enum([
+  "a_supersedes",
+  "b_supersedes",
+  "coexist",
+  "merged",
+  "user_resolved"
+]);
+
+/**
+ * POST /contradictions/:id/resolve
+ */
+export const ContradictionResolveSchema = z.object({
+  resolution: ContradictionResolutionSchema,
+  note: z.string().max(1000).nullable().optional()
+});
+
+// ===========================================
+// REST API: ENTITIES
+// ===========================================
+
+/**
+ * Entity types assigned by the classifier (entityClassifier.js) or by hand
+ */
+export const EntityTypeSchema = z.enum([
+  "person", "pet", "place", "organization", "product", "event", "concept", "unknown"
+]);
+
+/**
+ * PATCH /entities/:id - renaming keeps the old name as an alias; a type
+ * set here is never changed by the classifier
+ */
+export const EntityUpdateSchema = z.object({
+  canonical_name: z.string().trim().min(1).max(200),
+  entity_type: EntityTypeSchema.nullable(),
+  description: z.string().trim().max(2000).nullable()
+}).partial().strict().refine(
+  patch => Object.keys(patch).length > 0,
+  { message: "At least one field is required" }
+);
+
+/**
+ * POST /entities/:id/aliases
+ */
+export const EntityAliasSchema = z.object({
+  alias: z.string().trim().min(1).max(200)
+}).strict();
+
+/**
+ * POST /entities/:id/merge - folds the sources into :id
+ */
+export const EntityMergeSchema = z.object({
+  source_ids: z.array(z.string().uuid()).min(1).max(50)
+}).strict();
+
+/**
+ * POST /entity-matches/:id/accept - entity_id picks a candidate other
+ * than the best one
+ */
+export const EntityMatchAcceptSchema = z.object({
+  entity_id: z.string().uuid().optional()
+}).strict();
+
+export const EntityMatchStatusSchema = z.enum(["pending", "accepted", "rejected"]);
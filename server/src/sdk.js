@@ -0,0 +1,456 @@
+// MeaningMemory V3 - Client SDK
+// Typed client for the REST API, for Node services (18+, global fetch) and
+// browsers. Request bodies are checked with the same zod schemas the server
+// validates with, so bad input fails before a request is made, with the
+// issues a 400 response would carry.
+//
+//   import { MeaningMemoryClient } from "meaning-memory-v3/sdk";
+//
+//   const mm = new MeaningMemoryClient({ baseUrl: "http://localhost:3335", apiKey: "mm_…" });
+//   for await (const frame of mm.chat("I just adopted a cat named Miso")) {
+//     if (frame.chunk) process.stdout.write(frame.chunk);
+//   }
+//   const prefs = await mm.preferences.list({ valence: "positive" });
+//
+// Only imports schemas.js (and zod), never server modules.
+
+import {
+  MemoryCreateSchema,
+  MemoryUpdateSchema,
+  ChatRequestSchema,
+  ContradictionResolveSchema,
+  EntityUpdateSchema,
+  EntityAliasSchema,
+  EntityMergeSchema,
+  EntityMatchAcceptSchema
+} from "./schemas.js";
+
+/**
+ * @typedef {import("zod").input<typeof MemoryCreateSchema>} MemoryCreateInput
+ * @typedef {import("zod").input<typeof MemoryUpdateSchema>} MemoryUpdateInput
+ * @typedef {import("zod").input<typeof ContradictionResolveSchema>} ContradictionResolveInput
+ * @typedef {import("zod").input<typeof EntityUpdateSchema>} EntityUpdateInput
+ * @typedef {import("zod").ZodIssue} ValidationIssue
+ *
+ * @typedef {Object} ChatFrame One server-sent event of a /chat stream
+ * @property {string} [chunk] Next piece of the reply
+ * @property {boolean} [done] The reply is complete
+ * @property {string} [conversation_id] With done: send it back to continue the conversation
+ * @property {Object} [memory] With waitForMemory: what the turn's extraction stored
+ * @property {string} [error] The server failed mid-stream; no frames follow
+ */
+
+// ===========================================
+// ERRORS
+// ===========================================
+
+/**
+ * Any failed request; status is null when no response arrived
+ */
+export class MeaningMemoryError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "MeaningMemoryError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Rejected input (HTTP 400, or caught by the schema before sending)
+ */
+export class ValidationError extends MeaningMemoryError {
+  constructor(message, { issues = [], ...rest } = {}) {
+    super(message, { status: 400, ...rest });
+    this.name = "ValidationError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Missing or invalid API key (401)
+ */
+export class AuthenticationError extends MeaningMemoryError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AuthenticationError";
+  }
+}
+
+/**
+ * The key lacks a scope, or belongs to another user (403)
+ */
+export class PermissionError extends MeaningMemoryError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PermissionError";
+  }
+}
+
+export class NotFoundError extends MeaningMemoryError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Too many requests or daily LLM budget spent (429)
+ * retryAfterMs: when to try again; budget: set when the budget is the cause
+ */
+export class RateLimitError extends MeaningMemoryError {
+  constructor(message, { retryAfterMs = null, ...rest } = {}) {
+    super(message, rest);
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+    this.budget = rest.body?.budget ?? null;
+  }
+}
+
+/**
+ * No response: network failure or timeout
+ */
+export class ConnectionError extends MeaningMemoryError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ConnectionError";
+  }
+}
+
+function errorFor(status, body, retryAfterMs) {
+  const message = body?.error || `HTTP ${status}`;
+  const options = { status, body };
+
+  switch (status) {
+    case 400: return new ValidationError(message, { ...options, issues: body?.issues ?? [] });
+    case 401: return new AuthenticationError(message, options);
+    case 403: return new PermissionError(message, options);
+    case 404: return new NotFoundError(message, options);
+    case 429: return new RateLimitError(message, { ...options, retryAfterMs });
+    default: return new MeaningMemoryError(message, options);
+  }
+}
+
+/**
+ * Parse with a shared schema, or throw the ValidationError the server would
+ */
+function validate(schema, input, what) {
+  const parsed = schema.safeParse(input);
+  if (!parsed.success) {
+    throw new ValidationError(`Invalid ${what}`, { issues: parsed.error.issues });
+  }
+  return parsed.data;
+}
+
+// ===========================================
+// CLIENT
+// ===========================================
+
+// Retried on GET only; other methods wait for 429 or 503 with Retry-After
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class MeaningMemoryClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - e.g. "http://localhost:3335"
+   * @param {string} [options.apiKey] - sent as a Bearer token (AUTH_MODE=required)
+   * @param {string} [options.userId] - X-User-Id; not needed with a user's API key
+   * @param {number} [options.maxRetries=2] - retries for 429, 503 with Retry-After and, on GETs, network errors and 500-504
+   * @param {number} [options.retryDelayMs=500] - first backoff, doubled per retry
+   * @param {number} [options.maxRetryDelayMs=30000] - a 429 asking to wait longer is thrown instead
+   * @param {number} [options.timeoutMs=30000] - how long to wait for a response to start
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({
+    baseUrl,
+    apiKey = null,
+    userId = null,
+    maxRetries = 2,
+    retryDelayMs = 500,
+    maxRetryDelayMs = 30000,
+    timeoutMs = 30000,
+    fetch: fetchImpl = globalThis.fetch
+  }) {
+    if (!baseUrl) throw new Error("baseUrl is required");
+    if (!fetchImpl) throw new Error("No fetch available: pass options.fetch");
+
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.userId = userId;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl;
+
+    this.memories = {
+      /** @param {{inactive?: boolean}} [options] */
+      list: ({ inactive = false } = {}) => this.request("GET", "/memories", { query: { inactive: inactive || undefined } }),
+      get: id => this.request("GET", `/memories/${encodeURIComponent(id)}`),
+      /** @param {MemoryCreateInput} memory */
+      create: async memory => this.request("POST", "/memories", { body: validate(MemoryCreateSchema, memory, "memory") }),
+      /** @param {MemoryUpdateInput} patch */
+      update: async (id, patch) => this.request("PATCH", `/memories/${encodeURIComponent(id)}`, {
+        body: validate(MemoryUpdateSchema, patch, "memory update")
+      }),
+      /** Purges (with receipt) unless soft, which only deactivates; includeTranscript also deletes its conversation */
+      delete: (id, { soft = false, includeTranscript = false } = {}) => this.request("DELETE", `/memories/${encodeURIComponent(id)}`, {
+        query: { soft: soft || undefined, include_transcript: includeTranscript || undefined }
+      }),
+      relations: id => this.request("GET", `/memories/${encodeURIComponent(id)}/relations`)
+    };
+
+    this.preferences = {
+      /** @param {{entity?: string, valence?: "positive"|"negative"|"neutral"}} [filter] */
+      list: ({ entity, valence } = {}) => this.request("GET", "/preferences", { query: { entity, valence } })
+    };
+
+    this.entities = {
+      /** type: only entities of one type (person, pet, place, ...) */
+      list: ({ type } = {}) => this.request("GET", "/entities", { query: { type } }),
+      get: id => this.request("GET", `/entities/${encodeURIComponent(id)}`),
+      /** @param {EntityUpdateInput} patch */
+      update: async (id, patch) => this.request("PATCH", `/entities/${encodeURIComponent(id)}`, {
+        body: validate(EntityUpdateSchema, patch, "entity update")
+      }),
+      addAlias: async (id, alias) => this.request("POST", `/entities/${encodeURIComponent(id)}/aliases`, {
+        body: validate(EntityAliasSchema, { alias }, "alias")
+      }),
+      removeAlias: (id, alias) => this.request("DELETE", `/entities/${encodeURIComponent(id)}/aliases/${encodeURIComponent(alias)}`),
+      /** Folds sourceIds into id */
+      merge: async (id, sourceIds) => this.request("POST", `/entities/${encodeURIComponent(id)}/merge`, {
+        body: validate(EntityMergeSchema, { source_ids: sourceIds }, "merge")
+      }),
+      memories: id => this.request("GET", `/entities/${encodeURIComponent(id)}/memories`),
+      confirm: id => this.request("POST", `/entities/${encodeURIComponent(id)}/confirm`),
+      edits: ({ entityId, limit } = {}) => this.request("GET", "/entity-edits", { query: { entity_id: entityId, limit } }),
+      undoEdit: editId => this.request("POST", `/entity-edits/${encodeURIComponent(editId)}/undo`),
+      /** @param {{status?: "pending"|"accepted"|"rejected", limit?: number}} [filter] */
+      matches: ({ status, limit } = {}) => this.request("GET", "/entity-matches", { query: { status, limit } }),
+      /** Merges the mention's entity into entityId (default: the best candidate) */
+      acceptMatch: async (matchId, entityId) => this.request("POST", `/entity-matches/${encodeURIComponent(matchId)}/accept`, {
+        body: validate(EntityMatchAcceptSchema, entityId ? { entity_id: entityId } : {}, "match acceptance")
+      }),
+      rejectMatch: matchId => this.request("POST", `/entity-matches/${encodeURIComponent(matchId)}/reject`)
+    };
+
+    this.contradictions = {
+      list: () => this.request("GET", "/contradictions"),
+      /** @param {ContradictionResolveInput} resolution */
+      resolve: async (id, resolution) => this.request("POST", `/contradictions/${encodeURIComponent(id)}/resolve`, {
+        body: validate(ContradictionResolveSchema, resolution, "resolution")
+      })
+    };
+
+    this.decay = {
+      /** Needs the admin scope */
+      run: () => this.request("POST", "/decay/run")
+    };
+  }
+
+  stats() {
+    return this.request("GET", "/stats");
+  }
+
+  headers(extra = {}) {
+    return {
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      ...(this.userId && { "X-User-Id": this.userId }),
+      ...extra
+    };
+  }
+
+  url(path, query = {}) {
+    const params = new URLSearchParams(
+      Object.entries(query).filter(([, value]) => value !== undefined && value !== null).map(([k, v]) => [k, String(v)])
+    ).toString();
+    return `${this.baseUrl}${path}${params ? `?${params}` : ""}`;
+  }
+
+  /**
+   * fetch with retries; resolves to an OK response (body unread)
+   * Network errors and 5xx are only retried on GET: a write may have happened.
+   * Other methods are retried on 429, and on 503 with Retry-After (refused)
+   */
+  async send(method, path, { query, body, accept = "application/json", signal, timeoutMs = this.timeoutMs } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      // Only waiting for the response is timed, so streams can run long
+      const timeout = new AbortController();
+      const timer = setTimeout(() => timeout.abort(), timeoutMs);
+      let response;
+
+      try {
+        response = await this.fetch(this.url(path, query), {
+          method,
+          headers: this.headers({
+            Accept: accept,
+            ...(body !== undefined && { "Content-Type": "application/json" })
+          }),
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        if (method === "GET" && attempt < this.maxRetries) {
+          await this.backoff(attempt);
+          continue;
+        }
+        const reason = timeout.signal.aborted ? `timed out after ${timeoutMs}ms` : err.message;
+        throw new ConnectionError(`${method} ${path} failed: ${reason}`, { cause: err });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (response.ok) return response;
+
+      const text = await response.text();
+      let parsed = null;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch {
+        parsed = { error: text };
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+      const refused = response.status === 429 || (response.status === 503 && retryAfterMs !== null);
+      const retryable = refused
+        ? retryAfterMs === null || retryAfterMs <= this.maxRetryDelayMs
+        : method === "GET" && RETRYABLE_STATUSES.includes(response.status);
+
+      if (retryable && attempt < this.maxRetries) {
+        await this.backoff(attempt, retryAfterMs);
+        continue;
+      }
+      throw errorFor(response.status, parsed, retryAfterMs);
+    }
+  }
+
+  backoff(attempt, retryAfterMs = null) {
+    const delay = retryAfterMs ?? this.retryDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+    return new Promise(resolve => setTimeout(resolve, Math.min(delay, this.maxRetryDelayMs)));
+  }
+
+  /**
+   * JSON request; resolves to the parsed response body
+   */
+  async request(method, path, options = {}) {
+    const response = await this.send(method, path, options);
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  // ===========================================
+  // CHAT
+  // ===========================================
+
+  /**
+   * Stream a reply: yields the SSE frames of POST /chat as they arrive
+   * An { error } frame ends the stream (the server failed mid-reply)
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.conversationId] - continue this conversation
+   * @param {boolean} [options.waitForMemory] - stay open for the { memory } frame after done
+   * @param {AbortSignal} [options.signal]
+   * @returns {AsyncGenerator<ChatFrame>}
+   */
+  async *chat(message, { conversationId, waitForMemory, signal } = {}) {
+    const body = validate(ChatRequestSchema, {
+      message,
+      conversation_id: conversationId,
+      wait_for_memory: waitForMemory
+    }, "chat request");
+
+    const response = await this.send("POST", "/chat", { body, accept: "text/event-stream", signal });
+    yield* parseEventStream(response.body, signal);
+  }
+
+  /**
+   * Chat without streaming: the whole reply once it is complete
+   * @returns {Promise<{reply: string, conversation_id: string|null, memory: Object|null}>}
+   */
+  async chatReply(message, options = {}) {
+    const result = { reply: "", conversation_id: null, memory: null };
+
+    for await (const frame of this.chat(message, options)) {
+      if (frame.error) {
+        throw new MeaningMemoryError(frame.error, { status: 200, body: frame });
+      }
+      if (frame.chunk) result.reply += frame.chunk;
+      if (frame.done) result.conversation_id = frame.conversation_id;
+      if (frame.memory) result.memory = frame.memory;
+    }
+    return result;
+  }
+
+  // ===========================================
+  // EVENTS
+  // ===========================================
+
+  /**
+   * Follow the user's memory events (GET /events) until aborted or the
+   * connection drops; pass the last event's id as since to resume
+   * @param {Object} [options]
+   * @param {string[]} [options.types] - e.g. ["memory.created", "job.failed"]
+   * @param {number} [options.since] - replay events after this id
+   * @param {AbortSignal} [options.signal]
+   * @returns {AsyncGenerator<{id: number, type: string, user_id: string, at: string, data: Object}>}
+   */
+  async *events({ types, since, signal } = {}) {
+    const response = await this.send("GET", "/events", {
+      query: { types: types?.join(","), since },
+      accept: "text/event-stream",
+      signal
+    });
+    yield* parseEventStream(response.body, signal);
+  }
+}
+
+/**
+ * The data: payloads of a text/event-stream body, as JSON
+ * Events may be split across reads, or several may arrive in one
+ */
+async function* parseEventStream(stream, signal) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      let result;
+      try {
+        result = await reader.read();
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        throw new ConnectionError(`Stream interrupted: ${err.message}`, { cause: err });
+      }
+
+      buffer += decoder.decode(result.value, { stream: !result.done });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = result.done ? "" : events.pop();
+
+      for (const event of events) {
+        const data = event.split(/\r?\n/)
+          .filter(line => line.startsWith("data:"))
+          .map(line => line.slice(5).replace(/^ /, ""))
+          .join("\n");
+        if (!data) continue;
+
+        const frame = JSON.parse(data);
+        yield frame;
+        if (frame.error) return;
+      }
+
+      if (result.done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,1679 @@
+// MeaningMemory V3 - In-Memory Storage Backend
+// Pure-JS implementation of the storage interface for unit tests and
+// embedded/demo mode. Vector search is brute-force cosine similarity.
+// Data lives in process memory and is lost on exit.
+
+import { randomUUID } from "crypto";
+import { cosineSimilarity } from "../embeddings.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Minimal English stop-word list for keyword scoring
+ */
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "do", "does", "for", "from",
+  "has", "have", "i", "in", "is", "it", "me", "my", "of", "on", "or", "the",
+  "to", "was", "what", "who", "with", "you", "your"
+]);
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 0 && !STOP_WORDS.has(t));
+}
+
+/**
+ * Stand-in for ts_rank: fraction of query terms present in the text
+ */
+function keywordScore(text, queryText) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+  if (queryTerms.length === 0) return 0;
+
+  const terms = new Set(tokenize(text));
+  const matched = queryTerms.filter(t => terms.has(t)).length;
+  return matched / queryTerms.length;
+}
+
+/**
+ * SQL LIKE (case-insensitive) as a RegExp
+ */
+function likeToRegex(pattern) {
+  const escaped = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${escaped}$`, "is");
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function byDesc(key) {
+  return (a, b) => (b[key] ?? -Infinity) - (a[key] ?? -Infinity);
+}
+
+function byAsc(key) {
+  return (a, b) => (a[key] ?? Infinity) - (b[key] ?? Infinity);
+}
+
+/**
+ * Same formula as the calculate_decayed_importance() SQL function
+ */
+function decayedImportance(memory, { decayRate, reinforcementBonus, floor }, now) {
+  const daysSinceDecay = (now - memory.last_decay_at.getTime()) / DAY_MS;
+  const daysSinceAccess = memory.last_accessed_at
+    ? (now - memory.last_accessed_at.getTime()) / DAY_MS
+    : 999;
+
+  const decayed = memory.base_importance * Math.exp(-decayRate * daysSinceDecay);
+  const reinforcement = daysSinceAccess < 7
+    ? reinforcementBonus * Math.min(memory.access_count, 10) * (1 - daysSinceAccess / 7)
+    : 0;
+
+  return Math.max(decayed + reinforcement, floor);
+}
+
+function emptyTables() {
+  return {
+    memories: new Map(),
+    preferences: new Map(),
+    entities: new Map(),
+    relations: new Map(),
+    contradictions: new Map(),
+    decayLog: [],
+    conversations: new Map(),
+    messages: [],
+    purgeLog: [],
+    jobs: new Map(),
+    webhooks: new Map(),
+    webhookDeliveries: [],
+    apiKeys: new Map(),
+    llmUsage: new Map(),
+    entityEdits: [],
+    entityMatches: new Map(),
+    embeddingIndex: null,
+    stagedEmbeddings: new Map()
+  };
+}
+
+export class InMemoryBackend {
+  constructor() {
+    this.name = "memory";
+    this.tables = emptyTables();
+    this.lock = Promise.resolve();
+    this.inTransaction = false;
+  }
+
+  // ===========================================
+  // LIFECYCLE
+  // ===========================================
+
+  /**
+   * Run fn(tx) atomically: tables are snapshotted and restored on error
+   * Transactions are serialised; nested calls reuse the open transaction
+   */
+  async transaction(fn) {
+    if (this.inTransaction) {
+      return fn(this);
+    }
+
+    const previous = this.lock;
+    let release;
+    this.lock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    // tx shares this backend's tables but is marked as inside a transaction
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+    const snapshot = structuredClone(this.tables);
+
+    try {
+      return await fn(tx);
+    } catch (err) {
+      this.tables = snapshot;
+      throw err;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Drop all data (used between tests)
+   */
+  reset() {
+    this.tables = emptyTables();
+  }
+
+  /**
+   * Nothing to migrate - the in-memory schema is always current
+   */
+  async prepare() {}
+
+  async close() {}
+
+  // ===========================================
+  // INTERNAL HELPERS
+  // ===========================================
+
+  userMemories(userId) {
+    return [...this.tables.memories.values()].filter(m => m.user_id === userId);
+  }
+
+  activeMemories(userId) {
+    return this.userMemories(userId).filter(m => m.is_active);
+  }
+
+  userEntities(userId) {
+    return [...this.tables.entities.values()].filter(e => e.user_id === userId);
+  }
+
+  relationKey(sourceId, targetId, relationType) {
+    return `${sourceId}|${targetId}|${relationType}`;
+  }
+
+  // ===========================================
+  // MEMORY UNITS
+  // ===========================================
+
+  async insertMemory(userId, row) {
+    const now = new Date();
+    const memory = {
+      id: row.id || randomUUID(),
+      user_id: userId,
+      summary: row.summary,
+      entities: clone(row.entities || []),
+      facts: clone(row.facts || []),
+      tier: row.tier || "observed_fact",
+      confidence: row.confidence || 0.8,
+      valid_from: toDate(row.valid_from),
+      valid_to: toDate(row.valid_to),
+      base_importance: row.base_importance || 5,
+      current_importance: row.current_importance ?? (row.base_importance || 5),
+      last_decay_at: toDate(row.last_decay_at) || now,
+      access_count: row.access_count || 0,
+      last_accessed_at: toDate(row.last_accessed_at),
+      structured_facts: clone(row.structured_facts || []),
+      entity_links: clone(row.entity_links || []),
+      source_conversation_id: row.source_conversation_id || null,
+      source_job_id: row.source_job_id || null,
+      embedding: [...row.embedding],
+      is_active: row.is_active !== false,
+      supersedes: clone(row.supersedes || []),
+      created_at: toDate(row.created_at) || now
+    };
+
+    this.tables.memories.set(memory.id, memory);
+
+    const { id, summary, tier, confidence, created_at } = memory;
+    return { id, summary, tier, confidence, created_at };
+  }
+
+  async getMemory(userId, id) {
+    const memory = this.tables.memories.get(id);
+    return memory && memory.user_id === userId ? clone(memory) : undefined;
+  }
+
+  async findMemoryBySourceJob(userId, jobId) {
+    const memory = this.userMemories(userId).find(m => m.source_job_id === jobId);
+    return memory ? clone(memory) : undefined;
+  }
+
+  async getMemoriesByIds(userId, ids, { activeOnly = false } = {}) {
+    const wanted = new Set(ids);
+    return this.userMemories(userId)
+      .filter(m => wanted.has(m.id) && (!activeOnly || m.is_active))
+      .sort(byDesc("created_at"))
+      .map(clone);
+  }
+
+  async listMemories(userId, { includeInactive = false, tier = null, orderBy = "created_at" } = {}) {
+    return this.userMemories(userId)
+      .filter(m => (includeInactive || m.is_active) && (!tier || m.tier === tier))
+      .sort(orderBy === "importance" ? byDesc("current_importance") : byDesc("created_at"))
+      .map(clone);
+  }
+
+  async updateMemory(userId, id, fields) {
+    const memory = this.tables.memories.get(id);
+    if (!memory || memory.user_id !== userId) return null;
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      memory[column] = column === "valid_from" || column === "valid_to"
+        ? toDate(value)
+        : clone(value);
+    }
+
+    return clone(memory);
+  }
+
+  async deactivateMemories(userId, ids) {
+    for (const id of ids || []) {
+      const memory = this.tables.memories.get(id);
+      if (memory && memory.user_id === userId) {
+        memory.is_active = false;
+      }
+    }
+  }
+
+  async supersedeMemory(userId, winnerId, loserId) {
+    const loser = this.tables.memories.get(loserId);
+    if (loser && loser.user_id === userId) {
+      loser.is_active = false;
+    }
+
+    const winner = this.tables.memories.get(winnerId);
+    if (winner && winner.user_id === userId) {
+      winner.supersedes.push(loserId);
+    }
+  }
+
+  async listSupersedingMemories(userId, memoryId) {
+    return this.userMemories(userId)
+      .filter(m => m.supersedes.includes(memoryId))
+      .sort(byDesc("created_at"))
+      .map(clone);
+  }
+
+  async getMemoryStats(userId) {
+    const memories = this.userMemories(userId);
+    const count = predicate => memories.filter(predicate).length;
+    const avg = key => memories.length
+      ? memories.reduce((sum, m) => sum + m[key], 0) / memories.length
+      : null;
+
+    const preferences = [...this.tables.preferences.values()]
+      .filter(p => p.user_id === userId && p.is_active);
+
+    const lastMemory = memories.reduce(
+      (latest, m) => (!latest || m.created_at > latest ? m.created_at : latest),
+      null
+    );
+
+    return {
+      memories: {
+        total_memories: memories.length,
+        active_memories: count(m => m.is_active),
+        asserted_facts: count(m => m.tier === "asserted_fact"),
+        observed_facts: count(m => m.tier === "observed_fact"),
+        preferences_tier: count(m => m.tier === "preference"),
+        hypotheses: count(m => m.tier === "hypothesis"),
+        avg_importance: avg("current_importance"),
+        avg_confidence: avg("confidence"),
+        last_memory_at: lastMemory
+      },
+      preferences: {
+        total: preferences.length,
+        positive: preferences.filter(p => p.valence === "positive").length,
+        negative: preferences.filter(p => p.valence === "negative").length
+      },
+      entities: {
+        total: this.userEntities(userId).length
+      },
+      relations: {
+        total: [...this.tables.relations.values()].filter(r => r.user_id === userId).length
+      }
+    };
+  }
+
+  // ===========================================
+  // SEARCH
+  // ===========================================
+
+  /**
+   * Hybrid search: cosine similarity + keyword overlap + importance
+   */
+  async searchMemories(userId, { embedding, queryText, limit }) {
+    return this.activeMemories(userId)
+      .map(m => ({
+        id: m.id,
+        summary: m.summary,
+        entities: clone(m.entities),
+        facts: clone(m.facts),
+        structured_facts: clone(m.structured_facts),
+        tier: m.tier,
+        confidence: m.confidence,
+        current_importance: m.current_importance,
+        access_count: m.access_count,
+        base_score:
+          0.6 * cosineSimilarity(m.embedding, embedding) +
+          0.2 * keywordScore(m.summary, queryText) +
+          0.2 * (m.current_importance / 10.0)
+      }))
+      .sort(byDesc("base_score"))
+      .slice(0, limit);
+  }
+
+  async getActivatedNeighbors(userId, { sourceIds, embedding }) {
+    const sources = new Set(sourceIds);
+    const rows = [];
+
+    for (const r of this.tables.relations.values()) {
+      if (r.user_id !== userId) continue;
+
+      const neighborIds = [];
+      if (sources.has(r.source_id)) neighborIds.push(r.target_id);
+      if (sources.has(r.target_id) && r.bidirectional) neighborIds.push(r.source_id);
+
+      for (const neighborId of neighborIds) {
+        const m = this.tables.memories.get(neighborId);
+        if (!m || !m.is_active || m.user_id !== userId || sources.has(m.id)) continue;
+
+        rows.push({
+          source_id: r.source_id,
+          target_id: r.target_id,
+          relation_type: r.relation_type,
+          weight: r.weight,
+          id: m.id,
+          summary: m.summary,
+          entities: clone(m.entities),
+          facts: clone(m.facts),
+          structured_facts: clone(m.structured_facts),
+          tier: m.tier,
+          confidence: m.confidence,
+          current_importance: m.current_importance,
+          access_count: m.access_count,
+          similarity: cosineSimilarity(m.embedding, embedding)
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  async findSimilarMemories(userId, { embedding, threshold, limit }) {
+    return this.activeMemories(userId)
+      .map(m => ({
+        id: m.id,
+        summary: m.summary,
+        structured_facts: clone(m.structured_facts),
+        entities: clone(m.entities),
+        tier: m.tier,
+        confidence: m.confidence,
+        similarity: cosineSimilarity(m.embedding, embedding)
+      }))
+      .filter(m => m.similarity > threshold)
+      .sort(byDesc("similarity"))
+      .slice(0, limit);
+  }
+
+  async findIdentityMemories(userId, { limit }) {
+    const contains = (text, needle) => text.toLowerCase().includes(needle);
+
+    return this.activeMemories(userId)
+      .filter(m =>
+        contains(m.summary, "name is") ||
+        contains(m.summary, "i am") ||
+        contains(m.summary, "introduces") ||
+        contains(m.facts.join(" "), "name is")
+      )
+      .sort(byDesc("created_at"))
+      .slice(0, limit)
+      .map(m => ({
+        id: m.id,
+        summary: m.summary,
+        facts: clone(m.facts),
+        tier: m.tier,
+        confidence: m.confidence,
+        created_at: m.created_at
+      }));
+  }
+
+  async findMemoriesSharingEntities(userId, memoryId, entities, { limit }) {
+    const wanted = new Set(entities);
+
+    return this.activeMemories(userId)
+      .filter(m => m.id !== memoryId && m.entities.some(e => wanted.has(e)))
+      .slice(0, limit)
+      .map(m => ({ id: m.id, entities: clone(m.entities), summary: m.summary }));
+  }
+
+  async findMemoriesMentioning(userId, { memoryIds = [], names }) {
+    const linked = new Set(memoryIds);
+    const namesLower = new Set(names.map(n => n.toLowerCase()));
+    const mention = new RegExp(
+      `(?<![\\p{L}\\p{N}_])(${names.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}_])`,
+      "iu"
+    );
+
+    return this.userMemories(userId)
+      .filter(m =>
+        linked.has(m.id) ||
+        m.entities.some(e => namesLower.has(e.toLowerCase())) ||
+        mention.test(m.summary) ||
+        mention.test(m.facts.join(" "))
+      )
+      .map(m => m.id);
+  }
+
+  // ===========================================
+  // DECAY (global maintenance across all users)
+  // ===========================================
+
+  async applyDecay(params) {
+    const now = Date.now();
+    const rows = [];
+
+    for (const m of this.tables.memories.values()) {
+      if (!m.is_active) continue;
+
+      m.current_importance = decayedImportance(m, params, now);
+      m.last_decay_at = new Date(now);
+
+      rows.push({
+        id: m.id,
+        summary: m.summary,
+        base_importance: m.base_importance,
+        current_importance: m.current_importance
+      });
+    }
+
+    return rows;
+  }
+
+  async reinforceMemory(memoryId) {
+    const m = this.tables.memories.get(memoryId);
+    if (!m) return undefined;
+
+    m.access_count += 1;
+    m.last_accessed_at = new Date();
+    return { id: m.id, access_count: m.access_count };
+  }
+
+  async reinforceMemories(memoryIds) {
+    for (const id of memoryIds) {
+      await this.reinforceMemory(id);
+    }
+  }
+
+  async listLowImportanceMemories(threshold) {
+    return [...this.tables.memories.values()]
+      .filter(m => m.is_active && m.current_importance < threshold)
+      .sort(byAsc("current_importance"))
+      .map(m => ({
+        id: m.id,
+        summary: m.summary,
+        tier: m.tier,
+        current_importance: m.current_importance,
+        access_count: m.access_count,
+        created_at: m.created_at
+      }));
+  }
+
+  async archiveLowImportanceMemories(threshold, maxAgeDays) {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    const rows = [];
+
+    for (const m of this.tables.memories.values()) {
+      if (m.is_active && m.current_importance < threshold && m.created_at.getTime() < cutoff) {
+        m.is_active = false;
+        rows.push({ id: m.id, summary: m.summary });
+      }
+    }
+
+    return rows;
+  }
+
+  // ===========================================
+  // EMBEDDING INDEX (global, used by re-embedding)
+  // ===========================================
+
+  async getEmbeddingIndex() {
+    return clone(this.tables.embeddingIndex);
+  }
+
+  async setEmbeddingIndex({ provider, model, dimensions }) {
+    this.tables.embeddingIndex = { provider, model, dimensions, updated_at: new Date() };
+  }
+
+  async countMemoriesForReembed() {
+    const ids = [...this.tables.memories.keys()];
+    return {
+      total: ids.length,
+      staged: ids.filter(id => this.tables.stagedEmbeddings.has(id)).length
+    };
+  }
+
+  async clearStagedEmbeddings() {
+    this.tables.stagedEmbeddings.clear();
+  }
+
+  async listUnstagedMemories({ limit }) {
+    return [...this.tables.memories.values()]
+      .filter(m => !this.tables.stagedEmbeddings.has(m.id))
+      .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id))
+      .slice(0, limit)
+      .map(m => ({ id: m.id, summary: m.summary }));
+  }
+
+  async stageEmbeddings(rows) {
+    for (const { id, embedding } of rows) {
+      if (this.tables.memories.has(id)) {
+        this.tables.stagedEmbeddings.set(id, [...embedding]);
+      }
+    }
+  }
+
+  async swapStagedEmbeddings() {
+    const missing = [...this.tables.memories.keys()]
+      .filter(id => !this.tables.stagedEmbeddings.has(id));
+    if (missing.length > 0) {
+      throw new Error(`${missing.length} memories have no staged embedding`);
+    }
+
+    for (const m of this.tables.memories.values()) {
+      m.embedding = this.tables.stagedEmbeddings.get(m.id);
+    }
+    this.tables.stagedEmbeddings.clear();
+  }
+
+  // ===========================================
+  // PREFERENCES
+  // ===========================================
+
+  async insertPreference(userId, row) {
+    const preference = {
+      id: row.id || randomUUID(),
+      user_id: userId,
+      subject: row.subject || "user",
+      entity: row.entity,
+      valence: row.valence,
+      strength: row.strength ?? 0.5,
+      context: row.context || null,
+      confidence: row.confidence ?? 0.75,
+      memory_id: row.memory_id || null,
+      is_active: row.is_active !== false,
+      superseded_by: null,
+      created_at: toDate(row.created_at) || new Date()
+    };
+
+    this.tables.preferences.set(preference.id, preference);
+    return clone(preference);
+  }
+
+  async setPreferenceSupersededBy(userId, id, supersededBy) {
+    const preference = this.tables.preferences.get(id);
+    if (preference && preference.user_id === userId) {
+      preference.superseded_by = supersededBy;
+    }
+  }
+
+  async listPreferences(userId, { entity = null, valence = null, includeInactive = false } = {}) {
+    const entityPattern = entity ? likeToRegex(entity) : null;
+
+    return [...this.tables.preferences.values()]
+      .filter(p =>
+        p.user_id === userId &&
+        (includeInactive || p.is_active) &&
+        (!entityPattern || entityPattern.test(p.entity)) &&
+        (!valence || p.valence === valence)
+      )
+      .sort(byDesc("created_at"))
+      .map(clone);
+  }
+
+  /**
+   * Point preferences about any of names at entity; returns [{ id, entity }]
+   * with each preference's previous entity
+   */
+  async renamePreferenceEntities(userId, names, entity) {
+    const namesLower = new Set(names.map(n => n.toLowerCase()));
+    const renamed = [];
+
+    for (const p of this.tables.preferences.values()) {
+      if (p.user_id === userId && namesLower.has(p.entity.toLowerCase()) && p.entity !== entity) {
+        renamed.push({ id: p.id, entity: p.entity });
+        p.entity = entity;
+      }
+    }
+
+    return renamed;
+  }
+
+  /**
+   * Set a preference's entity, only if it is still `from` when given
+   */
+  async setPreferenceEntity(userId, id, entity, { from = null } = {}) {
+    const preference = this.tables.preferences.get(id);
+    if (!preference || preference.user_id !== userId) return 0;
+    if (from !== null && preference.entity !== from) return 0;
+
+    preference.entity = entity;
+    return 1;
+  }
+
+  async deletePreferencesByEntity(userId, names) {
+    const namesLower = new Set(names.map(n => n.toLowerCase()));
+    let deleted = 0;
+
+    for (const p of [...this.tables.preferences.values()]) {
+      if (p.user_id === userId && namesLower.has(p.entity.toLowerCase())) {
+        this.tables.preferences.delete(p.id);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  // ===========================================
+  // ENTITIES
+  // ===========================================
+
+  async getEntity(userId, id) {
+    const entity = this.tables.entities.get(id);
+    return entity && entity.user_id === userId ? clone(entity) : undefined;
+  }
+
+  async findEntityByName(userId, name) {
+    const lower = name.toLowerCase();
+    return clone(this.userEntities(userId).find(e => e.canonical_name.toLowerCase() === lower));
+  }
+
+  async findEntityByAlias(userId, alias) {
+    const lower = alias.toLowerCase();
+    return clone(this.userEntities(userId).find(e => e.aliases.some(a => a.toLowerCase() === lower)));
+  }
+
+  async findEntityByNameOrAlias(userId, name) {
+    return (await this.findEntityByName(userId, name)) || this.findEntityByAlias(userId, name);
+  }
+
+  async listEntities(userId, { type = null } = {}) {
+    return this.userEntities(userId)
+      .filter(e => !type || e.entity_type === type)
+      .sort(byDesc("last_seen_at"))
+      .map(clone);
+  }
+
+  async createEntity(userId, row) {
+    const duplicate = this.userEntities(userId).find(e => e.canonical_name === row.canonical_name);
+    if (duplicate) {
+      throw new Error(`Entity "${row.canonical_name}" already exists`);
+    }
+
+    const now = new Date();
+    const entity = {
+      id: randomUUID(),
+      user_id: userId,
+      canonical_name: row.canonical_name,
+      aliases: clone(row.aliases || []),
+      entity_type: row.entity_type || null,
+      type_evidence: clone(row.type_evidence || null),
+      confidence: 0.8,
+      confirmed: false,
+      description: null,
+      memory_ids: [],
+      first_seen_at: now,
+      last_seen_at: now
+    };
+
+    this.tables.entities.set(entity.id, entity);
+    return clone(entity);
+  }
+
+  async mergeEntity(userId, row) {
+    const existing = this.userEntities(userId).find(e => e.canonical_name === row.canonical_name);
+
+    if (existing) {
+      existing.aliases = [...new Set([...existing.aliases, ...(row.aliases || [])])];
+      existing.memory_ids = [...new Set([...existing.memory_ids, ...(row.memory_ids || [])])];
+      existing.confirmed = existing.confirmed || row.confirmed === true;
+      existing.description = existing.description ?? (row.description || null);
+
+      const lastSeen = toDate(row.last_seen_at) || new Date();
+      if (lastSeen > existing.last_seen_at) {
+        existing.last_seen_at = lastSeen;
+      }
+
+      return { entity: clone(existing), inserted: false };
+    }
+
+    const now = new Date();
+    const entity = {
+      id: randomUUID(),
+      user_id: userId,
+      canonical_name: row.canonical_name,
+      aliases: clone(row.aliases || []),
+      entity_type: row.entity_type || null,
+      type_evidence: clone(row.type_evidence || null),
+      confidence: row.confidence ?? 0.8,
+      confirmed: row.confirmed === true,
+      description: row.description || null,
+      memory_ids: clone(row.memory_ids || []),
+      first_seen_at: toDate(row.first_seen_at) || now,
+      last_seen_at: toDate(row.last_seen_at) || now
+    };
+
+    this.tables.entities.set(entity.id, entity);
+    return { entity: clone(entity), inserted: true };
+  }
+
+  async addEntityAlias(userId, entityId, alias, { touch = false } = {}) {
+    const entity = this.tables.entities.get(entityId);
+    if (!entity || entity.user_id !== userId || entity.aliases.includes(alias)) return;
+
+    entity.aliases.push(alias);
+    if (touch) {
+      entity.last_seen_at = new Date();
+    }
+  }
+
+  async updateEntity(userId, entityId, fields) {
+    const entity = this.tables.entities.get(entityId);
+    if (!entity || entity.user_id !== userId) return null;
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      entity[column] = clone(value);
+    }
+
+    return clone(entity);
+  }
+
+  async deleteEntity(userId, entityId) {
+    const entity = this.tables.entities.get(entityId);
+    if (!entity || entity.user_id !== userId) return 0;
+
+    this.tables.entities.delete(entityId);
+    return 1;
+  }
+
+  /**
+   * Put back a deleted entity (or overwrite one) as it was, id included
+   */
+  async restoreEntity(userId, row) {
+    const entity = {
+      ...clone(row),
+      user_id: userId,
+      first_seen_at: toDate(row.first_seen_at),
+      last_seen_at: toDate(row.last_seen_at)
+    };
+
+    const duplicate = this.userEntities(userId)
+      .find(e => e.id !== entity.id && e.canonical_name === entity.canonical_name);
+    if (duplicate) {
+      throw new Error(`Entity "${entity.canonical_name}" already exists`);
+    }
+
+    this.tables.entities.set(entity.id, entity);
+    return clone(entity);
+  }
+
+  async linkEntityMemory(userId, entityId, memoryId) {
+    const entity = this.tables.entities.get(entityId);
+    if (entity && entity.user_id === userId && !entity.memory_ids.includes(memoryId)) {
+      entity.memory_ids.push(memoryId);
+    }
+  }
+
+  async unlinkMemoryFromEntities(userId, memoryId) {
+    for (const entity of this.userEntities(userId)) {
+      entity.memory_ids = entity.memory_ids.filter(id => id !== memoryId);
+    }
+  }
+
+  // ===========================================
+  // RELATIONS
+  // ===========================================
+
+  async upsertRelation(userId, { sourceId, targetId, relationType, weight = 1.0, bidirectional = true, createdAt = null }) {
+    const source = this.tables.memories.get(sourceId);
+    const target = this.tables.memories.get(targetId);
+    if (!source || !target || source.user_id !== userId || target.user_id !== userId) return;
+
+    const key = this.relationKey(sourceId, targetId, relationType);
+    const existing = this.tables.relations.get(key);
+
+    if (existing) {
+      existing.weight = Math.max(existing.weight, weight);
+      return { id: existing.id, inserted: false };
+    }
+
+    const id = randomUUID();
+    this.tables.relations.set(key, {
+      id,
+      user_id: userId,
+      source_id: sourceId,
+      target_id: targetId,
+      relation_type: relationType,
+      weight,
+      bidirectional,
+      created_at: toDate(createdAt) || new Date()
+    });
+    return { id, inserted: true };
+  }
+
+  async deleteRelations(userId, ids) {
+    const doomed = new Set(ids);
+    let deleted = 0;
+
+    for (const [key, r] of [...this.tables.relations]) {
+      if (r.user_id === userId && doomed.has(r.id)) {
+        this.tables.relations.delete(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  async listRelationsForMemory(userId, memoryId) {
+    const rows = [];
+
+    for (const r of this.tables.relations.values()) {
+      if (r.user_id !== userId) continue;
+
+      let relatedId = null;
+      if (r.source_id === memoryId) relatedId = r.target_id;
+      else if (r.target_id === memoryId && r.bidirectional) relatedId = r.source_id;
+      if (!relatedId) continue;
+
+      const related = this.tables.memories.get(relatedId);
+      if (!related || !related.is_active) continue;
+
+      rows.push({ ...clone(r), related_summary: related.summary });
+    }
+
+    return rows.sort(byDesc("weight"));
+  }
+
+  async listRelations(userId) {
+    return [...this.tables.relations.values()]
+      .filter(r => r.user_id === userId)
+      .sort(byAsc("created_at"))
+      .map(clone);
+  }
+
+  // ===========================================
+  // CONTRADICTIONS
+  // ===========================================
+
+  async insertContradiction(userId, row) {
+    const contradiction = {
+      id: randomUUID(),
+      user_id: userId,
+      memory_a: row.memory_a,
+      memory_b: row.memory_b,
+      field_path: row.field_path || null,
+      reason: row.reason,
+      resolution: row.resolution || "pending",
+      resolution_note: row.resolution_note || null,
+      detected_at: toDate(row.detected_at) || new Date(),
+      resolved_at: toDate(row.resolved_at)
+    };
+
+    this.tables.contradictions.set(contradiction.id, contradiction);
+    return { id: contradiction.id };
+  }
+
+  async resolveContradiction(userId, id, resolution, note) {
+    const contradiction = this.tables.contradictions.get(id);
+    if (!contradiction || contradiction.user_id !== userId) return null;
+
+    contradiction.resolution = resolution;
+    contradiction.resolution_note = note;
+    contradiction.resolved_at = new Date();
+    return clone(contradiction);
+  }
+
+  async listPendingContradictions(userId) {
+    return [...this.tables.contradictions.values()]
+      .filter(c => c.user_id === userId && c.resolution === "pending")
+      .map(c => ({
+        ...clone(c),
+        summary_a: this.tables.memories.get(c.memory_a)?.summary,
+        summary_b: this.tables.memories.get(c.memory_b)?.summary
+      }))
+      .filter(c => c.summary_a !== undefined && c.summary_b !== undefined)
+      .sort(byDesc("detected_at"));
+  }
+
+  async listContradictions(userId) {
+    return [...this.tables.contradictions.values()]
+      .filter(c => c.user_id === userId)
+      .sort(byAsc("detected_at"))
+      .map(clone);
+  }
+
+  // ===========================================
+  // CONVERSATIONS
+  // ===========================================
+
+  async ensureConversation(userId, id, title) {
+    if (!this.tables.conversations.has(id)) {
+      const now = new Date();
+      this.tables.conversations.set(id, {
+        id,
+        user_id: userId,
+        title,
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    return this.getConversation(userId, id);
+  }
+
+  async getConversation(userId, id) {
+    const conversation = this.tables.conversations.get(id);
+    return conversation && conversation.user_id === userId ? clone(conversation) : null;
+  }
+
+  async insertMessage(userId, conversationId, role, content) {
+    const message = {
+      id: randomUUID(),
+      conversation_id: conversationId,
+      user_id: userId,
+      role,
+      content,
+      created_at: new Date()
+    };
+    this.tables.messages.push(message);
+
+    const conversation = this.tables.conversations.get(conversationId);
+    if (conversation && conversation.user_id === userId) {
+      conversation.updated_at = new Date();
+    }
+
+    return { id: message.id, role, content, created_at: message.created_at };
+  }
+
+  conversationMessages(userId, conversationId) {
+    // Insertion order doubles as a tiebreak for equal timestamps
+    return this.tables.messages.filter(m =>
+      m.conversation_id === conversationId && m.user_id === userId
+    );
+  }
+
+  async listRecentMessages(userId, conversationId, limit) {
+    return this.conversationMessages(userId, conversationId)
+      .slice(-limit)
+      .map(m => ({ role: m.role, content: m.content, created_at: m.created_at }));
+  }
+
+  async listMessages(userId, conversationId) {
+    return this.conversationMessages(userId, conversationId)
+      .map(m => ({ id: m.id, role: m.role, content: m.content, created_at: m.created_at }));
+  }
+
+  async listConversations(userId, { limit }) {
+    return [...this.tables.conversations.values()]
+      .filter(c => c.user_id === userId)
+      .sort(byDesc("updated_at"))
+      .slice(0, limit)
+      .map(c => {
+        const messages = this.tables.messages.filter(m => m.conversation_id === c.id);
+        const lastMessage = messages[messages.length - 1];
+        return {
+          ...clone(c),
+          message_count: messages.length,
+          last_message_at: lastMessage ? lastMessage.created_at : null
+        };
+      });
+  }
+
+  // ===========================================
+  // MEMORY JOBS
+  // ===========================================
+
+  async insertJob(userId, { kind, payload, maxAttempts }) {
+    const now = new Date();
+    const job = {
+      id: randomUUID(),
+      user_id: userId,
+      kind,
+      payload: clone(payload),
+      status: "pending",
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: now,
+      locked_by: null,
+      locked_at: null,
+      last_error: null,
+      result: null,
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    };
+
+    this.tables.jobs.set(job.id, job);
+    return clone(job);
+  }
+
+  async claimJobs({ workerId, limit }) {
+    const now = new Date();
+
+    const due = [...this.tables.jobs.values()]
+      .filter(j => j.status === "pending" && j.run_at <= now)
+      .sort(byAsc("run_at"))
+      .slice(0, limit);
+
+    for (const job of due) {
+      job.status = "running";
+      job.attempts++;
+      job.locked_by = workerId;
+      job.locked_at = now;
+      job.updated_at = now;
+    }
+
+    return due.map(clone);
+  }
+
+  async completeJob(id, result) {
+    const job = this.tables.jobs.get(id);
+    if (!job) return;
+
+    Object.assign(job, {
+      status: "completed",
+      result: clone(result ?? null),
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      completed_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  async failJob(id, { error, retryAt }) {
+    const job = this.tables.jobs.get(id);
+    if (!job) return;
+
+    Object.assign(job, {
+      status: retryAt ? "pending" : "dead",
+      run_at: retryAt ? new Date(retryAt) : job.run_at,
+      last_error: error,
+      locked_by: null,
+      locked_at: null,
+      updated_at: new Date()
+    });
+  }
+
+  async releaseJobs(ids) {
+    for (const id of ids) {
+      const job = this.tables.jobs.get(id);
+      if (!job || job.status !== "running") continue;
+
+      Object.assign(job, {
+        status: "pending",
+        attempts: Math.max(job.attempts - 1, 0),
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date()
+      });
+    }
+  }
+
+  async recoverStaleJobs({ lockTimeoutMs }) {
+    const cutoff = Date.now() - lockTimeoutMs;
+    let recovered = 0;
+
+    for (const job of this.tables.jobs.values()) {
+      if (job.status !== "running" || job.locked_at.getTime() >= cutoff) continue;
+
+      Object.assign(job, {
+        status: job.attempts >= job.max_attempts ? "dead" : "pending",
+        run_at: new Date(),
+        last_error: "Worker stopped before finishing (lock timed out)",
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date()
+      });
+      recovered++;
+    }
+
+    return recovered;
+  }
+
+  async deleteCompletedJobs({ olderThanDays }) {
+    const cutoff = Date.now() - olderThanDays * DAY_MS;
+    let deleted = 0;
+
+    for (const [id, job] of [...this.tables.jobs]) {
+      if (job.status === "completed" && job.completed_at.getTime() < cutoff) {
+        this.tables.jobs.delete(id);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  async getJob(userId, id) {
+    const job = this.tables.jobs.get(id);
+    return job && job.user_id === userId ? clone(job) : null;
+  }
+
+  async listJobs(userId, { status = null, limit }) {
+    return [...this.tables.jobs.values()]
+      .filter(j => j.user_id === userId && (!status || j.status === status))
+      .sort(byDesc("created_at"))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  async countJobs(userId) {
+    const counts = {};
+    for (const job of this.tables.jobs.values()) {
+      if (job.user_id === userId) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  async retryJob(userId, id) {
+    const job = this.tables.jobs.get(id);
+    if (!job || job.user_id !== userId || job.status !== "dead") return null;
+
+    Object.assign(job, {
+      status: "pending",
+      attempts: 0,
+      run_at: new Date(),
+      updated_at: new Date()
+    });
+    return clone(job);
+  }
+
+  // ===========================================
+  // WEBHOOKS
+  // ===========================================
+
+  async insertWebhook(userId, { url, secret, events, description }) {
+    const now = new Date();
+    const webhook = {
+      id: randomUUID(),
+      user_id: userId,
+      url,
+      secret,
+      events: clone(events),
+      description: description ?? null,
+      active: true,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.tables.webhooks.set(webhook.id, webhook);
+    return clone(webhook);
+  }
+
+  async getWebhook(userId, id) {
+    const webhook = this.tables.webhooks.get(id);
+    return webhook && webhook.user_id === userId ? clone(webhook) : null;
+  }
+
+  async listWebhooks(userId) {
+    return [...this.tables.webhooks.values()]
+      .filter(w => w.user_id === userId)
+      .sort(byAsc("created_at"))
+      .map(clone);
+  }
+
+  async listWebhooksForEvent(userId, eventType) {
+    return [...this.tables.webhooks.values()]
+      .filter(w => w.user_id === userId && w.active &&
+        (w.events.length === 0 || w.events.includes(eventType)))
+      .map(clone);
+  }
+
+  async updateWebhook(userId, id, fields) {
+    const webhook = this.tables.webhooks.get(id);
+    if (!webhook || webhook.user_id !== userId) return null;
+
+    Object.assign(webhook, clone(fields), { updated_at: new Date() });
+    return clone(webhook);
+  }
+
+  async deleteWebhook(userId, id) {
+    const webhook = this.tables.webhooks.get(id);
+    if (!webhook || webhook.user_id !== userId) return false;
+
+    this.tables.webhooks.delete(id);
+    this.tables.webhookDeliveries = this.tables.webhookDeliveries.filter(d => d.webhook_id !== id);
+    return true;
+  }
+
+  async insertWebhookDelivery(userId, row) {
+    const delivery = {
+      id: randomUUID(),
+      webhook_id: row.webhook_id,
+      user_id: userId,
+      job_id: row.job_id ?? null,
+      event_type: row.event_type,
+      attempt: row.attempt,
+      status: row.status,
+      response_status: row.response_status ?? null,
+      duration_ms: row.duration_ms ?? null,
+      error: row.error ?? null,
+      created_at: new Date()
+    };
+
+    this.tables.webhookDeliveries.push(delivery);
+    return clone(delivery);
+  }
+
+  async listWebhookDeliveries(userId, webhookId, { limit }) {
+    return this.tables.webhookDeliveries
+      .filter(d => d.webhook_id === webhookId && d.user_id === userId)
+      .sort(byDesc("created_at"))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  // ===========================================
+  // API KEYS
+  // ===========================================
+
+  async insertApiKey(userId, { name, keyPrefix, keyHash, scopes, expiresAt }) {
+    const key = {
+      id: randomUUID(),
+      user_id: userId,
+      name,
+      key_prefix: keyPrefix,
+      key_hash: keyHash,
+      scopes: clone(scopes),
+      created_at: new Date(),
+      last_used_at: null,
+      expires_at: toDate(expiresAt),
+      revoked_at: null
+    };
+
+    this.tables.apiKeys.set(key.id, key);
+    return clone(key);
+  }
+
+  async findApiKeyByHash(keyHash) {
+    const key = [...this.tables.apiKeys.values()].find(k => k.key_hash === keyHash);
+    return key ? clone(key) : null;
+  }
+
+  async listApiKeys(userId) {
+    return [...this.tables.apiKeys.values()]
+      .filter(k => k.user_id === userId)
+      .sort(byAsc("created_at"))
+      .map(clone);
+  }
+
+  async revokeApiKey(userId, id) {
+    const key = this.tables.apiKeys.get(id);
+    if (!key || key.user_id !== userId) return null;
+
+    key.revoked_at = key.revoked_at || new Date();
+    return clone(key);
+  }
+
+  async touchApiKey(id) {
+    const key = this.tables.apiKeys.get(id);
+    if (key) key.last_used_at = new Date();
+  }
+
+  // ===========================================
+  // LLM USAGE
+  // ===========================================
+
+  async recordLLMUsage(userId, { day, role, target, inputTokens, outputTokens, costUsd }) {
+    const key = [userId, day, role, target].join("|");
+    const row = this.tables.llmUsage.get(key) || {
+      user_id: userId, day, role, target,
+      requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0
+    };
+
+    row.requests++;
+    row.input_tokens += inputTokens;
+    row.output_tokens += outputTokens;
+    row.cost_usd += costUsd;
+    row.updated_at = new Date();
+    this.tables.llmUsage.set(key, row);
+  }
+
+  async listLLMUsage(userId, { since }) {
+    return [...this.tables.llmUsage.values()]
+      .filter(row => row.user_id === userId && row.day >= since)
+      .sort((a, b) => b.day.localeCompare(a.day) || a.role.localeCompare(b.role) || a.target.localeCompare(b.target))
+      .map(({ updated_at, ...row }) => clone(row));
+  }
+
+  async sumLLMCost({ day, userId = null }) {
+    let cost = 0;
+    for (const row of this.tables.llmUsage.values()) {
+      if (row.day === day && (userId === null || row.user_id === userId)) {
+        cost += row.cost_usd;
+      }
+    }
+    return cost;
+  }
+
+  // ===========================================
+  // PURGE
+  // ===========================================
+
+  async purgeMemories(userId, memoryIds, counts) {
+    const ids = memoryIds.filter(id => this.tables.memories.get(id)?.user_id === userId);
+    if (ids.length === 0) return ids;
+
+    const purged = new Set(ids);
+
+    // 1. Preferences extracted from these memories
+    const doomedPrefs = new Set(
+      [...this.tables.preferences.values()]
+        .filter(p => p.user_id === userId && purged.has(p.memory_id))
+        .map(p => p.id)
+    );
+    for (const p of this.tables.preferences.values()) {
+      if (doomedPrefs.has(p.superseded_by)) p.superseded_by = null;
+    }
+    for (const id of doomedPrefs) {
+      this.tables.preferences.delete(id);
+    }
+    counts.preferences += doomedPrefs.size;
+
+    // 2. Scrub ids from entities.memory_ids
+    for (const entity of this.userEntities(userId)) {
+      if (entity.memory_ids.some(id => purged.has(id))) {
+        entity.memory_ids = entity.memory_ids.filter(id => !purged.has(id));
+        counts.entity_links_scrubbed++;
+      }
+    }
+
+    // 3. Scrub ids from supersession chains of surviving memories
+    for (const m of this.userMemories(userId)) {
+      if (!purged.has(m.id) && m.supersedes.some(id => purged.has(id))) {
+        m.supersedes = m.supersedes.filter(id => !purged.has(id));
+        counts.supersedes_scrubbed++;
+      }
+    }
+
+    // 4. Graph edges, contradictions and decay history
+    for (const [key, r] of [...this.tables.relations]) {
+      if (purged.has(r.source_id) || purged.has(r.target_id)) {
+        this.tables.relations.delete(key);
+        counts.relations++;
+      }
+    }
+
+    for (const [id, c] of [...this.tables.contradictions]) {
+      if (purged.has(c.memory_a) || purged.has(c.memory_b)) {
+        this.tables.contradictions.delete(id);
+        counts.contradictions++;
+      }
+    }
+
+    const decayBefore = this.tables.decayLog.length;
+    this.tables.decayLog = this.tables.decayLog.filter(d => !purged.has(d.memory_id));
+    counts.decay_log += decayBefore - this.tables.decayLog.length;
+
+    // Undo entries holding the memories' entity lists
+    const editsBefore = this.tables.entityEdits.length;
+    this.tables.entityEdits = this.tables.entityEdits
+      .filter(e => e.user_id !== userId || !e.memory_ids.some(id => purged.has(id)));
+    counts.entity_edits += editsBefore - this.tables.entityEdits.length;
+
+    for (const [id, match] of [...this.tables.entityMatches]) {
+      if (match.user_id === userId && purged.has(match.memory_id)) {
+        this.tables.entityMatches.delete(id);
+        counts.entity_matches++;
+      }
+    }
+
+    // Jobs whose payload or result quotes the memories
+    await this.purgeJobsMentioning(userId, { refs: ids }, counts);
+
+    // 5. The memories themselves
+    for (const id of ids) {
+      this.tables.memories.delete(id);
+    }
+    counts.memory_units += ids.length;
+
+    return ids;
+  }
+
+  async purgeSourceConversations(userId, memoryIds, counts) {
+    const sources = new Set(memoryIds
+      .map(id => this.tables.memories.get(id))
+      .filter(m => m?.user_id === userId && m.source_conversation_id)
+      .map(m => m.source_conversation_id));
+    if (sources.size === 0) return;
+
+    const messagesBefore = this.tables.messages.length;
+    this.tables.messages = this.tables.messages
+      .filter(m => m.user_id !== userId || !sources.has(m.conversation_id));
+    counts.messages += messagesBefore - this.tables.messages.length;
+
+    for (const id of sources) {
+      if (this.tables.conversations.get(id)?.user_id === userId) {
+        this.tables.conversations.delete(id);
+        counts.conversations++;
+      }
+    }
+
+    await this.purgeJobsMentioning(userId, { refs: [...sources] }, counts);
+  }
+
+  async purgeMessagesMentioning(userId, names, counts) {
+    const mention = new RegExp(
+      `(?<![\\p{L}\\p{N}_])(${names.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}_])`,
+      "iu"
+    );
+
+    const messagesBefore = this.tables.messages.length;
+    this.tables.messages = this.tables.messages
+      .filter(m => m.user_id !== userId || !mention.test(m.content));
+    counts.messages += messagesBefore - this.tables.messages.length;
+
+    for (const conversation of this.tables.conversations.values()) {
+      if (conversation.user_id === userId && conversation.title && mention.test(conversation.title)) {
+        conversation.title = null;
+        counts.conversation_titles_scrubbed++;
+      }
+    }
+  }
+
+  async purgeJobsMentioning(userId, { refs = [], names = [] }, counts) {
+    const mention = names.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}_])(${names.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}_])`, "iu")
+      : null;
+
+    for (const [id, job] of [...this.tables.jobs]) {
+      if (job.user_id !== userId) continue;
+
+      const text = JSON.stringify([job.payload, job.result ?? null]);
+      if (refs.some(ref => text.includes(ref)) || mention?.test(text)) {
+        this.tables.jobs.delete(id);
+        counts.memory_jobs++;
+      }
+    }
+  }
+
+  async purgeUserRows(userId, counts) {
+    const deleteFromMap = (map, key) => {
+      for (const [id, row] of [...map]) {
+        if (row.user_id === userId) {
+          map.delete(id);
+          counts[key]++;
+        }
+      }
+    };
+
+    deleteFromMap(this.tables.preferences, "preferences");
+    deleteFromMap(this.tables.relations, "relations");
+    deleteFromMap(this.tables.contradictions, "contradictions");
+    deleteFromMap(this.tables.entities, "entities");
+
+    const messagesBefore = this.tables.messages.length;
+    this.tables.messages = this.tables.messages.filter(m => m.user_id !== userId);
+    counts.messages += messagesBefore - this.tables.messages.length;
+
+    deleteFromMap(this.tables.conversations, "conversations");
+    deleteFromMap(this.tables.jobs, "memory_jobs");
+
+    const deliveriesBefore = this.tables.webhookDeliveries.length;
+    this.tables.webhookDeliveries = this.tables.webhookDeliveries.filter(d => d.user_id !== userId);
+    counts.webhook_deliveries += deliveriesBefore - this.tables.webhookDeliveries.length;
+
+    const editsBefore = this.tables.entityEdits.length;
+    this.tables.entityEdits = this.tables.entityEdits.filter(e => e.user_id !== userId);
+    counts.entity_edits += editsBefore - this.tables.entityEdits.length;
+
+    deleteFromMap(this.tables.entityMatches, "entity_matches");
+  }
+
+  async insertPurgeReceipt(userId, { targetType, targetId, memoryIds, counts, reason }) {
+    const receipt = {
+      id: randomUUID(),
+      user_id: userId,
+      target_type: targetType,
+      target_id: targetId,
+      memory_ids: clone(memoryIds),
+      counts: clone(counts),
+      reason: reason || null,
+      purged_at: new Date()
+    };
+
+    this.tables.purgeLog.push(receipt);
+    return clone(receipt);
+  }
+
+  async listPurgeReceipts(userId, { limit }) {
+    return this.tables.purgeLog
+      .filter(r => r.user_id === userId)
+      .reverse()
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  // ===========================================
+  // ENTITY EDIT LOG
+  // ===========================================
+
+  async insertEntityEdit(userId, { action, entityIds, memoryIds, details, changes }) {
+    const edit = {
+      id: randomUUID(),
+      user_id: userId,
+      action,
+      entity_ids: clone(entityIds),
+      memory_ids: clone(memoryIds),
+      details: clone(details),
+      changes: clone(changes),
+      created_at: new Date(),
+      undone_at: null
+    };
+
+    this.tables.entityEdits.push(edit);
+    return clone(edit);
+  }
+
+  async listEntityEdits(userId, { entityId = null, limit = 50 } = {}) {
+    return this.tables.entityEdits
+      .filter(e => e.user_id === userId && (!entityId || e.entity_ids.includes(entityId)))
+      .reverse()
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  async getEntityEdit(userId, id) {
+    return clone(this.tables.entityEdits.find(e => e.id === id && e.user_id === userId));
+  }
+
+  /**
+   * A newer edit, not undone, touching any of the same entities
+   */
+  async findLaterEntityEdit(userId, edit) {
+    const index = this.tables.entityEdits.findIndex(e => e.id === edit.id);
+    const touched = new Set(edit.entity_ids);
+
+    return clone(this.tables.entityEdits.slice(index + 1).find(e =>
+      e.user_id === userId && !e.undone_at && e.entity_ids.some(id => touched.has(id))
+    ));
+  }
+
+  async markEntityEditUndone(userId, id) {
+    const edit = this.tables.entityEdits.find(e => e.id === id && e.user_id === userId);
+    if (!edit || edit.undone_at) return null;
+
+    edit.undone_at = new Date();
+    return clone(edit);
+  }
+
+  async deleteEntityEdits(userId, entityId) {
+    const before = this.tables.entityEdits.length;
+    this.tables.entityEdits = this.tables.entityEdits
+      .filter(e => e.user_id !== userId || !e.entity_ids.includes(entityId));
+    return before - this.tables.entityEdits.length;
+  }
+
+  // ===========================================
+  // ENTITY MATCH REVIEW QUEUE
+  // ===========================================
+
+  async insertEntityMatch(userId, { mention, memoryId, entityId, candidates }) {
+    const match = {
+      id: randomUUID(),
+      user_id: userId,
+      mention,
+      memory_id: memoryId || null,
+      entity_id: entityId,
+      candidates: clone(candidates),
+      status: "pending",
+      chosen_entity_id: null,
+      created_at: new Date(),
+      resolved_at: null
+    };
+
+    this.tables.entityMatches.set(match.id, match);
+    return clone(match);
+  }
+
+  async listEntityMatches(userId, { status = null, limit = 50 } = {}) {
+    return [...this.tables.entityMatches.values()]
+      .filter(m => m.user_id === userId && (!status || m.status === status))
+      .sort(byDesc("created_at"))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  async getEntityMatch(userId, id) {
+    const match = this.tables.entityMatches.get(id);
+    return match && match.user_id === userId ? clone(match) : undefined;
+  }
+
+  /**
+   * Close a pending match; null if it is not pending
+   */
+  async resolveEntityMatch(userId, id, { status, chosenEntityId = null }) {
+    const match = this.tables.entityMatches.get(id);
+    if (!match || match.user_id !== userId || match.status !== "pending") return null;
+
+    match.status = status;
+    match.chosen_entity_id = chosenEntityId;
+    match.resolved_at = new Date();
+    return clone(match);
+  }
+
+  /**
+   * Matches for or about an entity (it was created for the mention or
+   * is one of the candidates)
+   */
+  async deleteEntityMatches(userId, entityId) {
+    let deleted = 0;
+
+    for (const [id, m] of [...this.tables.entityMatches]) {
+      if (m.user_id === userId && (m.entity_id === entityId || m.candidates.some(c => c.entity_id === entityId))) {
+        this.tables.entityMatches.delete(id);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+}
@@ -0,0 +1,46 @@
+// MeaningMemory V3 - Storage Layer
+// Single entry point to persistence. Modules call getStorage() instead of
+// creating their own pools, so the backend can be swapped:
+//   postgres - PostgreSQL + pgvector (default)
+//   memory   - pure-JS, in-process (unit tests, embedded demo mode)
+
+import { config } from "../config.js";
+import { PostgresBackend } from "./postgresBackend.js";
+import { InMemoryBackend } from "./inMemoryBackend.js";
+
+export { PostgresBackend, InMemoryBackend };
+
+let storage = null;
+
+/**
+ * Create a backend by name
+ */
+export function createStorage(backend = config.STORAGE_BACKEND) {
+  switch (backend) {
+    case "postgres":
+      return new PostgresBackend({ connectionString: config.DATABASE_URL });
+    case "memory":
+      return new InMemoryBackend();
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected "postgres" or "memory")`);
+  }
+}
+
+/**
+ * The process-wide storage backend (created on first use)
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`[Storage] Using ${storage.name} backend`);
+  }
+  return storage;
+}
+
+/**
+ * Replace the process-wide backend (tests, embedding the library)
+ */
+export function setStorage(backend) {
+  storage = backend;
+  return storage;
+}
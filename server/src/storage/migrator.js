@@ -0,0 +1,264 @@
+// MeaningMemory V3 - Schema Migrations
+// Versioned migrations for the PostgreSQL backend
+//
+// Files in src/migrations/:
+//   NNN_description.sql        - up migration (version NNN)
+//   NNN_description.down.sql   - optional down migration
+//
+// Applied versions are recorded in schema_migrations. Each migration runs
+// in its own transaction, and an advisory lock keeps two processes from
+// migrating at the same time. An empty database is bootstrapped from
+// schema.sql before the migrations run.
+
+import { readdir, readFile } from "fs/promises";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = resolve(__dirname, "../migrations");
+const SCHEMA_PATH = resolve(__dirname, "../schema.sql");
+
+// Arbitrary key for pg_advisory_lock ("MMV3" in ASCII)
+const MIGRATION_LOCK_KEY = 0x4d4d5633;
+
+const MIGRATION_FILE = /^(\d+)_(.+?)(\.down)?\.sql$/;
+
+// ===========================================
+// MIGRATION FILES
+// ===========================================
+
+function checksum(sql) {
+  return createHash("sha256").update(sql).digest("hex").substring(0, 16);
+}
+
+/**
+ * Load migration files, sorted by version
+ * @returns {Promise<Array<{version, name, up, down, checksum}>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter(f => MIGRATION_FILE.test(f));
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const [, number, name, isDown] = file.match(MIGRATION_FILE);
+    const version = parseInt(number, 10);
+    const sql = await readFile(resolve(dir, file), "utf8");
+
+    const migration = byVersion.get(version) || { version, name, up: null, down: null, checksum: null };
+
+    if (isDown) {
+      migration.down = sql;
+    } else {
+      if (migration.up !== null) {
+        throw new Error(`Duplicate migration version ${version} (${migration.name}, ${name})`);
+      }
+      migration.name = name;
+      migration.up = sql;
+      migration.checksum = checksum(sql);
+    }
+
+    byVersion.set(version, migration);
+  }
+
+  for (const migration of byVersion.values()) {
+    if (migration.up === null) {
+      throw new Error(`Down migration for version ${migration.version} has no up migration`);
+    }
+  }
+
+  return [...byVersion.values()].sort((a, b) => a.version - b.version);
+}
+
+// ===========================================
+// DATABASE STATE
+// ===========================================
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  const result = await db.query(`
+    SELECT version, name, checksum, applied_at
+    FROM schema_migrations
+    ORDER BY version ASC
+  `);
+  return result.rows;
+}
+
+/**
+ * Compare migration files with the database
+ * - pending: files not yet applied
+ * - modified: applied migrations whose file changed since
+ * - unknown: applied versions with no file (database is ahead of the code)
+ */
+export async function getMigrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  await ensureMigrationsTable(pool);
+
+  const migrations = await loadMigrations(dir);
+  const applied = await getAppliedMigrations(pool);
+  const appliedByVersion = new Map(applied.map(m => [m.version, m]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+    modified: migrations.filter(m =>
+      appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum
+    ),
+    unknown: applied.filter(m => !known.has(m.version))
+  };
+}
+
+/**
+ * Run fn(client) while holding the migration lock
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  try {
+    await client.query("BEGIN");
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+/**
+ * Create the base schema on a database that has none
+ */
+async function bootstrapSchema(client) {
+  const exists = await client.query(`SELECT to_regclass('public.memory_units') AS table`);
+  if (exists.rows[0].table) return false;
+
+  console.log("[Migrate] Empty database - applying schema.sql");
+  const sql = await readFile(SCHEMA_PATH, "utf8");
+  await runInTransaction(client, () => client.query(sql));
+  return true;
+}
+
+// ===========================================
+// UP / DOWN
+// ===========================================
+
+/**
+ * Apply pending migrations in version order
+ * @param {number} [options.to] - stop after this version
+ * @returns {Promise<number[]>} versions applied
+ */
+export async function migrateUp(pool, { to = Infinity, dir = MIGRATIONS_DIR } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    await bootstrapSchema(client);
+    const { pending } = await getMigrationStatus(client, { dir });
+    const appliedVersions = [];
+
+    for (const migration of pending) {
+      if (migration.version > to) break;
+
+      console.log(`[Migrate] ↑ ${migration.version} ${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+      });
+      appliedVersions.push(migration.version);
+    }
+
+    return appliedVersions;
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {number} [options.steps=1] - how many migrations to roll back
+ * @param {number} [options.to] - roll back every migration above this version
+ * @returns {Promise<number[]>} versions rolled back
+ */
+export async function migrateDown(pool, { steps = 1, to = null, dir = MIGRATIONS_DIR } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = await loadMigrations(dir);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const { applied } = await getMigrationStatus(client, { dir });
+
+    const targets = applied
+      .slice()
+      .reverse()
+      .filter(m => to === null || m.version > to)
+      .slice(0, to === null ? steps : undefined);
+
+    const rolledBack = [];
+
+    for (const target of targets) {
+      const migration = byVersion.get(target.version);
+      if (!migration?.down) {
+        throw new Error(`Migration ${target.version} (${target.name}) has no down migration`);
+      }
+
+      console.log(`[Migrate] ↓ ${migration.version} ${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+      });
+      rolledBack.push(migration.version);
+    }
+
+    return rolledBack;
+  });
+}
+
+/**
+ * Startup check: migrate (autoMigrate) or refuse to run on an outdated schema
+ */
+export async function ensureSchemaCurrent(pool, { autoMigrate = false } = {}) {
+  if (autoMigrate) {
+    const applied = await migrateUp(pool);
+    if (applied.length > 0) {
+      console.log(`[Migrate] Applied ${applied.length} migration(s), schema at version ${applied[applied.length - 1]}`);
+    }
+  }
+
+  const status = await getMigrationStatus(pool);
+
+  for (const migration of status.modified) {
+    console.log(`[Migrate] ⚠️  Migration ${migration.version} (${migration.name}) changed after it was applied`);
+  }
+
+  if (status.unknown.length > 0) {
+    console.log(`[Migrate] ⚠️  Database has migrations this code does not know: ${status.unknown.map(m => m.version).join(", ")}`);
+  }
+
+  if (status.pending.length > 0) {
+    const versions = status.pending.map(m => `${m.version} (${m.name})`).join(", ");
+    throw new Error(
+      `Database schema is behind: pending migrations ${versions}. ` +
+      `Run "npm run migrate" or start with AUTO_MIGRATE=true`
+    );
+  }
+
+  return status;
+}
@@ -0,0 +1,1822 @@
+// MeaningMemory V3 - PostgreSQL + pgvector Storage Backend
+// All SQL lives here; modules talk to the storage interface only
+
+import pg from "pg";
+import { ensureSchemaCurrent } from "./migrator.js";
+
+/**
+ * Convert an embedding array to a pgvector literal
+ */
+function toVector(embedding) {
+  return `[${embedding.join(",")}]`;
+}
+
+/**
+ * pgvector columns come back as text - expose them as number arrays
+ * (the re-embed staging column is internal and dropped)
+ */
+function parseMemoryRow(row) {
+  if (row && typeof row.embedding === "string") {
+    row.embedding = JSON.parse(row.embedding);
+  }
+  if (row) {
+    delete row.embedding_staging;
+  }
+  return row;
+}
+
+// pgvector can't build HNSW indexes above this many dimensions
+const HNSW_MAX_DIMENSIONS = 2000;
+
+/**
+ * Escape a string for use inside a PostgreSQL regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Case-insensitive (~*) pattern for any of the names as a whole word
+ * \m and \M need a word character at the name's edges and never match
+ * "C++" or "AT&T.", so the boundary is any non-alphanumeric character,
+ * as in the in-memory backend
+ */
+function mentionPattern(names) {
+  return `(^|[^[:alnum:]_])(${names.map(escapeRegex).join("|")})($|[^[:alnum:]_])`;
+}
+
+export class PostgresBackend {
+  /**
+   * @param {object} options
+   * @param {string} [options.connectionString] - creates a pool
+   * @param {pg.Pool|pg.PoolClient} [options.db] - existing pool or transaction client
+   */
+  constructor({ connectionString, db = null } = {}) {
+    this.name = "postgres";
+    this.pool = db ? null : new pg.Pool({ connectionString });
+    this.db = db || this.pool;
+    this.inTransaction = Boolean(db);
+  }
+
+  // ===========================================
+  // LIFECYCLE
+  // ===========================================
+
+  /**
+   * Run fn(tx) inside a transaction; tx is a backend bound to one client
+   * Nested calls on a transaction backend reuse the open transaction
+   */
+  async transaction(fn) {
+    if (this.inTransaction) {
+      return fn(this);
+    }
+
+    const client = await this.pool.connect();
+    const tx = new PostgresBackend({ db: client });
+
+    try {
+      await client.query("BEGIN");
+      const result = await fn(tx);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check the schema version before serving requests
+   * Applies pending migrations when autoMigrate is set, otherwise throws
+   */
+  async prepare({ autoMigrate = false } = {}) {
+    return ensureSchemaCurrent(this.pool, { autoMigrate });
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+  }
+
+  // ===========================================
+  // MEMORY UNITS
+  // ===========================================
+
+  async insertMemory(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO memory_units (
+        id,
+        user_id,
+        summary,
+        tier,
+        confidence,
+        entities,
+        facts,
+        structured_facts,
+        entity_links,
+        valid_from,
+        valid_to,
+        base_importance,
+        current_importance,
+        supersedes,
+        source_conversation_id,
+        is_active,
+        access_count,
+        last_accessed_at,
+        last_decay_at,
+        created_at,
+        embedding,
+        source_job_id
+      ) VALUES (
+        COALESCE($1, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+        COALESCE($13, $12), $14, $15, $16, $17, $18,
+        COALESCE($19, NOW()), COALESCE($20, NOW()), $21::vector, $22
+      )
+      RETURNING id, summary, tier, confidence, created_at
+    `, [
+      row.id || null,
+      userId,
+      row.summary,
+      row.tier || "observed_fact",
+      row.confidence || 0.8,
+      row.entities || [],
+      row.facts || [],
+      JSON.stringify(row.structured_facts || []),
+      JSON.stringify(row.entity_links || []),
+      row.valid_from || null,
+      row.valid_to || null,
+      row.base_importance || 5,
+      row.current_importance ?? null,
+      row.supersedes || [],
+      row.source_conversation_id || null,
+      row.is_active !== false,
+      row.access_count || 0,
+      row.last_accessed_at || null,
+      row.last_decay_at || null,
+      row.created_at || null,
+      toVector(row.embedding),
+      row.source_job_id || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  async findMemoryBySourceJob(userId, jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_units WHERE source_job_id = $1 AND user_id = $2
+    `, [jobId, userId]);
+    return parseMemoryRow(result.rows[0]);
+  }
+
+  async getMemory(userId, id, { forUpdate = false } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_units WHERE id = $1 AND user_id = $2
+      ${forUpdate ? "FOR UPDATE" : ""}
+    `, [id, userId]);
+    return parseMemoryRow(result.rows[0]);
+  }
+
+  async getMemoriesByIds(userId, ids, { activeOnly = false } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_units
+      WHERE id = ANY($1)
+        AND user_id = $2
+        ${activeOnly ? "AND is_active = true" : ""}
+      ORDER BY created_at DESC
+    `, [ids, userId]);
+    return result.rows.map(parseMemoryRow);
+  }
+
+  /**
+   * List memories
+   * orderBy: "created_at" (newest first) or "importance" (highest first)
+   */
+  async listMemories(userId, { includeInactive = false, tier = null, orderBy = "created_at" } = {}) {
+    const params = [userId];
+    let query = `SELECT * FROM memory_units WHERE user_id = $1`;
+
+    if (!includeInactive) {
+      query += ` AND is_active = true`;
+    }
+
+    if (tier) {
+      params.push(tier);
+      query += ` AND tier = $${params.length}`;
+    }
+
+    query += orderBy === "importance"
+      ? ` ORDER BY current_importance DESC`
+      : ` ORDER BY created_at DESC`;
+
+    const result = await this.db.query(query, params);
+    return result.rows.map(parseMemoryRow);
+  }
+
+  /**
+   * Update columns of a memory; fields are column-shaped
+   * (embedding as number array). Returns the row or null
+   */
+  async updateMemory(userId, id, fields) {
+    const sets = [];
+    const params = [id, userId];
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+
+      if (column === "embedding") {
+        params.push(toVector(value));
+        sets.push(`embedding = $${params.length}::vector`);
+      } else if (column === "structured_facts" || column === "entity_links") {
+        params.push(JSON.stringify(value));
+        sets.push(`${column} = $${params.length}`);
+      } else {
+        params.push(value);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getMemory(userId, id);
+    }
+
+    const result = await this.db.query(`
+      UPDATE memory_units
+      SET ${sets.join(", ")}
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, params);
+
+    return parseMemoryRow(result.rows[0]) || null;
+  }
+
+  async deactivateMemories(userId, ids) {
+    if (!ids || ids.length === 0) return;
+
+    await this.db.query(`
+      UPDATE memory_units
+      SET is_active = false
+      WHERE id = ANY($1)
+        AND user_id = $2
+    `, [ids, userId]);
+  }
+
+  /**
+   * Winner supersedes loser: loser deactivated, winner records it
+   */
+  async supersedeMemory(userId, winnerId, loserId) {
+    await this.db.query(`
+      UPDATE memory_units SET is_active = false WHERE id = $1 AND user_id = $2
+    `, [loserId, userId]);
+    await this.db.query(`
+      UPDATE memory_units SET supersedes = array_append(supersedes, $2) WHERE id = $1 AND user_id = $3
+    `, [winnerId, loserId, userId]);
+  }
+
+  /**
+   * Memories that list memoryId in their supersedes
+   */
+  async listSupersedingMemories(userId, memoryId) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_units
+      WHERE user_id = $1 AND $2 = ANY(supersedes)
+      ORDER BY created_at DESC
+    `, [userId, memoryId]);
+    return result.rows.map(parseMemoryRow);
+  }
+
+  async getMemoryStats(userId) {
+    const stats = await this.db.query(`
+      SELECT
+        COUNT(*) as total_memories,
+        COUNT(*) FILTER (WHERE is_active) as active_memories,
+        COUNT(*) FILTER (WHERE tier = 'asserted_fact') as asserted_facts,
+        COUNT(*) FILTER (WHERE tier = 'observed_fact') as observed_facts,
+        COUNT(*) FILTER (WHERE tier = 'preference') as preferences_tier,
+        COUNT(*) FILTER (WHERE tier = 'hypothesis') as hypotheses,
+        AVG(current_importance) as avg_importance,
+        AVG(confidence) as avg_confidence,
+        MAX(created_at) as last_memory_at
+      FROM memory_units
+      WHERE user_id = $1
+    `, [userId]);
+
+    const preferences = await this.db.query(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE valence = 'positive') as positive,
+        COUNT(*) FILTER (WHERE valence = 'negative') as negative
+      FROM preferences WHERE is_active = true AND user_id = $1
+    `, [userId]);
+
+    const entities = await this.db.query(`
+      SELECT COUNT(*) as total FROM entities WHERE user_id = $1
+    `, [userId]);
+
+    const relations = await this.db.query(`
+      SELECT COUNT(*) as total FROM memory_relations WHERE user_id = $1
+    `, [userId]);
+
+    return {
+      memories: stats.rows[0],
+      preferences: preferences.rows[0],
+      entities: entities.rows[0],
+      relations: relations.rows[0]
+    };
+  }
+
+  // ===========================================
+  // SEARCH
+  // ===========================================
+
+  /**
+   * Hybrid search: vector similarity + full-text rank + importance
+   */
+  async searchMemories(userId, { embedding, queryText, limit }) {
+    const result = await this.db.query(`
+      SELECT
+        m.id,
+        m.summary,
+        m.entities,
+        m.facts,
+        m.structured_facts,
+        m.tier,
+        m.confidence,
+        m.current_importance,
+        m.access_count,
+        (0.6 * (1 - (m.embedding <=> $1::vector))) +
+        (0.2 * COALESCE(ts_rank(to_tsvector('english', m.summary), plainto_tsquery('english', $3)), 0)) +
+        (0.2 * (m.current_importance / 10.0))
+        AS base_score
+      FROM memory_units m
+      WHERE m.is_active = true
+        AND m.user_id = $4
+      ORDER BY base_score DESC
+      LIMIT $2
+    `, [toVector(embedding), limit, queryText, userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Active memories one relation hop away from sourceIds, with their
+   * similarity to the query embedding
+   */
+  async getActivatedNeighbors(userId, { sourceIds, embedding }) {
+    const result = await this.db.query(`
+      SELECT
+        r.source_id,
+        r.target_id,
+        r.relation_type,
+        r.weight,
+        m.id,
+        m.summary,
+        m.entities,
+        m.facts,
+        m.structured_facts,
+        m.tier,
+        m.confidence,
+        m.current_importance,
+        m.access_count,
+        1 - (m.embedding <=> $1::vector) as similarity
+      FROM memory_relations r
+      JOIN memory_units m ON (
+        (r.source_id = ANY($2) AND m.id = r.target_id) OR
+        (r.target_id = ANY($2) AND m.id = r.source_id AND r.bidirectional = true)
+      )
+      WHERE m.is_active = true
+        AND m.user_id = $3
+        AND r.user_id = $3
+        AND m.id != ALL($2)
+    `, [toVector(embedding), sourceIds, userId]);
+
+    return result.rows;
+  }
+
+  async findSimilarMemories(userId, { embedding, threshold, limit }) {
+    const result = await this.db.query(`
+      SELECT
+        id, summary, structured_facts, entities, tier, confidence,
+        1 - (embedding <=> $1::vector) as similarity
+      FROM memory_units
+      WHERE is_active = true
+        AND user_id = $3
+        AND 1 - (embedding <=> $1::vector) > $2
+      ORDER BY similarity DESC
+      LIMIT $4
+    `, [toVector(embedding), threshold, userId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Active memories that look like identity statements ("name is", "I am")
+   */
+  async findIdentityMemories(userId, { limit }) {
+    const result = await this.db.query(`
+      SELECT id, summary, facts, tier, confidence, created_at
+      FROM memory_units
+      WHERE is_active = true
+        AND user_id = $1
+        AND (
+          summary ILIKE '%name is%'
+          OR summary ILIKE '%I am%'
+          OR summary ILIKE '%introduces%'
+          OR array_to_string(facts, ' ') ILIKE '%name is%'
+        )
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    return result.rows;
+  }
+
+  async findMemoriesSharingEntities(userId, memoryId, entities, { limit }) {
+    const result = await this.db.query(`
+      SELECT id, entities, summary
+      FROM memory_units
+      WHERE id != $1
+        AND is_active = true
+        AND user_id = $3
+        AND entities && $2  -- Array overlap
+      LIMIT $4
+    `, [memoryId, entities, userId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Ids of memories that mention any of the names: linked via memoryIds,
+   * listed in entities, or named (whole word) in summary or facts
+   */
+  async findMemoriesMentioning(userId, { memoryIds = [], names }) {
+    const namesLower = names.map(n => n.toLowerCase());
+    const result = await this.db.query(`
+      SELECT id FROM memory_units
+      WHERE user_id = $1
+        AND (
+          id = ANY($2::uuid[])
+          OR EXISTS (SELECT 1 FROM unnest(entities) e WHERE LOWER(e) = ANY($3))
+          OR summary ~* $4
+          OR array_to_string(facts, ' ') ~* $4
+        )
+    `, [userId, memoryIds, namesLower, mentionPattern(names)]);
+
+    return result.rows.map(r => r.id);
+  }
+
+  // ===========================================
+  // DECAY (global maintenance across all users)
+  // ===========================================
+
+  async applyDecay({ decayRate, reinforcementBonus, floor }) {
+    const result = await this.db.query(`
+      UPDATE memory_units
+      SET
+        current_importance = calculate_decayed_importance(
+          base_importance,
+          last_decay_at,
+          access_count,
+          last_accessed_at,
+          $1::float,
+          $2::float,
+          $3::float
+        ),
+        last_decay_at = NOW()
+      WHERE is_active = true
+      RETURNING id, summary, base_importance, current_importance
+    `, [decayRate, reinforcementBonus, floor]);
+
+    return result.rows;
+  }
+
+  async reinforceMemory(memoryId) {
+    const result = await this.db.query(`
+      UPDATE memory_units
+      SET
+        access_count = access_count + 1,
+        last_accessed_at = NOW()
+      WHERE id = $1
+      RETURNING id, access_count
+    `, [memoryId]);
+
+    return result.rows[0];
+  }
+
+  async reinforceMemories(memoryIds) {
+    await this.db.query(`
+      UPDATE memory_units
+      SET
+        access_count = access_count + 1,
+        last_accessed_at = NOW()
+      WHERE id = ANY($1)
+    `, [memoryIds]);
+  }
+
+  async listLowImportanceMemories(threshold) {
+    const result = await this.db.query(`
+      SELECT id, summary, tier, current_importance, access_count, created_at
+      FROM memory_units
+      WHERE is_active = true
+        AND current_importance < $1
+      ORDER BY current_importance ASC
+    `, [threshold]);
+
+    return result.rows;
+  }
+
+  async archiveLowImportanceMemories(threshold, maxAgeDays) {
+    const result = await this.db.query(`
+      UPDATE memory_units
+      SET is_active = false
+      WHERE is_active = true
+        AND current_importance < $1
+        AND created_at < NOW() - INTERVAL '1 day' * $2
+      RETURNING id, summary
+    `, [threshold, maxAgeDays]);
+
+    return result.rows;
+  }
+
+  // ===========================================
+  // EMBEDDING INDEX (global, used by re-embedding)
+  // ===========================================
+
+  async getEmbeddingIndex() {
+    const result = await this.db.query(`
+      SELECT provider, model, dimensions, updated_at
+      FROM embedding_index
+      WHERE id = 1
+    `);
+
+    return result.rows[0] || null;
+  }
+
+  async setEmbeddingIndex({ provider, model, dimensions }) {
+    await this.db.query(`
+      INSERT INTO embedding_index (id, provider, model, dimensions, updated_at)
+      VALUES (1, $1, $2, $3, NOW())
+      ON CONFLICT (id) DO UPDATE SET
+        provider = EXCLUDED.provider,
+        model = EXCLUDED.model,
+        dimensions = EXCLUDED.dimensions,
+        updated_at = NOW()
+    `, [provider, model, dimensions]);
+  }
+
+  async countMemoriesForReembed() {
+    const result = await this.db.query(`
+      SELECT
+        COUNT(*)::int as total,
+        COUNT(embedding_staging)::int as staged
+      FROM memory_units
+    `);
+
+    return result.rows[0];
+  }
+
+  async clearStagedEmbeddings() {
+    await this.db.query(`
+      UPDATE memory_units
+      SET embedding_staging = NULL
+      WHERE embedding_staging IS NOT NULL
+    `);
+  }
+
+  /**
+   * Next memories (all users, active or not) without a staged embedding
+   */
+  async listUnstagedMemories({ limit }) {
+    const result = await this.db.query(`
+      SELECT id, summary
+      FROM memory_units
+      WHERE embedding_staging IS NULL
+      ORDER BY created_at ASC, id ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
+
+  async stageEmbeddings(rows) {
+    if (rows.length === 0) return;
+
+    await this.db.query(`
+      UPDATE memory_units m
+      SET embedding_staging = s.embedding::vector
+      FROM unnest($1::uuid[], $2::text[]) AS s(id, embedding)
+      WHERE m.id = s.id
+    `, [rows.map(r => r.id), rows.map(r => toVector(r.embedding))]);
+  }
+
+  /**
+   * Replace every embedding with its staged vector and retype the column
+   * Fails (NOT NULL) if any memory has not been staged
+   */
+  async swapStagedEmbeddings({ dimensions }) {
+    if (!Number.isInteger(dimensions) || dimensions <= 0) {
+      throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+    }
+
+    await this.db.query(`DROP INDEX IF EXISTS idx_memory_embedding`);
+    await this.db.query(`
+      ALTER TABLE memory_units
+      ALTER COLUMN embedding TYPE vector(${dimensions})
+      USING embedding_staging::vector(${dimensions})
+    `);
+    await this.db.query(`UPDATE memory_units SET embedding_staging = NULL`);
+
+    if (dimensions <= HNSW_MAX_DIMENSIONS) {
+      await this.db.query(`
+        CREATE INDEX idx_memory_embedding
+          ON memory_units USING hnsw (embedding vector_cosine_ops)
+      `);
+    } else {
+      console.log(`[Storage] ⚠️  ${dimensions} dimensions exceeds the HNSW limit - vector search will scan`);
+    }
+  }
+
+  // ===========================================
+  // PREFERENCES
+  // ===========================================
+
+  async insertPreference(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO preferences (
+        id, user_id, subject, entity, valence, strength, context,
+        confidence, memory_id, is_active, created_at
+      )
+      VALUES (COALESCE($1, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()))
+      RETURNING *
+    `, [
+      row.id || null,
+      userId,
+      row.subject || "user",
+      row.entity,
+      row.valence,
+      row.strength ?? 0.5,
+      row.context || null,
+      row.confidence ?? 0.75,
+      row.memory_id || null,
+      row.is_active !== false,
+      row.created_at || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  async setPreferenceSupersededBy(userId, id, supersededBy) {
+    await this.db.query(`
+      UPDATE preferences SET superseded_by = $2 WHERE id = $1 AND user_id = $3
+    `, [id, supersededBy, userId]);
+  }
+
+  /**
+   * entity is matched case-insensitively with SQL LIKE semantics
+   */
+  async listPreferences(userId, { entity = null, valence = null, includeInactive = false } = {}) {
+    let query = `
+      SELECT * FROM preferences
+      WHERE user_id = $1
+    `;
+    const params = [userId];
+
+    if (!includeInactive) {
+      query += ` AND is_active = true`;
+    }
+
+    if (entity) {
+      params.push(entity);
+      query += ` AND LOWER(entity) LIKE LOWER($${params.length})`;
+    }
+
+    if (valence) {
+      params.push(valence);
+      query += ` AND valence = $${params.length}`;
+    }
+
+    query += ` ORDER BY created_at DESC`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Point preferences about any of names at entity; returns [{ id, entity }]
+   * with each preference's previous entity
+   */
+  async renamePreferenceEntities(userId, names, entity) {
+    const result = await this.db.query(`
+      UPDATE preferences p
+      SET entity = $3
+      FROM preferences old
+      WHERE p.id = old.id
+        AND p.user_id = $1
+        AND LOWER(p.entity) = ANY($2)
+        AND p.entity <> $3
+      RETURNING p.id, old.entity
+    `, [userId, names.map(n => n.toLowerCase()), entity]);
+    return result.rows;
+  }
+
+  /**
+   * Set a preference's entity, only if it is still `from` when given
+   */
+  async setPreferenceEntity(userId, id, entity, { from = null } = {}) {
+    const result = await this.db.query(`
+      UPDATE preferences SET entity = $3
+      WHERE id = $1 AND user_id = $2 AND ($4::text IS NULL OR entity = $4)
+    `, [id, userId, entity, from]);
+    return result.rowCount;
+  }
+
+  async deletePreferencesByEntity(userId, names) {
+    const result = await this.db.query(`
+      DELETE FROM preferences WHERE user_id = $1 AND LOWER(entity) = ANY($2)
+    `, [userId, names.map(n => n.toLowerCase())]);
+    return result.rowCount;
+  }
+
+  // ===========================================
+  // ENTITIES
+  // ===========================================
+
+  async getEntity(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM entities WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0];
+  }
+
+  async findEntityByName(userId, name) {
+    const result = await this.db.query(`
+      SELECT * FROM entities WHERE LOWER(canonical_name) = LOWER($1) AND user_id = $2
+    `, [name, userId]);
+    return result.rows[0];
+  }
+
+  async findEntityByAlias(userId, alias) {
+    const result = await this.db.query(`
+      SELECT * FROM entities
+      WHERE LOWER($1) = ANY(SELECT LOWER(unnest(aliases)))
+        AND user_id = $2
+    `, [alias, userId]);
+    return result.rows[0];
+  }
+
+  async findEntityByNameOrAlias(userId, name) {
+    const result = await this.db.query(`
+      SELECT * FROM entities
+      WHERE user_id = $2
+        AND (LOWER(canonical_name) = LOWER($1)
+          OR LOWER($1) = ANY(SELECT LOWER(unnest(aliases))))
+    `, [name, userId]);
+    return result.rows[0];
+  }
+
+  async listEntities(userId, { type = null } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM entities
+      WHERE user_id = $1 AND ($2::text IS NULL OR entity_type = $2)
+      ORDER BY last_seen_at DESC
+    `, [userId, type]);
+    return result.rows;
+  }
+
+  async createEntity(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO entities (user_id, canonical_name, aliases, entity_type, type_evidence)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      userId,
+      row.canonical_name,
+      row.aliases || [],
+      row.entity_type || null,
+      row.type_evidence ? JSON.stringify(row.type_evidence) : null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Insert an entity, or merge it into the existing one with the same name
+   * Returns { entity, inserted }
+   */
+  async mergeEntity(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO entities (
+        user_id, canonical_name, aliases, entity_type, confidence,
+        confirmed, description, memory_ids, first_seen_at, last_seen_at, type_evidence
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), COALESCE($10, NOW()), $11)
+      ON CONFLICT (user_id, canonical_name) DO UPDATE SET
+        aliases = ARRAY(SELECT DISTINCT unnest(entities.aliases || EXCLUDED.aliases)),
+        memory_ids = ARRAY(SELECT DISTINCT unnest(entities.memory_ids || EXCLUDED.memory_ids)),
+        confirmed = entities.confirmed OR EXCLUDED.confirmed,
+        description = COALESCE(entities.description, EXCLUDED.description),
+        last_seen_at = GREATEST(entities.last_seen_at, EXCLUDED.last_seen_at)
+      RETURNING *, (xmax = 0) AS inserted
+    `, [
+      userId,
+      row.canonical_name,
+      row.aliases || [],
+      row.entity_type || null,
+      row.confidence ?? 0.8,
+      row.confirmed === true,
+      row.description || null,
+      row.memory_ids || [],
+      row.first_seen_at || null,
+      row.last_seen_at || null,
+      row.type_evidence ? JSON.stringify(row.type_evidence) : null
+    ]);
+
+    const { inserted, ...entity } = result.rows[0];
+    return { entity, inserted };
+  }
+
+  /**
+   * Append an alias if not present; touch also bumps last_seen_at
+   */
+  async addEntityAlias(userId, entityId, alias, { touch = false } = {}) {
+    await this.db.query(`
+      UPDATE entities
+      SET aliases = array_append(aliases, $2)
+          ${touch ? ", last_seen_at = NOW()" : ""}
+      WHERE id = $1
+        AND user_id = $3
+        AND NOT ($2 = ANY(aliases))
+    `, [entityId, alias, userId]);
+  }
+
+  async updateEntity(userId, entityId, fields) {
+    const sets = [];
+    const params = [entityId, userId];
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      params.push(column === "type_evidence" && value !== null ? JSON.stringify(value) : value);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    if (sets.length === 0) {
+      return this.getEntity(userId, entityId);
+    }
+
+    const result = await this.db.query(`
+      UPDATE entities
+      SET ${sets.join(", ")}
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, params);
+
+    return result.rows[0] || null;
+  }
+
+  async deleteEntity(userId, entityId) {
+    const result = await this.db.query(`
+      DELETE FROM entities WHERE id = $1 AND user_id = $2
+    `, [entityId, userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Put back a deleted entity (or overwrite one) as it was, id included
+   */
+  async restoreEntity(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO entities (
+        id, user_id, canonical_name, aliases, entity_type, confidence,
+        confirmed, description, memory_ids, first_seen_at, last_seen_at, type_evidence
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (id) DO UPDATE SET
+        canonical_name = EXCLUDED.canonical_name,
+        aliases = EXCLUDED.aliases,
+        entity_type = EXCLUDED.entity_type,
+        type_evidence = EXCLUDED.type_evidence,
+        confidence = EXCLUDED.confidence,
+        confirmed = EXCLUDED.confirmed,
+        description = EXCLUDED.description,
+        memory_ids = EXCLUDED.memory_ids,
+        first_seen_at = EXCLUDED.first_seen_at,
+        last_seen_at = EXCLUDED.last_seen_at
+      RETURNING *
+    `, [
+      row.id,
+      userId,
+      row.canonical_name,
+      row.aliases || [],
+      row.entity_type || null,
+      row.confidence ?? 0.8,
+      row.confirmed === true,
+      row.description || null,
+      row.memory_ids || [],
+      row.first_seen_at,
+      row.last_seen_at,
+      row.type_evidence ? JSON.stringify(row.type_evidence) : null
+    ]);
+    return result.rows[0];
+  }
+
+  async linkEntityMemory(userId, entityId, memoryId) {
+    await this.db.query(`
+      UPDATE entities
+      SET memory_ids = array_append(memory_ids, $2)
+      WHERE id = $1
+        AND user_id = $3
+        AND NOT ($2 = ANY(memory_ids))
+    `, [entityId, memoryId, userId]);
+  }
+
+  async unlinkMemoryFromEntities(userId, memoryId) {
+    await this.db.query(`
+      UPDATE entities
+      SET memory_ids = array_remove(memory_ids, $1)
+      WHERE user_id = $2 AND $1 = ANY(memory_ids)
+    `, [memoryId, userId]);
+  }
+
+  // ===========================================
+  // RELATIONS
+  // ===========================================
+
+  /**
+   * Create a relation, or raise the weight of an existing one
+   * Both memories must belong to userId - cross-user edges are never created
+   * Returns { id, inserted }, or undefined when nothing was written
+   */
+  async upsertRelation(userId, { sourceId, targetId, relationType, weight = 1.0, bidirectional = true, createdAt = null }) {
+    const result = await this.db.query(`
+      INSERT INTO memory_relations (source_id, target_id, relation_type, weight, bidirectional, user_id, created_at)
+      SELECT $1, $2, $3, $4, $5, $6, COALESCE($7, NOW())
+      WHERE (
+        SELECT COUNT(*) FROM memory_units
+        WHERE id IN ($1, $2) AND user_id = $6
+      ) = 2
+      ON CONFLICT (source_id, target_id, relation_type)
+      DO UPDATE SET weight = GREATEST(memory_relations.weight, $4)
+      RETURNING id, (xmax = 0) AS inserted
+    `, [sourceId, targetId, relationType, weight, bidirectional, userId, createdAt]);
+    return result.rows[0];
+  }
+
+  async deleteRelations(userId, ids) {
+    const result = await this.db.query(`
+      DELETE FROM memory_relations WHERE id = ANY($1::uuid[]) AND user_id = $2
+    `, [ids, userId]);
+    return result.rowCount;
+  }
+
+  async listRelationsForMemory(userId, memoryId) {
+    const result = await this.db.query(`
+      SELECT
+        r.*,
+        m.summary as related_summary
+      FROM memory_relations r
+      JOIN memory_units m ON (
+        (r.source_id = $1 AND m.id = r.target_id) OR
+        (r.target_id = $1 AND m.id = r.source_id AND r.bidirectional = true)
+      )
+      WHERE m.is_active = true
+        AND r.user_id = $2
+      ORDER BY r.weight DESC
+    `, [memoryId, userId]);
+
+    return result.rows;
+  }
+
+  async listRelations(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_relations WHERE user_id = $1 ORDER BY created_at ASC
+    `, [userId]);
+    return result.rows;
+  }
+
+  // ===========================================
+  // CONTRADICTIONS
+  // ===========================================
+
+  async insertContradiction(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO contradictions (
+        memory_a, memory_b, reason, resolution, user_id,
+        field_path, resolution_note, detected_at, resolved_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9)
+      RETURNING id
+    `, [
+      row.memory_a,
+      row.memory_b,
+      row.reason,
+      row.resolution || "pending",
+      userId,
+      row.field_path || null,
+      row.resolution_note || null,
+      row.detected_at || null,
+      row.resolved_at || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Record a resolution; returns the updated contradiction or null
+   */
+  async resolveContradiction(userId, id, resolution, note) {
+    const result = await this.db.query(`
+      UPDATE contradictions
+      SET resolution = $2, resolution_note = $3, resolved_at = NOW()
+      WHERE id = $1 AND user_id = $4
+      RETURNING *
+    `, [id, resolution, note, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async listPendingContradictions(userId) {
+    const result = await this.db.query(`
+      SELECT
+        c.*,
+        ma.summary as summary_a,
+        mb.summary as summary_b
+      FROM contradictions c
+      JOIN memory_units ma ON c.memory_a = ma.id
+      JOIN memory_units mb ON c.memory_b = mb.id
+      WHERE c.resolution = 'pending'
+        AND c.user_id = $1
+      ORDER BY c.detected_at DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  async listContradictions(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM contradictions WHERE user_id = $1 ORDER BY detected_at ASC
+    `, [userId]);
+    return result.rows;
+  }
+
+  // ===========================================
+  // CONVERSATIONS
+  // ===========================================
+
+  /**
+   * Get a conversation, creating it if needed
+   * Returns null if the id is already taken by another user
+   */
+  async ensureConversation(userId, id, title) {
+    await this.db.query(`
+      INSERT INTO conversations (id, user_id, title)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (id) DO NOTHING
+    `, [id, userId, title]);
+
+    return this.getConversation(userId, id);
+  }
+
+  async getConversation(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM conversations WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async insertMessage(userId, conversationId, role, content) {
+    const result = await this.db.query(`
+      INSERT INTO messages (conversation_id, user_id, role, content)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, role, content, created_at
+    `, [conversationId, userId, role, content]);
+
+    await this.db.query(`
+      UPDATE conversations SET updated_at = NOW() WHERE id = $1 AND user_id = $2
+    `, [conversationId, userId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Last `limit` messages, oldest first
+   */
+  async listRecentMessages(userId, conversationId, limit) {
+    const result = await this.db.query(`
+      SELECT role, content, created_at FROM (
+        SELECT role, content, created_at
+        FROM messages
+        WHERE conversation_id = $1 AND user_id = $2
+        ORDER BY created_at DESC
+        LIMIT $3
+      ) recent
+      ORDER BY created_at ASC
+    `, [conversationId, userId, limit]);
+
+    return result.rows;
+  }
+
+  async listMessages(userId, conversationId) {
+    const result = await this.db.query(`
+      SELECT id, role, content, created_at
+      FROM messages
+      WHERE conversation_id = $1 AND user_id = $2
+      ORDER BY created_at ASC
+    `, [conversationId, userId]);
+
+    return result.rows;
+  }
+
+  async listConversations(userId, { limit }) {
+    const result = await this.db.query(`
+      SELECT
+        c.*,
+        COUNT(m.id) as message_count,
+        MAX(m.created_at) as last_message_at
+      FROM conversations c
+      LEFT JOIN messages m ON m.conversation_id = c.id
+      WHERE c.user_id = $1
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    return result.rows;
+  }
+
+  // ===========================================
+  // MEMORY JOBS
+  // ===========================================
+
+  async insertJob(userId, { kind, payload, maxAttempts }) {
+    const result = await this.db.query(`
+      INSERT INTO memory_jobs (user_id, kind, payload, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [userId, kind, JSON.stringify(payload), maxAttempts]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Lock up to `limit` due pending jobs for a worker and count the attempt
+   * SKIP LOCKED lets several processes poll the same queue
+   */
+  async claimJobs({ workerId, limit }) {
+    const result = await this.db.query(`
+      UPDATE memory_jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          locked_at = NOW(),
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM memory_jobs
+        WHERE status = 'pending' AND run_at <= NOW()
+        ORDER BY run_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [workerId, limit]);
+
+    return result.rows;
+  }
+
+  async completeJob(id, result) {
+    await this.db.query(`
+      UPDATE memory_jobs
+      SET status = 'completed',
+          result = $2,
+          last_error = NULL,
+          locked_by = NULL,
+          locked_at = NULL,
+          completed_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+    `, [id, JSON.stringify(result ?? null)]);
+  }
+
+  /**
+   * Record a failed attempt: back to pending until retryAt,
+   * or dead when retryAt is null
+   */
+  async failJob(id, { error, retryAt }) {
+    await this.db.query(`
+      UPDATE memory_jobs
+      SET status = CASE WHEN $3::timestamptz IS NULL THEN 'dead' ELSE 'pending' END,
+          run_at = COALESCE($3::timestamptz, run_at),
+          last_error = $2,
+          locked_by = NULL,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [id, error, retryAt]);
+  }
+
+  /**
+   * Hand unfinished jobs back to the queue without using up an attempt
+   * (graceful shutdown)
+   */
+  async releaseJobs(ids) {
+    if (ids.length === 0) return;
+
+    await this.db.query(`
+      UPDATE memory_jobs
+      SET status = 'pending',
+          attempts = GREATEST(attempts - 1, 0),
+          locked_by = NULL,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'running'
+    `, [ids]);
+  }
+
+  /**
+   * Jobs still running after lockTimeoutMs belonged to a worker that died:
+   * requeue them, or dead-letter them if they were on their last attempt
+   */
+  async recoverStaleJobs({ lockTimeoutMs }) {
+    const result = await this.db.query(`
+      UPDATE memory_jobs
+      SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+          run_at = NOW(),
+          last_error = 'Worker stopped before finishing (lock timed out)',
+          locked_by = NULL,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE status = 'running'
+        AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')
+      RETURNING id
+    `, [lockTimeoutMs]);
+
+    return result.rowCount;
+  }
+
+  async deleteCompletedJobs({ olderThanDays }) {
+    const result = await this.db.query(`
+      DELETE FROM memory_jobs
+      WHERE status = 'completed'
+        AND completed_at < NOW() - ($1 * INTERVAL '1 day')
+    `, [olderThanDays]);
+
+    return result.rowCount;
+  }
+
+  async getJob(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_jobs WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async listJobs(userId, { status = null, limit }) {
+    const result = await this.db.query(`
+      SELECT * FROM memory_jobs
+      WHERE user_id = $1
+        AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [userId, status, limit]);
+
+    return result.rows;
+  }
+
+  async countJobs(userId) {
+    const result = await this.db.query(`
+      SELECT status, COUNT(*)::int as count
+      FROM memory_jobs
+      WHERE user_id = $1
+      GROUP BY status
+    `, [userId]);
+
+    return Object.fromEntries(result.rows.map(r => [r.status, r.count]));
+  }
+
+  /**
+   * Requeue a dead job with a fresh set of attempts
+   * Returns the job, or null if it does not exist or is not dead
+   */
+  async retryJob(userId, id) {
+    const result = await this.db.query(`
+      UPDATE memory_jobs
+      SET status = 'pending',
+          attempts = 0,
+          run_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND status = 'dead'
+      RETURNING *
+    `, [id, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  // ===========================================
+  // WEBHOOKS
+  // ===========================================
+
+  async insertWebhook(userId, { url, secret, events, description }) {
+    const result = await this.db.query(`
+      INSERT INTO webhooks (user_id, url, secret, events, description)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [userId, url, secret, events, description]);
+
+    return result.rows[0];
+  }
+
+  async getWebhook(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM webhooks WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async listWebhooks(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM webhooks WHERE user_id = $1 ORDER BY created_at
+    `, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Active webhooks of the user subscribed to an event type
+   * (an empty events list subscribes to every type)
+   */
+  async listWebhooksForEvent(userId, eventType) {
+    const result = await this.db.query(`
+      SELECT * FROM webhooks
+      WHERE user_id = $1 AND active = TRUE
+        AND (cardinality(events) = 0 OR $2 = ANY(events))
+    `, [userId, eventType]);
+    return result.rows;
+  }
+
+  async updateWebhook(userId, id, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return this.getWebhook(userId, id);
+
+    const sets = columns.map((column, i) => `${column} = $${i + 3}`);
+    const result = await this.db.query(`
+      UPDATE webhooks
+      SET ${sets.join(", ")}, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [id, userId, ...columns.map(c => fields[c])]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a webhook and its delivery log; returns whether it existed
+   */
+  async deleteWebhook(userId, id) {
+    const result = await this.db.query(`
+      DELETE FROM webhooks WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rowCount > 0;
+  }
+
+  async insertWebhookDelivery(userId, row) {
+    const result = await this.db.query(`
+      INSERT INTO webhook_deliveries
+        (webhook_id, user_id, job_id, event_type, attempt, status, response_status, duration_ms, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      row.webhook_id, userId, row.job_id, row.event_type, row.attempt,
+      row.status, row.response_status, row.duration_ms, row.error
+    ]);
+
+    return result.rows[0];
+  }
+
+  async listWebhookDeliveries(userId, webhookId, { limit }) {
+    const result = await this.db.query(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = $1 AND user_id = $2
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [webhookId, userId, limit]);
+
+    return result.rows;
+  }
+
+  // ===========================================
+  // API KEYS
+  // ===========================================
+
+  async insertApiKey(userId, { name, keyPrefix, keyHash, scopes, expiresAt }) {
+    const result = await this.db.query(`
+      INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, name, keyPrefix, keyHash, scopes, expiresAt]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Look up a key by hash across all users (authentication)
+   */
+  async findApiKeyByHash(keyHash) {
+    const result = await this.db.query(`
+      SELECT * FROM api_keys WHERE key_hash = $1
+    `, [keyHash]);
+    return result.rows[0] || null;
+  }
+
+  async listApiKeys(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at
+    `, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Revoke a key; returns it, or null if it does not exist
+   */
+  async revokeApiKey(userId, id) {
+    const result = await this.db.query(`
+      UPDATE api_keys
+      SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [id, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async touchApiKey(id) {
+    await this.db.query(`
+      UPDATE api_keys SET last_used_at = NOW() WHERE id = $1
+    `, [id]);
+  }
+
+  // ===========================================
+  // LLM USAGE
+  // ===========================================
+
+  /**
+   * Add one call's tokens and cost to the user's daily row
+   */
+  async recordLLMUsage(userId, { day, role, target, inputTokens, outputTokens, costUsd }) {
+    await this.db.query(`
+      INSERT INTO llm_usage (user_id, day, role, target, requests, input_tokens, output_tokens, cost_usd)
+      VALUES ($1, $2, $3, $4, 1, $5, $6, $7)
+      ON CONFLICT (user_id, day, role, target) DO UPDATE SET
+        requests = llm_usage.requests + 1,
+        input_tokens = llm_usage.input_tokens + EXCLUDED.input_tokens,
+        output_tokens = llm_usage.output_tokens + EXCLUDED.output_tokens,
+        cost_usd = llm_usage.cost_usd + EXCLUDED.cost_usd,
+        updated_at = NOW()
+    `, [userId, day, role, target, inputTokens, outputTokens, costUsd]);
+  }
+
+  /**
+   * Daily rows from since (YYYY-MM-DD) on, newest first
+   */
+  async listLLMUsage(userId, { since }) {
+    const result = await this.db.query(`
+      SELECT user_id, to_char(day, 'YYYY-MM-DD') AS day, role, target, requests,
+             input_tokens::int, output_tokens::int, cost_usd::float AS cost_usd
+      FROM llm_usage
+      WHERE user_id = $1 AND day >= $2
+      ORDER BY day DESC, role, target
+    `, [userId, since]);
+    return result.rows;
+  }
+
+  /**
+   * Cost of a day, for one user or (userId null) everyone
+   */
+  async sumLLMCost({ day, userId = null }) {
+    const result = await this.db.query(`
+      SELECT COALESCE(SUM(cost_usd), 0)::float AS cost
+      FROM llm_usage
+      WHERE day = $1 AND ($2::text IS NULL OR user_id = $2)
+    `, [day, userId]);
+    return result.rows[0].cost;
+  }
+
+  // ===========================================
+  // PURGE
+  // ===========================================
+
+  /**
+   * Hard-delete memories (owned by userId) and everything derived from them
+   * Adds to counts; returns the ids actually purged
+   */
+  async purgeMemories(userId, memoryIds, counts) {
+    // Only ever touch this user's memories
+    const owned = await this.db.query(`
+      SELECT id FROM memory_units WHERE id = ANY($1::uuid[]) AND user_id = $2
+    `, [memoryIds, userId]);
+    const ids = owned.rows.map(r => r.id);
+
+    if (ids.length === 0) return ids;
+
+    // 1. Preferences extracted from these memories
+    await this.db.query(`
+      UPDATE preferences SET superseded_by = NULL
+      WHERE superseded_by IN (
+        SELECT id FROM preferences WHERE memory_id = ANY($1::uuid[]) AND user_id = $2
+      )
+    `, [ids, userId]);
+    const prefs = await this.db.query(`
+      DELETE FROM preferences WHERE memory_id = ANY($1::uuid[]) AND user_id = $2
+    `, [ids, userId]);
+    counts.preferences += prefs.rowCount;
+
+    // 2. Scrub ids from entities.memory_ids
+    const entityLinks = await this.db.query(`
+      UPDATE entities
+      SET memory_ids = ARRAY(
+        SELECT mid FROM unnest(memory_ids) AS mid WHERE mid <> ALL($1::uuid[])
+      )
+      WHERE user_id = $2 AND memory_ids && $1::uuid[]
+    `, [ids, userId]);
+    counts.entity_links_scrubbed += entityLinks.rowCount;
+
+    // 3. Scrub ids from supersession chains of surviving memories
+    const supersedes = await this.db.query(`
+      UPDATE memory_units
+      SET supersedes = ARRAY(
+        SELECT sid FROM unnest(supersedes) AS sid WHERE sid <> ALL($1::uuid[])
+      )
+      WHERE user_id = $2 AND supersedes && $1::uuid[] AND id <> ALL($1::uuid[])
+    `, [ids, userId]);
+    counts.supersedes_scrubbed += supersedes.rowCount;
+
+    // 4. Graph edges, contradictions and decay history
+    // (these cascade on delete, but are removed explicitly so they are counted)
+    const relations = await this.db.query(`
+      DELETE FROM memory_relations
+      WHERE source_id = ANY($1::uuid[]) OR target_id = ANY($1::uuid[])
+    `, [ids]);
+    counts.relations += relations.rowCount;
+
+    const contradictions = await this.db.query(`
+      DELETE FROM contradictions
+      WHERE memory_a = ANY($1::uuid[]) OR memory_b = ANY($1::uuid[])
+    `, [ids]);
+    counts.contradictions += contradictions.rowCount;
+
+    const decay = await this.db.query(`
+      DELETE FROM decay_log WHERE memory_id = ANY($1::uuid[])
+    `, [ids]);
+    counts.decay_log += decay.rowCount;
+
+    // Undo entries holding the memories' entity lists
+    const edits = await this.db.query(`
+      DELETE FROM entity_edits WHERE user_id = $2 AND memory_ids && $1::uuid[]
+    `, [ids, userId]);
+    counts.entity_edits += edits.rowCount;
+
+    const matches = await this.db.query(`
+      DELETE FROM entity_matches WHERE user_id = $2 AND memory_id = ANY($1::uuid[])
+    `, [ids, userId]);
+    counts.entity_matches += matches.rowCount;
+
+    // Jobs whose payload or result quotes the memories
+    await this.purgeJobsMentioning(userId, { refs: ids }, counts);
+
+    // 5. The memories themselves
+    const memories = await this.db.query(`
+      DELETE FROM memory_units WHERE id = ANY($1::uuid[]) AND user_id = $2
+    `, [ids, userId]);
+    counts.memory_units += memories.rowCount;
+
+    return ids;
+  }
+
+  /**
+   * Delete the conversations the memories were extracted from, with their
+   * messages and the jobs quoting them (run before the memories are purged)
+   */
+  async purgeSourceConversations(userId, memoryIds, counts) {
+    const sourceRows = await this.db.query(`
+      SELECT DISTINCT source_conversation_id AS id FROM memory_units
+      WHERE id = ANY($1::uuid[]) AND user_id = $2 AND source_conversation_id IS NOT NULL
+    `, [memoryIds, userId]);
+    const sources = sourceRows.rows.map(r => r.id);
+    if (sources.length === 0) return;
+
+    // Messages cascade with their conversation, but are counted first
+    const messages = await this.db.query(`
+      DELETE FROM messages WHERE user_id = $2 AND conversation_id = ANY($1::text[])
+    `, [sources, userId]);
+    counts.messages += messages.rowCount;
+
+    const conversations = await this.db.query(`
+      DELETE FROM conversations WHERE user_id = $2 AND id = ANY($1::text[])
+    `, [sources, userId]);
+    counts.conversations += conversations.rowCount;
+
+    await this.purgeJobsMentioning(userId, { refs: sources }, counts);
+  }
+
+  /**
+   * Delete the user's chat messages naming any of names (whole words,
+   * case-insensitive) and clear conversation titles that name them
+   */
+  async purgeMessagesMentioning(userId, names, counts) {
+    const pattern = mentionPattern(names);
+
+    const messages = await this.db.query(`
+      DELETE FROM messages WHERE user_id = $1 AND content ~* $2
+    `, [userId, pattern]);
+    counts.messages += messages.rowCount;
+
+    const titles = await this.db.query(`
+      UPDATE conversations SET title = NULL WHERE user_id = $1 AND title ~* $2
+    `, [userId, pattern]);
+    counts.conversation_titles_scrubbed += titles.rowCount;
+  }
+
+  /**
+   * Delete the user's jobs whose payload or result contains any of refs
+   * (ids, verbatim) or names any of names (whole words, case-insensitive)
+   */
+  async purgeJobsMentioning(userId, { refs = [], names = [] }, counts) {
+    const pattern = names.length > 0 ? mentionPattern(names) : null;
+
+    const jobs = await this.db.query(`
+      DELETE FROM memory_jobs j
+      WHERE j.user_id = $1
+        AND (
+          EXISTS (
+            SELECT 1 FROM unnest($2::text[]) AS ref
+            WHERE strpos(j.payload::text || COALESCE(j.result::text, ''), ref) > 0
+          )
+          OR ($3::text IS NOT NULL AND (j.payload::text || COALESCE(j.result::text, '')) ~* $3)
+        )
+    `, [userId, refs, pattern]);
+    counts.memory_jobs += jobs.rowCount;
+  }
+
+  /**
+   * Delete every remaining row of a user (after its memories were purged)
+   */
+  async purgeUserRows(userId, counts) {
+    const tables = [
+      ["preferences", "preferences"],
+      ["memory_relations", "relations"],
+      ["contradictions", "contradictions"],
+      ["entities", "entities"],
+      ["messages", "messages"],
+      ["conversations", "conversations"],
+      ["memory_jobs", "memory_jobs"],
+      ["webhook_deliveries", "webhook_deliveries"],
+      ["entity_edits", "entity_edits"],
+      ["entity_matches", "entity_matches"]
+    ];
+
+    for (const [table, key] of tables) {
+      const result = await this.db.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+      counts[key] += result.rowCount;
+    }
+  }
+
+  async insertPurgeReceipt(userId, { targetType, targetId, memoryIds, counts, reason }) {
+    const result = await this.db.query(`
+      INSERT INTO purge_log (user_id, target_type, target_id, memory_ids, counts, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, targetType, targetId, memoryIds, JSON.stringify(counts), reason || null]);
+
+    return result.rows[0];
+  }
+
+  async listPurgeReceipts(userId, { limit }) {
+    const result = await this.db.query(`
+      SELECT * FROM purge_log
+      WHERE user_id = $1
+      ORDER BY purged_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    return result.rows;
+  }
+
+  // ===========================================
+  // ENTITY EDIT LOG
+  // ===========================================
+
+  async insertEntityEdit(userId, { action, entityIds, memoryIds, details, changes }) {
+    const result = await this.db.query(`
+      INSERT INTO entity_edits (user_id, action, entity_ids, memory_ids, details, changes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, action, entityIds, memoryIds, JSON.stringify(details), JSON.stringify(changes)]);
+
+    return result.rows[0];
+  }
+
+  async listEntityEdits(userId, { entityId = null, limit = 50 } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM entity_edits
+      WHERE user_id = $1
+        AND ($2::uuid IS NULL OR $2 = ANY(entity_ids))
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [userId, entityId, limit]);
+
+    return result.rows;
+  }
+
+  async getEntityEdit(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM entity_edits WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * A newer edit, not undone, touching any of the same entities
+   */
+  async findLaterEntityEdit(userId, edit) {
+    const result = await this.db.query(`
+      SELECT * FROM entity_edits
+      WHERE user_id = $1
+        AND created_at > $2
+        AND undone_at IS NULL
+        AND entity_ids && $3::uuid[]
+      ORDER BY created_at ASC
+      LIMIT 1
+    `, [userId, edit.created_at, edit.entity_ids]);
+    return result.rows[0];
+  }
+
+  async markEntityEditUndone(userId, id) {
+    const result = await this.db.query(`
+      UPDATE entity_edits SET undone_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND undone_at IS NULL
+      RETURNING *
+    `, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async deleteEntityEdits(userId, entityId) {
+    const result = await this.db.query(`
+      DELETE FROM entity_edits WHERE user_id = $1 AND $2 = ANY(entity_ids)
+    `, [userId, entityId]);
+    return result.rowCount;
+  }
+
+  // ===========================================
+  // ENTITY MATCH REVIEW QUEUE
+  // ===========================================
+
+  async insertEntityMatch(userId, { mention, memoryId, entityId, candidates }) {
+    const result = await this.db.query(`
+      INSERT INTO entity_matches (user_id, mention, memory_id, entity_id, candidates)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [userId, mention, memoryId || null, entityId, JSON.stringify(candidates)]);
+
+    return result.rows[0];
+  }
+
+  async listEntityMatches(userId, { status = null, limit = 50 } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM entity_matches
+      WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [userId, status, limit]);
+
+    return result.rows;
+  }
+
+  async getEntityMatch(userId, id) {
+    const result = await this.db.query(`
+      SELECT * FROM entity_matches WHERE id = $1 AND user_id = $2
+    `, [id, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Close a pending match; null if it is not pending
+   */
+  async resolveEntityMatch(userId, id, { status, chosenEntityId = null }) {
+    const result = await this.db.query(`
+      UPDATE entity_matches
+      SET status = $3, chosen_entity_id = $4, resolved_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING *
+    `, [id, userId, status, chosenEntityId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Matches for or about an entity (it was created for the mention or
+   * is one of the candidates)
+   */
+  async deleteEntityMatches(userId, entityId) {
+    const result = await this.db.query(`
+      DELETE FROM entity_matches
+      WHERE user_id = $1
+        AND (entity_id = $2 OR candidates @> jsonb_build_array(jsonb_build_object('entity_id', $2::text)))
+    `, [userId, entityId]);
+    return result.rowCount;
+  }
+}
@@ -0,0 +1,357 @@
+// MeaningMemory V3 - Outbound Webhooks
+// Forwards memory lifecycle events (memoryEvents.js) to URLs registered
+// per user, so other systems react to changes instead of polling.
+//
+// Each matching subscription gets a "deliver_webhook" job, so deliveries
+// are durable and retried with the job queue's backoff and dead-letter
+// state. Every attempt is recorded in webhook_deliveries.
+//
+// Requests are signed with the subscription's secret:
+//   X-MeaningMemory-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers check it with verifyWebhookSignature (or the same HMAC).
+//
+// URLs may not reach loopback, link-local or private addresses unless
+// WEBHOOK_ALLOWED_HOSTS lists them. The host is resolved again for every
+// delivery and the request connects to the checked address, so a DNS
+// record changed after subscribing (rebinding) cannot get around it.
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { lookup } from "dns";
+import { BlockList, isIP } from "net";
+import http from "http";
+import https from "https";
+import { config } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { subscribeAllEvents } from "./memoryEvents.js";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { WebhookEventTypeSchema } from "./schemas.js";
+
+export const WEBHOOK_EVENT_TYPES = WebhookEventTypeSchema.options;
+
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+// ===========================================
+// SIGNING
+// ===========================================
+
+export function signPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Check an X-MeaningMemory-Signature header against the raw request body
+ * Rejects signatures older than toleranceSec (replays)
+ */
+export function verifyWebhookSignature(secret, header, body, { toleranceSec = SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || "").split(",").map(part => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function generateSecret() {
+  return `whsec_${randomBytes(24).toString("hex")}`;
+}
+
+// ===========================================
+// TARGET ADDRESSES
+// ===========================================
+
+const BLOCKED_RANGES = new BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],         // "this" network
+  ["10.0.0.0", 8],        // RFC 1918
+  ["100.64.0.0", 10],     // carrier-grade NAT
+  ["127.0.0.0", 8],       // loopback
+  ["169.254.0.0", 16],    // link-local (cloud metadata)
+  ["172.16.0.0", 12],     // RFC 1918
+  ["192.168.0.0", 16],    // RFC 1918
+  ["224.0.0.0", 3]        // multicast, reserved, broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127],            // unspecified and loopback
+  ["fc00::", 7],          // unique local
+  ["fe80::", 10],         // link-local
+  ["ff00::", 8]           // multicast
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * WEBHOOK_ALLOWED_HOSTS entries are host names, addresses or CIDR ranges
+ */
+function isAllowlisted(hostname, address) {
+  return config.WEBHOOK_ALLOWED_HOSTS.some(entry => {
+    if (!entry.includes("/")) {
+      return entry === hostname || entry === address;
+    }
+
+    const [prefix, bits] = entry.split("/");
+    const range = new BlockList();
+    const family = isIP(prefix) === 6 ? "ipv6" : "ipv4";
+    range.addSubnet(prefix, parseInt(bits, 10), family);
+    return range.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+  });
+}
+
+/**
+ * Error for an address a webhook may not reach, or null
+ */
+function checkTargetAddress(hostname, address) {
+  const family = isIP(address) === 6 ? "ipv6" : "ipv4";
+  if (!BLOCKED_RANGES.check(address, family) || isAllowlisted(hostname, address)) {
+    return null;
+  }
+
+  const err = new Error(`${hostname} resolves to ${address}, a loopback, link-local or private address`);
+  err.invalid = true;
+  return err;
+}
+
+function urlHostname(url) {
+  // IPv6 literals keep their brackets in URL.hostname
+  return new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+}
+
+/**
+ * dns.lookup that fails when any resolved address is blocked
+ * Used as the connection's lookup, so the socket goes to a checked address
+ */
+function guardedLookup(hostname, options, callback) {
+  lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.map(a => checkTargetAddress(hostname, a.address)).find(Boolean);
+    if (blocked) return callback(blocked);
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Reject URLs whose host is or resolves to a blocked address
+ * (err.invalid). A host that does not resolve yet is accepted; every
+ * delivery checks again
+ */
+export async function assertWebhookTarget(url) {
+  const hostname = urlHostname(url);
+
+  const addresses = isIP(hostname)
+    ? [hostname]
+    : await new Promise(resolve => {
+      lookup(hostname, { all: true }, (err, results) => resolve(err ? [] : results.map(r => r.address)));
+    });
+
+  const blocked = addresses.map(address => checkTargetAddress(hostname, address)).find(Boolean);
+  if (blocked) throw blocked;
+}
+
+/**
+ * POST a body through the guarded lookup; resolves with the response status
+ * Redirects are not followed
+ */
+function postToTarget(url, headers, body) {
+  const hostname = urlHostname(url);
+
+  // Address literals skip the lookup
+  if (isIP(hostname)) {
+    const blocked = checkTargetAddress(hostname, hostname);
+    if (blocked) return Promise.reject(blocked);
+  }
+
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+    }, res => {
+      res.resume();
+      resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300 });
+    });
+
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// ===========================================
+// SUBSCRIPTIONS (REST API)
+// ===========================================
+
+/**
+ * The secret is only returned when it is created or rotated
+ */
+function formatWebhook(row, { withSecret = false } = {}) {
+  const { secret, ...webhook } = row;
+  return withSecret ? { ...webhook, secret } : webhook;
+}
+
+export async function createWebhook({ url, events = [], description = null }, userId = config.DEFAULT_USER_ID) {
+  await assertWebhookTarget(url);
+
+  const row = await getStorage().insertWebhook(userId, {
+    url,
+    secret: generateSecret(),
+    events,
+    description
+  });
+
+  console.log(`[Webhooks] Subscribed ${url} for ${userId} (${events.length > 0 ? events.join(", ") : "all events"})`);
+  return formatWebhook(row, { withSecret: true });
+}
+
+export async function listWebhooks(userId = config.DEFAULT_USER_ID) {
+  const rows = await getStorage().listWebhooks(userId);
+  return rows.map(row => formatWebhook(row));
+}
+
+export async function getWebhook(id, userId = config.DEFAULT_USER_ID) {
+  const row = await getStorage().getWebhook(userId, id);
+  return row ? formatWebhook(row) : null;
+}
+
+/**
+ * Edit a subscription; null if it does not exist
+ */
+export async function updateWebhook(id, { rotate_secret, ...fields }, userId = config.DEFAULT_USER_ID) {
+  if (fields.url) {
+    await assertWebhookTarget(fields.url);
+  }
+  if (rotate_secret) {
+    fields.secret = generateSecret();
+  }
+
+  const row = await getStorage().updateWebhook(userId, id, fields);
+  return row ? formatWebhook(row, { withSecret: Boolean(rotate_secret) }) : null;
+}
+
+export async function deleteWebhook(id, userId = config.DEFAULT_USER_ID) {
+  return getStorage().deleteWebhook(userId, id);
+}
+
+export async function getWebhookDeliveries(id, userId = config.DEFAULT_USER_ID, { limit = 50 } = {}) {
+  return getStorage().listWebhookDeliveries(userId, id, { limit });
+}
+
+// ===========================================
+// DISPATCH
+// ===========================================
+
+/**
+ * Queue one delivery per active subscription to the event's type
+ */
+export async function enqueueWebhookDeliveries(event, { storage = getStorage() } = {}) {
+  const webhooks = await storage.listWebhooksForEvent(event.user_id, event.type);
+
+  for (const webhook of webhooks) {
+    await enqueueJob("deliver_webhook", {
+      webhook_id: webhook.id,
+      event: { type: event.type, at: event.at, data: event.data }
+    }, event.user_id, { maxAttempts: config.WEBHOOK_MAX_ATTEMPTS, storage });
+  }
+
+  return webhooks.length;
+}
+
+let unsubscribe = null;
+
+/**
+ * Forward this process's memory events to webhook subscriptions
+ */
+export function startWebhookDispatcher() {
+  if (unsubscribe) return;
+
+  unsubscribe = subscribeAllEvents(event => {
+    // System events (user_id null) have no subscriptions
+    if (!event.user_id || !WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+
+    enqueueWebhookDeliveries(event)
+      .catch(err => console.error(`[Webhooks] Could not queue ${event.type}:`, err.message));
+  });
+}
+
+export function stopWebhookDispatcher() {
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+// ===========================================
+// DELIVERY (job handler)
+// ===========================================
+
+/**
+ * POST the event to the subscription's URL and log the attempt
+ * Throws on network errors and non-2xx responses so the job is retried
+ * The job id is the delivery id: the same for every attempt
+ */
+export async function deliverWebhook(payload, userId, job) {
+  const storage = getStorage();
+  const webhook = await storage.getWebhook(userId, payload.webhook_id);
+
+  // Deleted or paused since the event was queued
+  if (!webhook || !webhook.active) {
+    return { delivered: false, skipped: true };
+  }
+
+  const body = JSON.stringify({
+    id: job.id,
+    type: payload.event.type,
+    user_id: userId,
+    created_at: payload.event.at,
+    data: payload.event.data
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const started = Date.now();
+  let response = null;
+  let error = null;
+
+  try {
+    response = await postToTarget(webhook.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "MeaningMemory-Webhooks/3",
+      "X-MeaningMemory-Event": payload.event.type,
+      "X-MeaningMemory-Delivery": job.id,
+      "X-MeaningMemory-Signature": `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+    }, body);
+
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  await storage.insertWebhookDelivery(userId, {
+    webhook_id: webhook.id,
+    job_id: job.id,
+    event_type: payload.event.type,
+    attempt: job.attempts,
+    status: error ? "failed" : "delivered",
+    response_status: response?.status ?? null,
+    duration_ms: Date.now() - started,
+    error
+  });
+
+  if (error) {
+    throw new Error(`Webhook ${webhook.url} failed: ${error}`);
+  }
+
+  return { delivered: true, response_status: response.status };
+}
+
+registerJobHandler("deliver_webhook", deliverWebhook);
@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createApiKey, listApiKeys, revokeApiKey, authenticateToken, hasScope, hashApiKey } from "../src/auth.js";
+import { config } from "../src/config.js";
+import { useMemoryStorage } from "./helpers.js";
+
+const USER = "auth-test-user";
+
+let storage;
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+afterEach(() => {
+  config.ADMIN_TOKEN = null;
+});
+
+test("keys are shown once and only their hash is stored", async () => {
+  const created = await createApiKey({ name: "laptop", scopes: ["chat", "chat"] }, USER);
+  assert.match(created.key, /^mm_[0-9a-f]{48}$/);
+  assert.equal(created.key_prefix, created.key.slice(0, 11));
+  assert.deepEqual(created.scopes, ["chat"]);
+  assert.equal(created.key_hash, undefined);
+
+  const [stored] = [...storage.tables.apiKeys.values()];
+  assert.equal(stored.key_hash, hashApiKey(created.key));
+  assert.equal(JSON.stringify(stored).includes(created.key), false);
+
+  const [listed] = await listApiKeys(USER);
+  assert.equal(listed.id, created.id);
+  assert.equal(listed.key, undefined);
+  assert.equal(listed.key_hash, undefined);
+  assert.deepEqual(await listApiKeys("someone-else"), []);
+});
+
+test("createApiKey rejects unknown scopes", async () => {
+  await assert.rejects(() => createApiKey({ name: "x", scopes: ["root"] }, USER), /Unknown scope/);
+});
+
+test("authenticateToken resolves keys to their user and scopes", async () => {
+  const { id, key } = await createApiKey({ name: "bot", scopes: ["memories:read"] }, USER);
+
+  const auth = await authenticateToken(key);
+  assert.deepEqual(auth, { keyId: id, name: "bot", userId: USER, scopes: ["memories:read"] });
+
+  assert.equal(await authenticateToken(`${key}0`), null);
+  assert.equal(await authenticateToken(""), null);
+  assert.equal(await authenticateToken(undefined), null);
+
+  // Use is recorded
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(storage.tables.apiKeys.get(id).last_used_at instanceof Date);
+});
+
+test("revoked and expired keys are rejected", async () => {
+  const revoked = await createApiKey({ name: "old", scopes: ["chat"] }, USER);
+  assert.equal(await revokeApiKey(revoked.id, "someone-else"), null);
+  assert.ok((await revokeApiKey(revoked.id, USER)).revoked_at);
+  assert.equal(await authenticateToken(revoked.key), null);
+
+  const expiring = await createApiKey({ name: "temp", scopes: ["chat"], expiresInDays: 1 }, USER);
+  assert.ok(await authenticateToken(expiring.key));
+  storage.tables.apiKeys.get(expiring.id).expires_at = new Date(Date.now() - 1000);
+  assert.equal(await authenticateToken(expiring.key), null);
+});
+
+test("ADMIN_TOKEN authenticates as admin for any user", async () => {
+  assert.equal(await authenticateToken("s3cret-admin"), null);
+
+  config.ADMIN_TOKEN = "s3cret-admin";
+  assert.deepEqual(await authenticateToken("s3cret-admin"), { keyId: null, name: "ADMIN_TOKEN", userId: null, scopes: ["admin"] });
+  assert.equal(await authenticateToken("s3cret-admin!"), null);
+});
+
+test("hasScope: admin implies every scope, write implies read", () => {
+  const admin = { scopes: ["admin"] };
+  assert.ok(["chat", "memories:read", "memories:write", "admin"].every(scope => hasScope(admin, scope)));
+
+  const writer = { scopes: ["memories:write"] };
+  assert.ok(hasScope(writer, "memories:read"));
+  assert.equal(hasScope(writer, "chat"), false);
+  assert.equal(hasScope(writer, "admin"), false);
+
+  const chat = { scopes: ["chat"] };
+  assert.equal(hasScope(chat, "memories:read"), false);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyTier, enforceConfidenceBounds, getTierPriority } from "../src/beliefTiering.js";
+
+test("classifyTier: hedged statements are hypotheses", () => {
+  assert.deepEqual(classifyTier("I think I might move to Berlin"), { tier: "hypothesis", confidence: 0.45 });
+  assert.equal(classifyTier("Maybe I like jazz").tier, "hypothesis");
+});
+
+test("classifyTier: time-bound statements are temporary context", () => {
+  assert.deepEqual(classifyTier("I'm tired right now"), { tier: "temporary_context", confidence: 0.40 });
+  assert.equal(classifyTier("Working from home today").tier, "temporary_context");
+});
+
+test("classifyTier: likes and dislikes are preferences", () => {
+  assert.deepEqual(classifyTier("I love hiking"), { tier: "preference", confidence: 0.80 });
+  assert.equal(classifyTier("I really like sushi").tier, "preference");
+  assert.equal(classifyTier("I can't stand loud music").tier, "preference");
+  assert.equal(classifyTier("My favorite color is green").tier, "preference");
+});
+
+test("classifyTier: first-person statements are asserted facts", () => {
+  assert.deepEqual(classifyTier("My name is Alex"), { tier: "asserted_fact", confidence: 0.92 });
+  assert.equal(classifyTier("I work at Acme").tier, "asserted_fact");
+  assert.equal(classifyTier("I live in Athens").tier, "asserted_fact");
+});
+
+test("classifyTier: hedging wins over other cues", () => {
+  assert.equal(classifyTier("I think I love her").tier, "hypothesis");
+  assert.equal(classifyTier("Currently I live in Rome").tier, "temporary_context");
+});
+
+test("classifyTier: anything else is an observed fact", () => {
+  assert.deepEqual(classifyTier("The meeting was moved"), { tier: "observed_fact", confidence: 0.80 });
+});
+
+test("enforceConfidenceBounds: raises confidence to the tier floor", () => {
+  assert.equal(enforceConfidenceBounds("asserted_fact", 0.5), 0.90);
+  assert.equal(enforceConfidenceBounds("preference", 0.1), 0.75);
+  assert.equal(enforceConfidenceBounds("observed_fact", 0.95), 0.95);
+});
+
+test("enforceConfidenceBounds: caps hypotheses at their ceiling", () => {
+  assert.equal(enforceConfidenceBounds("hypothesis", 0.9), 0.50);
+  assert.equal(enforceConfidenceBounds("hypothesis", 0.1), 0.30);
+  assert.equal(enforceConfidenceBounds("hypothesis", 0.4), 0.4);
+});
+
+test("enforceConfidenceBounds: unknown tiers pass through", () => {
+  assert.equal(enforceConfidenceBounds("made_up", 0.12), 0.12);
+});
+
+test("getTierPriority: asserted facts outrank everything", () => {
+  const order = ["asserted_fact", "observed_fact", "preference", "hypothesis", "temporary_context"];
+  const priorities = order.map(getTierPriority);
+  assert.deepEqual([...priorities].sort((a, b) => b - a), priorities);
+  assert.equal(getTierPriority("made_up"), 0);
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { exportBundle, parseBundle, importBundle } from "../src/bundle.js";
+import { insertMemoryUnit } from "../src/memoryStore.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "bundle-source-user";
+const OTHER = "bundle-target-user";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+let storage;
+
+async function exportText(userId, options) {
+  const lines = [];
+  for await (const record of exportBundle(userId, options)) {
+    lines.push(JSON.stringify(record));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Three memories (one superseding another), a preference, entities,
+ * a relation and a contradiction
+ */
+async function seedGraph() {
+  const boston = await insertMemoryUnit(fact("User's sister Kate lives in Boston", { entities: ["Kate", "Boston"] }), USER);
+  const likes = await insertMemoryUnit(fact("User likes jazz", {
+    tier: "preference",
+    preferences: [{ entity: "jazz", valence: "positive", strength: 0.6 }]
+  }), USER);
+  const loves = await insertMemoryUnit(fact("User loves jazz", { tier: "preference", supersedes: [likes.id] }), USER);
+
+  await storage.upsertRelation(USER, { sourceId: boston.id, targetId: loves.id, relationType: "related_to", weight: 0.4, bidirectional: true });
+  await storage.insertContradiction(USER, { memory_a: likes.id, memory_b: loves.id, field_path: "summary", reason: "Strength changed" });
+
+  return { boston, likes, loves };
+}
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+});
+
+test("a bundle round-trips with every id remapped", async () => {
+  const original = await seedGraph();
+  const originalIds = new Set(Object.values(original).map(m => m.id));
+
+  const bundle = parseBundle(await exportText(USER, { includeEmbeddings: true }));
+  const result = await importBundle(bundle, OTHER);
+
+  assert.equal(result.reembedded, false);
+  assert.equal(result.memories, 3);
+  assert.equal(result.skipped, 0);
+
+  const memories = await storage.listMemories(OTHER, { includeInactive: true });
+  const bySummary = Object.fromEntries(memories.map(m => [m.summary, m]));
+  assert.ok(memories.every(m => !originalIds.has(m.id)));
+
+  // Supersession, entity links, preferences, relations and contradictions
+  // point at the imported copies
+  const likes = bySummary["User likes jazz"];
+  const loves = bySummary["User loves jazz"];
+  const boston = bySummary["User's sister Kate lives in Boston"];
+  assert.deepEqual(loves.supersedes, [likes.id]);
+  assert.equal(likes.is_active, false);
+
+  const kate = await storage.findEntityByName(OTHER, "Kate");
+  assert.deepEqual(kate.memory_ids, [boston.id]);
+
+  const [preference] = await storage.listPreferences(OTHER, { includeInactive: true });
+  assert.equal(preference.memory_id, likes.id);
+
+  const [relation] = await storage.listRelations(OTHER);
+  assert.deepEqual([relation.source_id, relation.target_id], [boston.id, loves.id]);
+
+  const [contradiction] = await storage.listContradictions(OTHER);
+  assert.deepEqual([contradiction.memory_a, contradiction.memory_b], [likes.id, loves.id]);
+
+  // The bundle's vectors were reused as they were
+  assert.deepEqual(boston.embedding, (await storage.getMemory(USER, original.boston.id)).embedding);
+});
+
+test("memories are re-embedded without vectors or from another model", async () => {
+  await seedGraph();
+
+  const withoutVectors = parseBundle(await exportText(USER));
+  assert.equal((await importBundle(withoutVectors, OTHER)).reembedded, true);
+
+  const otherModel = parseBundle(await exportText(USER, { includeEmbeddings: true }));
+  otherModel.header.embed_model = "text-embedding-3-small";
+  assert.equal((await importBundle(otherModel, "third-user")).reembedded, true);
+});
+
+test("record data is validated per type, with its line number", async () => {
+  await seedGraph();
+  const lines = (await exportText(USER, { includeEmbeddings: true })).split("\n");
+
+  const edit = (index, change) => lines.map((line, i) => {
+    if (i !== index) return line;
+    const record = JSON.parse(line);
+    change(record.data);
+    return JSON.stringify(record);
+  }).join("\n");
+
+  assert.throws(() => parseBundle(edit(1, data => { delete data.embedding; })), /Bundle line 2: memory has no embedding/);
+  assert.throws(() => parseBundle(edit(1, data => { data.embedding = [0.1, 0.2]; })), /Bundle line 2: embedding has 2 dimensions/);
+  assert.throws(() => parseBundle(edit(2, data => { data.tier = "rumour"; })), /Bundle line 3: invalid memory \(tier:/);
+  assert.throws(() => parseBundle(edit(4, data => { data.valence = "meh"; })), /Bundle line 5: invalid preference \(valence:/);
+
+  const contradictionLine = lines.findIndex(line => line.includes('"type":"contradiction"'));
+  assert.throws(
+    () => parseBundle(edit(contradictionLine, data => { delete data.memory_b; })),
+    new RegExp(`Bundle line ${contradictionLine + 1}: invalid contradiction \\(memory_b: Required\\)`)
+  );
+});
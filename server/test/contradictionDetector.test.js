@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeConflict, determineResolution, RESOLUTION_STRATEGIES } from "../src/contradictionDetector.js";
+
+const memory = (fields) => ({
+  summary: "",
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  structured_facts: [],
+  ...fields
+});
+
+test("determineResolution: a current fact supersedes a past one", () => {
+  const resolution = determineResolution(
+    memory({}), memory({}),
+    { temporal: "current" }, { temporal: "past" }
+  );
+  assert.equal(resolution.strategy, RESOLUTION_STRATEGIES.TEMPORAL);
+  assert.equal(resolution.action, "a_supersedes");
+});
+
+test("determineResolution: the higher tier wins", () => {
+  const asserted = memory({ tier: "asserted_fact" });
+  const hypothesis = memory({ tier: "hypothesis" });
+
+  assert.equal(determineResolution(asserted, hypothesis).action, "a_supersedes");
+  assert.equal(determineResolution(hypothesis, asserted).action, "b_supersedes");
+  assert.equal(determineResolution(asserted, hypothesis).strategy, RESOLUTION_STRATEGIES.TIER_HIERARCHY);
+});
+
+test("determineResolution: within a tier, clearly higher confidence wins", () => {
+  assert.equal(determineResolution(memory({ confidence: 0.95 }), memory({ confidence: 0.6 })).action, "a_supersedes");
+  assert.equal(determineResolution(memory({ confidence: 0.6 }), memory({ confidence: 0.95 })).action, "b_supersedes");
+});
+
+test("determineResolution: otherwise the conflict is left pending", () => {
+  const resolution = determineResolution(memory({ confidence: 0.8 }), memory({ confidence: 0.9 }));
+  assert.equal(resolution.strategy, RESOLUTION_STRATEGIES.COEXIST);
+  assert.equal(resolution.action, "pending");
+});
+
+test("analyzeConflict: same subject and predicate with a different object is a fact conflict", () => {
+  const existing = memory({
+    summary: "User lives in Athens",
+    structured_facts: [{ subject: "user", predicate: "lives_in", object: "Athens" }]
+  });
+  const incoming = memory({
+    summary: "User lives in Berlin",
+    tier: "asserted_fact",
+    structured_facts: [{ subject: "User", predicate: "LIVES_IN", object: "Berlin" }]
+  });
+
+  const result = analyzeConflict(incoming, existing);
+  assert.equal(result.isContradiction, true);
+  assert.equal(result.type, "fact_conflict");
+  assert.deepEqual(result.conflictingFields, [{ field: "User.LIVES_IN", oldValue: "Athens", newValue: "Berlin" }]);
+  assert.equal(result.resolution.action, "a_supersedes");
+});
+
+test("analyzeConflict: accepts structured facts stored as JSON strings", () => {
+  const existing = memory({ structured_facts: JSON.stringify([{ subject: "user", predicate: "job", object: "chef" }]) });
+  const incoming = memory({ structured_facts: [{ subject: "user", predicate: "job", object: "pilot" }] });
+
+  assert.equal(analyzeConflict(incoming, existing).type, "fact_conflict");
+});
+
+test("analyzeConflict: matching objects are not a conflict", () => {
+  const fact = [{ subject: "user", predicate: "lives_in", object: "Athens" }];
+  const result = analyzeConflict(memory({ structured_facts: fact }), memory({ structured_facts: fact }));
+  assert.equal(result.isContradiction, false);
+});
+
+test("analyzeConflict: very similar memories about the same entity are a potential update", () => {
+  const existing = memory({ summary: "User has a dog named Rex", entities: ["Rex"], similarity: 0.9 });
+  const incoming = memory({ summary: "User's dog Rex is three years old", entities: ["rex"] });
+
+  const result = analyzeConflict(incoming, existing);
+  assert.equal(result.isContradiction, true);
+  assert.equal(result.type, "potential_update");
+  assert.equal(result.resolution.action, "pending");
+});
+
+test("analyzeConflict: shared entities at lower similarity are not flagged", () => {
+  const existing = memory({ summary: "User has a dog named Rex", entities: ["Rex"], similarity: 0.8 });
+  const incoming = memory({ summary: "Rex likes the park", entities: ["Rex"] });
+
+  assert.equal(analyzeConflict(incoming, existing).isContradiction, false);
+});
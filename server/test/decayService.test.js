@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateDecayedImportance } from "../src/decayService.js";
+import { config } from "../src/config.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+
+test("calculateDecayedImportance: a new, unaccessed memory keeps its base importance", () => {
+  const result = calculateDecayedImportance({ base_importance: 8, created_at: new Date().toISOString(), access_count: 0 });
+  assert.ok(Math.abs(result.importance - 8) < 0.01);
+  assert.equal(result.reinforcement, 0);
+});
+
+test("calculateDecayedImportance: importance decays exponentially with age", () => {
+  const result = calculateDecayedImportance({ base_importance: 8, created_at: daysAgo(10), access_count: 0 });
+  const expected = 8 * Math.exp(-config.DECAY_RATE * 10);
+  assert.ok(Math.abs(result.baseDecayed - expected) < 0.01);
+  assert.ok(Math.abs(result.importance - expected) < 0.01);
+});
+
+test("calculateDecayedImportance: never drops below the floor", () => {
+  const result = calculateDecayedImportance({ base_importance: 5, created_at: daysAgo(365), access_count: 0 });
+  assert.equal(result.importance, config.IMPORTANCE_FLOOR);
+});
+
+test("calculateDecayedImportance: recent access reinforces, capped at 10 accesses", () => {
+  const base = { base_importance: 5, created_at: daysAgo(30), last_accessed_at: new Date().toISOString() };
+
+  const few = calculateDecayedImportance({ ...base, access_count: 2 });
+  const many = calculateDecayedImportance({ ...base, access_count: 50 });
+
+  assert.ok(Math.abs(few.reinforcement - config.REINFORCEMENT_BONUS * 2) < 0.01);
+  assert.ok(Math.abs(many.reinforcement - config.REINFORCEMENT_BONUS * 10) < 0.01);
+  assert.ok(few.importance > few.baseDecayed);
+});
+
+test("calculateDecayedImportance: access older than a week gives no bonus", () => {
+  const result = calculateDecayedImportance({
+    base_importance: 5,
+    created_at: daysAgo(30),
+    last_accessed_at: daysAgo(8),
+    access_count: 10
+  });
+  assert.equal(result.reinforcement, 0);
+});
@@ -0,0 +1,149 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyByRules,
+  parseClassification,
+  classifyEntity,
+  startEntityClassifier,
+  stopEntityClassifier
+} from "../src/entityClassifier.js";
+import { editEntity } from "../src/entityEditor.js";
+import { JobWorker } from "../src/jobQueue.js";
+import { insertMemoryUnit, getAllEntities } from "../src/memoryStore.js";
+import { setLLMConfig } from "../src/llm.js";
+import { startMockLLMServer } from "../src/mockLLM.js";
+import { getStorage } from "../src/storage/index.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "entity-type-user";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+const entityNamed = name => getStorage().findEntityByName(USER, name);
+
+async function useMockClassifier(t) {
+  const mock = await startMockLLMServer();
+  t.after(() => mock.close());
+
+  setLLMConfig({
+    providers: { mock: { type: "openai", baseURL: `${mock.url}/v1`, apiKey: "mock" } },
+    roles: { classify: { timeoutMs: 5000, chain: [{ provider: "mock", model: "mock-classify" }] } },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 }
+  });
+  return mock;
+}
+
+let storage;
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+});
+
+test("rules type names from titles, suffixes, context and relationships", () => {
+  const type = (name, options) => classifyByRules(name, options).type;
+
+  assert.equal(type("Dr. Patel"), "person");
+  assert.equal(type("Acme Corp"), "organization");
+  assert.equal(type("Lincoln"), "unknown"); // no substring match on "inc"
+  assert.equal(type("Lake Tahoe"), "place");
+  assert.equal(type("PyCon 2024"), "event");
+  assert.equal(type("iPhone 15"), "product");
+  assert.equal(type("stoicism"), "concept");
+
+  assert.equal(type("Miso", { context: "User adopted a cat named Miso" }), "pet");
+  assert.equal(type("Acme", { context: "User works at Acme" }), "organization");
+  assert.equal(type("Kate", { relationship: "sister" }), "person");
+  assert.equal(type("Rex", { relationship: "user's dog" }), "pet");
+
+  const result = classifyByRules("Boston", { context: "User's sister Katherine lives in Boston" });
+  assert.deepEqual(result, { type: "place", confidence: 0.75, rule: "location", text: "lives in Boston" });
+});
+
+test("new entities are typed with rules evidence and can be listed by type", async () => {
+  const memory = await insertMemoryUnit(fact("User's sister Katherine lives in Boston", {
+    entities: ["Katherine", "Boston", "Zed"]
+  }), USER);
+
+  const katherine = await entityNamed("Katherine");
+  assert.equal(katherine.entity_type, "person");
+  assert.equal(katherine.type_evidence.method, "rules");
+  assert.equal(katherine.type_evidence.text, "sister Katherine");
+  assert.deepEqual(katherine.type_evidence.memory_ids, [memory.id]);
+
+  assert.equal((await entityNamed("Zed")).type_evidence, null);
+
+  const places = await getAllEntities(USER, { type: "place" });
+  assert.deepEqual(places.map(e => e.canonical_name), ["Boston"]);
+});
+
+test("the LLM stage runs as a job after entity.created and records its evidence", async (t) => {
+  await useMockClassifier(t);
+  startEntityClassifier();
+  t.after(stopEntityClassifier);
+
+  await insertMemoryUnit(fact("User visited Lisbon last spring", { entities: ["Lisbon"] }), USER);
+  assert.equal((await entityNamed("Lisbon")).entity_type, "unknown");
+
+  await new Promise(resolve => setImmediate(resolve)); // the job is queued from the event
+  await new JobWorker({ storage }).drain();
+
+  const [job] = await storage.listJobs(USER, { limit: 1 });
+  assert.equal(job.kind, "classify_entity");
+  assert.equal(job.status, "completed");
+
+  const lisbon = await entityNamed("Lisbon");
+  assert.equal(lisbon.entity_type, "place");
+  assert.equal(lisbon.type_evidence.method, "llm");
+  assert.equal(lisbon.type_evidence.model, "mock/mock-classify");
+  assert.equal(lisbon.type_evidence.reason, "visited Lisbon");
+});
+
+test("without a working classify role the rules decide, and the error is kept", async () => {
+  setLLMConfig({ providers: {}, roles: {}, circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 } });
+  await insertMemoryUnit(fact("User bought a Kindle", { entities: ["Kindle"] }), USER);
+  const kindle = await entityNamed("Kindle");
+
+  const { entity, evidence } = await classifyEntity(kindle.id, USER, { llm: true });
+  assert.equal(entity.entity_type, "product");
+  assert.equal(evidence.method, "rules");
+  assert.match(evidence.llm_error, /No LLM role "classify"/);
+});
+
+test("a type set by hand is kept unless forced", async (t) => {
+  await useMockClassifier(t);
+  await insertMemoryUnit(fact("User's coworker Jordan works at Acme", { entities: ["Jordan"] }), USER);
+  const jordan = await entityNamed("Jordan");
+
+  const { entity: edited } = await editEntity(jordan.id, { entity_type: "pet" }, USER);
+  assert.equal(edited.type_evidence.method, "manual");
+
+  const kept = await classifyEntity(jordan.id, USER, { llm: true });
+  assert.equal(kept.changed, false);
+  assert.equal(kept.entity.entity_type, "pet");
+
+  const forced = await classifyEntity(jordan.id, USER, { llm: true, force: true });
+  assert.equal(forced.entity.entity_type, "person");
+  assert.equal(forced.evidence.method, "llm");
+});
+
+test("classifications are parsed leniently and validated", () => {
+  assert.deepEqual(parseClassification("```json\n{\"type\": \"pet\", \"confidence\": 0.9, \"reason\": \"dog named Rex\"}\n```"), {
+    type: "pet",
+    confidence: 0.9,
+    reason: "dog named Rex"
+  });
+  assert.deepEqual(parseClassification("{\"type\": \"event\"}"), { type: "event", confidence: 0.7, reason: "" });
+  assert.equal(parseClassification("{\"type\": \"vegetable\"}"), null);
+  assert.equal(parseClassification("a person"), null);
+});
@@ -0,0 +1,181 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mergeEntities,
+  renameEntity,
+  addAlias,
+  removeAlias,
+  editEntity,
+  listEntityEdits,
+  undoEntityEdit
+} from "../src/entityEditor.js";
+import { insertMemoryUnit, getMemoryById, getUserPreferences } from "../src/memoryStore.js";
+import { getMemoryRelations } from "../src/graphRetrieval.js";
+import { purgeEntity, purgeMemory } from "../src/purgeService.js";
+import { subscribeEvents } from "../src/memoryEvents.js";
+import { getStorage } from "../src/storage/index.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "entity-edit-user";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+const entityNamed = name => getStorage().findEntityByName(USER, name);
+
+let boston;
+let hiking;
+
+beforeEach(async () => {
+  useHashEmbeddings();
+  useMemoryStorage();
+
+  boston = await insertMemoryUnit(fact("User's sister Katherine lives in Boston", { entities: ["Katherine", "Boston"] }), USER);
+  hiking = await insertMemoryUnit(fact("User goes hiking with Kate every spring", {
+    entities: ["Kate"],
+    entity_links: [{ mention: "Kate", canonical: "Kate", relationship: "sister" }],
+    preferences: [{ entity: "Kate", valence: "positive", strength: 0.8 }]
+  }), USER);
+});
+
+test("merging rewrites memories, preferences and relations, and undo puts them back", async () => {
+  const katherine = await entityNamed("Katherine");
+  const kate = await entityNamed("Kate");
+  const events = [];
+  const unsubscribe = subscribeEvents(USER, event => events.push(event));
+
+  const { entity, edit } = await mergeEntities([kate.id], katherine.id, USER);
+  unsubscribe();
+
+  assert.ok(entity.aliases.includes("Kate"));
+  assert.ok(entity.memory_ids.includes(hiking.id));
+  assert.equal(await getStorage().getEntity(USER, kate.id), undefined);
+
+  const rewritten = await getMemoryById(hiking.id, USER);
+  assert.deepEqual(rewritten.entities, ["Katherine"]);
+  assert.equal(rewritten.entity_links[0].canonical, "Katherine");
+  assert.equal(rewritten.entity_links[0].mention, "Kate");
+
+  const [preference] = await getUserPreferences({ userId: USER });
+  assert.equal(preference.entity, "Katherine");
+
+  // The two memories now share an entity
+  const relations = await getMemoryRelations(hiking.id, USER);
+  assert.ok(relations.some(r => r.target_id === boston.id && r.relation_type === "related_to"));
+
+  assert.deepEqual(edit.memory_ids, [hiking.id]);
+  assert.deepEqual(events.map(e => e.type), ["entity.merged"]);
+  assert.equal(events[0].data.source_name, "Kate");
+
+  const undone = await undoEntityEdit(edit.id, USER);
+  assert.ok(undone.edit.undone_at);
+
+  const restored = await getStorage().getEntity(USER, kate.id);
+  assert.equal(restored.canonical_name, "Kate");
+  assert.deepEqual(restored.memory_ids, [hiking.id]);
+  assert.ok(!(await entityNamed("Katherine")).aliases.includes("Kate"));
+  assert.deepEqual((await getMemoryById(hiking.id, USER)).entities, ["Kate"]);
+  assert.equal((await getUserPreferences({ userId: USER }))[0].entity, "Kate");
+  assert.equal((await getMemoryRelations(hiking.id, USER)).length, 0);
+});
+
+test("renaming keeps the old name as an alias and refuses names of other entities", async () => {
+  const kate = await entityNamed("Kate");
+
+  const { entity } = await renameEntity(kate.id, "Kate Miller", USER);
+  assert.equal(entity.canonical_name, "Kate Miller");
+  assert.ok(entity.aliases.includes("Kate"));
+  assert.deepEqual((await getMemoryById(hiking.id, USER)).entities, ["Kate Miller"]);
+  assert.equal((await getUserPreferences({ userId: USER }))[0].entity, "Kate Miller");
+
+  await assert.rejects(renameEntity(kate.id, "boston", USER), err => err.conflict === true);
+  await assert.rejects(addAlias(kate.id, "Katherine", USER), err => err.conflict === true);
+  assert.equal(await renameEntity("00000000-0000-0000-0000-000000000000", "Nobody", USER), null);
+});
+
+test("a PATCH renaming and retyping is one edit, undone at once or not applied at all", async () => {
+  const kate = await entityNamed("Kate");
+
+  // The rename conflicts, so the type is not changed either
+  await assert.rejects(editEntity(kate.id, { canonical_name: "Boston", entity_type: "organization" }, USER), err => err.conflict);
+  assert.equal((await getStorage().getEntity(USER, kate.id)).entity_type, kate.entity_type);
+  assert.equal((await listEntityEdits(USER, { entityId: kate.id })).length, 0);
+
+  const { entity, edits } = await editEntity(kate.id, { canonical_name: "Kate Miller", entity_type: "organization" }, USER);
+  assert.equal(entity.canonical_name, "Kate Miller");
+  assert.equal(entity.entity_type, "organization");
+  assert.equal(edits.length, 1);
+  assert.equal(edits[0].action, "update");
+  assert.deepEqual(edits[0].details, { fields: ["canonical_name", "entity_type"], from: "Kate", to: "Kate Miller" });
+
+  await undoEntityEdit(edits[0].id, USER);
+  const restored = await getStorage().getEntity(USER, kate.id);
+  assert.equal(restored.canonical_name, "Kate");
+  assert.equal(restored.entity_type, kate.entity_type);
+  assert.deepEqual(restored.aliases, kate.aliases);
+  assert.deepEqual((await getMemoryById(hiking.id, USER)).entities, ["Kate"]);
+  assert.equal((await getUserPreferences({ userId: USER }))[0].entity, "Kate");
+});
+
+test("aliases are added once and removed case-insensitively", async () => {
+  const boston = await entityNamed("Boston");
+
+  const added = await addAlias(boston.id, "Beantown", USER);
+  assert.deepEqual(added.entity.aliases, ["Beantown"]);
+  assert.ok(added.edit);
+
+  const again = await addAlias(boston.id, "beantown", USER);
+  assert.equal(again.edit, null);
+
+  const removed = await removeAlias(boston.id, "BEANTOWN", USER);
+  assert.deepEqual(removed.entity.aliases, []);
+  assert.equal(await removeAlias(boston.id, "Beantown", USER), null);
+
+  const edits = await listEntityEdits(USER, { entityId: boston.id });
+  assert.deepEqual(edits.map(e => e.action), ["alias_remove", "alias_add"]);
+  assert.equal(edits[0].changes, undefined);
+});
+
+test("undo refuses an edit already undone or followed by another", async () => {
+  const boston = await entityNamed("Boston");
+
+  const { edits: [update] } = await editEntity(boston.id, { entity_type: "organization", description: "Where the sister lives" }, USER);
+  const { edit: alias } = await addAlias(boston.id, "Beantown", USER);
+
+  await assert.rejects(undoEntityEdit(update.id, USER), err => err.conflict && /later edit/.test(err.message));
+
+  await undoEntityEdit(alias.id, USER);
+  await assert.rejects(undoEntityEdit(alias.id, USER), err => err.conflict && /already undone/.test(err.message));
+
+  // With the alias undone, the update can go
+  await undoEntityEdit(update.id, USER);
+  const entity = await getStorage().getEntity(USER, boston.id);
+  assert.equal(entity.description, null);
+  assert.equal(entity.entity_type, "place");
+  assert.equal(entity.type_evidence.method, "rules");
+});
+
+test("purges remove the edit log entries that hold the purged names", async () => {
+  const boston = await entityNamed("Boston");
+  await addAlias(boston.id, "Beantown", USER);
+
+  const katherine = await entityNamed("Katherine");
+  const kate = await entityNamed("Kate");
+  await mergeEntities(kate.id, katherine.id, USER);
+
+  const entityReceipt = await purgeEntity(boston.id, USER);
+  assert.equal(entityReceipt.counts.entity_edits, 1);
+
+  const memoryReceipt = await purgeMemory(hiking.id, USER);
+  assert.equal(memoryReceipt.counts.entity_edits, 1);
+  assert.deepEqual(await listEntityEdits(USER), []);
+});
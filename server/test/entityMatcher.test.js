@@ -0,0 +1,142 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeName,
+  stringSimilarity,
+  spelledAlike,
+  rankEntityCandidates,
+  listEntityMatches,
+  acceptEntityMatch,
+  rejectEntityMatch
+} from "../src/entityMatcher.js";
+import { insertMemoryUnit, getMemoryById } from "../src/memoryStore.js";
+import { purgeMemory } from "../src/purgeService.js";
+import { getStorage } from "../src/storage/index.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "entity-match-user";
+
+const fact = (summary, entities) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities,
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5
+});
+
+const entity = (canonical_name, fields = {}) => ({
+  id: canonical_name,
+  canonical_name,
+  aliases: [],
+  entity_type: "unknown",
+  memory_ids: [],
+  ...fields
+});
+
+beforeEach(() => {
+  useHashEmbeddings();
+  useMemoryStorage();
+});
+
+test("names are compared without case, accents, punctuation or titles", () => {
+  assert.equal(normalizeName("Dr. José  O'Neil"), "jose o neil");
+  assert.equal(stringSimilarity("Dr. Smith", "smith"), 1);
+  assert.equal(stringSimilarity("Kate", "Kate Miller"), 0.9);
+  assert.ok(stringSimilarity("Jon Smith", "John Smith") > 0.95);
+  assert.ok(stringSimilarity("Katie", "Katherine") > 0.8);
+  assert.ok(stringSimilarity("Boston", "Katherine") < 0.7);
+});
+
+test("a name that only matches without its title is not linked on the name alone", async () => {
+  assert.equal(spelledAlike("Dr. Patel", "Mrs. Patel"), false);
+  assert.equal(spelledAlike("José O'Neil", "jose o neil"), true);
+
+  await insertMemoryUnit(fact("Mrs. Patel next door waters the user's plants", ["Mrs. Patel"]), USER);
+  await insertMemoryUnit(fact("User's dentist Dr. Patel fixed a molar", ["Dr. Patel"]), USER);
+
+  const mrs = await getStorage().findEntityByName(USER, "Mrs. Patel");
+  const dr = await getStorage().findEntityByName(USER, "Dr. Patel");
+  assert.ok(dr);
+  assert.notEqual(dr.id, mrs.id);
+  assert.deepEqual(mrs.aliases, []);
+
+  // Close enough to ask the user
+  const [match] = await listEntityMatches(USER);
+  assert.equal(match.mention, "Dr. Patel");
+  assert.equal(match.candidates[0].canonical_name, "Mrs. Patel");
+});
+
+test("candidates are ranked by name, context and type", () => {
+  const entities = [
+    entity("Kate Miller", { memory_ids: ["m1"], entity_type: "person" }),
+    entity("Kate Moss", { memory_ids: ["m2"], entity_type: "person" }),
+    entity("Kate's Bakery", { entity_type: "organization" }),
+    entity("Boston", { memory_ids: ["m1"] })
+  ];
+
+  const ranked = rankEntityCandidates("Kate", entities, {
+    context: new Map([["m1", 0.9], ["m2", 0.2]]),
+    mentionType: "person"
+  });
+
+  assert.deepEqual(ranked.map(c => c.entity.canonical_name), ["Kate Miller", "Kate Moss", "Kate's Bakery"]);
+  assert.deepEqual(ranked[0].signals, { name: 0.9, context: 0.9, type: 1 });
+  assert.equal(ranked[0].confidence, 0.91);
+  assert.equal(ranked[2].signals.type, 0);
+});
+
+test("a close name in a similar context is linked to the existing entity", async () => {
+  const first = await insertMemoryUnit(fact("User's coworker John Smith works at Acme", ["John Smith"]), USER);
+  const second = await insertMemoryUnit(fact("User's coworker Jon Smith works at Acme on the web team", ["Jon Smith"]), USER);
+
+  const john = await getStorage().findEntityByName(USER, "John Smith");
+  assert.equal(await getStorage().findEntityByName(USER, "Jon Smith"), undefined);
+  assert.ok(john.aliases.includes("Jon Smith"));
+  assert.deepEqual(john.memory_ids, [first.id, second.id]);
+  assert.deepEqual(await listEntityMatches(USER), []);
+});
+
+test("an ambiguous match is queued, and accepting it merges the entities", async () => {
+  await insertMemoryUnit(fact("User's coworker John Smith works at Acme", ["John Smith"]), USER);
+  const ride = await insertMemoryUnit(fact("Jon Smith from Acme gave the user a ride", ["Jon Smith"]), USER);
+
+  const jon = await getStorage().findEntityByName(USER, "Jon Smith");
+  const [match] = await listEntityMatches(USER);
+  assert.equal(match.mention, "Jon Smith");
+  assert.equal(match.entity_id, jon.id);
+  assert.equal(match.memory_id, ride.id);
+  assert.equal(match.candidates[0].canonical_name, "John Smith");
+  assert.ok(match.candidates[0].confidence >= 0.55 && match.candidates[0].confidence < 0.85);
+
+  const { entity, edit } = await acceptEntityMatch(match.id, null, USER);
+  assert.equal(entity.canonical_name, "John Smith");
+  assert.ok(entity.aliases.includes("Jon Smith"));
+  assert.equal(edit.action, "merge");
+  assert.deepEqual((await getMemoryById(ride.id, USER)).entities, ["John Smith"]);
+
+  assert.deepEqual(await listEntityMatches(USER), []);
+  const [accepted] = await listEntityMatches(USER, { status: "accepted" });
+  assert.equal(accepted.chosen_entity_id, entity.id);
+
+  await assert.rejects(acceptEntityMatch(match.id, null, USER), err => err.conflict === true);
+});
+
+test("rejecting keeps both entities, and purging the memory drops the match", async () => {
+  await insertMemoryUnit(fact("User's coworker John Smith works at Acme", ["John Smith"]), USER);
+  const ride = await insertMemoryUnit(fact("Jon Smith from Acme gave the user a ride", ["Jon Smith"]), USER);
+  const [match] = await listEntityMatches(USER);
+
+  await assert.rejects(acceptEntityMatch(match.id, "00000000-0000-0000-0000-000000000000", USER), /not a candidate/);
+
+  const rejected = await rejectEntityMatch(match.id, USER);
+  assert.equal(rejected.status, "rejected");
+  assert.ok(await getStorage().findEntityByName(USER, "Jon Smith"));
+  await assert.rejects(rejectEntityMatch(match.id, USER), /already rejected/);
+
+  const receipt = await purgeMemory(ride.id, USER);
+  assert.equal(receipt.counts.entity_matches, 1);
+  assert.deepEqual(await listEntityMatches(USER, { status: "rejected" }), []);
+});
@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  matchesKeywords,
+  scoreExtraction,
+  scoreRetrieval,
+  scoreContradictions,
+  applyConfigOverrides,
+  runEval,
+  formatMarkdownReport
+} from "../src/evalHarness.js";
+import { config } from "../src/config.js";
+import { setLLMConfig } from "../src/llm.js";
+import { startMockLLMServer } from "../src/mockLLM.js";
+import { useHashEmbeddings } from "./helpers.js";
+
+const memory = (id, summary, fields = {}) => ({ id, summary, facts: [], is_active: true, ...fields });
+
+test("matchesKeywords: all keywords, case-insensitive, nested arrays are alternatives", () => {
+  const m = memory("1", "User's dog Rex is a golden retriever", { facts: ["Rex is four"] });
+
+  assert.equal(matchesKeywords(m, ["rex", "RETRIEVER"]), true);
+  assert.equal(matchesKeywords(m, ["Rex", ["cat", "dog"]]), true);
+  assert.equal(matchesKeywords(m, ["four"]), true);
+  assert.equal(matchesKeywords(m, ["Rex", "cat"]), false);
+});
+
+test("scoreExtraction: precision, recall, duplicates and misses", () => {
+  const memories = [
+    memory("1", "User's name is Alex."),
+    memory("2", "User's name is Alex"),
+    memory("3", "User likes jazz"),
+    memory("4", "User asked about the weather")
+  ];
+  const expected = [
+    { id: "name", match: ["name", "Alex"] },
+    { id: "jazz", match: ["jazz"] },
+    { id: "city", match: ["Berlin"] }
+  ];
+
+  const score = scoreExtraction(memories, expected);
+  assert.equal(score.precision, 0.75);
+  assert.equal(score.recall, 0.667);
+  assert.equal(score.duplicates, 1);
+  assert.deepEqual(score.missed, ["city"]);
+  assert.deepEqual(score.unexpected, ["User asked about the weather"]);
+  assert.equal(scoreExtraction([], expected).precision, null);
+});
+
+test("scoreRetrieval: recall@k and MRR", () => {
+  const probes = [
+    { question: "Where do I live?", expect: ["Berlin"] },
+    { question: "What's my name?", expect: ["Alex"] },
+    { question: "Where do I work?", expect: ["Globex"] }
+  ];
+  const rankings = [
+    [memory("1", "User lives in Berlin")],
+    [memory("2", "User likes jazz"), memory("3", "User's name is Alex")],
+    [memory("2", "User likes jazz"), memory("4", "User works at Globex")]
+  ];
+
+  const score = scoreRetrieval(probes, rankings, 2);
+  assert.equal(score.recall_at_k, 1);
+  assert.equal(score.mrr, 0.667);
+  assert.deepEqual(score.results.map(r => r.rank), [1, 2, 2]);
+
+  assert.equal(scoreRetrieval(probes, rankings, 1).recall_at_k, 0.333);
+});
+
+test("scoreContradictions: supersede and pending checks", () => {
+  const memories = [
+    memory("old", "User lives in Athens", { is_active: false }),
+    memory("new", "User lives in Berlin"),
+    memory("blue", "User's favorite color is blue"),
+    memory("green", "User's favorite color is green")
+  ];
+  const pending = [{ memory_a: "green", memory_b: "blue" }];
+
+  const score = scoreContradictions([
+    { id: "moved", current: ["Berlin"], superseded: ["Athens"], resolution: "supersede" },
+    { id: "color", current: ["green"], superseded: ["blue"], resolution: "pending" },
+    { id: "color-supersede", current: ["green"], superseded: ["blue"], resolution: "supersede" },
+    { id: "job", current: ["Globex"], superseded: ["Acme"], resolution: "supersede" }
+  ], memories, pending);
+
+  assert.deepEqual(score.results.map(r => r.passed), [true, true, false, false]);
+  assert.equal(score.results[2].reason, "superseded fact is still active");
+  assert.equal(score.rate, 0.5);
+});
+
+test("applyConfigOverrides: sets numeric settings and restores them", () => {
+  const before = config.CONTRADICTION_THRESHOLD;
+  const restore = applyConfigOverrides({ CONTRADICTION_THRESHOLD: 0.9 });
+  assert.equal(config.CONTRADICTION_THRESHOLD, 0.9);
+  restore();
+  assert.equal(config.CONTRADICTION_THRESHOLD, before);
+
+  assert.throws(() => applyConfigOverrides({ DATABASE_URL: 1 }), /not a numeric setting/);
+  assert.throws(() => applyConfigOverrides({ RETRIEVAL_K: NaN }), /must be a number/);
+});
+
+test("runEval: replays a scenario through the pipeline with the mock LLM", async (t) => {
+  useHashEmbeddings();
+  const mock = await startMockLLMServer();
+  t.after(() => mock.close());
+
+  setLLMConfig({
+    providers: { mock: { type: "openai", baseURL: `${mock.url}/v1`, apiKey: "mock" } },
+    roles: { memory: { timeoutMs: 5000, chain: [{ provider: "mock", model: "mock-memory" }] } },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 }
+  });
+
+  const scenario = {
+    name: "identity",
+    sessions: [
+      [{ user: "My name is Costa.", assistant: "Hi Costa!" }],
+      [{ user: "I live in Berlin.", assistant: "Nice." }, { user: "Actually, call me Alex.", assistant: "Sure, Alex." }]
+    ],
+    expected_facts: [
+      { id: "name-costa", match: ["name", "Costa"] },
+      { id: "name-alex", match: ["name", "Alex"] },
+      { id: "home", match: ["Berlin"] }
+    ],
+    probes: [{ question: "What is my name?", expect: ["Alex"] }],
+    contradictions: [{ id: "renamed", current: ["name", "Alex"], superseded: ["name", "Costa"], resolution: "supersede" }]
+  };
+
+  const report = await runEval({ scenarios: [scenario], overrides: { RETRIEVAL_K: 3 } });
+  const [result] = report.scenarios;
+
+  assert.equal(result.turns, 3);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.extraction.recall, 1);
+  assert.equal(result.extraction.precision, 1);
+  assert.equal(result.retrieval.k, 3);
+  assert.equal(result.retrieval.recall_at_k, 1);
+  assert.equal(result.contradictions.passed, 1);
+  assert.equal(report.settings.RETRIEVAL_K, 3);
+  assert.equal(config.RETRIEVAL_K, 5);
+
+  const markdown = formatMarkdownReport(report, report);
+  assert.match(markdown, /\| Extraction recall \| 1 \| 1 \| = \|/);
+  assert.match(markdown, /\| identity \| 3 \|/);
+});
@@ -0,0 +1,54 @@
+// Shared test setup
+// Tests pick their backend and embedder explicitly so they never depend
+// on .env: the hash embedder needs no model download, and the Postgres
+// suites only run when TEST_DATABASE_URL points at a pgvector server.
+
+import pg from "pg";
+import { randomBytes } from "crypto";
+import { setStorage, InMemoryBackend, PostgresBackend } from "../src/storage/index.js";
+import { setEmbeddingProvider } from "../src/embeddings.js";
+import { HashEmbeddingProvider } from "../src/embeddingProviders.js";
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || null;
+
+/**
+ * Deterministic embeddings, no model download
+ */
+export function useHashEmbeddings() {
+  setEmbeddingProvider(new HashEmbeddingProvider({ dimensions: 384 }));
+}
+
+/**
+ * Fresh in-memory store as the process-wide backend
+ */
+export function useMemoryStorage() {
+  return setStorage(new InMemoryBackend());
+}
+
+/**
+ * Create a throwaway database on the TEST_DATABASE_URL server, migrate it
+ * and make it the process-wide backend
+ * @returns {Promise<{storage, drop}>} drop() closes the pool and removes the database
+ */
+export async function createDisposableDatabase() {
+  const name = `mm_test_${randomBytes(4).toString("hex")}`;
+  const admin = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${name}`);
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+
+  const storage = new PostgresBackend({ connectionString: url.toString() });
+  await storage.prepare({ autoMigrate: true });
+  setStorage(storage);
+
+  return {
+    storage,
+    drop: async () => {
+      await storage.close();
+      await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+      await admin.end();
+    }
+  };
+}
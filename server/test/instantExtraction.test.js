@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractInstantMemories } from "../src/instantExtraction.js";
+
+const summaries = text => extractInstantMemories(text).map(f => f.mem.summary);
+
+test("extractInstantMemories: names", () => {
+  assert.deepEqual(summaries("Hi, my name is Alex"), ["User's name is Alex."]);
+  assert.deepEqual(summaries("call me Sam please"), ["User's name is Sam."]);
+  assert.deepEqual(summaries("This is Maria speaking"), ["User's name is Maria."]);
+
+  const [name] = extractInstantMemories("I'm Jordan");
+  assert.equal(name.type, "name");
+  assert.equal(name.mem.tier, "asserted_fact");
+  assert.equal(name.mem.importance, 8);
+  assert.deepEqual(name.mem.entities, ["Jordan"]);
+});
+
+test("extractInstantMemories: common words after \"I am\" are not names", () => {
+  assert.deepEqual(summaries("I am fine, thanks"), []);
+  assert.deepEqual(summaries("I'm here"), []);
+});
+
+test("extractInstantMemories: likes and dislikes", () => {
+  const [love] = extractInstantMemories("I love hiking.");
+  assert.equal(love.type, "preference");
+  assert.equal(love.mem.summary, "User likes hiking.");
+  assert.deepEqual(love.mem.preferences, [{ entity: "hiking", valence: "positive", strength: 0.9 }]);
+
+  const [hate] = extractInstantMemories("I hate mornings!");
+  assert.deepEqual(hate.mem.preferences, [{ entity: "mornings", valence: "negative", strength: 0.9 }]);
+
+  assert.deepEqual(summaries("my favorite is green tea"), ["User likes green tea."]);
+});
+
+test("extractInstantMemories: \"X and Y\" keeps the first item", () => {
+  assert.deepEqual(summaries("I like cats and dogs"), ["User likes cats."]);
+});
+
+test("extractInstantMemories: \"love X and hate Y\" adds a secondary dislike", () => {
+  const found = extractInstantMemories("I love coffee and hate tea.");
+  assert.deepEqual(found.map(f => f.mem.summary), ["User likes coffee.", "User dislikes tea."]);
+  assert.equal(found[1].secondary, true);
+  assert.deepEqual(found[1].mem.preferences, [{ entity: "tea", valence: "negative", strength: 0.8 }]);
+});
+
+test("extractInstantMemories: a name and a preference in one message", () => {
+  assert.deepEqual(summaries("My name is Alex and I enjoy chess"), ["User's name is Alex.", "User likes chess."]);
+});
+
+test("extractInstantMemories: ignores too short or too long preferences", () => {
+  assert.deepEqual(summaries("I like X"), []);
+  assert.deepEqual(summaries(`I like ${"very ".repeat(12)}long things`), []);
+});
+
+test("extractInstantMemories: nothing to extract", () => {
+  assert.deepEqual(extractInstantMemories("What's the weather like?"), []);
+});
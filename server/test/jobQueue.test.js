@@ -0,0 +1,209 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { JobWorker, enqueueJob, enqueueMemoryExtraction, retryDelayMs, getJobs, retryJob } from "../src/jobQueue.js";
+import { purgeUser } from "../src/purgeService.js";
+import { getAllMemories } from "../src/memoryStore.js";
+import { subscribeEvents } from "../src/memoryEvents.js";
+import { config } from "../src/config.js";
+import { setLLMConfig } from "../src/llm.js";
+import { startMockLLMServer } from "../src/mockLLM.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "jobs-test-user";
+
+let storage;
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+test("retryDelayMs: doubles per attempt and is capped", () => {
+  assert.equal(retryDelayMs(1), config.JOB_RETRY_BASE_MS);
+  assert.equal(retryDelayMs(2), config.JOB_RETRY_BASE_MS * 2);
+  assert.equal(retryDelayMs(3), config.JOB_RETRY_BASE_MS * 4);
+  assert.equal(retryDelayMs(50), config.JOB_RETRY_MAX_MS);
+});
+
+test("enqueueJob: rejects unknown kinds", async () => {
+  await assert.rejects(() => enqueueJob("nope", {}, USER), /Unknown job kind/);
+});
+
+test("extract_memory job runs the pipeline and stores the memory", async (t) => {
+  useHashEmbeddings();
+  const mock = await startMockLLMServer();
+  t.after(() => mock.close());
+
+  setLLMConfig({
+    providers: { mock: { type: "openai", baseURL: `${mock.url}/v1`, apiKey: "mock" } },
+    roles: { memory: { timeoutMs: 5000, chain: [{ provider: "mock", model: "mock-memory" }] } },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 }
+  });
+
+  const job = await enqueueMemoryExtraction({
+    userText: "My name is Costa.",
+    assistantText: "Nice to meet you, Costa!",
+    retrievedMemories: [{ id: "m1", summary: "User likes jazz", tier: "preference", confidence: 0.8, embedding: [0.1] }]
+  }, USER);
+
+  assert.deepEqual(job.payload.retrievedMemories, [{ id: "m1", summary: "User likes jazz", tier: "preference", confidence: 0.8 }]);
+
+  await new JobWorker({ storage }).drain();
+
+  const done = await storage.getJob(USER, job.id);
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 1);
+  assert.equal(done.result.stored, true);
+
+  const memories = await getAllMemories({ userId: USER });
+  assert.ok(memories.some(m => m.summary.includes("Costa")));
+
+  // A crash between the insert and completeJob: the recovered job reruns
+  // and finds the memory it stored instead of storing it again
+  const events = [];
+  const unsubscribe = subscribeEvents(USER, event => events.push(event.type));
+  Object.assign(storage.tables.jobs.get(job.id), {
+    status: "running",
+    locked_at: new Date(Date.now() - config.JOB_LOCK_TIMEOUT_MS - 1000)
+  });
+  await new JobWorker({ storage }).drain();
+  unsubscribe();
+
+  const rerun = await storage.getJob(USER, job.id);
+  assert.equal(rerun.attempts, 2);
+  assert.equal(rerun.result.id, done.result.id);
+  assert.equal((await getAllMemories({ userId: USER })).length, memories.length);
+  assert.deepEqual(events, ["job.completed"]);
+});
+
+test("failing jobs back off, then move to the dead-letter state", async () => {
+  let calls = 0;
+  const worker = new JobWorker({
+    storage,
+    handlers: { extract_memory: async () => { calls++; throw new Error("LLM unavailable"); } }
+  });
+
+  const job = await enqueueJob("extract_memory", {}, USER, { maxAttempts: 2 });
+
+  const before = Date.now();
+  await worker.drain();
+
+  let state = await storage.getJob(USER, job.id);
+  assert.equal(state.status, "pending");
+  assert.equal(state.attempts, 1);
+  assert.equal(state.last_error, "LLM unavailable");
+  assert.ok(state.run_at.getTime() >= before + config.JOB_RETRY_BASE_MS);
+
+  // Backoff elapsed
+  storage.tables.jobs.get(job.id).run_at = new Date(0);
+  await worker.drain();
+
+  state = await storage.getJob(USER, job.id);
+  assert.equal(state.status, "dead");
+  assert.equal(state.attempts, 2);
+  assert.equal(calls, 2);
+
+  // Dead jobs are not picked up again
+  await worker.drain();
+  assert.equal(calls, 2);
+});
+
+test("retryJob requeues dead jobs only", async () => {
+  const worker = new JobWorker({
+    storage,
+    handlers: { extract_memory: async () => { throw new Error("boom"); } }
+  });
+
+  const job = await enqueueJob("extract_memory", {}, USER, { maxAttempts: 1 });
+  assert.equal(await retryJob(job.id, USER), null);
+
+  await worker.drain();
+  assert.equal((await storage.getJob(USER, job.id)).status, "dead");
+
+  assert.equal(await retryJob(job.id, "someone-else"), null);
+
+  const retried = await retryJob(job.id, USER);
+  assert.equal(retried.status, "pending");
+  assert.equal(retried.attempts, 0);
+});
+
+test("concurrency limits how many jobs run at once", async () => {
+  let running = 0;
+  let peak = 0;
+  const worker = new JobWorker({
+    storage,
+    concurrency: 2,
+    handlers: {
+      extract_memory: async () => {
+        peak = Math.max(peak, ++running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        return { stored: false };
+      }
+    }
+  });
+
+  for (let i = 0; i < 5; i++) {
+    await enqueueJob("extract_memory", {}, USER);
+  }
+  await worker.drain();
+
+  assert.equal(peak, 2);
+  const { counts } = await getJobs({}, USER);
+  assert.deepEqual(counts, { pending: 0, running: 0, completed: 5, dead: 0 });
+});
+
+test("stop hands unfinished jobs back to the queue", async () => {
+  let release;
+  const worker = new JobWorker({
+    storage,
+    pollIntervalMs: 60000,
+    handlers: { extract_memory: () => new Promise(resolve => { release = resolve; }) }
+  });
+
+  const job = await enqueueJob("extract_memory", {}, USER);
+  worker.start();
+  while (worker.inFlight.size === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  await worker.stop({ graceMs: 10 });
+
+  const state = await storage.getJob(USER, job.id);
+  assert.equal(state.status, "pending");
+  assert.equal(state.attempts, 0);
+  assert.equal(state.locked_by, null);
+
+  // The old run finishing late must not touch the requeued job
+  release({ stored: false });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await storage.getJob(USER, job.id)).status, "pending");
+});
+
+test("jobs locked by a worker that died are recovered", async () => {
+  const job = await enqueueJob("extract_memory", {}, USER);
+  await storage.claimJobs({ workerId: "dead-worker", limit: 1 });
+  storage.tables.jobs.get(job.id).locked_at = new Date(Date.now() - config.JOB_LOCK_TIMEOUT_MS - 1000);
+
+  const worker = new JobWorker({ storage, handlers: { extract_memory: async () => ({ stored: false }) } });
+  await worker.drain();
+
+  const state = await storage.getJob(USER, job.id);
+  assert.equal(state.status, "completed");
+  assert.equal(state.attempts, 2);
+});
+
+test("getJobs filters by status and purgeUser removes the user's jobs", async () => {
+  await enqueueJob("extract_memory", { n: 1 }, USER);
+  await enqueueJob("extract_memory", { n: 2 }, USER);
+  await enqueueJob("extract_memory", { n: 3 }, "other-user");
+
+  const { counts, jobs } = await getJobs({ status: "pending" }, USER);
+  assert.equal(counts.pending, 2);
+  assert.equal(jobs.length, 2);
+  assert.ok(jobs.every(j => j.user_id === USER));
+
+  const receipt = await purgeUser(USER);
+  assert.equal(receipt.counts.memory_jobs, 2);
+  assert.equal((await getJobs({}, USER)).jobs.length, 0);
+  assert.equal((await getJobs({}, "other-user")).jobs.length, 1);
+});
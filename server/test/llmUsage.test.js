@@ -0,0 +1,124 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { usageCost, usageDay, getBudgetStatus, getUsageReport, canUsePricedTargets } from "../src/llmUsage.js";
+import { setLLMConfig, chat, chatStream, canAffordRole } from "../src/llm.js";
+import { processMemory } from "../src/memoryPipeline.js";
+import { startMockLLMServer } from "../src/mockLLM.js";
+import { config } from "../src/config.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "usage-test-user";
+const PRICING = { input: 2, output: 10 };
+
+let mock;
+let storage;
+
+before(async () => {
+  mock = await startMockLLMServer();
+});
+
+after(() => mock.close());
+
+/**
+ * Mock-backed roles; memoryChain lists { model, priced } targets
+ */
+function useMockLLM({ memoryChain = [{ model: "mock-memory", priced: true }] } = {}) {
+  const target = ({ model, priced }) => ({ provider: "mock", model, ...(priced && { pricing: PRICING }) });
+  setLLMConfig({
+    providers: { mock: { type: "openai", baseURL: `${mock.url}/v1`, apiKey: "mock" } },
+    roles: {
+      interaction: { timeoutMs: 5000, chain: [target({ model: "mock-interaction", priced: true })] },
+      memory: { timeoutMs: 5000, chain: memoryChain.map(target) }
+    },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30000 }
+  });
+}
+
+/**
+ * Book spend for the user today
+ */
+function spend(costUsd, userId = USER) {
+  return storage.recordLLMUsage(userId, {
+    day: usageDay(), role: "interaction", target: "earlier", inputTokens: 0, outputTokens: 0, costUsd
+  });
+}
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+  useMockLLM();
+});
+
+afterEach(() => {
+  config.LLM_DAILY_BUDGET_USD = 0;
+  config.LLM_USER_DAILY_BUDGET_USD = 0;
+});
+
+test("usageCost prices tokens per million", () => {
+  assert.equal(usageCost(PRICING, { inputTokens: 1_000_000, outputTokens: 500_000 }), 7);
+  assert.equal(usageCost(null, { inputTokens: 1000, outputTokens: 1000 }), 0);
+});
+
+test("calls book reported tokens and cost per user, role and target", async () => {
+  await chat("interaction", { messages: [{ role: "user", content: "Hello there, how are you?" }] }, { userId: USER });
+
+  const { stream } = await chatStream("interaction", { messages: [{ role: "user", content: "Tell me something" }] }, { userId: USER });
+  let reply = "";
+  for await (const chunk of stream) reply += chunk;
+  assert.ok(reply.length > 0);
+
+  const { totals, usage } = await getUsageReport(USER);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].role, "interaction");
+  assert.equal(usage[0].target, "mock/mock-interaction");
+  assert.equal(usage[0].requests, 2);
+  assert.ok(usage[0].input_tokens > 0 && usage[0].output_tokens > 0);
+  assert.equal(totals.cost_usd, Math.round(usageCost(PRICING, {
+    inputTokens: usage[0].input_tokens,
+    outputTokens: usage[0].output_tokens
+  }) * 1e6) / 1e6);
+
+  assert.deepEqual((await getUsageReport("someone-else")).usage, []);
+});
+
+test("budget status covers the user and everyone", async () => {
+  config.LLM_DAILY_BUDGET_USD = 10;
+  config.LLM_USER_DAILY_BUDGET_USD = 1;
+  await spend(0.4);
+  await spend(3, "someone-else");
+
+  const status = await getBudgetStatus(USER);
+  assert.deepEqual(status.user, { limit_usd: 1, spent_usd: 0.4, remaining_usd: 0.6, exhausted: false });
+  assert.deepEqual(status.global, { limit_usd: 10, spent_usd: 3.4, remaining_usd: 6.6, exhausted: false });
+  assert.ok(new Date(status.resets_at) > new Date());
+});
+
+test("memory extraction stops at its share of the budget, replies go on", async () => {
+  config.LLM_USER_DAILY_BUDGET_USD = 1;
+  await spend(0.85); // past LLM_BUDGET_MEMORY_SHARE (0.8), under the budget
+
+  assert.equal(await canUsePricedTargets("memory", USER), false);
+  assert.equal(await canUsePricedTargets("interaction", USER), true);
+  assert.equal(await canUsePricedTargets("memory", "someone-else"), true);
+
+  const callsBefore = mock.calls.length;
+  const result = await processMemory("My name is Costa.", "Hi Costa", [], null, USER);
+  assert.deepEqual(result, { stored: false, skipped: "budget_exhausted" });
+  assert.equal(mock.calls.length, callsBefore);
+
+  await spend(0.15);
+  assert.equal(await canAffordRole("interaction", USER), false);
+});
+
+test("an unpriced target in the chain keeps extraction running", async () => {
+  useMockLLM({ memoryChain: [{ model: "mock-memory", priced: true }, { model: "local-memory", priced: false }] });
+  config.LLM_DAILY_BUDGET_USD = 1;
+  await spend(5, "someone-else");
+
+  const result = await processMemory("My name is Costa.", "Hi Costa", [], null, USER);
+  assert.equal(result.stored, true);
+
+  const [row] = (await getUsageReport(USER)).usage;
+  assert.equal(row.target, "mock/local-memory");
+  assert.equal(row.cost_usd, 0);
+});
@@ -0,0 +1,153 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { McpSession, toJsonSchema } from "../src/mcpServer.js";
+import { getMemoryById } from "../src/memoryStore.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "mcp-test-user";
+
+let session;
+let nextId;
+
+beforeEach(() => {
+  useHashEmbeddings();
+  useMemoryStorage();
+  session = new McpSession({ userId: USER });
+  nextId = 1;
+});
+
+const request = (method, params) => session.handle({ jsonrpc: "2.0", id: nextId++, method, params });
+
+async function callTool(name, args) {
+  const { result, error } = await request("tools/call", { name, arguments: args });
+  assert.equal(error, undefined);
+  return result;
+}
+
+test("initialize negotiates the protocol version", async () => {
+  const { result } = await request("initialize", { protocolVersion: "2025-03-26", clientInfo: { name: "test" }, capabilities: {} });
+  assert.equal(result.protocolVersion, "2025-03-26");
+  assert.deepEqual(result.capabilities, { tools: {}, resources: {} });
+  assert.equal(result.serverInfo.name, "meaningmemory");
+
+  const { result: newer } = await request("initialize", { protocolVersion: "2099-01-01" });
+  assert.equal(newer.protocolVersion, "2025-06-18");
+
+  // Notifications get no response
+  assert.equal(await session.handle({ jsonrpc: "2.0", method: "notifications/initialized" }), null);
+});
+
+test("tools are listed with JSON Schema inputs", async () => {
+  const { result } = await request("tools/list");
+  const names = result.tools.map(t => t.name);
+  assert.deepEqual(names, ["remember", "recall", "get_preferences", "list_entities", "forget", "resolve_contradiction"]);
+
+  const recall = result.tools.find(t => t.name === "recall");
+  assert.deepEqual(recall.inputSchema.required, ["query"]);
+  assert.equal(recall.inputSchema.properties.k.type, "integer");
+  assert.equal(recall.inputSchema.additionalProperties, false);
+  assert.equal(recall.annotations.readOnlyHint, true);
+
+  const forget = result.tools.find(t => t.name === "forget");
+  assert.deepEqual(forget.inputSchema.properties.mode.enum, ["deactivate", "purge"]);
+  assert.equal(forget.annotations.destructiveHint, true);
+});
+
+test("toJsonSchema maps optional, nullable and array fields", async () => {
+  const { z } = await import("zod");
+  const schema = toJsonSchema(z.object({
+    tags: z.array(z.string()).optional(),
+    note: z.string().nullable()
+  }));
+
+  assert.deepEqual(schema.required, ["note"]);
+  assert.deepEqual(schema.properties.tags, { type: "array", items: { type: "string" } });
+  assert.deepEqual(schema.properties.note.type, ["string", "null"]);
+});
+
+test("remember, recall and forget a memory", async () => {
+  const stored = (await callTool("remember", {
+    summary: "User has a golden retriever named Biscuit",
+    tier: "asserted_fact",
+    entities: ["Biscuit"]
+  })).structuredContent;
+  assert.equal(stored.tier, "asserted_fact");
+
+  const recalled = (await callTool("recall", { query: "golden retriever Biscuit" })).structuredContent;
+  assert.ok(recalled.memories.some(m => m.id === stored.id));
+  assert.ok(recalled.memories.every(m => m.embedding === undefined));
+
+  const entities = (await callTool("list_entities", {})).structuredContent.entities;
+  assert.ok(entities.some(e => e.canonical_name === "Biscuit"));
+
+  const forgotten = await callTool("forget", { memory_id: stored.id });
+  assert.deepEqual(forgotten.structuredContent, { forgotten: true, purged: false });
+  assert.equal((await getMemoryById(stored.id, USER)).is_active, false);
+
+  // Other users cannot see or forget it
+  const other = new McpSession({ userId: "someone-else" });
+  const { result } = await other.handle({
+    jsonrpc: "2.0", id: 1, method: "tools/call",
+    params: { name: "forget", arguments: { memory_id: stored.id, mode: "purge" } }
+  });
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, "Memory not found");
+});
+
+test("bad arguments and unknown tools are protocol errors", async () => {
+  const { error } = await request("tools/call", { name: "recall", arguments: { k: 3 } });
+  assert.equal(error.code, -32602);
+  assert.deepEqual(error.data[0].path, ["query"]);
+
+  const unknown = await request("tools/call", { name: "nope", arguments: {} });
+  assert.equal(unknown.error.code, -32602);
+
+  const method = await request("sampling/createMessage", {});
+  assert.equal(method.error.code, -32601);
+
+  const invalid = await session.handle({ id: 1, method: "ping" });
+  assert.equal(invalid.error.code, -32600);
+});
+
+test("resolving a missing contradiction is a tool error", async () => {
+  const result = await callTool("resolve_contradiction", {
+    contradiction_id: "00000000-0000-4000-8000-000000000000",
+    resolution: "coexist"
+  });
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, "Contradiction not found");
+});
+
+test("stats are readable as a resource", async () => {
+  await callTool("remember", { summary: "User lives in Porto" });
+
+  const { result: list } = await request("resources/list");
+  assert.deepEqual(list.resources.map(r => r.uri), ["memory://stats", "memory://contradictions"]);
+
+  const { result } = await request("resources/read", { uri: "memory://stats" });
+  const stats = JSON.parse(result.contents[0].text);
+  assert.equal(stats.memories.active_memories, 1);
+
+  const missing = await request("resources/read", { uri: "memory://nope" });
+  assert.equal(missing.error.code, -32002);
+});
+
+test("tools are limited to the key's scopes", async () => {
+  session = new McpSession({ userId: USER, auth: { userId: USER, scopes: ["memories:read"] } });
+
+  const { result } = await request("tools/list");
+  assert.deepEqual(result.tools.map(t => t.name), ["recall", "get_preferences", "list_entities"]);
+
+  const denied = await callTool("remember", { summary: "User likes tea" });
+  assert.equal(denied.isError, true);
+  assert.match(denied.content[0].text, /memories:write/);
+});
+
+test("batches return one response per request", async () => {
+  const responses = await session.handle([
+    { jsonrpc: "2.0", id: "a", method: "ping" },
+    { jsonrpc: "2.0", method: "notifications/initialized" },
+    { jsonrpc: "2.0", id: "b", method: "tools/list" }
+  ]);
+  assert.deepEqual(responses.map(r => r.id), ["a", "b"]);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeLLMResponse, parseMemoryAgentResponse } from "../src/memoryAgent.js";
+
+const extraction = {
+  should_write: true,
+  summary: "User's name is Alex",
+  tier: "asserted_fact",
+  confidence: 0.95,
+  entities: ["Alex"],
+  facts: ["name: Alex"],
+  preferences: [],
+  importance: 8
+};
+
+test("sanitizeLLMResponse: fills missing importance and confidence", () => {
+  const result = sanitizeLLMResponse({ summary: "x", importance: null });
+  assert.equal(result.importance, 5);
+  assert.equal(result.confidence, 0.8);
+});
+
+test("sanitizeLLMResponse: flattens object facts and entities to strings", () => {
+  const result = sanitizeLLMResponse({
+    summary: "x",
+    facts: [{ fact: "likes tea" }, { text: "owns a cat" }, "", null],
+    entities: [{ name: "Alex" }, { entity: "Acme" }, "Berlin"]
+  });
+  assert.deepEqual(result.facts, ["likes tea", "owns a cat"]);
+  assert.deepEqual(result.entities, ["Alex", "Acme", "Berlin"]);
+});
+
+test("sanitizeLLMResponse: normalises preferences", () => {
+  const result = sanitizeLLMResponse({
+    summary: "x",
+    preferences: [
+      { entity: "jazz", valence: "loves", strength: 3 },
+      { valence: "positive" },
+      "tea"
+    ]
+  });
+  assert.deepEqual(result.preferences, [{ entity: "jazz", valence: "neutral", strength: 1 }]);
+});
+
+test("sanitizeLLMResponse: derives should_write from the summary", () => {
+  assert.equal(sanitizeLLMResponse({ summary: "something" }).should_write, true);
+  assert.equal(sanitizeLLMResponse({ summary: "" }).should_write, false);
+  assert.equal(sanitizeLLMResponse({}).preferences.length, 0);
+});
+
+test("parseMemoryAgentResponse: accepts plain JSON", () => {
+  const result = parseMemoryAgentResponse(JSON.stringify(extraction));
+  assert.equal(result.ok, true);
+  assert.equal(result.data.summary, "User's name is Alex");
+});
+
+test("parseMemoryAgentResponse: strips markdown code fences", () => {
+  const fenced = "```json\n" + JSON.stringify(extraction) + "\n```";
+  assert.equal(parseMemoryAgentResponse(fenced).ok, true);
+  assert.equal(parseMemoryAgentResponse("```\n" + JSON.stringify(extraction) + "\n```").ok, true);
+});
+
+test("parseMemoryAgentResponse: applies the tier's confidence bounds", () => {
+  const result = parseMemoryAgentResponse(JSON.stringify({ ...extraction, tier: "hypothesis", confidence: 0.9 }));
+  assert.equal(result.data.confidence, 0.5);
+});
+
+test("parseMemoryAgentResponse: rejects invalid JSON", () => {
+  const result = parseMemoryAgentResponse("Sure! Here is the memory: {");
+  assert.equal(result.ok, false);
+});
+
+test("parseMemoryAgentResponse: rejects output that fails the schema", () => {
+  const result = parseMemoryAgentResponse(JSON.stringify({ ...extraction, tier: "rumour" }));
+  assert.equal(result.ok, false);
+});
@@ -0,0 +1,193 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { publishEvent, subscribeEvents, waitForEvent, lastEventId } from "../src/memoryEvents.js";
+import { insertMemoryUnit } from "../src/memoryStore.js";
+import { resolveContradiction, getPendingContradictions } from "../src/contradictionDetector.js";
+import { runDecayUpdate } from "../src/decayService.js";
+import { purgeMemory, purgeEntity } from "../src/purgeService.js";
+import { JobWorker, enqueueJob } from "../src/jobQueue.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "events-test-user";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+/**
+ * Collect the user's events while fn runs
+ */
+async function collect(fn, userId = USER, options = {}) {
+  const events = [];
+  const unsubscribe = subscribeEvents(userId, event => events.push(event), options);
+  try {
+    await fn();
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+let storage;
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+});
+
+test("subscribers only see their own user's events and system events", async () => {
+  const events = await collect(async () => {
+    publishEvent("memory.created", { memory_id: "a" }, USER);
+    publishEvent("memory.created", { memory_id: "b" }, "someone-else");
+    publishEvent("decay.completed", { updated: 3 }, null);
+  });
+
+  assert.deepEqual(events.map(e => e.data), [{ memory_id: "a" }, { updated: 3 }]);
+  assert.ok(events[1].id > events[0].id);
+});
+
+test("types filters events and since replays missed ones", async () => {
+  const since = lastEventId();
+  publishEvent("memory.created", { memory_id: "missed" }, USER);
+  publishEvent("entity.created", { entity_id: "e1" }, USER);
+
+  const events = await collect(async () => {
+    publishEvent("memory.created", { memory_id: "live" }, USER);
+  }, USER, { types: ["memory.created"], since });
+
+  assert.deepEqual(events.map(e => e.data.memory_id), ["missed", "live"]);
+});
+
+test("publishEvent rejects unknown types", () => {
+  assert.throws(() => publishEvent("memory.exploded", {}, USER), /Unknown event type/);
+});
+
+test("waitForEvent resolves with the first match, or null after the timeout", async () => {
+  const waiting = waitForEvent(USER, e => e.data.n === 2, { timeoutMs: 1000 });
+  publishEvent("job.completed", { n: 1 }, USER);
+  publishEvent("job.completed", { n: 2 }, USER);
+  assert.equal((await waiting).data.n, 2);
+
+  // Already published before the wait started
+  const since = lastEventId();
+  publishEvent("job.completed", { n: 3 }, USER);
+  assert.equal((await waitForEvent(USER, e => e.data.n === 3, { timeoutMs: 1000, since })).data.n, 3);
+
+  assert.equal(await waitForEvent(USER, () => false, { timeoutMs: 10 }), null);
+});
+
+test("insertMemoryUnit announces the memory and new entities", async () => {
+  let stored;
+  const events = await collect(async () => {
+    stored = await insertMemoryUnit(fact("User plays saxophone like Miles Davis", { entities: ["Miles Davis"] }), USER);
+    await insertMemoryUnit(fact("User saw Miles Davis live", { entities: ["Miles Davis"] }), USER);
+  });
+
+  const created = events.filter(e => e.type === "memory.created");
+  assert.equal(created.length, 2);
+  assert.equal(created[0].data.memory_id, stored.id);
+  assert.equal(created[0].data.summary, "User plays saxophone like Miles Davis");
+
+  const entities = events.filter(e => e.type === "entity.created");
+  assert.equal(entities.length, 1);
+  assert.equal(entities[0].data.name, "Miles Davis");
+});
+
+test("supersede and pending contradictions are announced", async () => {
+  const old = await insertMemoryUnit(fact("User works at Acme as an engineer", {
+    structured_facts: [{ subject: "user", predicate: "works_at", object: "Acme" }]
+  }), USER);
+
+  let updated;
+  const superseding = await collect(async () => {
+    updated = await insertMemoryUnit(fact("User works at Globex as an engineer", {
+      tier: "asserted_fact",
+      confidence: 0.95,
+      structured_facts: [{ subject: "user", predicate: "works_at", object: "Globex" }]
+    }), USER);
+  });
+
+  const superseded = superseding.find(e => e.type === "memory.superseded");
+  assert.deepEqual(superseded.data, { memory_id: old.id, superseded_by: updated.id });
+  assert.deepEqual(updated.supersedes, [old.id]);
+
+  await insertMemoryUnit(fact("User's favorite color is blue", {
+    structured_facts: [{ subject: "user", predicate: "favorite_color", object: "blue" }]
+  }), USER);
+
+  let green;
+  const conflicting = await collect(async () => {
+    green = await insertMemoryUnit(fact("User's favorite color is green", {
+      structured_facts: [{ subject: "user", predicate: "favorite_color", object: "green" }]
+    }), USER);
+  });
+
+  const detected = conflicting.find(e => e.type === "contradiction.detected");
+  assert.equal(detected.data.memory_a, green.id);
+
+  // Resolving it by hand supersedes the loser
+  const [pending] = await getPendingContradictions(USER);
+  const resolving = await collect(() => resolveContradiction(pending.id, "a_supersedes", null, USER));
+  assert.equal(resolving[0].type, "memory.superseded");
+  assert.equal(resolving[0].data.superseded_by, green.id);
+});
+
+test("decay runs are announced to every user", async () => {
+  await insertMemoryUnit(fact("User owns a bicycle"), USER);
+
+  const events = await collect(() => runDecayUpdate(), "any-user", { types: ["decay.completed"] });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].user_id, null);
+  assert.equal(events[0].data.updated, 1);
+});
+
+test("job outcomes are announced", async () => {
+  let fail = true;
+  const worker = new JobWorker({
+    storage,
+    handlers: {
+      extract_memory: async () => {
+        if (fail) throw new Error("boom");
+        return { stored: false };
+      }
+    }
+  });
+
+  const failing = await enqueueJob("extract_memory", {}, USER, { maxAttempts: 1 });
+  const failed = await collect(() => worker.drain());
+  assert.equal(failed[0].type, "job.failed");
+  assert.deepEqual(failed[0].data, { job_id: failing.id, kind: "extract_memory", error: "boom", attempts: 1, dead: true });
+
+  fail = false;
+  const passing = await enqueueJob("extract_memory", {}, USER);
+  const completed = await collect(() => worker.drain());
+  assert.equal(completed[0].type, "job.completed");
+  assert.equal(completed[0].data.job_id, passing.id);
+  assert.deepEqual(completed[0].data.result, { stored: false });
+});
+
+test("purged memories and entities are not replayed from the buffer", async () => {
+  const since = lastEventId();
+  const bicycle = await insertMemoryUnit(fact("User owns a red bicycle"), USER);
+  const tea = await insertMemoryUnit(fact("User drinks green tea"), USER);
+  await insertMemoryUnit(fact("User's sister Kate lives in Boston", { entities: ["Kate"] }), USER);
+
+  await purgeMemory(bicycle.id, USER);
+  await purgeEntity("Kate", USER);
+
+  const replayed = await collect(async () => {}, USER, { since });
+  const text = JSON.stringify(replayed.map(e => e.type === "memory.purged" ? null : e.data));
+  assert.doesNotMatch(text, /bicycle|Kate/);
+  assert.equal(text.includes(bicycle.id), false);
+
+  assert.ok(replayed.some(e => e.type === "memory.created" && e.data.memory_id === tea.id));
+  assert.equal(replayed.filter(e => e.type === "memory.purged").length, 2);
+});
@@ -0,0 +1,181 @@
+// Insert → retrieve → contradiction flows through the real pipeline
+// Runs on the in-memory backend always, and on a disposable Postgres
+// database when TEST_DATABASE_URL is set
+
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  insertMemoryUnit,
+  retrieveMemories,
+  getUserPreferences,
+  getAllMemories,
+  getMemoryById,
+  getSupersessionChain
+} from "../src/memoryStore.js";
+import { getPendingContradictions } from "../src/contradictionDetector.js";
+import { getMemoriesForEntity } from "../src/entityResolver.js";
+import { extractAndStoreInstant } from "../src/instantExtraction.js";
+import {
+  TEST_DATABASE_URL,
+  useHashEmbeddings,
+  useMemoryStorage,
+  createDisposableDatabase
+} from "./helpers.js";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+const backends = [
+  { name: "memory", skip: false },
+  { name: "postgres", skip: TEST_DATABASE_URL ? false : "TEST_DATABASE_URL not set" }
+];
+
+for (const backend of backends) {
+  describe(`memory pipeline (${backend.name})`, { skip: backend.skip }, () => {
+    let database = null;
+    let userId;
+    let userCount = 0;
+
+    before(async () => {
+      useHashEmbeddings();
+      if (backend.name === "postgres") {
+        database = await createDisposableDatabase();
+      }
+    });
+
+    after(async () => {
+      await database?.drop();
+    });
+
+    // A fresh store (memory) or a fresh user (postgres) per test
+    beforeEach(() => {
+      if (backend.name === "memory") useMemoryStorage();
+      userId = `test-user-${++userCount}`;
+    });
+
+    test("inserted memories are retrieved by a related query", async () => {
+      await insertMemoryUnit(fact("User works at Acme as an engineer", { entities: ["Acme"], importance: 7 }), userId);
+      await insertMemoryUnit(fact("User has a cat named Miso", { entities: ["Miso"] }), userId);
+
+      const memories = await retrieveMemories({ queryText: "Acme engineer", userId });
+      assert.ok(memories.length > 0);
+      assert.equal(memories[0].summary, "User works at Acme as an engineer");
+    });
+
+    test("preferences and entities are stored with the memory", async () => {
+      const inserted = await insertMemoryUnit(fact("User likes Miles Davis", {
+        tier: "preference",
+        entities: ["Miles Davis"],
+        preferences: [{ entity: "Miles Davis", valence: "positive", strength: 0.9 }]
+      }), userId);
+
+      assert.equal(inserted.preferences_stored, 1);
+
+      const preferences = await getUserPreferences({ userId });
+      assert.deepEqual(preferences.map(p => [p.entity, p.valence]), [["Miles Davis", "positive"]]);
+
+      const { entity, memories } = await getMemoriesForEntity("miles davis", userId);
+      assert.equal(entity.canonical_name, "Miles Davis");
+      assert.deepEqual(memories.map(m => m.id), [inserted.id]);
+    });
+
+    test("a higher-tier conflicting fact supersedes the old one", async () => {
+      const old = await insertMemoryUnit(fact("User works at Acme as an engineer", {
+        entities: ["Acme"],
+        structured_facts: [{ subject: "user", predicate: "works_at", object: "Acme" }]
+      }), userId);
+
+      const updated = await insertMemoryUnit(fact("User works at Globex as an engineer", {
+        tier: "asserted_fact",
+        confidence: 0.95,
+        entities: ["Globex"],
+        structured_facts: [{ subject: "user", predicate: "works_at", object: "Globex" }]
+      }), userId);
+
+      assert.equal(updated.conflicts_detected, 1);
+      assert.equal(updated.auto_resolved, 1);
+      assert.equal((await getMemoryById(old.id, userId)).is_active, false);
+
+      const active = await getAllMemories({ userId });
+      assert.deepEqual(active.map(m => m.summary), ["User works at Globex as an engineer"]);
+    });
+
+    test("supersession chains are followed in both directions", async () => {
+      const worksAt = (object, tier) => insertMemoryUnit(fact(`User works at ${object} as an engineer`, {
+        tier,
+        entities: [object],
+        structured_facts: [{ subject: "user", predicate: "works_at", object }]
+      }), userId);
+
+      const first = await worksAt("Acme", "hypothesis");
+      const second = await worksAt("Globex", "observed_fact");
+      const third = await worksAt("Initech", "asserted_fact");
+
+      const oldest = await getSupersessionChain(first.id, userId);
+      assert.deepEqual(oldest.superseded_by.map(m => [m.id, m.depth]), [[second.id, 1], [third.id, 2]]);
+      assert.deepEqual(oldest.supersedes, []);
+
+      const middle = await getSupersessionChain(second.id, userId);
+      assert.deepEqual(middle.superseded_by.map(m => m.id), [third.id]);
+      assert.deepEqual(middle.supersedes.map(m => [m.id, m.is_active]), [[first.id, false]]);
+
+      assert.deepEqual((await getSupersessionChain(third.id, `${userId}-other`)).supersedes, []);
+    });
+
+    test("retrieval without reinforcement leaves access counts alone", async () => {
+      const stored = await insertMemoryUnit(fact("User works at Acme as an engineer", { entities: ["Acme"] }), userId);
+
+      await retrieveMemories({ queryText: "Acme engineer", userId, reinforce: false });
+      assert.equal((await getMemoryById(stored.id, userId)).access_count, 0);
+
+      await retrieveMemories({ queryText: "Acme engineer", userId });
+      assert.equal((await getMemoryById(stored.id, userId)).access_count, 1);
+    });
+
+    test("an unresolvable conflict is recorded as pending", async () => {
+      const first = await insertMemoryUnit(fact("User's favorite color is blue", {
+        structured_facts: [{ subject: "user", predicate: "favorite_color", object: "blue" }]
+      }), userId);
+
+      const second = await insertMemoryUnit(fact("User's favorite color is green", {
+        structured_facts: [{ subject: "user", predicate: "favorite_color", object: "green" }]
+      }), userId);
+
+      assert.equal(second.conflicts_detected, 1);
+      assert.equal(second.auto_resolved, 0);
+
+      const pending = await getPendingContradictions(userId);
+      assert.equal(pending.length, 1);
+      assert.equal(pending[0].memory_a, second.id);
+      assert.equal(pending[0].memory_b, first.id);
+
+      // Both stay active until the user resolves it
+      assert.equal((await getAllMemories({ userId })).length, 2);
+    });
+
+    test("a new name supersedes the old identity", async () => {
+      await extractAndStoreInstant("My name is Alex", userId);
+      await extractAndStoreInstant("Actually, call me Sam", userId);
+
+      const active = await getAllMemories({ userId });
+      assert.deepEqual(active.map(m => m.summary), ["User's name is Sam."]);
+    });
+
+    test("users never see each other's memories", async () => {
+      await insertMemoryUnit(fact("User works at Acme as an engineer", { entities: ["Acme"] }), userId);
+
+      const otherUser = `${userId}-other`;
+      assert.deepEqual(await retrieveMemories({ queryText: "Acme engineer", userId: otherUser }), []);
+      assert.deepEqual(await getAllMemories({ userId: otherUser }), []);
+    });
+  });
+}
@@ -0,0 +1,164 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { purgeMemory, purgeEntity } from "../src/purgeService.js";
+import { insertMemoryUnit } from "../src/memoryStore.js";
+import { setStorage } from "../src/storage/index.js";
+import {
+  TEST_DATABASE_URL,
+  useHashEmbeddings,
+  useMemoryStorage,
+  createDisposableDatabase
+} from "./helpers.js";
+
+const USER = "purge-test-user";
+
+const fact = (summary, fields = {}) => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5,
+  ...fields
+});
+
+let storage;
+
+async function chatTurn(conversationId, userText, assistantText) {
+  await storage.ensureConversation(USER, conversationId, userText.slice(0, 60));
+  await storage.insertMessage(USER, conversationId, "user", userText);
+  await storage.insertMessage(USER, conversationId, "assistant", assistantText);
+}
+
+const queueJob = (kind, payload) => storage.insertJob(USER, { kind, payload, maxAttempts: 3 });
+
+const allText = async () => {
+  const conversations = await storage.listConversations(USER, { limit: 50 });
+  const messages = await Promise.all(conversations.map(c => storage.listMessages(USER, c.id)));
+  return [...conversations.map(c => c.title), ...messages.flat().map(m => m.content)].join("\n");
+};
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+});
+
+test("purging a memory keeps its conversation unless the transcript is included", async () => {
+  await chatTurn("conv-jazz", "I like jazz and green tea", "Noted, you like both.");
+  await chatTurn("conv-tea", "I drink green tea", "Green tea it is.");
+  const jazz = await insertMemoryUnit(fact("User likes jazz", { source_conversation_id: "conv-jazz" }), USER);
+  const tea = await insertMemoryUnit(fact("User likes green tea", { source_conversation_id: "conv-jazz" }), USER);
+  const drinks = await insertMemoryUnit(fact("User drinks green tea", { source_conversation_id: "conv-tea" }), USER);
+
+  const kept = await purgeMemory(jazz.id, USER);
+  assert.equal(kept.counts.conversations, 0);
+  assert.equal(kept.counts.messages, 0);
+  assert.equal((await storage.listMessages(USER, "conv-jazz")).length, 2);
+  assert.equal((await storage.getMemory(USER, tea.id)).source_conversation_id, "conv-jazz");
+
+  const receipt = await purgeMemory(drinks.id, USER, { includeTranscript: true });
+  assert.equal(receipt.counts.conversations, 1);
+  assert.equal(receipt.counts.messages, 2);
+  assert.equal(await storage.getConversation(USER, "conv-tea"), null);
+  assert.ok(await storage.getConversation(USER, "conv-jazz"));
+});
+
+test("purging an entity removes every message and title that names it", async () => {
+  await chatTurn("conv-kate", "My sister Kate lives in Boston", "Boston is lovely.");
+  await chatTurn("conv-call", "Katie called today", "How is Katie doing?");
+  await storage.insertMessage(USER, "conv-call", "user", "Fine. I also like jazz");
+  await chatTurn("conv-other", "Kate's recipe was great", "Glad to hear it!");
+  await insertMemoryUnit(fact("User's sister Kate lives in Boston", {
+    entities: ["Kate"],
+    source_conversation_id: "conv-kate"
+  }), USER);
+  const kate = await storage.findEntityByName(USER, "Kate");
+  await storage.addEntityAlias(USER, kate.id, "Katie");
+
+  const receipt = await purgeEntity("Kate", USER);
+
+  const remaining = await allText();
+  assert.doesNotMatch(remaining, /\bKat(e|ie)\b/);
+  assert.match(remaining, /I also like jazz/);
+
+  assert.match(remaining, /Boston is lovely/);
+  assert.equal(receipt.counts.conversations, 0);
+  assert.equal(receipt.counts.messages, 4); // 2 naming Kate, 2 naming Katie
+  assert.equal(receipt.counts.conversation_titles_scrubbed, 3);
+});
+
+test("purges delete the jobs that quote the purged content", async () => {
+  await chatTurn("conv-jazz", "I like jazz", "Noted, you like jazz.");
+  const jazz = await insertMemoryUnit(fact("User likes jazz", { source_conversation_id: "conv-jazz" }), USER);
+  await queueJob("extract_memory", {
+    userText: "I like jazz", assistantText: "Noted, you like jazz.", retrievedMemories: [], conversationId: "conv-jazz"
+  });
+  await queueJob("deliver_webhook", {
+    webhook_id: "hook", event: { type: "memory.created", data: { memory_id: jazz.id, summary: "User likes jazz" } }
+  });
+  await queueJob("extract_memory", {
+    userText: "Katie called", assistantText: "How is she?", retrievedMemories: [], conversationId: "conv-call"
+  });
+  await queueJob("extract_memory", {
+    userText: "I drink green tea", assistantText: "Green tea it is.", retrievedMemories: [], conversationId: "conv-tea"
+  });
+
+  const memoryReceipt = await purgeMemory(jazz.id, USER, { includeTranscript: true });
+  assert.equal(memoryReceipt.counts.memory_jobs, 2);
+
+  await insertMemoryUnit(fact("User's sister Kate lives in Boston", { entities: ["Kate"] }), USER);
+  const kate = await storage.findEntityByName(USER, "Kate");
+  await storage.addEntityAlias(USER, kate.id, "Katie");
+  await queueJob("classify_entity", { entity_id: kate.id });
+
+  const entityReceipt = await purgeEntity("Kate", USER);
+  assert.equal(entityReceipt.counts.memory_jobs, 2);
+
+  const left = await storage.listJobs(USER, { limit: 50 });
+  assert.deepEqual(left.map(j => j.payload.userText), ["I drink green tea"]);
+});
+
+// Name matching is SQL on Postgres, so it runs there too when
+// TEST_DATABASE_URL is set
+const backends = [
+  { name: "memory", skip: false },
+  { name: "postgres", skip: TEST_DATABASE_URL ? false : "TEST_DATABASE_URL not set" }
+];
+
+for (const backend of backends) {
+  describe(`entity names with punctuation (${backend.name})`, { skip: backend.skip }, () => {
+    let database = null;
+
+    before(async () => {
+      if (backend.name === "postgres") {
+        useHashEmbeddings();
+        database = await createDisposableDatabase();
+      }
+    });
+
+    after(async () => {
+      await database?.drop();
+    });
+
+    beforeEach(() => {
+      if (database) storage = setStorage(database.storage);
+    });
+
+    test("messages naming an entity that starts or ends with punctuation are purged", async () => {
+      await chatTurn("conv-lang", "Which language should I learn?", "C++ is fast, C is simpler.");
+      await storage.insertMessage(USER, "conv-lang", "user", "I'll go with c++!");
+      await storage.insertMessage(USER, "conv-lang", "user", "My phone plan is with AT&T.");
+      await storage.insertMessage(USER, "conv-lang", "assistant", "Rust and C are fine too.");
+      await insertMemoryUnit(fact("User is learning C++", { entities: ["C++"] }), USER);
+
+      const receipt = await purgeEntity("C++", USER);
+
+      const remaining = (await storage.listMessages(USER, "conv-lang")).map(m => m.content);
+      assert.deepEqual(remaining, ["Which language should I learn?", "My phone plan is with AT&T.", "Rust and C are fine too."]);
+      assert.equal(receipt.counts.messages, 2);
+      assert.equal(receipt.counts.memory_units, 1);
+    });
+  });
+}
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter, takeRateLimits } from "../src/rateLimit.js";
+
+test("bursts up to the limit pass, then requests wait for refill", () => {
+  const limiter = new RateLimiter({ limit: 3, windowMs: 60000 });
+  const now = 1_000_000;
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.retryAfterMs("a", now), 0);
+    limiter.consume("a", now);
+  }
+  assert.equal(limiter.retryAfterMs("a", now), 20000);
+
+  // One request's worth refills after windowMs / limit
+  assert.equal(limiter.retryAfterMs("a", now + 20000), 0);
+
+  // Keys are independent
+  assert.equal(limiter.retryAfterMs("b", now), 0);
+});
+
+test("limit 0 disables the limiter", () => {
+  const limiter = new RateLimiter({ limit: 0 });
+  for (let i = 0; i < 100; i++) limiter.consume("a");
+  assert.equal(limiter.retryAfterMs("a"), 0);
+});
+
+test("takeRateLimits uses up nothing when any limiter is empty", () => {
+  const user = new RateLimiter({ limit: 5, windowMs: 1000 });
+  const global = new RateLimiter({ limit: 2, windowMs: 1000 });
+  const now = 5000;
+
+  assert.equal(takeRateLimits([[user, "alice"], [global, "*"]], now), 0);
+  assert.equal(takeRateLimits([[user, "bob"], [global, "*"]], now), 0);
+
+  // Global bucket empty: alice is refused and keeps her tokens
+  assert.equal(takeRateLimits([[user, "alice"], [global, "*"]], now), 500);
+  assert.equal(user.buckets.get("alice").tokens, 4);
+});
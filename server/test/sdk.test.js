@@ -0,0 +1,174 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import {
+  MeaningMemoryClient,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  MeaningMemoryError
+} from "../src/sdk.js";
+
+// Server that records requests and answers with the next queued reply:
+// { status, json, headers } or { sse: [frames as written] }
+let server;
+let received;
+let replies;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", async () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const reply = replies.shift() ?? { status: 200, json: {} };
+
+      if (reply.sse) {
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        for (const piece of reply.sse) {
+          res.write(piece);
+          await new Promise(resolve => setTimeout(resolve, 2));
+        }
+        return res.end();
+      }
+
+      res.writeHead(reply.status, { "Content-Type": "application/json", ...reply.headers });
+      res.end(reply.json === undefined ? "" : JSON.stringify(reply.json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let client;
+
+beforeEach(() => {
+  received = [];
+  replies = [];
+  client = new MeaningMemoryClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    apiKey: "mm_test",
+    userId: "alice",
+    retryDelayMs: 1
+  });
+});
+
+const frame = data => `data: ${JSON.stringify(data)}\n\n`;
+
+test("requests carry the key, user and query", async () => {
+  replies = [{ status: 200, json: [{ entity: "jazz", valence: "positive" }] }];
+
+  const prefs = await client.preferences.list({ valence: "positive" });
+  assert.deepEqual(prefs, [{ entity: "jazz", valence: "positive" }]);
+
+  const [req] = received;
+  assert.equal(req.method, "GET");
+  assert.equal(req.url, "/preferences?valence=positive");
+  assert.equal(req.headers.authorization, "Bearer mm_test");
+  assert.equal(req.headers["x-user-id"], "alice");
+});
+
+test("bodies are validated with the server's schemas before sending", async () => {
+  await assert.rejects(client.memories.create({ summary: "", tier: "rumour" }), err => {
+    assert.ok(err instanceof ValidationError);
+    assert.deepEqual(err.issues.map(i => i.path[0]).sort(), ["summary", "tier"]);
+    return true;
+  });
+  await assert.rejects(client.contradictions.resolve("c1", { resolution: "whatever" }), ValidationError);
+  assert.equal(received.length, 0);
+
+  // Defaults are applied as the server would
+  replies = [{ status: 201, json: { id: "m1" } }];
+  await client.memories.create({ summary: "User likes jazz" });
+  assert.equal(received[0].body.tier, "observed_fact");
+  assert.deepEqual(received[0].body.entities, []);
+});
+
+test("error responses map to typed errors", async () => {
+  replies = [
+    { status: 404, json: { error: "Memory not found" } },
+    { status: 401, json: { error: "Missing or invalid API key" } },
+    { status: 400, json: { error: "Invalid memory update", issues: [{ path: ["tier"], message: "Invalid enum value" }] } },
+    { status: 409, json: { error: "Conflict" } }
+  ];
+
+  await assert.rejects(client.memories.get("m1"), err =>
+    err instanceof NotFoundError && err.status === 404 && err.message === "Memory not found");
+  await assert.rejects(client.stats(), AuthenticationError);
+  await assert.rejects(client.memories.update("m1", { importance: 3 }), err =>
+    err instanceof ValidationError && err.issues[0].path[0] === "tier");
+  await assert.rejects(client.decay.run(), err =>
+    err instanceof MeaningMemoryError && err.status === 409);
+});
+
+test("429 and 503 are retried, honouring Retry-After", async () => {
+  replies = [
+    { status: 429, json: { error: "Too many chat requests, slow down" }, headers: { "Retry-After": "0" } },
+    { status: 503, json: { error: "Unavailable" }, headers: { "Retry-After": "0" } },
+    { status: 200, json: { success: true } }
+  ];
+
+  assert.deepEqual(await client.entities.confirm("e1"), { success: true });
+  assert.equal(received.length, 3);
+  assert.ok(received.every(r => r.method === "POST" && r.url === "/entities/e1/confirm"));
+
+  received = [];
+  replies = [{ status: 502, json: { error: "Bad gateway" } }, { status: 503, json: { error: "Unavailable" } }];
+  assert.deepEqual(await client.memories.list(), {});
+  assert.equal(received.length, 3);
+});
+
+test("5xx are not retried on writes unless a 503 says when, and long waits are not retried", async () => {
+  replies = [{ status: 500, json: { error: "boom" } }];
+  await assert.rejects(client.memories.delete("m1", { soft: true }), /boom/);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, "/memories/m1?soft=true");
+
+  for (const status of [502, 503, 504]) {
+    received = [];
+    replies = [{ status, json: { error: "Upstream failed" } }];
+    await assert.rejects(client.memories.create({ summary: "User likes tea" }), err => err.status === status);
+    assert.equal(received.length, 1);
+  }
+
+  const budget = { day: "2026-01-02", user: { exhausted: true } };
+  replies = [{ status: 429, json: { error: "Daily LLM budget exhausted", budget }, headers: { "Retry-After": "3600" } }];
+  await assert.rejects(client.memories.list(), err => {
+    assert.ok(err instanceof RateLimitError);
+    assert.equal(err.retryAfterMs, 3_600_000);
+    assert.deepEqual(err.budget, budget);
+    return true;
+  });
+  assert.equal(received.length, 2);
+});
+
+test("chat yields SSE frames, even when split across reads", async () => {
+  const done = frame({ done: true, conversation_id: "conv-1" });
+  replies = [{ sse: [frame({ chunk: "Hel" }) + frame({ chunk: "lo" }).slice(0, 9), frame({ chunk: "lo" }).slice(9), done.slice(0, 5), done.slice(5)] }];
+
+  const frames = [];
+  for await (const f of client.chat("Hi there", { conversationId: "conv-1" })) {
+    frames.push(f);
+  }
+
+  assert.deepEqual(frames, [{ chunk: "Hel" }, { chunk: "lo" }, { done: true, conversation_id: "conv-1" }]);
+  assert.deepEqual(received[0].body, { message: "Hi there", conversation_id: "conv-1", wait_for_memory: false });
+  assert.equal(received[0].headers.accept, "text/event-stream");
+});
+
+test("chatReply collects the reply and throws on an error frame", async () => {
+  replies = [
+    { sse: [frame({ chunk: "Nice " }), frame({ chunk: "cat!" }), frame({ done: true, conversation_id: "c2" }), frame({ memory: { stored: true } })] },
+    { sse: [frame({ chunk: "Par" }), frame({ error: "LLM unavailable" })] }
+  ];
+
+  assert.deepEqual(await client.chatReply("I adopted a cat", { waitForMemory: true }), {
+    reply: "Nice cat!",
+    conversation_id: "c2",
+    memory: { stored: true }
+  });
+  await assert.rejects(client.chatReply("Again"), /LLM unavailable/);
+  await assert.rejects(client.chatReply(""), ValidationError);
+});
@@ -0,0 +1,237 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import {
+  signPayload,
+  verifyWebhookSignature,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  enqueueWebhookDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+} from "../src/webhooks.js";
+import { JobWorker } from "../src/jobQueue.js";
+import { config } from "../src/config.js";
+import { insertMemoryUnit } from "../src/memoryStore.js";
+import { purgeMemory, purgeUser } from "../src/purgeService.js";
+import { useHashEmbeddings, useMemoryStorage } from "./helpers.js";
+
+const USER = "webhook-test-user";
+
+const fact = summary => ({
+  summary,
+  tier: "observed_fact",
+  confidence: 0.8,
+  entities: [],
+  facts: [],
+  structured_facts: [],
+  preferences: [],
+  importance: 5
+});
+
+// Receiver that records requests and answers with the next queued status
+let receiver;
+let received;
+let statuses;
+
+before(async () => {
+  receiver = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() ?? 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+let storage;
+let worker;
+
+beforeEach(() => {
+  useHashEmbeddings();
+  storage = useMemoryStorage();
+  worker = new JobWorker({ storage });
+  received = [];
+  statuses = [];
+  config.WEBHOOK_ALLOWED_HOSTS = ["127.0.0.1"]; // the local receiver
+});
+
+test("signatures verify, and tampered or stale ones do not", () => {
+  const body = JSON.stringify({ type: "memory.created" });
+  const now = Date.now();
+  const t = Math.floor(now / 1000);
+  const header = `t=${t},v1=${signPayload("whsec_test", t, body)}`;
+
+  assert.equal(verifyWebhookSignature("whsec_test", header, body, { now }), true);
+  assert.equal(verifyWebhookSignature("whsec_other", header, body, { now }), false);
+  assert.equal(verifyWebhookSignature("whsec_test", header, body + " ", { now }), false);
+  assert.equal(verifyWebhookSignature("whsec_test", header, body, { now: now + 600_000 }), false);
+  assert.equal(verifyWebhookSignature("whsec_test", "garbage", body, { now }), false);
+});
+
+test("the secret is only returned on create and rotation", async () => {
+  const created = await createWebhook({ url: receiverUrl(), events: ["memory.created"] }, USER);
+  assert.match(created.secret, /^whsec_[0-9a-f]{48}$/);
+
+  const [listed] = await listWebhooks(USER);
+  assert.equal(listed.id, created.id);
+  assert.equal(listed.secret, undefined);
+
+  const paused = await updateWebhook(created.id, { active: false }, USER);
+  assert.equal(paused.active, false);
+  assert.equal(paused.secret, undefined);
+
+  const rotated = await updateWebhook(created.id, { rotate_secret: true }, USER);
+  assert.notEqual(rotated.secret, created.secret);
+
+  assert.equal(await updateWebhook(created.id, { active: true }, "someone-else"), null);
+  assert.deepEqual(await listWebhooks("someone-else"), []);
+});
+
+test("memory events are delivered, signed, to matching subscriptions", async (t) => {
+  startWebhookDispatcher();
+  t.after(stopWebhookDispatcher);
+
+  const all = await createWebhook({ url: receiverUrl() }, USER);
+  await createWebhook({ url: receiverUrl(), events: ["memory.purged"] }, USER);
+
+  const memory = await insertMemoryUnit(fact("User owns a red bicycle"), USER);
+
+  // The dispatcher queues deliveries asynchronously
+  while ((await storage.listJobs(USER, { limit: 10 })).length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await worker.drain();
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  const payload = JSON.parse(body);
+
+  assert.equal(headers["x-meaningmemory-event"], "memory.created");
+  assert.equal(headers["x-meaningmemory-delivery"], payload.id);
+  assert.equal(verifyWebhookSignature(all.secret, headers["x-meaningmemory-signature"], body), true);
+  assert.equal(payload.type, "memory.created");
+  assert.equal(payload.user_id, USER);
+  assert.equal(payload.data.memory_id, memory.id);
+
+  // Purges reach both subscriptions, with ids only
+  await purgeMemory(memory.id, USER);
+  while ((await storage.listJobs(USER, { status: "pending", limit: 10 })).length < 2) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await worker.drain();
+
+  const purged = received.slice(1).map(r => JSON.parse(r.body));
+  assert.equal(purged.length, 2);
+  assert.ok(purged.every(p => p.type === "memory.purged"));
+  assert.deepEqual(purged[0].data.memory_ids, [memory.id]);
+  assert.equal(JSON.stringify(purged[0]).includes("bicycle"), false);
+});
+
+test("failed deliveries are logged and retried", async () => {
+  const webhook = await createWebhook({ url: receiverUrl() }, USER);
+  statuses = [500];
+
+  const event = { user_id: USER, type: "memory.updated", at: new Date().toISOString(), data: { memory_id: "m1", fields: ["tier"] } };
+  assert.equal(await enqueueWebhookDeliveries(event), 1);
+  await worker.drain();
+
+  const [job] = await storage.listJobs(USER, { limit: 1 });
+  assert.equal(job.status, "pending");
+  assert.match(job.last_error, /HTTP 500/);
+
+  // Backoff elapsed
+  storage.tables.jobs.get(job.id).run_at = new Date(0);
+  await worker.drain();
+  assert.equal((await storage.getJob(USER, job.id)).status, "completed");
+
+  const deliveries = await getWebhookDeliveries(webhook.id, USER);
+  assert.deepEqual(deliveries.map(d => [d.attempt, d.status, d.response_status]), [[2, "delivered", 200], [1, "failed", 500]]);
+  assert.ok(deliveries.every(d => d.job_id === job.id));
+
+  // Same delivery id on both attempts
+  assert.equal(received[0].headers["x-meaningmemory-delivery"], received[1].headers["x-meaningmemory-delivery"]);
+});
+
+test("deliveries for deleted or paused webhooks are skipped", async () => {
+  const webhook = await createWebhook({ url: receiverUrl() }, USER);
+  await enqueueWebhookDeliveries({ user_id: USER, type: "entity.created", at: new Date().toISOString(), data: {} });
+  await deleteWebhook(webhook.id, USER);
+  await worker.drain();
+
+  const [job] = await storage.listJobs(USER, { limit: 1 });
+  assert.equal(job.status, "completed");
+  assert.deepEqual(job.result, { delivered: false, skipped: true });
+  assert.equal(received.length, 0);
+});
+
+test("purgeUser removes the delivery log but keeps subscriptions", async () => {
+  const webhook = await createWebhook({ url: receiverUrl() }, USER);
+  await enqueueWebhookDeliveries({ user_id: USER, type: "memory.created", at: new Date().toISOString(), data: {} });
+  await worker.drain();
+  assert.equal((await getWebhookDeliveries(webhook.id, USER)).length, 1);
+
+  const receipt = await purgeUser(USER);
+  assert.equal(receipt.counts.webhook_deliveries, 1);
+  assert.equal((await getWebhookDeliveries(webhook.id, USER)).length, 0);
+  assert.equal((await listWebhooks(USER)).length, 1);
+});
+
+test("loopback, link-local and private targets are refused unless allowlisted", async () => {
+  config.WEBHOOK_ALLOWED_HOSTS = [];
+
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://localhost:8080/hook",
+    "http://0.0.0.0/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.5/hook",
+    "http://172.16.0.1/hook",
+    "https://192.168.1.10/hook",
+    "http://[::1]/hook",
+    "http://[fe80::1]/hook",
+    "http://[fd00::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://2130706433/hook" // 127.0.0.1 as a number
+  ]) {
+    await assert.rejects(createWebhook({ url }, USER), err => err.invalid === true, url);
+  }
+
+  const created = await createWebhook({ url: "https://8.8.8.8/hook" }, USER);
+  await assert.rejects(updateWebhook(created.id, { url: "http://10.1.2.3/hook" }, USER), /private address/);
+
+  config.WEBHOOK_ALLOWED_HOSTS = ["10.1.0.0/16", "localhost"];
+  await createWebhook({ url: "http://10.1.2.3/hook" }, USER);
+  await createWebhook({ url: "http://localhost:8080/hook" }, USER);
+  await assert.rejects(createWebhook({ url: "http://10.2.0.1/hook" }, USER), /private address/);
+});
+
+test("deliveries check the address again when they connect", async () => {
+  // Stored while allowed, or a host name that resolves differently now
+  const port = receiver.address().port;
+  const literal = await createWebhook({ url: receiverUrl() }, USER);
+  const named = await storage.insertWebhook(USER, {
+    url: `http://localhost:${port}/hook`, secret: "whsec_test", events: [], description: null
+  });
+
+  config.WEBHOOK_ALLOWED_HOSTS = [];
+  await enqueueWebhookDeliveries({ user_id: USER, type: "memory.created", at: new Date().toISOString(), data: {} });
+  await worker.drain();
+
+  assert.equal(received.length, 0);
+  for (const webhook of [literal, named]) {
+    const [delivery] = await getWebhookDeliveries(webhook.id, USER);
+    assert.equal(delivery.status, "failed");
+    assert.match(delivery.error, /resolves to .*loopback/);
+  }
+});